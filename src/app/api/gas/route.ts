@@ -28,13 +28,12 @@ const METRICS = {
 };
 
 // === SERVICIOS DE CORRECCIÓN DE ERRORES INTEGRADOS ===
+const { commissionRuleEngine } = require('../../../services/commission-rule-engine');
+const { Money } = require('../../../utils/money');
 
 // Validador de Comisiones Mejorado con Cursor AI
 class CommissionValidator {
   private validLevels = [1, 2, 3, 4, 5];
-  private levelMultipliers = {
-    1: 0.05, 2: 0.10, 3: 0.15, 4: 0.20, 5: 0.25
-  };
   
   // Cache para validaciones repetitivas
   private validationCache = new Map<string, any>();
@@ -140,11 +139,7 @@ class CommissionValidator {
    * @returns Nivel sugerido
    */
   private suggestLevelByEarnings(earnings: number): number {
-    if (earnings >= 10000) return 5;
-    if (earnings >= 5000) return 4;
-    if (earnings >= 2000) return 3;
-    if (earnings >= 500) return 2;
-    return 1;
+    return commissionRuleEngine.suggestLevel(earnings || 0);
   }
 
   /**
@@ -161,13 +156,19 @@ class CommissionValidator {
       }
 
       const data = validation.correctedData;
-      const multiplier = this.levelMultipliers[data.level as keyof typeof this.levelMultipliers];
+      const { rate: multiplier, ruleSetVersion } = commissionRuleEngine.resolveRate({
+        level: data.level,
+        app: data.app,
+        agency: data.agency,
+        date: data.date
+      });
       const commission = this.calculateCommissionAmount(data.earnings, multiplier);
       
       return this.createSuccessResponse({
         commission,
         level: data.level,
         multiplier,
+        ruleSetVersion,
         baseEarnings: data.earnings,
         warnings: validation.warnings
       });
@@ -184,7 +185,7 @@ class CommissionValidator {
    * @returns Comisión calculada
    */
   private calculateCommissionAmount(earnings: number, multiplier: number): number {
-    return Math.round(earnings * multiplier * 100) / 100;
+    return Money.fromDecimal(earnings).multiply(multiplier).toDecimal();
   }
 
   /**
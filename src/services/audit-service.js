@@ -0,0 +1,246 @@
+/**
+ * Auditoría de Perfiles - Luxery Prime Agency
+ * Los cambios a streamers y agencias pasan por este servicio: guarda el antes y después
+ * de cada campo con quién lo cambió, desde dónde (UI, hoja, importación, API o el propio
+ * sistema) y cuándo. Los cambios de datos de pago o contacto avisan al streamer y a su líder.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+
+const AUDIT_SOURCES = ['ui', 'sheet_sync', 'import', 'api', 'system'];
+
+const AUDITED_ENTITIES = {
+  streamer: COLLECTIONS.STREAMERS,
+  agency: COLLECTIONS.AGENCIES
+};
+
+// Campos cuyo cambio se notifica; incluye sus subcampos (bankAccount.number)
+const SENSITIVE_FIELDS = {
+  streamer: ['email', 'phone', 'binanceEmail', 'binanceId', 'paypalEmail', 'bankAccount', 'paymentMethod'],
+  agency: ['settings.payoutThresholds']
+};
+
+// Marcas de tiempo que escribe FirestoreService en cada cambio
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+class AuditService {
+  constructor() {
+    this.firestore = firestoreService;
+  }
+
+  /**
+   * Crear un streamer registrando sus datos iniciales
+   * @param {Object} context - { actor, source, reason }
+   */
+  async createStreamer(streamerData, context = {}) {
+    this.assertSource(context);
+
+    const result = await this.firestore.createStreamer(streamerData);
+    if (result.success) {
+      await this.recordChange('streamer', result.id, null, streamerData, { ...context, action: 'create' });
+    }
+
+    return result;
+  }
+
+  /**
+   * Actualizar un streamer registrando el cambio
+   * @param {Object} context - { actor, source, reason }
+   * @returns {Object} - Resultado de FirestoreService con el registro de auditoría en audit
+   */
+  async updateStreamer(streamerId, updateData, context = {}) {
+    this.assertSource(context);
+
+    const current = await this.firestore.getStreamerById(streamerId);
+    if (!current.success) {
+      return current;
+    }
+
+    const result = await this.firestore.updateStreamer(streamerId, updateData);
+    if (result.success) {
+      result.audit = await this.recordChange('streamer', streamerId, current.data, updateData, context);
+    }
+
+    return result;
+  }
+
+  /**
+   * Actualizar una agencia registrando el cambio
+   * @param {Object} context - { actor, source, reason }
+   */
+  async updateAgency(agencyId, updateData, context = {}) {
+    this.assertSource(context);
+
+    const current = await this.firestore.getDocumentById(COLLECTIONS.AGENCIES, agencyId);
+    if (!current.success) {
+      return current;
+    }
+
+    const result = await this.firestore.updateDocument(COLLECTIONS.AGENCIES, agencyId, updateData);
+    if (result.success) {
+      result.audit = await this.recordChange('agency', agencyId, current.data, updateData, context);
+    }
+
+    return result;
+  }
+
+  /**
+   * Registrar un cambio ya escrito
+   * Las claves de updateData pueden ser rutas con punto (settings.withholdingRules.PE).
+   * @param {string} entityType - streamer o agency
+   * @param {Object|null} before - Documento antes del cambio (null al crearlo)
+   * @param {Object} context - { actor, source, reason, action: create|update }
+   * @returns {Object|null} - Registro de auditoría o null si nada cambió
+   */
+  async recordChange(entityType, entityId, before, updateData, { actor = null, source = 'api', reason = null, action = 'update' } = {}) {
+    try {
+      if (!AUDITED_ENTITIES[entityType]) {
+        throw new Error(`Entidad no auditada: ${entityType}. Válidas: ${Object.keys(AUDITED_ENTITIES).join(', ')}`);
+      }
+      this.assertSource({ source });
+
+      const changes = this.diff(before || {}, updateData);
+      if (changes.length === 0) {
+        return null;
+      }
+
+      const changedFields = changes.map(change => change.field);
+      const sensitiveFields = changedFields.filter(field => this.isSensitive(entityType, field));
+      const entry = {
+        entityType,
+        entityId,
+        action,
+        actor,
+        source,
+        reason,
+        changes,
+        changedFields,
+        sensitiveFields,
+        sensitive: sensitiveFields.length > 0,
+        at: new Date().toISOString()
+      };
+
+      const saved = await this.firestore.createDocument(COLLECTIONS.AUDIT_LOG, entry);
+      if (!saved.success) {
+        throw new Error(saved.error);
+      }
+      entry.id = saved.id;
+
+      if (entry.sensitive && action === 'update') {
+        await this.notifySensitiveChange(entry, before);
+      }
+
+      return entry;
+    } catch (error) {
+      console.error('Error registrando auditoría:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Historial de cambios de un streamer
+   * @param {Object} options - { field, source, from, to }
+   */
+  async getStreamerHistory(streamerId, options = {}) {
+    return this.getEntries({ entityType: 'streamer', entityId: streamerId }, options);
+  }
+
+  async getAgencyHistory(agencyId, options = {}) {
+    return this.getEntries({ entityType: 'agency', entityId: agencyId }, options);
+  }
+
+  /**
+   * Cambios hechos por un usuario
+   * @param {Object} options - { entityType, field, source, from, to }
+   */
+  async getActorHistory(actor, { entityType, ...options } = {}) {
+    return this.getEntries({ actor, entityType }, options);
+  }
+
+  async getEntries(filters, { field = null, source = undefined, from = null, to = null } = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.AUDIT_LOG, { ...filters, source });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const start = from ? new Date(from).toISOString() : null;
+    const end = to ? new Date(to).toISOString() : null;
+
+    return result.data
+      .filter(entry => !field || entry.changedFields.some(changed => changed === field || changed.startsWith(`${field}.`)))
+      .filter(entry => (!start || entry.at >= start) && (!end || entry.at < end))
+      .sort((a, b) => b.at.localeCompare(a.at));
+  }
+
+  /**
+   * Campos que realmente cambian: [{ field, before, after }]
+   */
+  diff(before, updateData) {
+    return Object.keys(updateData)
+      .filter(field => !IGNORED_FIELDS.includes(field))
+      .map(field => ({
+        field,
+        before: this.toStored(this.getPath(before, field)),
+        after: this.toStored(updateData[field])
+      }))
+      .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after))
+      .sort((a, b) => a.field.localeCompare(b.field));
+  }
+
+  getPath(data, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+  }
+
+  /**
+   * Valor que se puede guardar y comparar: sin undefined y con fechas en ISO
+   */
+  toStored(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(item => this.toStored(item));
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.toStored(item)]));
+    }
+    return value;
+  }
+
+  isSensitive(entityType, field) {
+    return SENSITIVE_FIELDS[entityType].some(sensitive =>
+      field === sensitive || field.startsWith(`${sensitive}.`) || sensitive.startsWith(`${field}.`));
+  }
+
+  assertSource({ source = 'api' }) {
+    if (!AUDIT_SOURCES.includes(source)) {
+      throw new Error(`Origen inválido: ${source}. Válidos: ${AUDIT_SOURCES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Avisar de un cambio sensible al streamer (también a su contacto anterior) y a su líder
+   */
+  async notifySensitiveChange(entry, before) {
+    try {
+      const parties = entry.entityType === 'streamer'
+        ? [entry.entityId, before && before.leaderId].filter(Boolean)
+        : [entry.entityId];
+      const fields = entry.sensitiveFields.join(', ');
+
+      // Aquí se implementaría la notificación
+      parties.forEach(party => {
+        console.log(`🔐 ${party}: cambio en ${fields} de ${entry.entityType} ${entry.entityId} por ${entry.actor || 'sistema'} (${entry.source})`);
+      });
+      entry.changes
+        .filter(change => ['email', 'phone'].includes(change.field) && change.before)
+        .forEach(change => console.log(`🔐 ${change.before}: su ${change.field} fue reemplazado en el perfil ${entry.entityId}`));
+    } catch (error) {
+      console.error('Error notificando cambio sensible:', error);
+    }
+  }
+}
+
+// Instancia singleton
+const auditService = new AuditService();
+
+export default auditService;
+export { AUDIT_SOURCES, SENSITIVE_FIELDS };
@@ -0,0 +1,445 @@
+/**
+ * Campañas - Luxery Prime Agency
+ * Campañas con elegibilidad, métrica objetivo, ventana de tiempo y fórmula de premio
+ * (ej: "50k diamantes en hiti esta semana = +5%" o bono fijo por hito de streamer nuevo).
+ * Se evalúan al procesar un periodo y generan líneas de comisión tipo bono.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import { DEFAULT_PAYOUT_CURRENCY } from './fx-rate-service.js';
+import withholdingService from './withholding-service.js';
+import { Money } from '../utils/money.js';
+import { buildIdempotencyKey, normalizePeriod } from '../utils/idempotency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BONUS_TYPE = 'campaign_bonus';
+
+// earnings: monto base en moneda de pago; units: unidades originales (ej: DIAMOND); commissions: cantidad
+const METRIC_TYPES = ['earnings', 'units', 'commissions'];
+
+// percentage: tasa sobre el monto base que califica; fixed: monto fijo único
+const REWARD_TYPES = ['percentage', 'fixed'];
+
+const CAMPAIGN_STATUSES = ['active', 'paused', 'ended'];
+
+class CampaignService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.withholding = withholdingService;
+  }
+
+  /**
+   * Crear una campaña
+   * @param {Object} campaign - { agency, name, startsAt, endsAt, eligibility, metric, target, reward, actor }
+   * @returns {Object} - Campaña creada
+   */
+  async createCampaign(campaign) {
+    try {
+      const validation = this.validateCampaign(campaign);
+      if (!validation.isValid) {
+        throw new Error(`Campaña inválida: ${validation.errors.join(', ')}`);
+      }
+
+      const data = {
+        agency: campaign.agency,
+        name: campaign.name,
+        description: campaign.description || null,
+        status: 'active',
+        startsAt: new Date(campaign.startsAt).toISOString(),
+        endsAt: campaign.endsAt ? new Date(campaign.endsAt).toISOString() : null,
+        eligibility: campaign.eligibility || {},
+        metric: campaign.metric,
+        target: campaign.target,
+        reward: campaign.reward,
+        createdBy: campaign.actor || null,
+        createdAt: new Date().toISOString()
+      };
+
+      const result = await this.firestore.createDocument(COLLECTIONS.CAMPAIGNS, data);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      console.log(`🎯 Campaña creada: ${data.name}`);
+      return { id: result.id, ...data };
+    } catch (error) {
+      console.error('Error creando campaña:', error);
+      throw error;
+    }
+  }
+
+  validateCampaign(campaign) {
+    const errors = [];
+    const { metric = {}, reward = {}, eligibility = {} } = campaign || {};
+
+    if (!campaign.agency) errors.push('agency es requerida');
+    if (!campaign.name) errors.push('name es requerido');
+    if (!campaign.startsAt || isNaN(new Date(campaign.startsAt).getTime())) {
+      errors.push('startsAt debe ser una fecha válida');
+    }
+    if (campaign.endsAt && new Date(campaign.endsAt) <= new Date(campaign.startsAt)) {
+      errors.push('endsAt debe ser posterior a startsAt');
+    }
+
+    if (!METRIC_TYPES.includes(metric.type)) {
+      errors.push(`metric.type inválido. Válidos: ${METRIC_TYPES.join(', ')}`);
+    }
+    if (metric.type === 'units' && !metric.unit) {
+      errors.push('metric.unit es requerido para métricas por unidades');
+    }
+    if (typeof campaign.target !== 'number' || campaign.target <= 0) {
+      errors.push('target debe ser un número positivo');
+    }
+
+    if (!REWARD_TYPES.includes(reward.type)) {
+      errors.push(`reward.type inválido. Válidos: ${REWARD_TYPES.join(', ')}`);
+    }
+    if (reward.type === 'percentage' && (typeof reward.rate !== 'number' || reward.rate <= 0 || reward.rate > 1)) {
+      errors.push('reward.rate debe ser un número entre 0 y 1');
+    }
+    if (reward.type === 'fixed' && (typeof reward.amount !== 'number' || reward.amount <= 0)) {
+      errors.push('reward.amount debe ser un monto positivo');
+    }
+
+    if (eligibility.maxTenureDays !== undefined && (!Number.isInteger(eligibility.maxTenureDays) || eligibility.maxTenureDays < 1)) {
+      errors.push('eligibility.maxTenureDays debe ser un entero positivo');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  async getCampaign(campaignId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.CAMPAIGNS, campaignId);
+    if (!result.success) {
+      throw new Error(`Campaña ${campaignId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Listar campañas
+   * @param {Object} filters - { agency, status }
+   */
+  async getCampaigns(filters = {}) {
+    const equalityFilters = {};
+    if (filters.agency) equalityFilters.agency = filters.agency;
+    if (filters.status) equalityFilters.status = filters.status;
+
+    const result = await this.firestore.getDocuments(COLLECTIONS.CAMPAIGNS, equalityFilters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Cambiar estado de una campaña (active, paused, ended)
+   */
+  async setCampaignStatus(campaignId, status, actor = null) {
+    if (!CAMPAIGN_STATUSES.includes(status)) {
+      throw new Error(`Estado inválido: ${status}. Válidos: ${CAMPAIGN_STATUSES.join(', ')}`);
+    }
+
+    await this.getCampaign(campaignId);
+    const result = await this.firestore.updateDocument(COLLECTIONS.CAMPAIGNS, campaignId, {
+      status,
+      statusChangedBy: actor,
+      statusChangedAt: new Date().toISOString()
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluar campañas activas al procesar un periodo
+   * Devuelve las líneas de bono a registrar junto a las comisiones regulares (no escribe).
+   * Los bonos llevan las retenciones del país del streamer como cualquier comisión.
+   * @param {Object} params - { agency, periodStart, periodEnd (exclusivo), streamerIds }
+   * @returns {Array} - Líneas de comisión tipo bono
+   */
+  async evaluatePeriod({ agency, periodStart, periodEnd, streamerIds = [] }) {
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+
+    const campaigns = (await this.getCampaigns({ agency, status: 'active' }))
+      .filter(campaign => new Date(campaign.startsAt) < end &&
+        (!campaign.endsAt || new Date(campaign.endsAt) >= start));
+    if (campaigns.length === 0) {
+      return [];
+    }
+
+    const bonuses = [];
+    for (const streamerId of new Set(streamerIds)) {
+      const { streamer, commissions } = await this.loadStreamerData(streamerId);
+
+      for (const campaign of campaigns) {
+        // Fin exclusivo del periodo: se mide hasta el último instante incluido
+        const progress = this.measureProgress(campaign, streamer, commissions, new Date(end.getTime() - 1));
+        for (const line of this.buildBonusLines(campaign, streamer, progress)) {
+          bonuses.push(await this.withholding.applyToLine(streamer, line));
+        }
+      }
+    }
+
+    if (bonuses.length > 0) {
+      console.log(`🎁 Campañas ${agency}: ${bonuses.length} bonos generados`);
+    }
+
+    return bonuses;
+  }
+
+  /**
+   * Progreso de un streamer en las campañas de su agencia
+   * @param {string} streamerId - ID del streamer
+   * @param {Object} options - { asOf, includeEnded }
+   * @returns {Array} - Progreso por campaña
+   */
+  async getStreamerProgress(streamerId, { asOf = new Date(), includeEnded = false } = {}) {
+    try {
+      const { streamer, commissions } = await this.loadStreamerData(streamerId);
+      const agency = streamer.agency_id || streamer.agency || 'luxeryprime';
+      const cutoff = new Date(asOf);
+
+      const campaigns = (await this.getCampaigns({ agency }))
+        .filter(campaign => includeEnded || campaign.status === 'active')
+        .filter(campaign => new Date(campaign.startsAt) <= cutoff);
+
+      return campaigns.map(campaign => {
+        const progress = this.measureProgress(campaign, streamer, commissions, cutoff);
+        return {
+          campaignId: campaign.id,
+          name: campaign.name,
+          status: campaign.status,
+          eligible: progress.eligible,
+          window: progress.window,
+          metric: campaign.metric,
+          target: campaign.target,
+          current: progress.current,
+          percent: Math.min(100, Math.round((progress.current / campaign.target) * 10000) / 100),
+          achieved: progress.achieved,
+          rewarded: Object.fromEntries(Object.entries(progress.rewarded)
+            .map(([currency, amount]) => [currency, amount.toDecimal()]))
+        };
+      });
+    } catch (error) {
+      console.error('Error obteniendo progreso de campañas:', error);
+      throw error;
+    }
+  }
+
+  async loadStreamerData(streamerId) {
+    const streamerResult = await this.firestore.getStreamerById(streamerId);
+    if (!streamerResult.success) {
+      throw new Error(`Streamer ${streamerId} no encontrado`);
+    }
+
+    const commissionsResult = await this.firestore.getCommissions({ streamerId });
+    if (!commissionsResult.success) {
+      throw new Error(commissionsResult.error);
+    }
+
+    return {
+      streamer: { id: streamerId, ...streamerResult.data },
+      commissions: commissionsResult.data.filter(commission => commission.status !== 'cancelled')
+    };
+  }
+
+  /**
+   * Medir el avance de un streamer en una campaña hasta una fecha
+   * @returns {Object} - { eligible, window, current, achieved, qualifyingBase, rewarded, lastEarnedAt }
+   */
+  measureProgress(campaign, streamer, commissions, asOf) {
+    const window = this.getWindow(campaign, streamer, asOf);
+    const eligible = window !== null && this.isEligible(campaign, streamer);
+
+    const rewarded = {};
+    commissions
+      .filter(commission => commission.type === BONUS_TYPE && commission.campaignId === campaign.id)
+      .forEach(bonus => {
+        const currency = bonus.currency || DEFAULT_PAYOUT_CURRENCY;
+        rewarded[currency] = (rewarded[currency] || Money.zero(currency)).add(bonus.streamerCommission);
+      });
+
+    if (!eligible) {
+      const range = window && { from: window.from.toISOString(), to: window.to.toISOString() };
+      return { eligible: false, window: range, current: 0, achieved: false, qualifyingBase: {}, rewarded, lastEarnedAt: null };
+    }
+
+    const { metric } = campaign;
+    const qualifying = commissions
+      .filter(commission => !commission.type)
+      .filter(commission => !metric.app || commission.app === metric.app)
+      .filter(commission => {
+        const earnedAt = new Date(commission.earnedAt || commission.createdAt);
+        return earnedAt >= window.from && earnedAt <= window.to;
+      });
+
+    const qualifyingBase = {};
+    qualifying.forEach(commission => {
+      const currency = commission.currency || DEFAULT_PAYOUT_CURRENCY;
+      qualifyingBase[currency] = (qualifyingBase[currency] || Money.zero(currency)).add(commission.baseAmount);
+    });
+
+    let current;
+    if (metric.type === 'commissions') {
+      current = qualifying.length;
+    } else if (metric.type === 'units') {
+      const unit = metric.unit.toUpperCase();
+      current = Money.sum(qualifying
+        .filter(commission => (commission.originalCurrency || '').toUpperCase() === unit)
+        .map(commission => commission.originalAmount), unit).toDecimal();
+    } else {
+      const currency = (metric.currency || DEFAULT_PAYOUT_CURRENCY).toUpperCase();
+      current = (qualifyingBase[currency] || Money.zero(currency)).toDecimal();
+    }
+
+    const lastEarnedAt = qualifying
+      .map(commission => commission.earnedAt || commission.createdAt)
+      .sort()
+      .pop() || null;
+
+    return {
+      eligible,
+      window: { from: window.from.toISOString(), to: window.to.toISOString() },
+      current,
+      achieved: current >= campaign.target,
+      qualifyingBase,
+      rewarded,
+      lastEarnedAt
+    };
+  }
+
+  /**
+   * Ventana de medición: la de la campaña, acotada a la fecha de corte y,
+   * en campañas de streamers nuevos, a sus primeros días en la agencia
+   * @returns {Object|null} - { from, to } o null si no hay ventana vigente
+   */
+  getWindow(campaign, streamer, asOf) {
+    let from = new Date(campaign.startsAt);
+    let to = campaign.endsAt ? new Date(Math.min(new Date(campaign.endsAt), asOf)) : new Date(asOf);
+
+    const { maxTenureDays } = campaign.eligibility || {};
+    if (maxTenureDays) {
+      if (!streamer.created_at) return null;
+      const joinedAt = this.toDate(streamer.created_at);
+      const tenureEnd = new Date(joinedAt.getTime() + maxTenureDays * DAY_MS);
+      from = new Date(Math.max(from, joinedAt));
+      to = new Date(Math.min(to, tenureEnd));
+    }
+
+    return from <= to ? { from, to } : null;
+  }
+
+  isEligible(campaign, streamer) {
+    const eligibility = campaign.eligibility || {};
+    const level = streamer.level || 1;
+
+    if (eligibility.streamerIds && !eligibility.streamerIds.includes(streamer.id)) return false;
+    if (eligibility.leaderIds && !eligibility.leaderIds.includes(streamer.leaderId)) return false;
+    if (eligibility.levels && !eligibility.levels.includes(level)) return false;
+
+    return true;
+  }
+
+  /**
+   * Líneas de bono pendientes de otorgar según el avance
+   * Un bono fijo se otorga una sola vez; uno porcentual se otorga por la diferencia
+   * contra lo ya premiado, de modo que periodos siguientes solo suman lo nuevo.
+   */
+  buildBonusLines(campaign, streamer, progress) {
+    if (!progress.achieved) {
+      return [];
+    }
+
+    const { reward } = campaign;
+    const amounts = {};
+
+    if (reward.type === 'fixed') {
+      const currency = (reward.currency || DEFAULT_PAYOUT_CURRENCY).toUpperCase();
+      const alreadyRewarded = Object.values(progress.rewarded).some(amount => !amount.isZero());
+      if (!alreadyRewarded) {
+        amounts[currency] = Money.fromDecimal(reward.amount, currency);
+      }
+    } else {
+      Object.entries(progress.qualifyingBase).forEach(([currency, base]) => {
+        const due = base.multiply(reward.rate)
+          .subtract(progress.rewarded[currency] || Money.zero(currency));
+        if (due.isPositive()) {
+          amounts[currency] = due;
+        }
+      });
+    }
+
+    return Object.entries(amounts).map(([currency, amount]) =>
+      this.toBonusLine(campaign, streamer, amount, currency, progress));
+  }
+
+  /**
+   * Línea de comisión tipo bono: la paga la agencia, por eso su parte es negativa
+   * y el reparto cuadra contra un monto base de cero.
+   */
+  toBonusLine(campaign, streamer, amount, currency, progress) {
+    const now = new Date().toISOString();
+
+    // Un bono por campaña, streamer, moneda y cierre de ventana
+    const idempotencyKey = buildIdempotencyKey({
+      app: campaign.metric.app || 'campaign',
+      streamerId: streamer.id,
+      period: normalizePeriod(progress.window.to),
+      sourceRow: `${BONUS_TYPE}_${campaign.id}_${currency}`
+    });
+
+    return {
+      id: idempotencyKey,
+      idempotencyKey,
+      type: BONUS_TYPE,
+      campaignId: campaign.id,
+      campaignName: campaign.name,
+      streamerId: streamer.id,
+      streamerName: streamer.name,
+      agency: campaign.agency,
+      app: campaign.metric.app || null,
+      level: streamer.level || 1,
+      baseAmount: 0,
+      currency,
+      commissionRate: campaign.reward.type === 'percentage' ? campaign.reward.rate : 0,
+      commissionAmount: amount.negate().toDecimal(),
+      netAmount: amount.toDecimal(),
+      leaderId: streamer.leaderId || null,
+      leaderIds: [],
+      leaderOverrides: [],
+      streamerCommission: amount.toDecimal(),
+      leaderCommission: 0,
+      agencyCommission: amount.negate().toDecimal(),
+      ruleSetId: null,
+      ruleSetVersion: null,
+      metricValue: progress.current,
+      earnedAt: progress.lastEarnedAt || progress.window.to,
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Convertir Timestamp de Firestore, Date o ISO a Date
+   */
+  toDate(value) {
+    if (value && typeof value.seconds === 'number') {
+      return new Date(value.seconds * 1000);
+    }
+    return new Date(value);
+  }
+}
+
+// Instancia singleton
+const campaignService = new CampaignService();
+
+export default campaignService;
+export { BONUS_TYPE, METRIC_TYPES, REWARD_TYPES, CAMPAIGN_STATUSES };
@@ -0,0 +1,434 @@
+/**
+ * Libro Mayor de Comisiones - Luxery Prime Agency
+ * Registro de solo-anexar: cada devengo, ajuste, clawback, reverso y pago es una
+ * entrada propia que referencia la comisión original. Los saldos se derivan
+ * sumando entradas; nunca se modifican ni se eliminan.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import { Money } from '../utils/money.js';
+
+// Tipos de entrada y signo esperado del monto (positivo = se le debe a la parte)
+const ENTRY_TYPES = {
+  accrual: 1,
+  adjustment: 0, // Con signo libre
+  clawback: -1,
+  reversal: 0, // Opuesto a la entrada reversada
+  withholding: -1, // Retención por país sobre la parte del streamer
+  transfer: 0, // Traspaso de saldo entre partes (unificación de duplicados)
+  payout: -1
+};
+
+const PARTY_TYPES = ['streamer', 'leader'];
+
+class CommissionLedger {
+  constructor() {
+    this.firestore = firestoreService;
+  }
+
+  /**
+   * Registrar una entrada en el libro
+   * @param {Object} entry - { type, commissionId, partyType, partyId, amount, ... }
+   * @returns {Object} - Entrada registrada
+   */
+  async appendEntry(entry) {
+    const data = this.buildEntry(entry);
+
+    const result = await this.firestore.createDocument(COLLECTIONS.COMMISSION_LEDGER, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { id: result.id, ...data };
+  }
+
+  /**
+   * Validar una entrada y completar sus campos sin guardarla
+   * @returns {Object} - Datos de la entrada
+   */
+  buildEntry(entry) {
+    if (!(entry.type in ENTRY_TYPES)) {
+      throw new Error(`Tipo de entrada inválido: ${entry.type}`);
+    }
+    if (!PARTY_TYPES.includes(entry.partyType) || !entry.partyId) {
+      throw new Error('La entrada requiere partyType (streamer o leader) y partyId');
+    }
+    if (!entry.commissionId) {
+      throw new Error('La entrada debe referenciar una comisión');
+    }
+    if (typeof entry.amount !== 'number' || isNaN(entry.amount)) {
+      throw new Error('El monto de la entrada debe ser numérico');
+    }
+
+    const sign = ENTRY_TYPES[entry.type];
+    if (sign !== 0 && Math.sign(entry.amount) !== sign && entry.amount !== 0) {
+      throw new Error(`Signo inválido para entrada ${entry.type}: ${entry.amount}`);
+    }
+
+    const recordedAt = new Date().toISOString();
+    const currency = entry.currency || 'USD';
+    return {
+      agency: null,
+      app: null,
+      reason: null,
+      actor: null,
+      reference: null,
+      referenceEntryId: null,
+      ...entry,
+      currency,
+      amount: Money.fromDecimal(entry.amount, currency).toDecimal(),
+      effectiveAt: entry.effectiveAt || recordedAt,
+      recordedAt
+    };
+  }
+
+  /**
+   * Registrar devengo de una comisión para el streamer y cada líder
+   * Las retenciones de la comisión se registran como entradas propias contra el streamer.
+   * @param {Object} commission - Comisión calculada
+   * @returns {Array} - Entradas registradas
+   */
+  async recordAccrual(commission) {
+    const entries = [];
+    for (const entry of this.buildAccrualEntries(commission)) {
+      const result = await this.firestore.createDocument(COLLECTIONS.COMMISSION_LEDGER, entry);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      entries.push({ id: result.id, ...entry });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Entradas de devengo de una comisión, sin guardarlas
+   * Permite escribirlas en la misma transacción que crea la comisión.
+   * @param {Object} commission - Comisión calculada (con su ID definitivo)
+   * @returns {Array} - Datos de las entradas
+   */
+  buildAccrualEntries(commission) {
+    // Las líneas de ajuste pueden restar: se devengan como ajustes con signo libre
+    const common = {
+      type: commission.adjustsCommissionId ? 'adjustment' : 'accrual',
+      commissionId: commission.id,
+      agency: commission.agency,
+      app: commission.app,
+      currency: commission.currency,
+      effectiveAt: commission.earnedAt || commission.createdAt
+    };
+
+    const entries = [this.buildEntry({
+      ...common,
+      partyType: 'streamer',
+      partyId: commission.streamerId,
+      amount: commission.streamerCommission
+    })];
+
+    for (const deduction of commission.deductions || []) {
+      entries.push(this.buildEntry({
+        ...common,
+        type: 'withholding',
+        partyType: 'streamer',
+        partyId: commission.streamerId,
+        amount: -deduction.amount,
+        reason: deduction.label,
+        reference: deduction.code
+      }));
+    }
+
+    for (const override of commission.leaderOverrides || []) {
+      if (override.amount !== 0) {
+        entries.push(this.buildEntry({
+          ...common,
+          partyType: 'leader',
+          partyId: override.leaderId,
+          amount: override.amount,
+          tier: override.tier
+        }));
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Registrar ajuste (positivo o negativo) sobre una comisión
+   * @param {Object} commission - Comisión ajustada
+   * @param {Object} params - { amount, reason, actor, partyType, partyId }
+   * @returns {Object} - Entrada registrada
+   */
+  async recordAdjustment(commission, { amount, reason, actor = null, partyType = 'streamer', partyId }) {
+    if (amount === 0) {
+      throw new Error('El monto del ajuste debe ser distinto de cero');
+    }
+    if (!reason) {
+      throw new Error('El ajuste requiere un motivo');
+    }
+
+    return this.appendEntry({
+      type: 'adjustment',
+      commissionId: commission.id,
+      agency: commission.agency,
+      app: commission.app,
+      currency: commission.currency,
+      partyType,
+      partyId: partyId || commission.streamerId,
+      amount,
+      reason,
+      actor
+    });
+  }
+
+  /**
+   * Registrar clawback (recuperación de un monto ya devengado)
+   * @param {Object} commission - Comisión afectada
+   * @param {Object} params - { amount: monto positivo a recuperar, reason, actor, partyType, partyId }
+   * @returns {Object} - Entrada registrada
+   */
+  async recordClawback(commission, { amount, reason, actor = null, partyType = 'streamer', partyId }) {
+    if (!(amount > 0)) {
+      throw new Error('El monto del clawback debe ser positivo');
+    }
+    if (!reason) {
+      throw new Error('El clawback requiere un motivo');
+    }
+
+    return this.appendEntry({
+      type: 'clawback',
+      commissionId: commission.id,
+      agency: commission.agency,
+      app: commission.app,
+      currency: commission.currency,
+      partyType,
+      partyId: partyId || commission.streamerId,
+      amount: -amount,
+      reason,
+      actor
+    });
+  }
+
+  /**
+   * Reversar una entrada con otra de monto opuesto
+   * @param {string} entryId - ID de la entrada a reversar
+   * @param {Object} params - { reason, actor }
+   * @returns {Object} - Entrada de reverso
+   */
+  async reverseEntry(entryId, { reason, actor = null }) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.COMMISSION_LEDGER, entryId);
+    if (!result.success) {
+      throw new Error(`Entrada ${entryId} no encontrada`);
+    }
+
+    const original = result.data;
+    if (original.type === 'reversal') {
+      throw new Error('No se puede reversar un reverso');
+    }
+
+    const existing = await this.getEntries({ referenceEntryId: entryId, type: 'reversal' });
+    if (existing.length > 0) {
+      throw new Error(`La entrada ${entryId} ya fue reversada`);
+    }
+
+    return this.appendEntry({
+      type: 'reversal',
+      commissionId: original.commissionId,
+      agency: original.agency,
+      app: original.app,
+      currency: original.currency,
+      partyType: original.partyType,
+      partyId: original.partyId,
+      amount: -original.amount,
+      referenceEntryId: entryId,
+      reason: reason || `Reverso de ${original.type}`,
+      actor
+    });
+  }
+
+  /**
+   * Reversar todas las entradas vigentes de una comisión
+   * @param {string} commissionId - ID de la comisión
+   * @param {Object} params - { reason, actor }
+   * @returns {Array} - Entradas de reverso
+   */
+  async reverseCommission(commissionId, { reason, actor = null }) {
+    const entries = await this.getEntries({ commissionId });
+    const reversedIds = new Set(entries
+      .filter(entry => entry.type === 'reversal')
+      .map(entry => entry.referenceEntryId));
+
+    const reversals = [];
+    for (const entry of entries) {
+      if (entry.type !== 'reversal' && !reversedIds.has(entry.id)) {
+        reversals.push(await this.reverseEntry(entry.id, { reason, actor }));
+      }
+    }
+
+    return reversals;
+  }
+
+  /**
+   * Traspasar el saldo de cada comisión de una parte a otra
+   * Se usa al unificar streamers duplicados: por comisión y moneda se registra una salida
+   * en la parte de origen y una entrada igual en la de destino; el historial no se toca.
+   * @param {Object} params - { partyType, fromId, toId, reason, reference, actor }
+   * @returns {Array} - Entradas de traspaso
+   */
+  async transferParty({ partyType = 'streamer', fromId, toId, reason, reference = null, actor = null }) {
+    if (!fromId || !toId || fromId === toId) {
+      throw new Error('El traspaso requiere dos partes distintas');
+    }
+
+    const entries = await this.getEntries({ partyType, partyId: fromId });
+    const byCommission = {};
+    entries.forEach(entry => {
+      const currency = entry.currency || 'USD';
+      const key = `${entry.commissionId}:${currency}`;
+      if (!byCommission[key]) {
+        byCommission[key] = { ...entry, currency, balance: Money.zero(currency) };
+      }
+      byCommission[key].balance = byCommission[key].balance.add(entry.amount);
+    });
+
+    const transfers = [];
+    for (const group of Object.values(byCommission)) {
+      if (group.balance.isZero()) continue;
+
+      const common = {
+        type: 'transfer',
+        commissionId: group.commissionId,
+        agency: group.agency,
+        app: group.app,
+        currency: group.currency,
+        partyType,
+        reason,
+        reference,
+        actor
+      };
+      transfers.push(await this.appendEntry({ ...common, partyId: fromId, amount: group.balance.negate().toDecimal() }));
+      transfers.push(await this.appendEntry({ ...common, partyId: toId, amount: group.balance.toDecimal() }));
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Registrar pago del saldo pendiente de una comisión para la parte que cobró
+   * Un pago al streamer no salda los overrides de los líderes: esos saldos siguen pendientes.
+   * @param {Object} commission - Comisión pagada
+   * @param {Object} params - { partyType, partyId (por defecto el streamer), reference, actor }
+   * @returns {Array} - Entradas de pago
+   */
+  async recordPayout(commission, params = {}) {
+    const payouts = [];
+    for (const entry of await this.buildPayoutEntries(commission, params)) {
+      const result = await this.firestore.createDocument(COLLECTIONS.COMMISSION_LEDGER, entry);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      payouts.push({ id: result.id, ...entry });
+    }
+
+    return payouts;
+  }
+
+  /**
+   * Entradas de pago del saldo pendiente de una parte, sin guardarlas
+   * Permite escribirlas en la misma transacción que marca la comisión como pagada.
+   */
+  async buildPayoutEntries(commission, { partyType = 'streamer', partyId = commission.streamerId, reference = null, actor = null } = {}) {
+    const entries = await this.getEntries({ commissionId: commission.id, partyType, partyId });
+
+    return Object.values(this.sumByParty(entries))
+      .filter(balance => balance.amount > 0)
+      .map(balance => this.buildEntry({
+        type: 'payout',
+        commissionId: commission.id,
+        agency: commission.agency,
+        app: commission.app,
+        currency: balance.currency,
+        partyType: balance.partyType,
+        partyId: balance.partyId,
+        amount: -balance.amount,
+        reference,
+        actor
+      }));
+  }
+
+  /**
+   * Consultar entradas del libro
+   * @param {Object} filters - Filtros por igualdad (commissionId, partyType, partyId, type, ...)
+   * @returns {Array} - Entradas ordenadas por fecha efectiva
+   */
+  async getEntries(filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.COMMISSION_LEDGER, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(a.effectiveAt) - new Date(b.effectiveAt));
+  }
+
+  /**
+   * Saldo adeudado a una parte a una fecha
+   * @param {Object} params - { partyType, partyId, asOf, currency }
+   * @returns {Object} - Saldo y desglose por tipo
+   */
+  async getBalance({ partyType = 'streamer', partyId, asOf = new Date(), currency = 'USD' }) {
+    const cutoff = new Date(asOf);
+    const entries = (await this.getEntries({ partyType, partyId }))
+      .filter(entry => (entry.currency || 'USD') === currency)
+      .filter(entry => new Date(entry.effectiveAt) <= cutoff);
+
+    const byType = {};
+    let balance = Money.zero(currency);
+    entries.forEach(entry => {
+      balance = balance.add(entry.amount);
+      byType[entry.type] = (byType[entry.type] || Money.zero(currency)).add(entry.amount);
+    });
+
+    return {
+      partyType,
+      partyId,
+      currency,
+      asOf: cutoff.toISOString(),
+      balance: balance.toDecimal(),
+      byType: Object.fromEntries(Object.entries(byType).map(([type, money]) => [type, money.toDecimal()])),
+      entries: entries.length
+    };
+  }
+
+  /**
+   * Saldo pendiente por parte dentro de una comisión
+   * @param {string} commissionId - ID de la comisión
+   * @returns {Object} - Saldos por parte
+   */
+  async getCommissionBalance(commissionId) {
+    const entries = await this.getEntries({ commissionId });
+    return this.sumByParty(entries);
+  }
+
+  sumByParty(entries) {
+    const balances = entries.reduce((acc, entry) => {
+      const currency = entry.currency || 'USD';
+      const key = `${entry.partyType}:${entry.partyId}:${currency}`;
+      if (!acc[key]) {
+        acc[key] = { partyType: entry.partyType, partyId: entry.partyId, currency, amount: Money.zero(currency) };
+      }
+      acc[key].amount = acc[key].amount.add(entry.amount);
+      return acc;
+    }, {});
+
+    Object.values(balances).forEach(balance => {
+      balance.amount = balance.amount.toDecimal();
+    });
+
+    return balances;
+  }
+}
+
+// Instancia singleton
+const commissionLedger = new CommissionLedger();
+
+export default commissionLedger;
+export { ENTRY_TYPES, PARTY_TYPES };
@@ -0,0 +1,310 @@
+/**
+ * MOTOR DE REGLAS DE COMISIÓN
+ * Fuente única de tasas de comisión por nivel, app y agencia.
+ * Las reglas se agrupan en conjuntos versionados con rango de vigencia,
+ * lo que permite recalcular comisiones históricas con las reglas de su fecha.
+ */
+
+const { Money, ROUNDING_MODES } = require('../utils/money');
+
+const DEFAULT_RULE_SET = {
+  id: 'default-v1',
+  version: 1,
+  agency: null, // null = aplica a todas las agencias
+  effectiveFrom: '2000-01-01T00:00:00.000Z',
+  effectiveTo: null, // null = vigente indefinidamente
+  defaultRate: 0.15,
+  levels: {
+    1: 0.15, // 15% para nivel 1
+    2: 0.20, // 20% para nivel 2
+    3: 0.25, // 25% para nivel 3
+    4: 0.30, // 30% para nivel 4
+    5: 0.35  // 35% para nivel 5
+  },
+  apps: {}, // Ej: { hiti: { levels: { 1: 0.12 } } } o { salsa: { rate: 0.2 } }
+  levelThresholds: {
+    2: 500,   // Ganancias mínimas para nivel 2
+    3: 2000,  // Ganancias mínimas para nivel 3
+    4: 5000,  // Ganancias mínimas para nivel 4
+    5: 10000  // Ganancias mínimas para nivel 5
+  },
+  leaderOverrides: {
+    maxTiers: 2, // Niveles de líderes que cobran override
+    rates: {
+      1: 0.05, // 5% del monto base para el líder reclutador
+      2: 0.02  // 2% para el líder padre del reclutador
+    }
+  }
+};
+
+class CommissionRuleEngine {
+  constructor(ruleSets = [DEFAULT_RULE_SET]) {
+    this.ruleSets = [];
+    this.loadRuleSets(ruleSets);
+  }
+
+  /**
+   * Cargar conjuntos de reglas (reemplaza los existentes)
+   * Las reglas globales por defecto se conservan salvo que un conjunto cargado use su ID:
+   * sin ellas, una agencia sin reglas propias no tendría ninguna vigente.
+   * @param {Array} ruleSets - Conjuntos de reglas versionados
+   */
+  loadRuleSets(ruleSets) {
+    this.ruleSets = [];
+    [DEFAULT_RULE_SET, ...ruleSets].forEach(ruleSet => this.registerRuleSet(ruleSet));
+    return this.ruleSets.length;
+  }
+
+  /**
+   * Registrar un conjunto de reglas
+   * @param {Object} ruleSet - Conjunto de reglas
+   * @returns {Object} - Conjunto normalizado
+   */
+  registerRuleSet(ruleSet) {
+    const normalized = this.normalizeRuleSet(ruleSet);
+
+    // Una misma versión para la misma agencia se reemplaza
+    this.ruleSets = this.ruleSets.filter(existing => existing.id !== normalized.id);
+    this.ruleSets.push(normalized);
+
+    return normalized;
+  }
+
+  /**
+   * Validar y completar un conjunto de reglas sin registrarlo
+   * @param {Object} ruleSet - Conjunto de reglas
+   * @returns {Object} - Conjunto normalizado
+   */
+  normalizeRuleSet(ruleSet) {
+    const validation = this.validateRuleSet(ruleSet);
+    if (!validation.isValid) {
+      throw new Error(`Conjunto de reglas inválido: ${validation.errors.join(', ')}`);
+    }
+
+    return {
+      apps: {},
+      levels: {},
+      agency: null,
+      effectiveTo: null,
+      ...ruleSet,
+      id: ruleSet.id || `${ruleSet.agency || 'global'}-v${ruleSet.version}`
+    };
+  }
+
+  /**
+   * Validar estructura de un conjunto de reglas
+   */
+  validateRuleSet(ruleSet) {
+    const errors = [];
+
+    if (!ruleSet || typeof ruleSet !== 'object') {
+      return { isValid: false, errors: ['El conjunto de reglas debe ser un objeto'] };
+    }
+
+    if (!Number.isInteger(ruleSet.version) || ruleSet.version < 1) {
+      errors.push('version debe ser un entero positivo');
+    }
+
+    if (!ruleSet.effectiveFrom || isNaN(new Date(ruleSet.effectiveFrom).getTime())) {
+      errors.push('effectiveFrom debe ser una fecha válida');
+    }
+
+    if (ruleSet.effectiveTo && new Date(ruleSet.effectiveTo) <= new Date(ruleSet.effectiveFrom)) {
+      errors.push('effectiveTo debe ser posterior a effectiveFrom');
+    }
+
+    const leaderOverrides = ruleSet.leaderOverrides || {};
+    if (leaderOverrides.maxTiers !== undefined && (!Number.isInteger(leaderOverrides.maxTiers) || leaderOverrides.maxTiers < 0)) {
+      errors.push('leaderOverrides.maxTiers debe ser un entero no negativo');
+    }
+
+    if (Object.values(ruleSet.levelThresholds || {}).some(minimum => typeof minimum !== 'number' || minimum < 0)) {
+      errors.push('levelThresholds deben ser montos no negativos');
+    }
+
+    const rates = [
+      ruleSet.defaultRate,
+      ...Object.values(ruleSet.levels || {}),
+      ...Object.values(leaderOverrides.rates || {})
+    ];
+    Object.values(ruleSet.apps || {}).forEach(appRules => {
+      rates.push(appRules.rate, ...Object.values(appRules.levels || {}));
+    });
+
+    if (rates.some(rate => rate !== undefined && (typeof rate !== 'number' || rate < 0 || rate > 1))) {
+      errors.push('Las tasas deben ser números entre 0 y 1');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Obtener el conjunto de reglas vigente
+   * @param {Object} context - { agency, date }
+   * @returns {Object} - Conjunto de reglas aplicable
+   */
+  getRuleSet({ agency = null, date = new Date() } = {}) {
+    const at = new Date(date).getTime();
+
+    const candidates = this.ruleSets.filter(ruleSet => {
+      if (ruleSet.agency && ruleSet.agency !== agency) return false;
+      if (new Date(ruleSet.effectiveFrom).getTime() > at) return false;
+      if (ruleSet.effectiveTo && new Date(ruleSet.effectiveTo).getTime() <= at) return false;
+      return true;
+    });
+
+    if (candidates.length === 0) {
+      throw new Error(`No hay reglas de comisión vigentes para ${agency || 'global'} en ${new Date(at).toISOString()}`);
+    }
+
+    // Prioridad: reglas de la agencia > globales, luego versión más alta
+    candidates.sort((a, b) => {
+      if (!!a.agency !== !!b.agency) return a.agency ? -1 : 1;
+      return b.version - a.version;
+    });
+
+    return candidates[0];
+  }
+
+  /**
+   * Resolver tasa de comisión
+   * @param {Object} context - { level, app, agency, date, ruleSet }
+   * @returns {Object} - { rate, ruleSetId, ruleSetVersion }
+   */
+  resolveRate({ level = 1, app = null, agency = null, date = new Date(), ruleSet = null } = {}) {
+    const rules = ruleSet || this.getRuleSet({ agency, date });
+    const appRules = (app && rules.apps[app]) || {};
+
+    // Prioridad: app+nivel > app > nivel > tasa por defecto
+    const candidates = [
+      appRules.levels ? appRules.levels[level] : undefined,
+      appRules.rate,
+      rules.levels[level],
+      rules.defaultRate
+    ];
+    const rate = candidates.find(value => typeof value === 'number');
+
+    if (rate === undefined) {
+      throw new Error(`Tasa no encontrada para nivel ${level} en reglas ${rules.id}`);
+    }
+
+    return {
+      rate,
+      ruleSetId: rules.id,
+      ruleSetVersion: rules.version
+    };
+  }
+
+  /**
+   * Calcular comisión sobre un monto
+   * @param {Object} context - { amount, currency, level, app, agency, date, ruleSet, roundingMode }
+   * @returns {Object} - Detalle del cálculo (montos redondeados a unidades menores)
+   */
+  calculate({ amount, currency = 'USD', roundingMode = ROUNDING_MODES.HALF_EVEN, ...context }) {
+    if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
+      throw new Error('El monto debe ser un número positivo');
+    }
+
+    const { rate, ruleSetId, ruleSetVersion } = this.resolveRate(context);
+    const base = Money.fromDecimal(amount, currency, roundingMode);
+    const commission = base.multiply(rate, roundingMode);
+
+    return {
+      baseAmount: base.toDecimal(),
+      commissionRate: rate,
+      commissionAmount: commission.toDecimal(),
+      netAmount: base.subtract(commission).toDecimal(),
+      ruleSetId,
+      ruleSetVersion
+    };
+  }
+
+  /**
+   * Sugerir nivel según ganancias y los umbrales del conjunto de reglas
+   * @param {number} earnings - Ganancias del periodo evaluado
+   * @param {Object} context - { agency, date, ruleSet }
+   * @returns {number} - Nivel sugerido
+   */
+  suggestLevel(earnings, { agency = null, date = new Date(), ruleSet = null } = {}) {
+    const rules = ruleSet || this.getRuleSet({ agency, date });
+    const thresholds = rules.levelThresholds || DEFAULT_RULE_SET.levelThresholds;
+
+    // El nivel más alto cuyo umbral se alcanza
+    const match = Object.entries(thresholds)
+      .map(([level, minimum]) => [Number(level), minimum])
+      .sort((a, b) => b[0] - a[0])
+      .find(([, minimum]) => earnings >= minimum);
+
+    return match ? match[0] : 1;
+  }
+
+  /**
+   * Umbral mínimo de ganancias de un nivel
+   */
+  getLevelThreshold(level, context = {}) {
+    if (level <= 1) return 0;
+
+    const rules = context.ruleSet || this.getRuleSet(context);
+    const thresholds = rules.levelThresholds || DEFAULT_RULE_SET.levelThresholds;
+    return thresholds[level] || 0;
+  }
+
+  /**
+   * Tasa de override por defecto para un nivel (tier) de la jerarquía
+   * @param {Object} ruleSet - Conjunto de reglas
+   * @param {number} tier - 1 = líder reclutador, 2 = su líder padre, ...
+   * @returns {number} - Tasa de override
+   */
+  getLeaderOverrideRate(ruleSet, tier) {
+    const leaderOverrides = ruleSet.leaderOverrides || {};
+    if (tier > (leaderOverrides.maxTiers || 0)) return 0;
+
+    return (leaderOverrides.rates || {})[tier] || 0;
+  }
+
+  /**
+   * Repartir el monto base entre streamer, líderes y agencia
+   * Los overrides de los líderes salen de la comisión de la agencia y el reparto
+   * se hace en unidades menores: la agencia recibe el residuo, así que todas las
+   * partes suman exactamente el monto base.
+   * @param {Object} params - { baseAmount, commissionRate, leaderRates: tasas por tier, currency, roundingMode }
+   * @returns {Object} - { streamer, leaders, leader, agency, total }
+   */
+  splitCommission({ baseAmount, commissionRate, leaderRates = [], currency = 'USD', roundingMode = ROUNDING_MODES.HALF_EVEN }) {
+    const base = Money.fromDecimal(baseAmount, currency, roundingMode);
+    const commission = base.multiply(commissionRate, roundingMode);
+
+    // Los tiers más cercanos al streamer cobran primero si la comisión no alcanza
+    let available = commission;
+    const leaders = leaderRates.map(rate => {
+      const share = base.multiply(rate, roundingMode).min(available);
+      available = available.subtract(share);
+      return share;
+    });
+
+    return {
+      streamer: base.subtract(commission).toDecimal(),
+      leaders: leaders.map(share => share.toDecimal()),
+      leader: commission.subtract(available).toDecimal(),
+      agency: available.toDecimal(),
+      total: base.toDecimal()
+    };
+  }
+
+  /**
+   * Listar conjuntos de reglas registrados
+   */
+  listRuleSets(agency) {
+    return this.ruleSets
+      .filter(ruleSet => agency === undefined || ruleSet.agency === agency)
+      .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+  }
+}
+
+// Instancia global
+const commissionRuleEngine = new CommissionRuleEngine();
+
+module.exports = { CommissionRuleEngine, commissionRuleEngine, DEFAULT_RULE_SET };
@@ -3,51 +3,258 @@
  * Gestión automática de comisiones por niveles de streamers
  */
 
-import firestoreService from './firestore.js';
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import { commissionRuleEngine } from './commission-rule-engine.js';
+import leaderHierarchyService from './leader-hierarchy.js';
+import commissionLedger from './commission-ledger.js';
+import fxRateService, { DEFAULT_PAYOUT_CURRENCY } from './fx-rate-service.js';
+import campaignService from './campaign-service.js';
+import withholdingService from './withholding-service.js';
+import AuthManager from './auth-manager.js';
+import { Money } from '../utils/money.js';
+import { buildIdempotencyKey, normalizePeriod } from '../utils/idempotency.js';
+
+// Campos que no pueden cambiar una vez cerrado el periodo de nómina
+const LOCKED_FIELDS = [
+  'baseAmount', 'commissionRate', 'commissionAmount', 'netAmount', 'level', 'app',
+  'streamerCommission', 'leaderCommission', 'agencyCommission', 'leaderOverrides',
+  'deductions', 'withholdingAmount'
+];
+
+// Transiciones de estado permitidas; 'approved' solo se alcanza con approveCommission
+const COMMISSION_TRANSITIONS = {
+  pending: ['approved', 'cancelled'],
+  approved: ['paid', 'carried_forward', 'failed', 'cancelled'],
+  carried_forward: ['paid', 'carried_forward', 'failed'],
+  failed: ['approved', 'cancelled'],
+  paid: [],
+  cancelled: []
+};
+
+// Por encima del límite se requieren dos aprobaciones (maker-checker); cada agencia puede sobrescribirlo
+const DEFAULT_APPROVAL_RULES = {
+  threshold: 500, // Número en la moneda por defecto o { MONEDA: monto }
+  permission: 'commissions:approve'
+};
 
 class CommissionService {
   constructor() {
     this.firestore = firestoreService;
-    this.commissionRates = {
-      1: 0.15, // 15% para nivel 1
-      2: 0.20, // 20% para nivel 2
-      3: 0.25, // 25% para nivel 3
-      4: 0.30, // 30% para nivel 4
-      5: 0.35  // 35% para nivel 5
-    };
+    this.ruleEngine = commissionRuleEngine;
+    this.leaderHierarchy = leaderHierarchyService;
+    this.ledger = commissionLedger;
+    this.fx = fxRateService;
+    this.campaigns = campaignService;
+    this.withholding = withholdingService;
+    this.auth = new AuthManager();
+    this.rulesLoaded = null;
+  }
+
+  /**
+   * Usar el AuthManager que emitió los tokens de la sesión
+   */
+  setAuthManager(authManager) {
+    this.auth = authManager;
+  }
+
+  /**
+   * Cargar conjuntos de reglas de comisión desde Firestore
+   * @returns {number} - Cantidad de conjuntos cargados
+   */
+  async loadCommissionRules() {
+    try {
+      const result = await this.firestore.getDocuments(COLLECTIONS.COMMISSION_RULES);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      // Sin reglas en Firestore se mantienen las reglas por defecto
+      if (result.count === 0) {
+        return this.ruleEngine.ruleSets.length;
+      }
+
+      return this.ruleEngine.loadRuleSets(result.data);
+    } catch (error) {
+      console.error('Error cargando reglas de comisión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cargar las reglas guardadas una vez por proceso, antes del primer cálculo
+   * Si la carga falla se vuelve a intentar en la siguiente llamada.
+   */
+  ensureCommissionRules() {
+    if (!this.rulesLoaded) {
+      this.rulesLoaded = this.loadCommissionRules().catch(error => {
+        this.rulesLoaded = null;
+        throw error;
+      });
+    }
+
+    return this.rulesLoaded;
+  }
+
+  /**
+   * Guardar un nuevo conjunto de reglas versionado
+   * @param {Object} ruleSet - Conjunto de reglas
+   * @returns {Object} - Conjunto registrado
+   */
+  async saveCommissionRuleSet(ruleSet) {
+    try {
+      // Cargar antes de registrar: una carga posterior reemplazaría el conjunto en memoria
+      await this.ensureCommissionRules();
+      const registered = this.ruleEngine.registerRuleSet(ruleSet);
+      const result = await this.firestore.createDocument(COLLECTIONS.COMMISSION_RULES, registered);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return registered;
+    } catch (error) {
+      console.error('Error guardando reglas de comisión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener streamer o lanzar error si no existe
+   * @param {string} streamerId - ID del streamer
+   * @returns {Object} - Datos del streamer
+   */
+  async getStreamer(streamerId) {
+    const result = await this.firestore.getStreamerById(streamerId);
+    if (!result.success) {
+      throw new Error(`Streamer ${streamerId} no encontrado`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Nivel vigente de un streamer en una fecha según su historial de niveles
+   * @param {Object} streamer - Datos del streamer
+   * @param {Date} date - Fecha de las ganancias
+   * @returns {number} - Nivel
+   */
+  getLevelAt(streamer, date) {
+    const history = [...(streamer.levelHistory || [])]
+      .sort((a, b) => new Date(a.effectiveAt) - new Date(b.effectiveAt));
+
+    if (history.length === 0) {
+      return streamer.level || 1;
+    }
+
+    const applied = history.filter(record => new Date(record.effectiveAt) <= date);
+    if (applied.length === 0) {
+      return history[0].fromLevel;
+    }
+
+    // Un nivel escrito sin pasar por el historial rige después del último cambio registrado
+    const last = applied[applied.length - 1];
+    if (applied.length === history.length && streamer.level && streamer.level !== last.toLevel) {
+      return streamer.level;
+    }
+
+    return last.toLevel;
   }
 
   /**
    * Calcular comisión para un streamer
    * @param {string} streamerId - ID del streamer
-   * @param {number} amount - Monto base
+   * @param {number|Object} amount - Monto base en la moneda de pago o { amount, currency }
+   *   (currency puede ser una divisa o una unidad de la app: COIN, DIAMOND)
    * @param {string} app - Aplicación (yameet, salsa, hiti, musee)
+   * @param {Object} options - { date: fecha de las ganancias, ruleSet: reglas explícitas, payoutCurrency,
+   *   leaderId: líder reclutador a usar en lugar del actual (recálculos históricos),
+   *   period: periodo de origen (por defecto el día de las ganancias),
+   *   sourceRow: fila o ID del registro de origen (por defecto fecha y monto original) }
    * @returns {Object} - Detalles de la comisión
    */
-  async calculateCommission(streamerId, amount, app) {
+  async calculateCommission(streamerId, amount, app, options = {}) {
     try {
+      await this.ensureCommissionRules();
+
       // Obtener datos del streamer
-      const streamer = await this.firestore.getStreamerById(streamerId);
-      if (!streamer) {
-        throw new Error(`Streamer ${streamerId} no encontrado`);
-      }
+      const streamer = await this.getStreamer(streamerId);
+
+      const agency = streamer.agency_id || streamer.agency || 'luxeryprime';
+      const earnedAt = options.date ? new Date(options.date) : new Date();
+      const level = this.getLevelAt(streamer, earnedAt);
+      const ruleSet = options.ruleSet || this.ruleEngine.getRuleSet({ agency, date: earnedAt });
+
+      // Convertir a la moneda de pago fijando la tasa de la fecha de las ganancias
+      const payoutCurrency = options.payoutCurrency || streamer.payoutCurrency || DEFAULT_PAYOUT_CURRENCY;
+      const conversion = await this.fx.convert(amount, payoutCurrency, { app, date: earnedAt });
+
+      const calculation = this.ruleEngine.calculate({
+        amount: conversion.amount,
+        currency: conversion.currency,
+        level,
+        app,
+        agency,
+        date: earnedAt,
+        ruleSet
+      });
+
+      // Reparto entre streamer, cadena de líderes y agencia
+      const leaderId = ('leaderId' in options ? options.leaderId : streamer.leaderId) || null;
+      const overrideTiers = await this.getLeaderOverrideTiers(leaderId, ruleSet);
+      const split = this.ruleEngine.splitCommission({
+        baseAmount: calculation.baseAmount,
+        commissionRate: calculation.commissionRate,
+        leaderRates: overrideTiers.map(tier => tier.rate),
+        currency: conversion.currency
+      });
+      const leaderOverrides = overrideTiers.map((tier, index) => ({
+        ...tier,
+        amount: split.leaders[index]
+      }));
+
+      // Retenciones del país del streamer sobre su parte
+      const deductions = await this.withholding.calculateDeductions(streamer, {
+        agency,
+        amount: split.streamer,
+        currency: conversion.currency
+      });
 
-      const level = streamer.level || 1;
-      const commissionRate = this.commissionRates[level] || 0.15;
-      const commissionAmount = amount * commissionRate;
-      const netAmount = amount - commissionAmount;
+      // Clave determinista: el mismo registro de origen siempre produce el mismo ID
+      const idempotencyKey = buildIdempotencyKey({
+        app,
+        streamerId,
+        period: normalizePeriod(options.period || earnedAt),
+        sourceRow: options.sourceRow ?? `${earnedAt.toISOString()}_${conversion.originalAmount}${conversion.originalCurrency}`
+      });
 
       const commission = {
-        id: `COMM_${Date.now()}_${streamerId}`,
+        id: idempotencyKey,
+        idempotencyKey: idempotencyKey,
         streamerId: streamerId,
         streamerName: streamer.name,
-        agency: streamer.agency || 'luxeryprime',
+        agency: agency,
         app: app,
         level: level,
-        baseAmount: amount,
-        commissionRate: commissionRate,
-        commissionAmount: commissionAmount,
-        netAmount: netAmount,
+        baseAmount: calculation.baseAmount,
+        currency: conversion.currency,
+        originalAmount: conversion.originalAmount,
+        originalCurrency: conversion.originalCurrency,
+        fxRate: conversion.fxRate,
+        fxRateIds: conversion.fxRateIds,
+        fxLockedAt: conversion.fxLockedAt,
+        commissionRate: calculation.commissionRate,
+        commissionAmount: Money.sum([split.leader, split.agency], conversion.currency).toDecimal(),
+        netAmount: split.streamer,
+        leaderId: leaderId,
+        leaderIds: leaderOverrides.map(override => override.leaderId),
+        leaderOverrides: leaderOverrides,
+        streamerCommission: split.streamer,
+        leaderCommission: split.leader,
+        agencyCommission: split.agency,
+        deductions: deductions,
+        withholdingAmount: Money.sum(deductions.map(deduction => deduction.amount), conversion.currency).toDecimal(),
+        ruleSetId: calculation.ruleSetId,
+        ruleSetVersion: calculation.ruleSetVersion,
+        earnedAt: earnedAt.toISOString(),
         status: 'pending', // pending, paid, failed
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
@@ -60,6 +267,53 @@ class CommissionService {
     }
   }
 
+  /**
+   * Obtener overrides de cada nivel de la cadena de líderes
+   * Cada líder puede tener su propia tasa por tier; si no, se usa la del conjunto de reglas
+   * @param {string|null} leaderId - ID del líder reclutador
+   * @param {Object} ruleSet - Conjunto de reglas vigente
+   * @returns {Array} - [{ tier, leaderId, rate }]
+   */
+  async getLeaderOverrideTiers(leaderId, ruleSet) {
+    const maxTiers = (ruleSet.leaderOverrides && ruleSet.leaderOverrides.maxTiers) || 0;
+    if (!leaderId || maxTiers === 0) {
+      return [];
+    }
+
+    const upline = await this.leaderHierarchy.getUpline(leaderId, maxTiers);
+
+    return upline.map(({ tier, leaderId: uplineLeaderId, leader }) => {
+      const leaderRates = leader.overrideRates || {};
+      const rate = typeof leaderRates[tier] === 'number'
+        ? leaderRates[tier]
+        : this.ruleEngine.getLeaderOverrideRate(ruleSet, tier);
+
+      return { tier, leaderId: uplineLeaderId, rate };
+    });
+  }
+
+  /**
+   * Configurar override de un líder para un tier
+   * @param {string} leaderId - ID del líder
+   * @param {number|null} overrideRate - Tasa (0-1) o null para usar la de las reglas
+   * @param {number} tier - Tier al que aplica (1 = streamers reclutados directamente)
+   * @returns {Object} - Resultado de la actualización
+   */
+  async setLeaderOverrideRate(leaderId, overrideRate, tier = 1) {
+    if (overrideRate !== null && (typeof overrideRate !== 'number' || overrideRate < 0 || overrideRate > 1)) {
+      throw new Error('La tasa de override debe ser un número entre 0 y 1');
+    }
+
+    const result = await this.firestore.updateDocument(COLLECTIONS.LEADERS, leaderId, {
+      [`overrideRates.${tier}`]: overrideRate
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
   /**
    * Crear comisión en la base de datos
    * @param {Object} commissionData - Datos de la comisión
@@ -67,7 +321,18 @@ class CommissionService {
    */
   async createCommission(commissionData) {
     try {
-      const commission = await this.firestore.createCommission(commissionData);
+      // El devengo en el libro mayor se escribe en la misma transacción que la comisión
+      const commission = await this.firestore.createCommission(commissionData, {
+        ledgerEntries: id => this.ledger.buildAccrualEntries({ ...commissionData, id })
+      });
+      if (!commission.success) {
+        return commission;
+      }
+
+      // Ya existía una comisión con la misma clave: se devuelve sin volver a devengar
+      if (commission.existing) {
+        return commission;
+      }
       
       // Notificar al streamer
       await this.notifyCommissionCreated(commission);
@@ -103,38 +368,91 @@ class CommissionService {
    * Obtener comisiones de una agencia
    * @param {string} agencyId - ID de la agencia
    * @param {Object} filters - Filtros adicionales
+   * @param {Object} options - { rollupByLeader: agrega totales por líder }
    * @returns {Array} - Lista de comisiones
    */
-  async getAgencyCommissions(agencyId, filters = {}) {
+  async getAgencyCommissions(agencyId, filters = {}, options = {}) {
     try {
       const queryFilters = {
         agency: agencyId,
         ...filters
       };
       
-      return await this.firestore.getCommissions(queryFilters);
+      const result = await this.firestore.getCommissions(queryFilters);
+
+      if (options.rollupByLeader && result.success) {
+        return { ...result, byLeader: this.rollupCommissionsByLeader(result.data) };
+      }
+
+      return result;
     } catch (error) {
       console.error('Error obteniendo comisiones de la agencia:', error);
       throw error;
     }
   }
 
+  /**
+   * Agregar totales de comisiones por líder
+   * @param {Array} commissions - Lista de comisiones
+   * @returns {Object} - Totales por ID de líder
+   */
+  rollupCommissionsByLeader(commissions) {
+    const byLeader = {};
+
+    commissions.forEach(commission => {
+      const currency = commission.currency || DEFAULT_PAYOUT_CURRENCY;
+
+      (commission.leaderOverrides || []).forEach(override => {
+        if (!byLeader[override.leaderId]) {
+          byLeader[override.leaderId] = {
+            leaderId: override.leaderId,
+            currency,
+            commissions: 0,
+            teamBaseAmount: Money.zero(currency),
+            totalOverride: Money.zero(currency),
+            byTier: {},
+            streamers: new Set()
+          };
+        }
+
+        const totals = byLeader[override.leaderId];
+        totals.commissions++;
+        totals.teamBaseAmount = totals.teamBaseAmount.add(commission.baseAmount);
+        totals.totalOverride = totals.totalOverride.add(override.amount);
+        totals.byTier[override.tier] = (totals.byTier[override.tier] || Money.zero(currency)).add(override.amount);
+        totals.streamers.add(commission.streamerId);
+      });
+    });
+
+    Object.values(byLeader).forEach(totals => {
+      totals.teamBaseAmount = totals.teamBaseAmount.toDecimal();
+      totals.totalOverride = totals.totalOverride.toDecimal();
+      Object.keys(totals.byTier).forEach(tier => {
+        totals.byTier[tier] = totals.byTier[tier].toDecimal();
+      });
+      totals.streamers = totals.streamers.size;
+    });
+
+    return byLeader;
+  }
+
   /**
    * Actualizar estado de comisión
    * @param {string} commissionId - ID de la comisión
    * @param {string} status - Nuevo estado
-   * @param {Object} additionalData - Datos adicionales
+   * @param {Object} additionalData - Datos adicionales (no pueden cambiar el estado)
    * @returns {Object} - Comisión actualizada
    */
   async updateCommissionStatus(commissionId, status, additionalData = {}) {
     try {
-      const updateData = {
-        status: status,
-        updatedAt: new Date().toISOString(),
-        ...additionalData
-      };
+      const { change, ledgerEntries } = await this.buildStatusChange(commissionId, status, additionalData);
 
-      const commission = await this.firestore.updateCommission(commissionId, updateData);
+      const result = await this.firestore.setDocumentsInTransaction([change], { ledgerEntries });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const commission = { id: commissionId, ...result.data[0] };
       
       // Notificar cambio de estado
       await this.notifyCommissionStatusChange(commission);
@@ -146,30 +464,392 @@ class CommissionService {
     }
   }
 
+  /**
+   * Preparar un cambio de estado para firestore.setDocumentsInTransaction
+   * La transición se verifica dentro de la transacción, contra la comisión vigente; un pago
+   * incluye sus entradas del libro mayor para que se guarden en el mismo paso.
+   * @returns {Object} - { change: { collectionName, id, update }, ledgerEntries }
+   */
+  async buildStatusChange(commissionId, status, additionalData = {}) {
+    if (status === 'approved') {
+      throw new Error('Las comisiones se aprueban con approveCommission');
+    }
+
+    // El estado solo cambia por el parámetro status
+    const { status: ignoredStatus, ...data } = additionalData;
+    const current = await this.getCommissionById(commissionId);
+    this.assertCommissionEditable(current, data);
+    this.assertStatusTransition(current, status);
+
+    // El pago se registra como entrada del libro mayor, no como cambio de montos
+    const ledgerEntries = status === 'paid'
+      ? await this.ledger.buildPayoutEntries(current, {
+        reference: data.providerReference || null,
+        actor: data.actor || null
+      })
+      : [];
+
+    const update = (commission) => {
+      if (!commission) {
+        throw new Error(`Comisión ${commissionId} no encontrada`);
+      }
+      this.assertCommissionEditable(commission, data);
+      this.assertStatusTransition(commission, status);
+
+      // Una disputa abierta retiene el pago hasta que se resuelva
+      if (status === 'paid' && commission.disputeStatus === 'open') {
+        throw new Error(`Comisión ${commissionId} en disputa (${commission.disputeId}), no puede pagarse`);
+      }
+
+      const { id, ...saved } = commission;
+      return {
+        ...saved,
+        ...data,
+        status: status,
+        updatedAt: new Date().toISOString(),
+        // Un pago fallido se vuelve a aprobar en una ronda nueva
+        ...(status === 'failed' ? { reapprovalPending: true } : {})
+      };
+    };
+
+    return { change: { collectionName: COLLECTIONS.COMMISSIONS, id: commissionId, update }, ledgerEntries };
+  }
+
+  /**
+   * Verificar que el cambio de estado esté permitido (pending → approved → paid; nunca paid → pending)
+   */
+  assertStatusTransition(commission, status) {
+    const current = commission.status || 'pending';
+    const allowed = COMMISSION_TRANSITIONS[current] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(
+        `Transición inválida de comisión ${commission.id}: ${current} → ${status}. ` +
+        `Permitidas: ${allowed.join(', ') || 'ninguna'}`
+      );
+    }
+  }
+
+  /**
+   * Aprobar una comisión
+   * Quien creó la comisión nunca puede aprobarla. Si el monto a pagar supera el límite de la
+   * agencia se requieren dos aprobaciones de usuarios distintos y el segundo debe tener el
+   * permiso de aprobación en AuthManager. Cada aprobación queda registrada en la comisión.
+   * @param {string} commissionId - ID de la comisión
+   * @param {Object} params - { token: sesión de quien aprueba, actor: usuario sin sesión (procesos internos), note }
+   * @returns {Object} - Comisión con awaitingApproval si falta la segunda aprobación
+   */
+  async approveCommission(commissionId, { token = null, actor = null, note = null } = {}) {
+    try {
+      const current = await this.getCommissionById(commissionId);
+      const rules = await this.getApprovalRules(current.agency);
+      const approver = this.resolveApprover({ token, actor }, rules.permission);
+      const dualControl = this.requiresDualApproval(current, rules);
+      const required = dualControl ? 2 : 1;
+
+      const result = await this.firestore.setDocumentInTransaction(COLLECTIONS.COMMISSIONS, commissionId, (commission) => {
+        if (!commission) {
+          throw new Error(`Comisión ${commissionId} no encontrada`);
+        }
+        this.assertStatusTransition(commission, 'approved');
+
+        // Un reintento tras un pago fallido abre una nueva ronda de aprobaciones con la
+        // primera aprobación; las siguientes completan esa misma ronda
+        const round = (commission.approvalRound || 1) + (commission.reapprovalPending ? 1 : 0);
+        const roundApprovals = (commission.approvals || []).filter(approval => (approval.round || 1) === round);
+
+        // Nadie aprueba lo que creó, haya o no doble control
+        if (approver.id === commission.createdBy) {
+          throw new Error('Quien crea la comisión no puede aprobarla');
+        }
+
+        if (dualControl) {
+          if (roundApprovals.some(approval => approval.approverId === approver.id)) {
+            throw new Error('La segunda aprobación debe ser de otro usuario');
+          }
+          if (roundApprovals.length > 0 && !approver.hasPermission) {
+            throw new Error(`La segunda aprobación requiere el permiso ${rules.permission}`);
+          }
+        }
+
+        const at = new Date().toISOString();
+        const approval = {
+          approverId: approver.id,
+          round,
+          step: roundApprovals.length + 1,
+          required,
+          permission: approver.hasPermission ? rules.permission : null,
+          note,
+          at
+        };
+        const complete = approval.step >= required;
+
+        const { id, ...data } = commission;
+        return {
+          ...data,
+          approvals: [...(commission.approvals || []), approval],
+          approvalRound: round,
+          approvalsRequired: required,
+          reapprovalPending: false,
+          ...(complete ? { status: 'approved', approvedBy: approver.id, approvedAt: at } : {}),
+          updatedAt: at
+        };
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const commission = { id: commissionId, ...result.data };
+      if (commission.status === 'approved') {
+        await this.notifyCommissionStatusChange(commission);
+      }
+
+      return { ...commission, awaitingApproval: commission.status !== 'approved' };
+    } catch (error) {
+      console.error('Error aprobando comisión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Identificar a quien aprueba y si tiene el permiso de aprobación
+   */
+  resolveApprover({ token, actor }, permission) {
+    if (token) {
+      const [resource, action] = permission.split(':');
+      const check = this.auth.checkPermissions(token, resource, action);
+      if (check.valid) {
+        return { id: check.user.id, hasPermission: true };
+      }
+
+      const session = this.auth.validateToken(token);
+      if (!session.valid) {
+        throw new Error(session.error);
+      }
+      return { id: session.user.id, hasPermission: false };
+    }
+
+    if (!actor) {
+      throw new Error('Se requiere el usuario que aprueba');
+    }
+    return { id: actor, hasPermission: false };
+  }
+
+  /**
+   * Reglas de aprobación de la agencia
+   */
+  async getApprovalRules(agencyId) {
+    if (!agencyId) {
+      return DEFAULT_APPROVAL_RULES;
+    }
+
+    const result = await this.firestore.getDocumentById(COLLECTIONS.AGENCIES, agencyId);
+    const settings = result.success ? (result.data.settings || {}) : {};
+    return { ...DEFAULT_APPROVAL_RULES, ...(settings.approvalRules || {}) };
+  }
+
+  /**
+   * La comisión requiere doble aprobación si lo que sale de la agencia (streamer + líderes)
+   * supera el límite en su moneda
+   */
+  requiresDualApproval(commission, rules) {
+    const currency = commission.currency || DEFAULT_PAYOUT_CURRENCY;
+    const threshold = typeof rules.threshold === 'number'
+      ? (currency === DEFAULT_PAYOUT_CURRENCY ? rules.threshold : null)
+      : (rules.threshold || {})[currency];
+
+    // Sin límite para la moneda no se exige doble aprobación
+    if (threshold === null || threshold === undefined) {
+      return false;
+    }
+
+    const payable = Money.fromDecimal(commission.streamerCommission || 0, currency).abs()
+      .add(commission.leaderCommission || 0);
+    return payable.compare(Money.fromDecimal(threshold, currency)) > 0;
+  }
+
+  /**
+   * Obtener comisión por ID
+   * @param {string} commissionId - ID de la comisión
+   * @returns {Object} - Comisión
+   */
+  async getCommissionById(commissionId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.COMMISSIONS, commissionId);
+    if (!result.success) {
+      throw new Error(`Comisión ${commissionId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Verificar que una comisión pueda modificarse
+   * Las comisiones de un periodo cerrado solo aceptan cambios de estado;
+   * cualquier cambio de montos requiere un ajuste explícito.
+   * @param {Object} commission - Comisión actual
+   * @param {Object} updateData - Campos a modificar
+   */
+  assertCommissionEditable(commission, updateData = {}) {
+    if (!commission.locked) return;
+
+    const lockedChanges = Object.keys(updateData).filter(field => LOCKED_FIELDS.includes(field));
+    if (lockedChanges.length > 0 || updateData.locked === false) {
+      throw new Error(
+        `Comisión ${commission.id} bloqueada por cierre de nómina (${commission.payrollRunId}). ` +
+        'Use un ajuste para modificarla'
+      );
+    }
+  }
+
+  /**
+   * Registrar ajuste sobre una comisión existente
+   * La comisión original no se modifica: el ajuste es una entrada del libro mayor.
+   * @param {string} commissionId - ID de la comisión ajustada
+   * @param {Object} adjustment - { amount: monto con signo, reason, actor, partyType, partyId }
+   * @returns {Object} - Entrada de ajuste
+   */
+  async createAdjustment(commissionId, adjustment) {
+    try {
+      if (typeof adjustment.amount !== 'number' || isNaN(adjustment.amount)) {
+        throw new Error('El monto del ajuste debe ser numérico');
+      }
+
+      const original = await this.getCommissionById(commissionId);
+      return await this.ledger.recordAdjustment(original, adjustment);
+    } catch (error) {
+      console.error('Error creando ajuste de comisión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar clawback sobre una comisión existente
+   * @param {string} commissionId - ID de la comisión
+   * @param {Object} clawback - { amount: monto positivo a recuperar, reason, actor, partyType, partyId }
+   * @returns {Object} - Entrada de clawback
+   */
+  async createClawback(commissionId, clawback) {
+    try {
+      const original = await this.getCommissionById(commissionId);
+      return await this.ledger.recordClawback(original, clawback);
+    } catch (error) {
+      console.error('Error creando clawback de comisión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reversar una comisión completa en el libro mayor
+   * @param {string} commissionId - ID de la comisión
+   * @param {Object} params - { reason, actor }
+   * @returns {Array} - Entradas de reverso
+   */
+  async reverseCommission(commissionId, { reason, actor = null } = {}) {
+    try {
+      await this.getCommissionById(commissionId);
+      return await this.ledger.reverseCommission(commissionId, { reason, actor });
+    } catch (error) {
+      console.error('Error reversando comisión:', error);
+      throw error;
+    }
+  }
+
   /**
    * Procesar lote de comisiones
+   * Al procesar un periodo de nómina también se evalúan las campañas activas y
+   * sus bonos se registran como líneas adicionales del mismo lote.
    * @param {Array} commissions - Lista de comisiones a procesar
+   * @param {Object} options - { payrollRun: corrida de nómina a la que pertenecen, actor: quien las genera }
    * @returns {Object} - Resultado del procesamiento
    */
-  async processCommissionBatch(commissions) {
+  async processCommissionBatch(commissions, options = {}) {
     try {
+      const { payrollRun, actor = null } = options;
+      if (payrollRun && payrollRun.locked) {
+        throw new Error(`La nómina ${payrollRun.id} está cerrada, no admite nuevas comisiones`);
+      }
+
       const results = {
         total: commissions.length,
         successful: 0,
         failed: 0,
+        duplicates: [],
+        commissionIds: [],
+        bonuses: [],
         errors: []
       };
 
-      for (const commission of commissions) {
+      const periodData = payrollRun ? {
+        payrollRunId: payrollRun.id,
+        periodStart: payrollRun.periodStart,
+        periodEnd: payrollRun.periodEnd
+      } : {};
+
+      // Una clave repetida dentro del lote son dos líneas distintas con el mismo origen:
+      // la segunda no se crea (sería la misma comisión) y se reporta como error
+      const batchKeys = new Set();
+      const commissionIds = new Set();
+
+      const createLine = async (commission) => {
         try {
-          await this.createCommission(commission);
+          if (commission.idempotencyKey) {
+            if (batchKeys.has(commission.idempotencyKey)) {
+              throw new Error(`Origen repetido en el lote: ${commission.idempotencyKey}`);
+            }
+            batchKeys.add(commission.idempotencyKey);
+          }
+
+          const created = await this.createCommission({
+            ...commission,
+            ...periodData,
+            createdBy: commission.createdBy || actor
+          });
+          if (!created.success) {
+            throw new Error(created.error);
+          }
+
+          // Reintento de la misma nómina: la línea ya es suya. De otra nómina: solo se reporta
+          if (created.existing && created.data.payrollRunId !== periodData.payrollRunId) {
+            results.duplicates.push({
+              commissionId: created.id,
+              idempotencyKey: commission.idempotencyKey,
+              payrollRunId: created.data.payrollRunId || null
+            });
+            return false;
+          }
+
           results.successful++;
+          if (!commissionIds.has(created.id)) {
+            commissionIds.add(created.id);
+            results.commissionIds.push(created.id);
+          }
+          return true;
         } catch (error) {
           results.failed++;
           results.errors.push({
             commissionId: commission.id,
             error: error.message
           });
+          return false;
+        }
+      };
+
+      for (const commission of commissions) {
+        await createLine(commission);
+      }
+
+      if (payrollRun) {
+        const bonuses = await this.campaigns.evaluatePeriod({
+          agency: payrollRun.agency,
+          periodStart: payrollRun.periodStart,
+          periodEnd: payrollRun.periodEnd,
+          streamerIds: commissions.map(commission => commission.streamerId)
+        });
+
+        results.total += bonuses.length;
+        for (const bonus of bonuses) {
+          if (await createLine(bonus)) {
+            results.bonuses.push({ ...bonus, ...periodData });
+          }
         }
       }
 
@@ -193,20 +873,44 @@ class CommissionService {
         ...dateRange
       };
 
-      const commissions = await this.firestore.getCommissions(filters);
+      const result = await this.firestore.getCommissions(filters);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      const commissions = result.data;
       
       const stats = {
         total: commissions.length,
+        currency: DEFAULT_PAYOUT_CURRENCY,
         totalAmount: 0,
         totalCommission: 0,
+        totalStreamer: 0,
+        totalLeader: 0,
+        totalAgency: 0,
+        byCurrency: {},
         byStatus: {},
         byLevel: {},
         byApp: {}
       };
 
+      // Totales exactos en unidades menores, separados por moneda
+      const totalsByCurrency = {};
+      const fields = [
+        ['totalAmount', 'baseAmount'],
+        ['totalCommission', 'commissionAmount'],
+        ['totalStreamer', 'streamerCommission'],
+        ['totalLeader', 'leaderCommission'],
+        ['totalAgency', 'agencyCommission']
+      ];
+
       commissions.forEach(commission => {
-        stats.totalAmount += commission.baseAmount;
-        stats.totalCommission += commission.commissionAmount;
+        const currency = commission.currency || DEFAULT_PAYOUT_CURRENCY;
+        if (!totalsByCurrency[currency]) {
+          totalsByCurrency[currency] = Object.fromEntries(fields.map(([total]) => [total, Money.zero(currency)]));
+        }
+        fields.forEach(([total, field]) => {
+          totalsByCurrency[currency][total] = totalsByCurrency[currency][total].add(commission[field] || 0);
+        });
         
         // Por estado
         stats.byStatus[commission.status] = (stats.byStatus[commission.status] || 0) + 1;
@@ -218,6 +922,13 @@ class CommissionService {
         stats.byApp[commission.app] = (stats.byApp[commission.app] || 0) + 1;
       });
 
+      Object.entries(totalsByCurrency).forEach(([currency, totals]) => {
+        stats.byCurrency[currency] = Object.fromEntries(
+          Object.entries(totals).map(([total, money]) => [total, money.toDecimal()])
+        );
+      });
+      Object.assign(stats, stats.byCurrency[stats.currency] || {});
+
       return stats;
     } catch (error) {
       console.error('Error obteniendo estadísticas de comisiones:', error);
@@ -241,12 +952,26 @@ class CommissionService {
 
   /**
    * Notificar cambio de estado de comisión
+   * En disputas se notifica a todas las partes: streamer, líder, quien la abrió y el responsable.
    * @param {Object} commission - Comisión actualizada
+   * @param {Object} context - { event: p. ej. dispute_opened, dispute }
    */
-  async notifyCommissionStatusChange(commission) {
+  async notifyCommissionStatusChange(commission, context = {}) {
     try {
+      const { event = 'status_changed', dispute = null } = context;
+      const parties = [
+        commission.streamerId,
+        commission.leaderId,
+        dispute && dispute.openedBy,
+        dispute && dispute.assignedTo
+      ].filter((party, index, list) => party && list.indexOf(party) === index);
+
       // Aquí se implementaría la notificación
-      console.log(`📢 Comisión ${commission.id} actualizada a estado: ${commission.status}`);
+      parties.forEach(party => {
+        console.log(dispute
+          ? `📢 ${party}: disputa ${dispute.id} de la comisión ${commission.id} (${event})`
+          : `📢 ${party}: comisión ${commission.id} actualizada a estado: ${commission.status}`);
+      });
     } catch (error) {
       console.error('Error notificando cambio de estado:', error);
     }
@@ -255,3 +980,4 @@ class CommissionService {
 
 const commissionService = new CommissionService();
 export default commissionService;
+export { COMMISSION_TRANSITIONS, DEFAULT_APPROVAL_RULES };
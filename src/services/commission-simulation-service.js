@@ -0,0 +1,391 @@
+/**
+ * Simulación de Reglas - Luxery Prime Agency
+ * Recalcula las comisiones históricas de un rango de fechas con un conjunto de reglas
+ * propuesto, sin escribir nada, y compara contra lo devengado por streamer, líder y agencia.
+ * Una vez aprobado el cambio, el mismo cálculo puede registrar las diferencias como
+ * líneas de ajuste que se aprueban y pagan (o descuentan) como cualquier comisión.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import commissionService from './commission-service.js';
+import commissionLedger from './commission-ledger.js';
+import withholdingService from './withholding-service.js';
+import { commissionRuleEngine } from './commission-rule-engine.js';
+import { buildIdempotencyKey, normalizePeriod } from '../utils/idempotency.js';
+import { Money } from '../utils/money.js';
+
+const RECALCULATION_TYPE = 'recalculation_adjustment';
+
+class CommissionSimulationService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.commissionService = commissionService;
+    this.ledger = commissionLedger;
+    this.withholding = withholdingService;
+    this.ruleEngine = commissionRuleEngine;
+  }
+
+  /**
+   * Simular un conjunto de reglas sobre las ganancias históricas (solo lectura)
+   * @param {Object} params - { ruleSet, from, to, agency }
+   * @returns {Object} - Deltas por comisión, streamer, líder y agencia
+   */
+  async simulate({ ruleSet, from, to, agency = null }) {
+    try {
+      const proposedRuleSet = this.ruleEngine.normalizeRuleSet(ruleSet);
+      const period = this.parseRange(from, to);
+      const commissions = await this.getHistoricalCommissions({ agency, ...period });
+
+      const lines = [];
+      const errors = [];
+
+      for (const commission of commissions) {
+        try {
+          lines.push(await this.compareCommission(commission, proposedRuleSet));
+        } catch (error) {
+          errors.push({ commissionId: commission.id, streamerId: commission.streamerId, error: error.message });
+        }
+      }
+
+      return {
+        ruleSet: { id: proposedRuleSet.id, version: proposedRuleSet.version },
+        period: { from: period.from.toISOString(), to: period.to.toISOString() },
+        agency,
+        commissions: lines.length,
+        changed: lines.filter(line => line.changed).length,
+        ...this.aggregate(lines),
+        lines,
+        errors,
+        simulatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error simulando reglas de comisión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalcular con el conjunto de reglas aprobado y registrar los ajustes
+   * Las comisiones originales no se modifican: las diferencias de streamer y líderes
+   * de cada comisión se registran en una línea de ajuste pendiente, que se aprueba y
+   * se paga, o se descuenta de pagos siguientes si es negativa. La agencia se queda
+   * con el remanente, por lo que su delta solo se informa. Volver a ejecutarlo no
+   * duplica ajustes, porque lo devengado incluye las líneas de recálculos anteriores.
+   * @param {Object} params - { ruleSet, from, to, agency, actor, reason }
+   * @returns {Object} - Simulación aplicada y líneas de ajuste creadas
+   */
+  async recalculateAndAdjust({ ruleSet, from, to, agency = null, actor, reason = null }) {
+    try {
+      if (!actor) {
+        throw new Error('El recálculo requiere el usuario que lo aprueba');
+      }
+
+      const simulation = await this.simulate({ ruleSet, from, to, agency });
+      const adjustmentReason = reason ||
+        `Recálculo con reglas ${simulation.ruleSet.id} v${simulation.ruleSet.version}`;
+
+      const adjustments = [];
+      const errors = [...simulation.errors];
+
+      for (const line of simulation.lines.filter(line => line.changed)) {
+        const parties = line.parties.filter(party => party.partyType !== 'agency' && party.delta !== 0);
+        if (parties.length === 0) continue;
+
+        try {
+          const commission = await this.commissionService.getCommissionById(line.commissionId);
+          const streamer = await this.commissionService.getStreamer(commission.streamerId);
+          const adjustment = {
+            ...await this.withholding.applyToLine(
+              streamer,
+              this.toAdjustmentLine(commission, parties, simulation.ruleSet)
+            ),
+            reason: adjustmentReason,
+            createdBy: actor
+          };
+
+          const created = await this.commissionService.createCommission(adjustment);
+          if (!created.success) {
+            throw new Error(created.error);
+          }
+          adjustments.push({ ...adjustment, id: created.id });
+        } catch (error) {
+          errors.push({ commissionId: line.commissionId, error: error.message });
+        }
+      }
+
+      console.log(`🔁 Recálculo ${simulation.ruleSet.id}: ${adjustments.length} líneas de ajuste creadas`);
+
+      return {
+        ...simulation,
+        adjustments,
+        errors,
+        appliedBy: actor,
+        appliedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error recalculando comisiones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Línea de ajuste con la diferencia de cada parte de una comisión recalculada
+   * La clave de idempotencia evita crear dos líneas para la misma versión de reglas.
+   * @param {Object} commission - Comisión original
+   * @param {Array} parties - Partes con delta (streamer y líderes)
+   * @param {Object} ruleSet - { id, version } aplicado
+   */
+  toAdjustmentLine(commission, parties, ruleSet) {
+    const now = new Date().toISOString();
+    const currency = commission.currency || 'USD';
+    const idempotencyKey = buildIdempotencyKey({
+      app: commission.app || 'adjustment',
+      streamerId: commission.streamerId,
+      period: normalizePeriod(commission.earnedAt || commission.createdAt || now),
+      sourceRow: `${RECALCULATION_TYPE}_${commission.id}_${ruleSet.id}_v${ruleSet.version}`
+    });
+
+    const streamerDelta = Money.fromDecimal(
+      parties.filter(party => party.partyType === 'streamer').reduce((sum, party) => sum + party.delta, 0),
+      currency
+    );
+    const leaderOverrides = parties
+      .filter(party => party.partyType === 'leader')
+      .map(party => {
+        const original = (commission.leaderOverrides || []).find(override => override.leaderId === party.partyId);
+        return { leaderId: party.partyId, tier: original ? original.tier : null, rate: 0, amount: party.delta };
+      });
+    const leaderDelta = Money.sum(leaderOverrides.map(override => override.amount), currency);
+    const agencyDelta = streamerDelta.add(leaderDelta).negate();
+
+    return {
+      id: idempotencyKey,
+      idempotencyKey,
+      type: RECALCULATION_TYPE,
+      adjustsCommissionId: commission.id,
+      streamerId: commission.streamerId,
+      streamerName: commission.streamerName || null,
+      agency: commission.agency || null,
+      app: commission.app || null,
+      level: commission.level || 1,
+      baseAmount: 0,
+      currency,
+      commissionRate: 0,
+      commissionAmount: agencyDelta.toDecimal(),
+      netAmount: streamerDelta.toDecimal(),
+      leaderId: commission.leaderId || null,
+      leaderIds: leaderOverrides.map(override => override.leaderId),
+      leaderOverrides,
+      streamerCommission: streamerDelta.toDecimal(),
+      leaderCommission: leaderDelta.toDecimal(),
+      agencyCommission: agencyDelta.toDecimal(),
+      ruleSetId: ruleSet.id,
+      ruleSetVersion: ruleSet.version,
+      earnedAt: commission.earnedAt || commission.createdAt || now,
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Comisiones regulares vigentes con ganancias dentro del rango
+   * Los bonos y las comisiones anuladas no se recalculan.
+   */
+  async getHistoricalCommissions({ agency, from, to }) {
+    const result = await this.firestore.getCommissions(agency ? { agency } : {});
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data
+      .filter(commission => commission.status !== 'cancelled' && !commission.type)
+      .filter(commission => {
+        const earnedAt = new Date(commission.earnedAt || commission.createdAt);
+        return earnedAt >= from && earnedAt <= to;
+      });
+  }
+
+  /**
+   * Recalcular una comisión y compararla con lo devengado por cada parte
+   * Se recalcula sobre el monto base ya convertido (tasa FX fijada) y con el
+   * líder que tenía la comisión, para que el delta refleje solo el cambio de reglas.
+   * @param {Object} commission - Comisión histórica
+   * @param {Object} ruleSet - Conjunto de reglas propuesto
+   * @returns {Object} - Línea de comparación
+   */
+  async compareCommission(commission, ruleSet) {
+    const currency = commission.currency || 'USD';
+    const proposed = await this.commissionService.calculateCommission(
+      commission.streamerId,
+      { amount: commission.baseAmount, currency },
+      commission.app,
+      {
+        date: commission.earnedAt || commission.createdAt,
+        ruleSet,
+        payoutCurrency: currency,
+        leaderId: commission.leaderId || null
+      }
+    );
+
+    const accrued = await this.getAccruedByParty(commission);
+    const proposedByParty = {
+      [`streamer:${commission.streamerId}`]: Money.fromDecimal(proposed.streamerCommission, currency)
+    };
+    proposed.leaderOverrides.forEach(override => {
+      const key = `leader:${override.leaderId}`;
+      proposedByParty[key] = (proposedByParty[key] || Money.zero(currency)).add(override.amount);
+    });
+
+    const keys = [...new Set([...Object.keys(accrued), ...Object.keys(proposedByParty)])];
+    const parties = keys.map(key => {
+      const [partyType, partyId] = key.split(':');
+      const accruedAmount = accrued[key] || Money.zero(currency);
+      const proposedAmount = proposedByParty[key] || Money.zero(currency);
+      return this.toParty(partyType, partyId, accruedAmount, proposedAmount);
+    });
+
+    // La agencia recibe lo que no va al streamer ni a los líderes
+    const base = Money.fromDecimal(commission.baseAmount, currency);
+    const accruedAgency = base.subtract(Money.sum(Object.values(accrued), currency));
+    const proposedAgency = base.subtract(Money.sum(Object.values(proposedByParty), currency));
+    parties.push(this.toParty('agency', commission.agency || null, accruedAgency, proposedAgency));
+
+    return {
+      commissionId: commission.id,
+      streamerId: commission.streamerId,
+      agency: commission.agency || null,
+      app: commission.app,
+      earnedAt: commission.earnedAt || commission.createdAt,
+      currency,
+      baseAmount: base.toDecimal(),
+      currentRuleSetId: commission.ruleSetId || null,
+      currentRate: commission.commissionRate,
+      proposedRate: proposed.commissionRate,
+      parties,
+      changed: parties.some(party => party.delta !== 0)
+    };
+  }
+
+  /**
+   * Lo devengado por parte según el libro mayor (sin contar pagos ni retenciones)
+   * Incluye ajustes, clawbacks y reversos posteriores a la comisión. Las comisiones
+   * anteriores al libro mayor usan el reparto guardado en la propia comisión.
+   * @returns {Object} - Montos Money por clave partyType:partyId
+   */
+  async getAccruedByParty(commission) {
+    const currency = commission.currency || 'USD';
+    const getAccrualEntries = async commissionId => (await this.ledger.getEntries({ commissionId }))
+      .filter(entry => !['payout', 'withholding'].includes(entry.type));
+    const entries = await getAccrualEntries(commission.id);
+
+    const accrued = {};
+    const add = (key, amount) => {
+      accrued[key] = (accrued[key] || Money.zero(currency)).add(amount);
+    };
+
+    if (entries.length === 0) {
+      add(`streamer:${commission.streamerId}`, commission.streamerCommission || 0);
+      (commission.leaderOverrides || []).forEach(override => add(`leader:${override.leaderId}`, override.amount));
+    } else {
+      Object.values(this.ledger.sumByParty(entries)).forEach(balance => {
+        add(`${balance.partyType}:${balance.partyId}`, balance.amount);
+      });
+    }
+
+    // Las líneas de recálculos anteriores ya corrigieron lo devengado
+    for (const adjustment of await this.getRecalculationLines(commission.id)) {
+      Object.values(this.ledger.sumByParty(await getAccrualEntries(adjustment.id))).forEach(balance => {
+        add(`${balance.partyType}:${balance.partyId}`, balance.amount);
+      });
+    }
+
+    return accrued;
+  }
+
+  /**
+   * Líneas de ajuste vigentes creadas por recálculos de una comisión
+   */
+  async getRecalculationLines(commissionId) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.COMMISSIONS, { adjustsCommissionId: commissionId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.filter(line => line.type === RECALCULATION_TYPE && line.status !== 'cancelled');
+  }
+
+  toParty(partyType, partyId, accrued, proposed) {
+    return {
+      partyType,
+      partyId,
+      accrued: accrued.toDecimal(),
+      proposed: proposed.toDecimal(),
+      delta: proposed.subtract(accrued).toDecimal()
+    };
+  }
+
+  /**
+   * Totales por streamer, líder y agencia, separados por moneda
+   */
+  aggregate(lines) {
+    const groups = { streamer: {}, leader: {}, agency: {} };
+
+    lines.forEach(line => {
+      line.parties.forEach(party => {
+        const key = `${party.partyId}:${line.currency}`;
+        const group = groups[party.partyType];
+        if (!group[key]) {
+          group[key] = {
+            partyId: party.partyId,
+            currency: line.currency,
+            commissions: 0,
+            accrued: Money.zero(line.currency),
+            proposed: Money.zero(line.currency)
+          };
+        }
+
+        group[key].commissions++;
+        group[key].accrued = group[key].accrued.add(party.accrued);
+        group[key].proposed = group[key].proposed.add(party.proposed);
+      });
+    });
+
+    const toRows = group => Object.values(group).map(totals => ({
+      partyId: totals.partyId,
+      currency: totals.currency,
+      commissions: totals.commissions,
+      accrued: totals.accrued.toDecimal(),
+      proposed: totals.proposed.toDecimal(),
+      delta: totals.proposed.subtract(totals.accrued).toDecimal()
+    }));
+
+    return {
+      byStreamer: toRows(groups.streamer),
+      byLeader: toRows(groups.leader),
+      byAgency: toRows(groups.agency)
+    };
+  }
+
+  /**
+   * Validar rango de fechas; una fecha sin hora en `to` incluye el día completo
+   */
+  parseRange(from, to = new Date()) {
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    if (typeof to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+    if (!from || isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate > toDate) {
+      throw new Error('Rango de fechas inválido');
+    }
+
+    return { from: fromDate, to: toDate };
+  }
+}
+
+// Instancia singleton
+const commissionSimulationService = new CommissionSimulationService();
+
+export default commissionSimulationService;
+export { RECALCULATION_TYPE };
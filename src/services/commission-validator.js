@@ -3,16 +3,12 @@
  * Soluciona el error de cálculo de comisiones con nivel inválido
  */
 
+const { commissionRuleEngine } = require('./commission-rule-engine');
+
 class CommissionValidator {
-  constructor() {
+  constructor(ruleEngine = commissionRuleEngine) {
     this.validLevels = [1, 2, 3, 4, 5];
-    this.levelMultipliers = {
-      1: 0.05,  // 5% para nivel 1
-      2: 0.10,  // 10% para nivel 2
-      3: 0.15,  // 15% para nivel 3
-      4: 0.20,  // 20% para nivel 4
-      5: 0.25   // 25% para nivel 5
-    };
+    this.ruleEngine = ruleEngine;
   }
 
   /**
@@ -60,11 +56,7 @@ class CommissionValidator {
    * Sugerir nivel basado en ganancias
    */
   suggestLevelByEarnings(earnings) {
-    if (earnings >= 10000) return 5;
-    if (earnings >= 5000) return 4;
-    if (earnings >= 2000) return 3;
-    if (earnings >= 500) return 2;
-    return 1;
+    return this.ruleEngine.suggestLevel(earnings || 0);
   }
 
   /**
@@ -85,19 +77,20 @@ class CommissionValidator {
       // Calcular comisión
       const baseEarnings = data.earnings;
       const level = data.level;
-      const multiplier = this.levelMultipliers[level];
-      
-      if (!multiplier) {
-        throw new Error(`Multiplicador no encontrado para nivel ${level}`);
-      }
+      const calculation = this.ruleEngine.calculate({
+        amount: baseEarnings,
+        level,
+        app: data.app,
+        agency: data.agency,
+        date: data.date
+      });
 
-      const commission = baseEarnings * multiplier;
-      
       return {
         success: true,
-        commission,
+        commission: calculation.commissionAmount,
         level,
-        multiplier,
+        multiplier: calculation.commissionRate,
+        ruleSetVersion: calculation.ruleSetVersion,
         baseEarnings,
         warnings: validation.warnings
       };
@@ -0,0 +1,76 @@
+/**
+ * Países por Agencia - Luxery Prime Agency
+ * Cada agencia define con qué países trabaja (códigos ISO) y puede agregar países que no
+ * están en el catálogo con sus reglas de teléfono, así se abre Brasil o Estados Unidos
+ * sin cambiar código. Sin configuración se usan los países por defecto.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import auditService from './audit-service.js';
+import { CountryRegistry, DEFAULT_ENABLED_COUNTRIES } from '../utils/countries.js';
+
+class CountryService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.audit = auditService;
+    this.defaultRegistry = new CountryRegistry();
+  }
+
+  /**
+   * Catálogo de países de una agencia
+   * @returns {CountryRegistry}
+   */
+  async getRegistry(agencyId) {
+    if (!agencyId) {
+      return this.defaultRegistry;
+    }
+
+    const result = await this.firestore.getDocumentById(COLLECTIONS.AGENCIES, agencyId);
+    const settings = result.success ? (result.data.settings || {}) : {};
+    if (!settings.countries && !settings.countryDefinitions) {
+      return this.defaultRegistry;
+    }
+
+    return new CountryRegistry({
+      definitions: settings.countryDefinitions || {},
+      enabled: settings.countries || DEFAULT_ENABLED_COUNTRIES
+    });
+  }
+
+  /**
+   * Configurar los países de una agencia
+   * @param {Object} config - { enabled: códigos ISO, definitions: { BR: { code, names, phone, ... } } }
+   * @param {Object} context - { actor, source } para la auditoría
+   */
+  async setAgencyCountries(agencyId, { enabled, definitions = {} }, context = {}) {
+    if (!Array.isArray(enabled) || enabled.length === 0) {
+      throw new Error('La agencia debe tener al menos un país habilitado');
+    }
+
+    // Construir el catálogo valida los códigos y las reglas de teléfono
+    const registry = new CountryRegistry({ definitions, enabled });
+
+    const result = await this.audit.updateAgency(agencyId, {
+      'settings.countries': registry.enabled,
+      'settings.countryDefinitions': definitions
+    }, context);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return registry.list();
+  }
+
+  /**
+   * Países habilitados de una agencia para formularios
+   * @param {string} lang - es o en
+   */
+  async listCountries(agencyId, lang = 'es') {
+    return (await this.getRegistry(agencyId)).list(lang);
+  }
+}
+
+// Instancia singleton
+const countryService = new CountryService();
+
+export default countryService;
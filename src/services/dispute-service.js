@@ -0,0 +1,358 @@
+/**
+ * Disputas de Comisiones - Luxery Prime Agency
+ * El streamer reporta una línea de comisión con un motivo y adjuntos; la disputa se
+ * asigna a un líder o admin, se comenta y se resuelve rechazándola o con una comisión
+ * de ajuste que corrige el monto. Mientras está abierta la comisión no puede pagarse.
+ * Una comisión que ya está en un lote de pago no se puede disputar hasta que el pago se
+ * confirme (se corrige con un ajuste) o falle.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import commissionService from './commission-service.js';
+import withholdingService from './withholding-service.js';
+import { buildIdempotencyKey, normalizePeriod } from '../utils/idempotency.js';
+import { Money } from '../utils/money.js';
+
+const ADJUSTMENT_TYPE = 'dispute_adjustment';
+
+// open → rejected | adjusted
+const DISPUTE_STATUSES = ['open', 'rejected', 'adjusted'];
+
+const ASSIGNEE_ROLES = ['leader', 'admin'];
+
+class DisputeService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.commissionService = commissionService;
+    this.withholding = withholdingService;
+  }
+
+  /**
+   * Abrir una disputa sobre una línea de comisión
+   * @param {string} commissionId - ID de la comisión
+   * @param {Object} params - { reason, attachments: [{ name, url, contentType }], openedBy }
+   * @returns {Object} - Disputa creada
+   */
+  async openDispute(commissionId, { reason, attachments = [], openedBy = null }) {
+    try {
+      if (!reason || !String(reason).trim()) {
+        throw new Error('El motivo de la disputa es requerido');
+      }
+      this.validateAttachments(attachments);
+
+      const commission = await this.commissionService.getCommissionById(commissionId);
+      if (commission.status === 'cancelled') {
+        throw new Error(`La comisión ${commissionId} está anulada`);
+      }
+      this.assertDisputable(commission);
+
+      const now = new Date().toISOString();
+      const dispute = {
+        commissionId,
+        streamerId: commission.streamerId,
+        leaderId: commission.leaderId || null,
+        agency: commission.agency || null,
+        currency: commission.currency || 'USD',
+        reason: String(reason).trim(),
+        attachments,
+        status: 'open',
+        assignedTo: null,
+        assignedRole: null,
+        comments: [],
+        history: [{ action: 'opened', actor: openedBy, at: now }],
+        openedBy,
+        openedAt: now,
+        resolution: null
+      };
+
+      const saved = await this.firestore.createDocument(COLLECTIONS.COMMISSION_DISPUTES, dispute);
+      if (!saved.success) {
+        throw new Error(saved.error);
+      }
+      dispute.id = saved.id;
+
+      try {
+        await this.claimCommission(commissionId, dispute);
+      } catch (error) {
+        await this.firestore.deleteDocument(COLLECTIONS.COMMISSION_DISPUTES, dispute.id);
+        throw error;
+      }
+      await this.notify(commission, dispute, 'dispute_opened');
+
+      console.log(`⚖️ Disputa ${dispute.id} abierta sobre la comisión ${commissionId}`);
+      return dispute;
+    } catch (error) {
+      console.error('Error abriendo disputa:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Asignar la disputa a un líder o admin
+   * @param {Object} params - { assigneeId, assigneeRole: leader|admin, actor }
+   */
+  async assignDispute(disputeId, { assigneeId, assigneeRole, actor = null }) {
+    try {
+      if (!assigneeId) {
+        throw new Error('El responsable es requerido');
+      }
+      if (!ASSIGNEE_ROLES.includes(assigneeRole)) {
+        throw new Error(`Rol inválido: ${assigneeRole}. Válidos: ${ASSIGNEE_ROLES.join(', ')}`);
+      }
+
+      const dispute = await this.updateOpenDispute(disputeId, (current, at) => ({
+        assignedTo: assigneeId,
+        assignedRole: assigneeRole,
+        history: [...current.history, { action: 'assigned', actor, at, assignedTo: assigneeId }]
+      }));
+
+      const commission = await this.commissionService.getCommissionById(dispute.commissionId);
+      await this.notify(commission, dispute, 'dispute_assigned');
+      return dispute;
+    } catch (error) {
+      console.error('Error asignando disputa:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Comentar una disputa abierta
+   * @param {Object} params - { author, text, attachments }
+   */
+  async addComment(disputeId, { author, text, attachments = [] }) {
+    try {
+      if (!text || !String(text).trim()) {
+        throw new Error('El comentario no puede estar vacío');
+      }
+      this.validateAttachments(attachments);
+
+      return await this.updateOpenDispute(disputeId, (current, at) => ({
+        comments: [...current.comments, { author, text: String(text).trim(), attachments, at }]
+      }));
+    } catch (error) {
+      console.error('Error comentando disputa:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolver la disputa
+   * rejected: la comisión queda como estaba. adjusted: se crea una comisión de ajuste
+   * por la diferencia para el streamer (la agencia absorbe el ajuste).
+   * @param {Object} params - { resolution: rejected|adjusted, note, amount: ajuste con signo, actor }
+   * @returns {Object} - { dispute, adjustment }
+   */
+  async resolveDispute(disputeId, { resolution, note = null, amount = null, actor = null }) {
+    try {
+      if (!['rejected', 'adjusted'].includes(resolution)) {
+        throw new Error(`Resolución inválida: ${resolution}. Válidas: rejected, adjusted`);
+      }
+
+      const dispute = await this.getDispute(disputeId);
+      if (dispute.status !== 'open') {
+        throw new Error(`La disputa ${disputeId} ya fue resuelta (${dispute.status})`);
+      }
+
+      const commission = await this.commissionService.getCommissionById(dispute.commissionId);
+      let adjustment = null;
+
+      if (resolution === 'adjusted') {
+        if (typeof amount !== 'number' || isNaN(amount) || amount === 0) {
+          throw new Error('El ajuste debe ser un monto distinto de cero');
+        }
+
+        // El ajuste lleva las retenciones del país del streamer como cualquier comisión
+        const streamer = await this.commissionService.getStreamer(commission.streamerId);
+        const line = {
+          ...await this.withholding.applyToLine(
+            streamer,
+            this.toAdjustmentLine(commission, dispute, Money.fromDecimal(amount, dispute.currency))
+          ),
+          createdBy: actor
+        };
+        const created = await this.commissionService.createCommission(line);
+        if (!created.success) {
+          throw new Error(created.error);
+        }
+        adjustment = { ...line, id: created.id };
+      }
+
+      const resolved = await this.updateOpenDispute(disputeId, (current, at) => ({
+        status: resolution,
+        resolution: {
+          type: resolution,
+          note,
+          amount: adjustment ? adjustment.streamerCommission : null,
+          adjustmentCommissionId: adjustment ? adjustment.id : null,
+          resolvedBy: actor,
+          resolvedAt: at
+        },
+        history: [...current.history, { action: resolution, actor, at }]
+      }));
+
+      await this.setCommissionDispute(commission, resolved);
+      await this.notify(commission, resolved, `dispute_${resolution}`);
+
+      console.log(`⚖️ Disputa ${disputeId} resuelta: ${resolution}`);
+      return { dispute: resolved, adjustment };
+    } catch (error) {
+      console.error('Error resolviendo disputa:', error);
+      throw error;
+    }
+  }
+
+  async getDispute(disputeId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.COMMISSION_DISPUTES, disputeId);
+    if (!result.success) {
+      throw new Error(`Disputa ${disputeId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Listar disputas
+   * @param {Object} filters - { status, assignedTo, streamerId, agency, commissionId }
+   */
+  async getDisputes(filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.COMMISSION_DISPUTES, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt));
+  }
+
+  /**
+   * Modificar una disputa abierta en una transacción para no perder comentarios concurrentes
+   * @param {Function} changes - (disputaActual, fechaISO) → campos a modificar
+   */
+  async updateOpenDispute(disputeId, changes) {
+    const result = await this.firestore.setDocumentInTransaction(COLLECTIONS.COMMISSION_DISPUTES, disputeId, (current) => {
+      if (!current) {
+        throw new Error(`Disputa ${disputeId} no encontrada`);
+      }
+      if (current.status !== 'open') {
+        throw new Error(`La disputa ${disputeId} ya fue resuelta (${current.status})`);
+      }
+
+      const { id, ...data } = current;
+      return { ...data, ...changes(current, new Date().toISOString()) };
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { id: disputeId, ...result.data };
+  }
+
+  /**
+   * Reflejar la disputa en la comisión; disputeStatus 'open' bloquea el pago
+   */
+  assertDisputable(commission) {
+    if (commission.disputeStatus === 'open') {
+      throw new Error(`La comisión ${commission.id} ya tiene la disputa ${commission.disputeId} abierta`);
+    }
+    if (commission.payoutItemId) {
+      throw new Error(`La comisión ${commission.id} está en el pago ${commission.payoutItemId}; se puede disputar cuando se confirme o falle`);
+    }
+  }
+
+  /**
+   * Marcar la disputa abierta en la comisión
+   * La comprobación va en la misma transacción: un lote de pago no puede reservar la
+   * comisión entre la comprobación y la marca.
+   */
+  async claimCommission(commissionId, dispute) {
+    const result = await this.firestore.setDocumentInTransaction(COLLECTIONS.COMMISSIONS, commissionId, (current) => {
+      if (!current) {
+        throw new Error(`Comisión ${commissionId} no encontrada`);
+      }
+      this.assertDisputable(current);
+
+      return {
+        ...current,
+        disputeId: dispute.id,
+        disputeStatus: dispute.status,
+        updatedAt: new Date().toISOString()
+      };
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  async setCommissionDispute(commission, dispute) {
+    const result = await this.firestore.updateCommission(commission.id, {
+      disputeId: dispute.id,
+      disputeStatus: dispute.status,
+      updatedAt: new Date().toISOString()
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  /**
+   * Comisión de ajuste por la diferencia reconocida al streamer
+   * La clave de idempotencia evita crear dos ajustes para la misma disputa.
+   */
+  toAdjustmentLine(commission, dispute, amount) {
+    const now = new Date().toISOString();
+    const idempotencyKey = buildIdempotencyKey({
+      app: commission.app || 'adjustment',
+      streamerId: commission.streamerId,
+      period: normalizePeriod(commission.earnedAt || now),
+      sourceRow: `${ADJUSTMENT_TYPE}_${dispute.id}`
+    });
+
+    return {
+      id: idempotencyKey,
+      idempotencyKey,
+      type: ADJUSTMENT_TYPE,
+      disputeId: dispute.id,
+      adjustsCommissionId: commission.id,
+      streamerId: commission.streamerId,
+      streamerName: commission.streamerName || null,
+      agency: commission.agency || null,
+      app: commission.app || null,
+      level: commission.level || 1,
+      baseAmount: 0,
+      currency: amount.currency,
+      commissionRate: 0,
+      commissionAmount: amount.negate().toDecimal(),
+      netAmount: amount.toDecimal(),
+      leaderId: commission.leaderId || null,
+      leaderIds: [],
+      leaderOverrides: [],
+      streamerCommission: amount.toDecimal(),
+      leaderCommission: 0,
+      agencyCommission: amount.negate().toDecimal(),
+      ruleSetId: null,
+      ruleSetVersion: null,
+      earnedAt: commission.earnedAt || now,
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  validateAttachments(attachments) {
+    if (!Array.isArray(attachments) || attachments.some(attachment => !attachment || !attachment.url)) {
+      throw new Error('Cada adjunto debe tener al menos una url');
+    }
+  }
+
+  async notify(commission, dispute, event) {
+    await this.commissionService.notifyCommissionStatusChange(
+      { ...commission, disputeId: dispute.id, disputeStatus: dispute.status },
+      { event, dispute }
+    );
+  }
+}
+
+// Instancia singleton
+const disputeService = new DisputeService();
+
+export default disputeService;
+export { ADJUSTMENT_TYPE, DISPUTE_STATUSES, ASSIGNEE_ROLES };
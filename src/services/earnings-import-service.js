@@ -0,0 +1,299 @@
+/**
+ * Importación de Ganancias - Luxery Prime Agency
+ * Lee el reporte de cada app con su lector, mapea el ID de usuario de la app al
+ * streamer según sus cuentas vinculadas, valida la fila con StreamerValidator y CommissionValidator, y deja las
+ * filas válidas en el borrador de nómina para calcular sus comisiones. Las filas sin
+ * streamer, mal formadas o inválidas quedan en el reporte de errores.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import payrollService from './payroll-service.js';
+import linkedAccountService from './linked-account-service.js';
+import countryService from './country-service.js';
+import StreamerValidator from './streamer-validator.js';
+import CommissionValidator from './commission-validator.js';
+import { createEarningsParsers } from './earnings-parsers.js';
+
+// Tipos de error del reporte
+const IMPORT_ERROR_TYPES = ['malformed', 'unmatched', 'invalid', 'rejected', 'duplicate'];
+
+const ERROR_REPORT_HEADERS = ['linea', 'tipo', 'id_app', 'usuario', 'streamer_id', 'monto', 'moneda', 'fecha', 'motivos'];
+
+class EarningsImportService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.payroll = payrollService;
+    this.linkedAccounts = linkedAccountService;
+    this.countries = countryService;
+    this.parsers = createEarningsParsers();
+    this.streamerValidator = new StreamerValidator();
+    this.commissionValidator = new CommissionValidator();
+  }
+
+  /**
+   * Reemplazar el lector de una app (nuevos formatos o pruebas)
+   */
+  setParser(app, parser) {
+    this.parsers[app] = parser;
+  }
+
+  getParser(app) {
+    const parser = this.parsers[app];
+    if (!parser) {
+      throw new Error(`No hay lector de reportes para ${app}. Apps: ${Object.keys(this.parsers).join(', ')}`);
+    }
+    return parser;
+  }
+
+  /**
+   * Importar el reporte de ganancias de una app
+   * @param {Object} params - { app, content, format (csv|xlsx|json), agency, runId: borrador de nómina
+   *   donde se dejan las filas, fileName, actor, dryRun }
+   * @returns {Object} - Resumen, filas preparadas y errores por fila
+   */
+  async importReport({ app, content, format, agency, runId = null, fileName = null, actor = null, dryRun = false }) {
+    try {
+      if (!dryRun && !runId) {
+        throw new Error('Indique el borrador de nómina donde se preparan las ganancias');
+      }
+
+      const rows = await this.getParser(app).parse(content, format);
+      const resolveAccount = await this.linkedAccounts.getResolver(app);
+      const streamersById = await this.getStreamerIndex(agency);
+      const countries = await this.countries.getRegistry(agency);
+
+      const staged = [];
+      const errors = [];
+      let skipped = 0;
+
+      rows.forEach(row => {
+        const base = {
+          line: row.line,
+          externalId: row.externalId,
+          handle: row.handle,
+          amount: row.amount,
+          currency: row.currency,
+          date: row.date
+        };
+
+        if (row.errors.length > 0) {
+          errors.push({ ...base, type: 'malformed', streamerId: null, reasons: row.errors });
+          return;
+        }
+        if (row.amount === 0) {
+          skipped++; // Días sin ganancias no generan comisión
+          return;
+        }
+
+        // El dueño de la cuenta se resuelve a la fecha de la ganancia
+        const link = resolveAccount(row.externalId, row.date);
+        if (!link) {
+          errors.push({ ...base, type: 'unmatched', streamerId: null, reasons: [`El ID ${row.externalId} de ${app} no está vinculado a ningún streamer en esa fecha`] });
+          return;
+        }
+        const streamer = streamersById.get(link.streamerId);
+        if (!streamer) {
+          errors.push({ ...base, type: 'unmatched', streamerId: link.streamerId, reasons: [`El streamer ${link.streamerId} no pertenece a la agencia ${agency}`] });
+          return;
+        }
+
+        const validation = this.validateRow(row, streamer, countries);
+        if (!link.verified) {
+          validation.warnings.push(`La cuenta ${row.externalId} de ${app} no está verificada`);
+        }
+        if (!validation.isValid) {
+          errors.push({ ...base, type: 'invalid', streamerId: streamer.id, reasons: validation.errors });
+          return;
+        }
+
+        staged.push({
+          line: row.line,
+          streamerId: streamer.id,
+          app,
+          amount: row.amount,
+          currency: row.currency,
+          date: row.date,
+          externalId: row.externalId,
+          // Origen estable: reimportar el mismo reporte no duplica comisiones
+          sourceRow: row.reference || `${row.externalId}_${row.date.split('T')[0]}`,
+          warnings: validation.warnings
+        });
+      });
+
+      let accepted = staged;
+      if (!dryRun && staged.length > 0) {
+        const result = await this.payroll.importEarnings(runId, staged.map(({ line, warnings, ...earning }) => earning));
+
+        // El borrador rechaza fechas fuera del periodo y omite filas ya importadas
+        result.errors.forEach(({ index, errors: reasons }) => {
+          errors.push({ ...this.errorBase(staged[index]), type: 'rejected', reasons });
+        });
+        result.duplicateRows.forEach(({ index }) => {
+          errors.push({ ...this.errorBase(staged[index]), type: 'duplicate', reasons: ['La fila ya fue importada en este borrador'] });
+        });
+
+        const excluded = new Set([...result.errors, ...result.duplicateRows].map(({ index }) => index));
+        accepted = staged.filter((earning, index) => !excluded.has(index));
+      }
+
+      const summary = {
+        rows: rows.length,
+        staged: accepted.length,
+        skipped,
+        ...Object.fromEntries(IMPORT_ERROR_TYPES.map(type => [
+          type, errors.filter(error => error.type === type).length
+        ]))
+      };
+
+      const report = {
+        app,
+        agency: agency || null,
+        format,
+        fileName,
+        runId,
+        dryRun,
+        summary,
+        staged: accepted,
+        errors: errors.sort((a, b) => a.line - b.line),
+        actor,
+        importedAt: new Date().toISOString()
+      };
+
+      if (!dryRun) {
+        const saved = await this.firestore.createDocument(COLLECTIONS.EARNINGS_IMPORTS, report);
+        if (!saved.success) {
+          throw new Error(saved.error);
+        }
+        report.id = saved.id;
+      }
+
+      console.log(`📥 Reporte ${app}: ${summary.staged} filas preparadas, ${errors.length} con errores`);
+      return report;
+    } catch (error) {
+      console.error('Error importando reporte de ganancias:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Streamers de la agencia por ID
+   */
+  async getStreamerIndex(agency) {
+    const result = await this.firestore.getStreamers(agency ? { agency_id: agency } : {});
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return new Map(result.data.map(streamer => [streamer.id, streamer]));
+  }
+
+  /**
+   * Validar la fila con los datos de su streamer
+   * Los validadores corrigen datos menores (país, nivel); esas correcciones quedan como advertencias.
+   * @param {CountryRegistry} countries - Países habilitados de la agencia
+   */
+  validateRow(row, streamer, countries) {
+    const streamerCheck = this.streamerValidator.validateStreamer({
+      ...streamer,
+      earnings: row.amount
+    }, { countries });
+    const commissionCheck = this.commissionValidator.validateStreamerData({
+      id: streamer.id,
+      level: streamer.level,
+      earnings: row.amount,
+      country: streamer.country
+    });
+
+    return {
+      isValid: streamerCheck.isValid && commissionCheck.isValid,
+      errors: [...streamerCheck.errors, ...commissionCheck.errors],
+      warnings: [...streamerCheck.warnings, ...commissionCheck.warnings]
+    };
+  }
+
+  errorBase(earning) {
+    return {
+      line: earning.line,
+      externalId: earning.externalId,
+      handle: null,
+      amount: earning.amount,
+      currency: earning.currency,
+      date: earning.date,
+      streamerId: earning.streamerId
+    };
+  }
+
+  /**
+   * Historial de importaciones
+   * @param {Object} filters - { app, agency, runId }
+   */
+  async getImports(filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.EARNINGS_IMPORTS, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+  }
+
+  async getImport(importId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.EARNINGS_IMPORTS, importId);
+    if (!result.success) {
+      throw new Error(`Importación ${importId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Exportar el reporte de errores de una importación
+   * @param {Object|string} report - Reporte o ID de la importación
+   * @param {string} format - csv o json
+   */
+  async exportErrorReport(report, format = 'csv') {
+    const data = typeof report === 'string' ? await this.getImport(report) : report;
+    const filename = `errores_${data.app}_${data.importedAt.split('T')[0]}`;
+
+    switch (format) {
+      case 'json':
+        return {
+          contentType: 'application/json',
+          filename: `${filename}.json`,
+          body: JSON.stringify({ summary: data.summary, errors: data.errors }, null, 2)
+        };
+      case 'csv':
+        return { contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv`, body: this.toCSV(data.errors) };
+      default:
+        throw new Error(`Formato no soportado: ${format}. Válidos: csv, json`);
+    }
+  }
+
+  toCSV(errors) {
+    const rows = errors.map(error => [
+      error.line,
+      error.type,
+      error.externalId || '',
+      error.handle || '',
+      error.streamerId || '',
+      error.amount === null ? '' : error.amount,
+      error.currency || '',
+      error.date ? error.date.split('T')[0] : '',
+      error.reasons.join('; ')
+    ]);
+
+    return [ERROR_REPORT_HEADERS, ...rows]
+      .map(row => row.map(value => this.escapeCsv(value)).join(','))
+      .join('\n');
+  }
+
+  escapeCsv(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Instancia singleton
+const earningsImportService = new EarningsImportService();
+
+export default earningsImportService;
+export { IMPORT_ERROR_TYPES };
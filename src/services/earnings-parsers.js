@@ -0,0 +1,214 @@
+/**
+ * Lectores de Reportes de Ganancias - Luxery Prime Agency
+ * Cada app entrega su propio export diario o semanal: Yameet (CSV en diamantes),
+ * Salsa (XLSX semanal en monedas), Hiti (JSON en USD) y Musee (CSV/XLSX en USD).
+ * Todos se normalizan a la misma fila para mapearla al streamer y calcular la comisión.
+ */
+
+import { parseCsv, parseXlsx, parseJsonRows, pickField, parseNumber } from '../utils/tabular.js';
+import { Money } from '../utils/money.js';
+
+// Columnas comunes a todos los reportes; cada app agrega sus propios alias
+const BASE_FIELDS = {
+  externalId: ['user_id', 'userId', 'uid', 'id_usuario', 'external_id'],
+  handle: ['nickname', 'username', 'name', 'nombre', 'usuario'],
+  amount: ['amount', 'earnings', 'income', 'ganancias', 'monto'],
+  currency: ['currency', 'moneda', 'unit'],
+  date: ['date', 'fecha', 'day', 'dia'],
+  reference: ['reference', 'referencia', 'record_id', 'transaction_id']
+};
+
+/**
+ * Interfaz de lector
+ * - parse(content, format) → [{ line, externalId, handle, amount, currency, date, reference, errors }]
+ *   Las filas con errors no vacío están mal formadas y no se deben calcular.
+ */
+class EarningsParser {
+  /**
+   * @param {string} app - App del reporte
+   * @param {Object} options - { formats, fields, defaultCurrency, jsonContainers, dayFirst }
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.formats = options.formats || ['csv'];
+    this.defaultCurrency = options.defaultCurrency || 'USD';
+    this.jsonContainers = options.jsonContainers || ['items', 'data', 'rows', 'records'];
+    this.dayFirst = options.dayFirst !== false; // 05/04/2024 = 5 de abril
+
+    this.fields = {};
+    Object.keys(BASE_FIELDS).forEach(field => {
+      this.fields[field] = [...((options.fields || {})[field] || []), ...BASE_FIELDS[field]];
+    });
+  }
+
+  /**
+   * Leer el archivo y normalizar sus filas
+   * @param {string|Buffer} content - Contenido del archivo
+   * @param {string} format - csv, xlsx o json
+   */
+  async parse(content, format) {
+    if (!this.formats.includes(format)) {
+      throw new Error(`Formato ${format} no soportado para ${this.app}. Válidos: ${this.formats.join(', ')}`);
+    }
+
+    return this.readRecords(content, format).map(record => this.normalize(record));
+  }
+
+  readRecords(content, format) {
+    switch (format) {
+      case 'csv':
+        return parseCsv(typeof content === 'string' ? content : content.toString('utf8'));
+      case 'xlsx':
+        return parseXlsx(content);
+      case 'json':
+        return parseJsonRows(typeof content === 'string' ? content : content.toString('utf8'), this.jsonContainers);
+      default:
+        throw new Error(`Formato no soportado: ${format}. Válidos: csv, xlsx, json`);
+    }
+  }
+
+  normalize(record) {
+    const errors = [];
+    const externalId = pickField(record, this.fields.externalId);
+    const rawAmount = pickField(record, this.fields.amount);
+    const rawCurrency = pickField(record, this.fields.currency);
+    const currency = rawCurrency ? String(rawCurrency).trim().toUpperCase() : this.defaultCurrency;
+    const amount = this.parseAmount(rawAmount, currency);
+    const date = this.parseDate(pickField(record, this.fields.date));
+    const reference = pickField(record, this.fields.reference);
+
+    if (externalId === null) errors.push('Falta el ID de usuario de la app');
+    if (amount === null) errors.push(`Monto inválido: ${rawAmount === null ? 'vacío' : rawAmount}`);
+    if (amount !== null && amount < 0) errors.push('El monto no puede ser negativo');
+    if (date === null) errors.push('Fecha inválida o vacía');
+
+    return {
+      line: record.__line,
+      externalId: externalId === null ? null : String(externalId).trim(),
+      handle: pickField(record, this.fields.handle),
+      amount,
+      currency,
+      date: date ? date.toISOString() : null,
+      reference: reference === null ? null : String(reference).trim(),
+      errors
+    };
+  }
+
+  /**
+   * Monto de la fila; en unidades sin decimales (COIN, DIAMOND) "1.234" se lee como 1234
+   */
+  parseAmount(value, currency) {
+    const text = typeof value === 'string' ? value.trim() : null;
+    if (text && Money.decimalsFor(currency) === 0 && /^\d{1,3}([.,]\d{3})+$/.test(text)) {
+      return Number(text.replace(/[.,]/g, ''));
+    }
+
+    return parseNumber(value);
+  }
+
+  /**
+   * Fecha del reporte: Date (XLSX), ISO, dd/mm/aaaa o mm/dd/aaaa según la app, o epoch
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value;
+    }
+
+    const text = String(value).trim();
+    const slashed = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (slashed) {
+      const [first, second, year] = slashed.slice(1).map(Number);
+      const [day, month] = this.dayFirst ? [first, second] : [second, first];
+      const date = new Date(Date.UTC(year, month - 1, day));
+      return date.getUTCMonth() === month - 1 ? date : null;
+    }
+
+    if (/^\d{10,13}$/.test(text)) {
+      return new Date(text.length === 10 ? Number(text) * 1000 : Number(text));
+    }
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+class YameetParser extends EarningsParser {
+  constructor() {
+    super('yameet', {
+      formats: ['csv'],
+      defaultCurrency: 'DIAMOND',
+      fields: {
+        externalId: ['yameet_id', 'host_id'],
+        amount: ['diamonds', 'diamantes']
+      }
+    });
+  }
+}
+
+class SalsaParser extends EarningsParser {
+  constructor() {
+    super('salsa', {
+      formats: ['xlsx', 'csv'],
+      defaultCurrency: 'COIN',
+      fields: {
+        externalId: ['salsa_id', 'id_salsa'],
+        amount: ['coins', 'monedas'],
+        date: ['week_end', 'fin_semana', 'semana']
+      }
+    });
+  }
+}
+
+class HitiParser extends EarningsParser {
+  constructor() {
+    super('hiti', {
+      formats: ['json'],
+      defaultCurrency: 'USD',
+      jsonContainers: ['data', 'list', 'records', 'items'],
+      fields: {
+        externalId: ['hiti_uid', 'anchor_id'],
+        amount: ['revenue', 'settle_amount'],
+        date: ['stat_date', 'settle_date']
+      },
+      dayFirst: false
+    });
+  }
+}
+
+class MuseeParser extends EarningsParser {
+  constructor() {
+    super('musee', {
+      formats: ['csv', 'xlsx'],
+      defaultCurrency: 'USD',
+      fields: {
+        externalId: ['host_id', 'musee_id'],
+        handle: ['host_name'],
+        amount: ['amount_usd', 'settlement'],
+        date: ['settle_date', 'fecha_liquidacion']
+      }
+    });
+  }
+}
+
+function createEarningsParsers() {
+  return {
+    yameet: new YameetParser(),
+    salsa: new SalsaParser(),
+    hiti: new HitiParser(),
+    musee: new MuseeParser()
+  };
+}
+
+export {
+  EarningsParser,
+  YameetParser,
+  SalsaParser,
+  HitiParser,
+  MuseeParser,
+  BASE_FIELDS,
+  createEarningsParsers
+};
@@ -1,6 +1,6 @@
 // src/services/firestore.js
 import { initializeApp } from 'firebase/app';
-import { getFirestore, collection, doc, addDoc, getDoc, getDocs, updateDoc, deleteDoc, query, where, orderBy, limit } from 'firebase/firestore';
+import { getFirestore, collection, doc, addDoc, getDoc, getDocs, updateDoc, deleteDoc, writeBatch, runTransaction, arrayUnion, query, where, orderBy, limit } from 'firebase/firestore';
 import { FIREBASE_CONFIG } from '../config';
 
 // Inicializar Firebase
@@ -13,9 +13,32 @@ const COLLECTIONS = {
   COMMISSIONS: 'commissions',
   AGENCIES: 'agencies',
   USERS: 'users',
-  REPORTS: 'reports'
+  REPORTS: 'reports',
+  COMMISSION_RULES: 'commission_rules',
+  LEADERS: 'leaders',
+  PAYROLL_RUNS: 'payroll_runs',
+  PAYROLL_EARNINGS: 'payroll_earnings',
+  COMMISSION_LEDGER: 'commission_ledger',
+  LEVEL_PROPOSALS: 'level_proposals',
+  FX_RATES: 'fx_rates',
+  APP_COIN_RATES: 'app_coin_rates',
+  CAMPAIGNS: 'campaigns',
+  PAYOUT_CARRY_FORWARDS: 'payout_carry_forwards',
+  PAYOUT_BATCHES: 'payout_batches',
+  PAYOUT_ITEMS: 'payout_items',
+  RECONCILIATIONS: 'reconciliations',
+  EARNINGS_IMPORTS: 'earnings_imports',
+  LINKED_ACCOUNTS: 'linked_accounts',
+  COMMISSION_DISPUTES: 'commission_disputes',
+  STREAMER_APPLICATIONS: 'streamer_applications',
+  STREAMER_IMPORTS: 'streamer_imports',
+  STREAMER_MERGES: 'streamer_merges',
+  AUDIT_LOG: 'audit_log'
 };
 
+// Límite de operaciones por lote de escritura en Firestore
+const MAX_BATCH_SIZE = 500;
+
 class FirestoreService {
   constructor() {
     this.db = db;
@@ -25,11 +48,28 @@ class FirestoreService {
   // ===== STREAMERS =====
   async createStreamer(streamerData) {
     try {
-      const docRef = await addDoc(collection(this.db, this.collections.STREAMERS), {
+      const data = {
         ...streamerData,
         created_at: new Date(),
         updated_at: new Date(),
-        status: 'active'
+        // Se activa al completar el ingreso (onboarding-service)
+        status: streamerData.status || 'pending'
+      };
+
+      if (!streamerData.id) {
+        const docRef = await addDoc(collection(this.db, this.collections.STREAMERS), data);
+        return { success: true, id: docRef.id, data: streamerData };
+      }
+
+      // Con ID propio (hoja, importación) el documento se crea con ese ID para encontrarlo
+      // después; la transacción evita sobrescribir un streamer que ya existe con ese ID
+      const docRef = doc(this.db, this.collections.STREAMERS, String(streamerData.id));
+      await runTransaction(this.db, async (transaction) => {
+        const snapshot = await transaction.get(docRef);
+        if (snapshot.exists()) {
+          throw new Error(`Ya existe un streamer con ID ${docRef.id}`);
+        }
+        transaction.set(docRef, data);
       });
       return { success: true, id: docRef.id, data: streamerData };
     } catch (error) {
@@ -100,22 +140,90 @@ class FirestoreService {
     }
   }
 
+  async appendStreamerLevelHistory(id, record) {
+    try {
+      const docRef = doc(this.db, this.collections.STREAMERS, id);
+      await updateDoc(docRef, {
+        level: record.toLevel,
+        levelChangedAt: record.effectiveAt,
+        levelHistory: arrayUnion(record),
+        updated_at: new Date()
+      });
+      return { success: true, id, data: record };
+    } catch (error) {
+      console.error('Error updating streamer level:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // ===== COMMISSIONS =====
-  async createCommission(commissionData) {
+  // ledgerEntries(idComisión) devuelve las entradas del libro mayor que se escriben junto con
+  // la comisión: o se guardan ambas o ninguna
+  async createCommission(commissionData, { ledgerEntries = () => [] } = {}) {
     try {
-      const docRef = await addDoc(collection(this.db, this.collections.COMMISSIONS), {
+      const data = {
         ...commissionData,
         created_at: new Date(),
         updated_at: new Date(),
         status: 'pending'
-      });
-      return { success: true, id: docRef.id, data: commissionData };
+      };
+
+      // Con clave de idempotencia, una clave repetida devuelve la comisión existente
+      if (commissionData.idempotencyKey) {
+        return await this.createCommissionOnce(commissionData.idempotencyKey, data, ledgerEntries);
+      }
+
+      // Usar el ID de la comisión como ID del documento para poder consultarla luego
+      const ref = commissionData.id
+        ? doc(this.db, this.collections.COMMISSIONS, commissionData.id)
+        : doc(collection(this.db, this.collections.COMMISSIONS));
+      const batch = writeBatch(this.db);
+      batch.set(ref, data);
+      this.setLedgerEntries(batch, ledgerEntries(ref.id));
+      await batch.commit();
+
+      return { success: true, id: ref.id, data: commissionData };
     } catch (error) {
       console.error('Error creating commission:', error);
       return { success: false, error: error.message };
     }
   }
 
+  // La lectura y la escritura van en una transacción: dos lotes concurrentes con la misma
+  // clave no pueden insertar dos documentos. Una comisión anulada (recálculo de nómina)
+  // libera la clave y se crea una revisión: KEY|r1, KEY|r2...
+  async createCommissionOnce(idempotencyKey, data, ledgerEntries = () => []) {
+    return runTransaction(this.db, async (transaction) => {
+      for (let revision = 0; ; revision++) {
+        const id = revision === 0 ? idempotencyKey : `${idempotencyKey}|r${revision}`;
+        const ref = doc(this.db, this.collections.COMMISSIONS, id);
+        const snapshot = await transaction.get(ref);
+
+        if (!snapshot.exists()) {
+          const created = { ...data, id, revision };
+          transaction.set(ref, created);
+          this.setLedgerEntries(transaction, ledgerEntries(id));
+          return { success: true, id, data: created, existing: false };
+        }
+
+        if (snapshot.data().status !== 'cancelled') {
+          return { success: true, id, data: { id, ...snapshot.data() }, existing: true };
+        }
+      }
+    });
+  }
+
+  // Escribir entradas del libro mayor en una transacción o lote de escritura
+  setLedgerEntries(writer, entries) {
+    entries.forEach(entry => {
+      writer.set(doc(collection(this.db, this.collections.COMMISSION_LEDGER)), {
+        ...entry,
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+    });
+  }
+
   async getCommissions(filters = {}) {
     try {
       let q = collection(this.db, this.collections.COMMISSIONS);
@@ -123,9 +231,18 @@ class FirestoreService {
       if (filters.streamer_id) {
         q = query(q, where('streamer_id', '==', filters.streamer_id));
       }
+      if (filters.streamerId) {
+        q = query(q, where('streamerId', '==', filters.streamerId));
+      }
       if (filters.agency_id) {
         q = query(q, where('agency_id', '==', filters.agency_id));
       }
+      if (filters.agency) {
+        q = query(q, where('agency', '==', filters.agency));
+      }
+      if (filters.leaderId) {
+        q = query(q, where('leaderIds', 'array-contains', filters.leaderId));
+      }
       if (filters.status) {
         q = query(q, where('status', '==', filters.status));
       }
@@ -151,6 +268,20 @@ class FirestoreService {
     }
   }
 
+  async updateCommission(id, updateData) {
+    try {
+      const docRef = doc(this.db, this.collections.COMMISSIONS, id);
+      await updateDoc(docRef, {
+        ...updateData,
+        updated_at: new Date()
+      });
+      return { success: true, id, data: updateData };
+    } catch (error) {
+      console.error('Error updating commission:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // ===== AGENCIES =====
   async getAgencies() {
     try {
@@ -168,6 +299,210 @@ class FirestoreService {
     }
   }
 
+  // ===== GENERIC DOCUMENTS =====
+  async createDocument(collectionName, data) {
+    try {
+      const docRef = await addDoc(collection(this.db, collectionName), {
+        ...data,
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+      return { success: true, id: docRef.id, data };
+    } catch (error) {
+      console.error(`Error creating document in ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createDocuments(collectionName, documents) {
+    try {
+      const ids = [];
+      for (let i = 0; i < documents.length; i += MAX_BATCH_SIZE) {
+        const batch = writeBatch(this.db);
+        documents.slice(i, i + MAX_BATCH_SIZE).forEach(data => {
+          const ref = doc(collection(this.db, collectionName));
+          batch.set(ref, {
+            ...data,
+            created_at: new Date(),
+            updated_at: new Date()
+          });
+          ids.push(ref.id);
+        });
+        await batch.commit();
+      }
+      return { success: true, ids, count: ids.length };
+    } catch (error) {
+      console.error(`Error creating documents in ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDocumentById(collectionName, id) {
+    try {
+      const docSnap = await getDoc(doc(this.db, collectionName, id));
+
+      if (docSnap.exists()) {
+        return { success: true, data: { id: docSnap.id, ...docSnap.data() } };
+      } else {
+        return { success: false, error: 'Document not found' };
+      }
+    } catch (error) {
+      console.error(`Error getting document from ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDocuments(collectionName, filters = {}, options = {}) {
+    try {
+      let q = collection(this.db, collectionName);
+
+      Object.entries(filters).forEach(([field, value]) => {
+        if (value !== undefined) {
+          q = query(q, where(field, '==', value));
+        }
+      });
+
+      if (options.orderBy) {
+        q = query(q, orderBy(options.orderBy, options.direction || 'asc'));
+      }
+      if (options.limit) {
+        q = query(q, limit(options.limit));
+      }
+
+      const querySnapshot = await getDocs(q);
+      const documents = [];
+      querySnapshot.forEach((doc) => {
+        documents.push({ id: doc.id, ...doc.data() });
+      });
+
+      return { success: true, data: documents, count: documents.length };
+    } catch (error) {
+      console.error(`Error getting documents from ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateDocument(collectionName, id, updateData) {
+    try {
+      await updateDoc(doc(this.db, collectionName, id), {
+        ...updateData,
+        updated_at: new Date()
+      });
+      return { success: true, id, data: updateData };
+    } catch (error) {
+      console.error(`Error updating document in ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateDocuments(collectionName, ids, updateData) {
+    try {
+      for (let i = 0; i < ids.length; i += MAX_BATCH_SIZE) {
+        const batch = writeBatch(this.db);
+        ids.slice(i, i + MAX_BATCH_SIZE).forEach(id => {
+          batch.update(doc(this.db, collectionName, id), {
+            ...updateData,
+            updated_at: new Date()
+          });
+        });
+        await batch.commit();
+      }
+      return { success: true, count: ids.length };
+    } catch (error) {
+      console.error(`Error updating documents in ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Leer y escribir un documento en una transacción; update(actual | null) devuelve los datos
+  // a guardar o lanza un error para abortar sin escribir
+  async setDocumentInTransaction(collectionName, id, update, options = {}) {
+    const result = await this.setDocumentsInTransaction([{ collectionName, id, update }], options);
+    return result.success ? { success: true, id, data: result.data[0] } : result;
+  }
+
+  // Varios documentos en la misma transacción: se guardan todos o ninguno.
+  // changes: [{ collectionName, id, update }]; ledgerEntries se escriben junto con ellos.
+  async setDocumentsInTransaction(changes, { ledgerEntries = [] } = {}) {
+    try {
+      const data = await runTransaction(this.db, async (transaction) => {
+        const refs = changes.map(({ collectionName, id }) => doc(this.db, collectionName, id));
+        const snapshots = [];
+        for (const ref of refs) {
+          snapshots.push(await transaction.get(ref));
+        }
+
+        const writes = [];
+        for (const [index, snapshot] of snapshots.entries()) {
+          const current = snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+          writes.push({ current, next: await changes[index].update(current) });
+        }
+
+        writes.forEach(({ current, next }, index) => transaction.set(refs[index], {
+          ...next,
+          created_at: current ? current.created_at : new Date(),
+          updated_at: new Date()
+        }));
+        this.setLedgerEntries(transaction, ledgerEntries);
+
+        return writes.map(({ next }) => next);
+      });
+      return { success: true, data };
+    } catch (error) {
+      const collections = [...new Set(changes.map(change => change.collectionName))].join(', ');
+      console.error(`Error updating documents in ${collections}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Crear un documento y marcar otros en la misma transacción. Si alguno no existe o no
+  // cumple canClaim(actual) no se escribe nada y sus IDs vuelven en conflicts.
+  // claimData(idNuevo) devuelve los campos a escribir en los documentos reservados.
+  async createDocumentWithClaims(collectionName, data, { claimCollection, claimIds, canClaim, claimData }) {
+    try {
+      return await runTransaction(this.db, async (transaction) => {
+        const refs = claimIds.map(id => doc(this.db, claimCollection, id));
+        const snapshots = [];
+        for (const ref of refs) {
+          snapshots.push(await transaction.get(ref));
+        }
+
+        const conflicts = snapshots
+          .filter(snapshot => !snapshot.exists() || !canClaim({ id: snapshot.id, ...snapshot.data() }))
+          .map(snapshot => snapshot.id);
+        if (conflicts.length > 0) {
+          return { success: false, conflicts, error: `Documentos ya reservados: ${conflicts.join(', ')}` };
+        }
+
+        const ref = doc(collection(this.db, collectionName));
+        transaction.set(ref, {
+          ...data,
+          created_at: new Date(),
+          updated_at: new Date()
+        });
+        refs.forEach(claimed => transaction.update(claimed, {
+          ...claimData(ref.id),
+          updated_at: new Date()
+        }));
+
+        return { success: true, id: ref.id, data, conflicts: [] };
+      });
+    } catch (error) {
+      console.error(`Error creating document in ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteDocument(collectionName, id) {
+    try {
+      await deleteDoc(doc(this.db, collectionName, id));
+      return { success: true, id };
+    } catch (error) {
+      console.error(`Error deleting document from ${collectionName}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // ===== SYNC WITH GOOGLE SHEETS =====
   async syncToSheets(collectionName, data) {
     try {
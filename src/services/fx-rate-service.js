@@ -0,0 +1,259 @@
+/**
+ * Tasas de Cambio - Luxery Prime Agency
+ * Conversión de monedas de las apps (coins/diamantes) y divisas a la moneda de pago.
+ * Las tasas se guardan con fecha de vigencia para poder fijar la tasa de cada comisión.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import { Money } from '../utils/money.js';
+
+// Unidades propias de las apps; su valor en USD depende de cada app
+const APP_UNITS = ['COIN', 'DIAMOND'];
+
+const DEFAULT_PAYOUT_CURRENCY = 'USD';
+
+class FxRateService {
+  constructor() {
+    this.firestore = firestoreService;
+  }
+
+  /**
+   * Normalizar un monto a { amount, currency }
+   * @param {number|Object} value - Número (en moneda por defecto) u objeto con moneda
+   * @param {string} defaultCurrency - Moneda si no se especifica
+   * @returns {Object} - { amount, currency }
+   */
+  normalizeAmount(value, defaultCurrency = DEFAULT_PAYOUT_CURRENCY) {
+    const money = typeof value === 'object' && value !== null
+      ? { amount: value.amount, currency: value.currency || defaultCurrency }
+      : { amount: value, currency: defaultCurrency };
+
+    if (typeof money.amount !== 'number' || isNaN(money.amount)) {
+      throw new Error('El monto debe ser numérico');
+    }
+
+    return { amount: money.amount, currency: money.currency.toUpperCase() };
+  }
+
+  /**
+   * Registrar tasa de cambio entre divisas
+   * @param {Object} params - { from, to, rate, effectiveAt, source, actor }
+   * @returns {Object} - Tasa registrada
+   */
+  async setRate({ from, to, rate, effectiveAt = new Date(), source = 'manual', actor = null }) {
+    const validation = this.validateRate({ from, to, rate, effectiveAt });
+    if (!validation.isValid) {
+      throw new Error(`Tasa inválida: ${validation.errors.join(', ')}`);
+    }
+
+    const data = {
+      from: from.toUpperCase(),
+      to: to.toUpperCase(),
+      rate,
+      effectiveAt: new Date(effectiveAt).toISOString(),
+      source,
+      actor
+    };
+
+    const result = await this.firestore.createDocument(COLLECTIONS.FX_RATES, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { id: result.id, ...data };
+  }
+
+  validateRate({ from, to, rate, effectiveAt }) {
+    const errors = [];
+
+    if (!from || !to) errors.push('from y to son requeridos');
+    if (from && to && from.toUpperCase() === to.toUpperCase()) errors.push('from y to deben ser distintos');
+    if (typeof rate !== 'number' || isNaN(rate) || rate <= 0) errors.push('rate debe ser un número positivo');
+    if (isNaN(new Date(effectiveAt).getTime())) errors.push('effectiveAt debe ser una fecha válida');
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Importar tasas desde archivo
+   * CSV con columnas from,to,rate,effective_at o JSON [{ from, to, rate, effectiveAt }]
+   * @param {string} content - Contenido del archivo
+   * @param {string} format - csv o json
+   * @param {string} actor - Usuario que importa
+   * @returns {Object} - Resumen de la importación
+   */
+  async importRates(content, format = 'csv', actor = null) {
+    let rows;
+
+    if (format === 'json') {
+      rows = JSON.parse(content);
+      if (!Array.isArray(rows)) {
+        throw new Error('El JSON de tasas debe ser un arreglo');
+      }
+    } else if (format === 'csv') {
+      const [headerLine, ...lines] = content.trim().split(/\r?\n/);
+      const headers = headerLine.split(',').map(header => header.trim().toLowerCase());
+      rows = lines.filter(line => line.trim()).map(line => {
+        const values = line.split(',').map(value => value.trim());
+        const row = Object.fromEntries(headers.map((header, i) => [header, values[i]]));
+        return {
+          from: row.from,
+          to: row.to,
+          rate: parseFloat(row.rate),
+          effectiveAt: row.effective_at || row.effectiveat
+        };
+      });
+    } else {
+      throw new Error(`Formato no soportado: ${format}. Válidos: csv, json`);
+    }
+
+    const imported = [];
+    const errors = [];
+
+    for (const [index, row] of rows.entries()) {
+      try {
+        imported.push(await this.setRate({ ...row, source: 'import', actor }));
+      } catch (error) {
+        errors.push({ row: index + 1, error: error.message });
+      }
+    }
+
+    return { imported: imported.length, failed: errors.length, errors };
+  }
+
+  /**
+   * Obtener tasa vigente entre dos divisas
+   * Usa la tasa directa o, si no existe, la inversa.
+   * @param {string} from - Divisa origen
+   * @param {string} to - Divisa destino
+   * @param {Date} date - Fecha de referencia
+   * @returns {Object} - { rate, rateId, effectiveAt, source }
+   */
+  async getRate(from, to, date = new Date()) {
+    from = from.toUpperCase();
+    to = to.toUpperCase();
+
+    if (from === to) {
+      return { rate: 1, rateId: null, effectiveAt: null, source: 'identity' };
+    }
+
+    const direct = await this.findLatest(COLLECTIONS.FX_RATES, { from, to }, date);
+    if (direct) {
+      return { rate: direct.rate, rateId: direct.id, effectiveAt: direct.effectiveAt, source: direct.source };
+    }
+
+    const inverse = await this.findLatest(COLLECTIONS.FX_RATES, { from: to, to: from }, date);
+    if (inverse) {
+      return { rate: 1 / inverse.rate, rateId: inverse.id, effectiveAt: inverse.effectiveAt, source: inverse.source };
+    }
+
+    throw new Error(`No hay tasa de cambio ${from} → ${to} vigente al ${new Date(date).toISOString()}`);
+  }
+
+  /**
+   * Registrar valor en USD de una unidad de app
+   * @param {Object} params - { app, unit, usdPerUnit, effectiveAt, actor }
+   * @returns {Object} - Tasa registrada
+   */
+  async setAppCoinRate({ app, unit, usdPerUnit, effectiveAt = new Date(), actor = null }) {
+    unit = (unit || '').toUpperCase();
+    if (!app) {
+      throw new Error('La app es requerida');
+    }
+    if (!APP_UNITS.includes(unit)) {
+      throw new Error(`Unidad inválida: ${unit}. Válidas: ${APP_UNITS.join(', ')}`);
+    }
+    if (typeof usdPerUnit !== 'number' || isNaN(usdPerUnit) || usdPerUnit <= 0) {
+      throw new Error('usdPerUnit debe ser un número positivo');
+    }
+
+    const data = {
+      app,
+      unit,
+      usdPerUnit,
+      effectiveAt: new Date(effectiveAt).toISOString(),
+      actor
+    };
+
+    const result = await this.firestore.createDocument(COLLECTIONS.APP_COIN_RATES, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { id: result.id, ...data };
+  }
+
+  /**
+   * Obtener valor en USD vigente de una unidad de app
+   */
+  async getAppCoinRate(app, unit, date = new Date()) {
+    const rate = await this.findLatest(COLLECTIONS.APP_COIN_RATES, { app, unit: unit.toUpperCase() }, date);
+    if (!rate) {
+      throw new Error(`No hay tabla de conversión para ${unit} de ${app} vigente al ${new Date(date).toISOString()}`);
+    }
+
+    return { rate: rate.usdPerUnit, rateId: rate.id, effectiveAt: rate.effectiveAt, source: 'app_table' };
+  }
+
+  /**
+   * Convertir un monto a otra moneda fijando las tasas usadas
+   * Las unidades de app se convierten primero a USD con la tabla de la app.
+   * @param {number|Object} value - Monto original
+   * @param {string} toCurrency - Moneda destino
+   * @param {Object} context - { app, date }
+   * @returns {Object} - { amount, currency, originalAmount, originalCurrency, fxRate, fxRateIds, fxLockedAt }
+   */
+  async convert(value, toCurrency = DEFAULT_PAYOUT_CURRENCY, { app = null, date = new Date() } = {}) {
+    const original = this.normalizeAmount(value);
+    const target = toCurrency.toUpperCase();
+
+    let rate = 1;
+    const rateIds = [];
+    let currency = original.currency;
+
+    if (APP_UNITS.includes(currency)) {
+      if (!app) {
+        throw new Error(`Se requiere la app para convertir ${currency}`);
+      }
+      const coinRate = await this.getAppCoinRate(app, currency, date);
+      rate *= coinRate.rate;
+      rateIds.push(coinRate.rateId);
+      currency = 'USD';
+    }
+
+    const fxRate = await this.getRate(currency, target, date);
+    rate *= fxRate.rate;
+    if (fxRate.rateId) rateIds.push(fxRate.rateId);
+
+    return {
+      amount: Money.fromDecimal(original.amount, original.currency).convert(rate, target).toDecimal(),
+      currency: target,
+      originalAmount: original.amount,
+      originalCurrency: original.currency,
+      fxRate: rate,
+      fxRateIds: rateIds,
+      fxLockedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Registro más reciente con effectiveAt <= fecha
+   */
+  async findLatest(collectionName, filters, date) {
+    const result = await this.firestore.getDocuments(collectionName, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const cutoff = new Date(date);
+    return result.data
+      .filter(record => new Date(record.effectiveAt) <= cutoff)
+      .sort((a, b) => new Date(b.effectiveAt) - new Date(a.effectiveAt))[0] || null;
+  }
+}
+
+// Instancia singleton
+const fxRateService = new FxRateService();
+
+export default fxRateService;
+export { APP_UNITS, DEFAULT_PAYOUT_CURRENCY };
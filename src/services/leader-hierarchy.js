@@ -0,0 +1,192 @@
+/**
+ * Jerarquía de Líderes - Luxery Prime Agency
+ * Relaciona streamers con su líder reclutador y líderes con su upline
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import auditService from './audit-service.js';
+
+class LeaderHierarchyService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.audit = auditService;
+    this.maxDepth = 20; // Protección contra cadenas corruptas
+  }
+
+  /**
+   * Obtener líder por ID
+   * @param {string} leaderId - ID del líder
+   * @returns {Object|null} - Datos del líder
+   */
+  async getLeader(leaderId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.LEADERS, leaderId);
+    return result.success ? result.data : null;
+  }
+
+  /**
+   * Registrar un líder
+   * @param {Object} leaderData - { userId, name, agency, parentLeaderId, overrideRates: { tier: tasa } }
+   * @returns {Object} - Líder creado con su ID
+   */
+  async createLeader({ userId, name, agency, parentLeaderId = null, overrideRates = {} }) {
+    try {
+      if (!userId || !name || !String(name).trim() || !agency) {
+        throw new Error('El líder requiere userId, nombre y agencia');
+      }
+      Object.entries(overrideRates || {}).forEach(([tier, rate]) => {
+        if (!Number.isInteger(Number(tier)) || Number(tier) < 1) {
+          throw new Error(`Tier inválido: ${tier}`);
+        }
+        if (rate !== null && (typeof rate !== 'number' || rate < 0 || rate > 1)) {
+          throw new Error('La tasa de override debe ser un número entre 0 y 1');
+        }
+      });
+
+      const existing = await this.firestore.getDocuments(COLLECTIONS.LEADERS, { userId, agency });
+      if (!existing.success) {
+        throw new Error(existing.error);
+      }
+      if (existing.data.length > 0) {
+        throw new Error(`El usuario ${userId} ya es líder de ${agency} (${existing.data[0].id})`);
+      }
+
+      if (parentLeaderId) {
+        const parent = await this.getLeader(parentLeaderId);
+        if (!parent) {
+          throw new Error(`Líder padre ${parentLeaderId} no encontrado`);
+        }
+        if (parent.agency !== agency) {
+          throw new Error('El líder padre debe ser de la misma agencia');
+        }
+      }
+
+      const leader = {
+        userId,
+        name: String(name).trim(),
+        agency,
+        parentLeaderId: parentLeaderId || null,
+        overrideRates: overrideRates || {}
+      };
+      const result = await this.firestore.createDocument(COLLECTIONS.LEADERS, leader);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      console.log(`👥 Líder ${leader.name} registrado en ${agency}`);
+      return { id: result.id, ...leader };
+    } catch (error) {
+      console.error('Error registrando líder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Asignar líder reclutador a un streamer
+   * @param {string} streamerId - ID del streamer
+   * @param {string} leaderId - ID del líder
+   * @param {Object} context - { actor, source } para la auditoría
+   * @returns {Object} - Resultado de la actualización
+   */
+  async assignStreamerLeader(streamerId, leaderId, context = {}) {
+    try {
+      const leader = await this.getLeader(leaderId);
+      if (!leader) {
+        throw new Error(`Líder ${leaderId} no encontrado`);
+      }
+
+      const result = await this.audit.updateStreamer(streamerId, { leaderId }, context);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error asignando líder al streamer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Asignar líder padre (upline) a un líder
+   * @param {string} leaderId - ID del líder
+   * @param {string|null} parentLeaderId - ID del líder padre o null para quitarlo
+   * @returns {Object} - Resultado de la actualización
+   */
+  async setParentLeader(leaderId, parentLeaderId) {
+    try {
+      if (parentLeaderId) {
+        if (parentLeaderId === leaderId) {
+          throw new Error('Un líder no puede ser su propio líder padre');
+        }
+
+        // El nuevo padre no puede estar por debajo del líder (evita ciclos)
+        const upline = await this.getUpline(parentLeaderId, this.maxDepth);
+        if (upline.some(entry => entry.leaderId === leaderId)) {
+          throw new Error(`Asignar ${parentLeaderId} como padre de ${leaderId} crearía un ciclo`);
+        }
+      }
+
+      const result = await this.firestore.updateDocument(COLLECTIONS.LEADERS, leaderId, {
+        parentLeaderId: parentLeaderId || null
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error asignando líder padre:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener la cadena de líderes desde el líder directo hacia arriba
+   * @param {string} leaderId - ID del líder directo
+   * @param {number} maxTiers - Cantidad máxima de niveles a recorrer
+   * @returns {Array} - [{ tier, leaderId, leader }] empezando en tier 1
+   */
+  async getUpline(leaderId, maxTiers = 1) {
+    const upline = [];
+    const visited = new Set();
+    let currentId = leaderId;
+
+    while (currentId && upline.length < Math.min(maxTiers, this.maxDepth)) {
+      if (visited.has(currentId)) {
+        console.warn(`⚠️ Ciclo detectado en la jerarquía de líderes en ${currentId}`);
+        break;
+      }
+      visited.add(currentId);
+
+      const leader = await this.getLeader(currentId);
+      if (!leader) {
+        console.warn(`⚠️ Líder ${currentId} no encontrado en la jerarquía`);
+        break;
+      }
+
+      upline.push({ tier: upline.length + 1, leaderId: currentId, leader });
+      currentId = leader.parentLeaderId;
+    }
+
+    return upline;
+  }
+
+  /**
+   * Obtener líderes directamente por debajo de un líder
+   * @param {string} leaderId - ID del líder
+   * @returns {Array} - Líderes hijos
+   */
+  async getChildLeaders(leaderId) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.LEADERS, { parentLeaderId: leaderId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  }
+}
+
+// Instancia singleton
+const leaderHierarchyService = new LeaderHierarchyService();
+
+export default leaderHierarchyService;
@@ -0,0 +1,331 @@
+/**
+ * Evaluación de Niveles - Luxery Prime Agency
+ * Calcula las ganancias móviles de cada streamer y propone ascensos o descensos
+ * según los umbrales del motor de reglas y periodos de gracia configurables.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import { commissionRuleEngine } from './commission-rule-engine.js';
+import commissionService from './commission-service.js';
+import auditService from './audit-service.js';
+import fxRateService, { DEFAULT_PAYOUT_CURRENCY } from './fx-rate-service.js';
+import { Money } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_EVALUATION_CONFIG = {
+  windowDays: 30, // Ventana de ganancias móviles
+  promotionGraceDays: 0, // Días mínimos en el nivel actual antes de ascender
+  demotionGraceDays: 30, // Días mínimos en el nivel actual antes de descender
+  maxStepsPerEvaluation: 1 // Niveles que se puede mover en una evaluación
+};
+
+class LevelEvaluationService {
+  constructor(config = {}) {
+    this.firestore = firestoreService;
+    this.ruleEngine = commissionRuleEngine;
+    this.commissionService = commissionService;
+    this.audit = auditService;
+    this.fx = fxRateService;
+    this.config = { ...DEFAULT_EVALUATION_CONFIG, ...config };
+  }
+
+  /**
+   * Actualizar configuración de evaluación
+   * @param {Object} config - Campos a sobrescribir
+   */
+  configure(config) {
+    this.config = { ...this.config, ...config };
+    return this.config;
+  }
+
+  /**
+   * Ganancias móviles de un streamer
+   * Los umbrales de nivel están en USD: cada monto base se convierte con la tasa de su fecha.
+   * @param {string} streamerId - ID del streamer
+   * @param {Date} asOf - Fecha de corte
+   * @returns {number} - Suma de montos base en la ventana, en USD
+   */
+  async getRollingEarnings(streamerId, asOf = new Date()) {
+    const end = new Date(asOf);
+    const start = new Date(end.getTime() - this.config.windowDays * DAY_MS);
+
+    const result = await this.firestore.getCommissions({ streamerId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    // Solo comisiones regulares vigentes: los bonos no cuentan como ganancias
+    const commissions = result.data
+      .filter(commission => commission.status !== 'cancelled' && !commission.type)
+      .filter(commission => {
+        const earnedAt = new Date(commission.earnedAt || commission.createdAt);
+        return earnedAt > start && earnedAt <= end;
+      });
+
+    let total = Money.zero(DEFAULT_PAYOUT_CURRENCY);
+    for (const commission of commissions) {
+      const currency = commission.currency || DEFAULT_PAYOUT_CURRENCY;
+      const amount = commission.baseAmount || 0;
+      if (currency === DEFAULT_PAYOUT_CURRENCY) {
+        total = total.add(amount);
+        continue;
+      }
+
+      const converted = await this.fx.convert({ amount, currency }, DEFAULT_PAYOUT_CURRENCY, {
+        app: commission.app,
+        date: commission.earnedAt || commission.createdAt
+      });
+      total = total.add(converted.amount);
+    }
+
+    return total.toDecimal();
+  }
+
+  /**
+   * Evaluar un streamer
+   * @param {Object} streamer - Datos del streamer
+   * @param {Object} options - { asOf }
+   * @returns {Object|null} - Propuesta de cambio o null si no corresponde
+   */
+  async evaluateStreamer(streamer, { asOf = new Date() } = {}) {
+    // Los umbrales salen de las reglas guardadas, no solo de las de por defecto
+    await this.commissionService.ensureCommissionRules();
+
+    const currentLevel = streamer.level || 1;
+    const agency = streamer.agency_id || streamer.agency || null;
+    const rollingEarnings = await this.getRollingEarnings(streamer.id, asOf);
+    const suggestedLevel = this.ruleEngine.suggestLevel(rollingEarnings, { agency, date: asOf });
+
+    if (suggestedLevel === currentLevel) {
+      return null;
+    }
+
+    const direction = suggestedLevel > currentLevel ? 'promotion' : 'demotion';
+    const step = Math.min(Math.abs(suggestedLevel - currentLevel), this.config.maxStepsPerEvaluation);
+    const proposedLevel = direction === 'promotion' ? currentLevel + step : currentLevel - step;
+
+    // Periodo de gracia desde el último cambio de nivel
+    const lastChange = streamer.levelChangedAt || streamer.created_at || null;
+    const daysAtLevel = lastChange
+      ? (new Date(asOf) - this.toDate(lastChange)) / DAY_MS
+      : Infinity;
+    const graceDays = direction === 'promotion'
+      ? this.config.promotionGraceDays
+      : this.config.demotionGraceDays;
+
+    if (daysAtLevel < graceDays) {
+      return null;
+    }
+
+    return {
+      streamerId: streamer.id,
+      streamerName: streamer.name,
+      agency,
+      direction,
+      currentLevel,
+      proposedLevel,
+      rollingEarnings,
+      windowDays: this.config.windowDays,
+      evaluatedAt: new Date(asOf).toISOString(),
+      status: 'proposed'
+    };
+  }
+
+  /**
+   * Ejecutar evaluación de todos los streamers activos de una agencia
+   * Cada streamer tiene a lo sumo una propuesta abierta: si la nueva evaluación coincide se
+   * actualiza, si cambia la anterior queda reemplazada (superseded).
+   * @param {Object} params - { agency, asOf }
+   * @returns {Object} - Resumen con propuestas guardadas
+   */
+  async runEvaluation({ agency, asOf = new Date() } = {}) {
+    try {
+      const result = await this.firestore.getStreamers({ agency_id: agency, status: 'active' });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const open = await this.firestore.getDocuments(COLLECTIONS.LEVEL_PROPOSALS, { status: 'proposed' });
+      if (!open.success) {
+        throw new Error(open.error);
+      }
+      const openByStreamer = new Map(open.data.map(proposal => [proposal.streamerId, proposal]));
+
+      const proposals = [];
+      const errors = [];
+
+      for (const streamer of result.data) {
+        try {
+          const proposal = await this.evaluateStreamer(streamer, { asOf });
+          const previous = openByStreamer.get(streamer.id);
+
+          if (previous && proposal && previous.currentLevel === proposal.currentLevel &&
+              previous.proposedLevel === proposal.proposedLevel) {
+            await this.updateProposal(previous.id, {
+              rollingEarnings: proposal.rollingEarnings,
+              evaluatedAt: proposal.evaluatedAt
+            });
+            proposals.push({ ...previous, ...proposal, id: previous.id });
+            continue;
+          }
+
+          let saved = null;
+          if (proposal) {
+            saved = await this.firestore.createDocument(COLLECTIONS.LEVEL_PROPOSALS, proposal);
+            if (!saved.success) {
+              throw new Error(saved.error);
+            }
+            proposals.push({ id: saved.id, ...proposal });
+          }
+          if (previous) {
+            await this.updateProposal(previous.id, {
+              status: 'superseded',
+              supersededBy: saved ? saved.id : null,
+              supersededAt: new Date().toISOString()
+            });
+          }
+        } catch (error) {
+          errors.push({ streamerId: streamer.id, error: error.message });
+        }
+      }
+
+      console.log(`📈 Evaluación de niveles: ${result.count} streamers, ${proposals.length} propuestas`);
+
+      return {
+        evaluated: result.count,
+        promotions: proposals.filter(p => p.direction === 'promotion').length,
+        demotions: proposals.filter(p => p.direction === 'demotion').length,
+        proposals,
+        errors
+      };
+    } catch (error) {
+      console.error('Error ejecutando evaluación de niveles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aplicar una propuesta: cambia el nivel y registra el historial en el streamer
+   * Se rechaza si el nivel del streamer cambió desde que se evaluó.
+   * @param {string} proposalId - ID de la propuesta
+   * @param {string} actor - Usuario que aprueba
+   * @returns {Object} - Registro de historial
+   */
+  async applyProposal(proposalId, actor) {
+    try {
+      const proposal = await this.getProposal(proposalId);
+      if (proposal.status !== 'proposed') {
+        throw new Error(`La propuesta ${proposalId} ya fue ${proposal.status}`);
+      }
+
+      const record = await this.changeLevel(proposal.streamerId, proposal.proposedLevel, {
+        actor,
+        reason: `${proposal.direction} por ganancias de ${proposal.rollingEarnings} en ${proposal.windowDays} días`,
+        proposalId,
+        expectedLevel: proposal.currentLevel
+      });
+
+      await this.firestore.updateDocument(COLLECTIONS.LEVEL_PROPOSALS, proposalId, {
+        status: 'applied',
+        appliedBy: actor,
+        appliedAt: record.effectiveAt
+      });
+
+      return record;
+    } catch (error) {
+      console.error('Error aplicando propuesta de nivel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rechazar una propuesta
+   */
+  async rejectProposal(proposalId, actor, reason = null) {
+    const proposal = await this.getProposal(proposalId);
+    if (proposal.status !== 'proposed') {
+      throw new Error(`La propuesta ${proposalId} ya fue ${proposal.status}`);
+    }
+
+    return this.firestore.updateDocument(COLLECTIONS.LEVEL_PROPOSALS, proposalId, {
+      status: 'rejected',
+      rejectedBy: actor,
+      rejectionReason: reason,
+      rejectedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Cambiar el nivel de un streamer registrando el historial
+   * @param {string} streamerId - ID del streamer
+   * @param {number} toLevel - Nuevo nivel
+   * @param {Object} context - { actor, reason, proposalId, source: origen para la auditoría, expectedLevel: nivel que debe tener ahora }
+   * @returns {Object} - Registro de historial
+   */
+  async changeLevel(streamerId, toLevel, { actor = null, reason = null, proposalId = null, source = 'system', expectedLevel = null } = {}) {
+    const streamerResult = await this.firestore.getStreamerById(streamerId);
+    if (!streamerResult.success) {
+      throw new Error(`Streamer ${streamerId} no encontrado`);
+    }
+    const currentLevel = streamerResult.data.level || 1;
+    if (expectedLevel !== null && currentLevel !== expectedLevel) {
+      throw new Error(`El streamer ${streamerId} ya no está en nivel ${expectedLevel} (actual: ${currentLevel})`);
+    }
+
+    const record = {
+      fromLevel: currentLevel,
+      toLevel,
+      effectiveAt: new Date().toISOString(),
+      actor,
+      reason,
+      proposalId
+    };
+
+    const result = await this.firestore.appendStreamerLevelHistory(streamerId, record);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    await this.audit.recordChange('streamer', streamerId, streamerResult.data, {
+      level: toLevel,
+      levelChangedAt: record.effectiveAt
+    }, { actor, source, reason });
+
+    console.log(`🎚️ Streamer ${streamerId}: nivel ${record.fromLevel} → ${toLevel}`);
+    return record;
+  }
+
+  async updateProposal(proposalId, updateData) {
+    const result = await this.firestore.updateDocument(COLLECTIONS.LEVEL_PROPOSALS, proposalId, updateData);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
+  async getProposal(proposalId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.LEVEL_PROPOSALS, proposalId);
+    if (!result.success) {
+      throw new Error(`Propuesta ${proposalId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Convertir Timestamp de Firestore, Date o ISO a Date
+   */
+  toDate(value) {
+    if (value && typeof value.seconds === 'number') {
+      return new Date(value.seconds * 1000);
+    }
+    return new Date(value);
+  }
+}
+
+// Instancia singleton
+const levelEvaluationService = new LevelEvaluationService();
+
+export default levelEvaluationService;
+export { DEFAULT_EVALUATION_CONFIG };
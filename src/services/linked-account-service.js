@@ -0,0 +1,264 @@
+/**
+ * Cuentas Vinculadas - Luxery Prime Agency
+ * Un streamer trabaja en varias apps a la vez con un usuario distinto en cada una.
+ * Cada cuenta de app (app + ID externo) se vincula a un solo streamer por periodo:
+ * el ID del documento es `${app}_${externalId}` y la vinculación se escribe en una
+ * transacción, así la misma cuenta no puede quedar asociada a dos streamers.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+
+// Apps con reportes de ganancias
+const LINKED_APPS = ['yameet', 'salsa', 'hiti', 'musee'];
+
+class LinkedAccountService {
+  constructor() {
+    this.firestore = firestoreService;
+  }
+
+  /**
+   * Vincular una cuenta de app a un streamer
+   * Si la cuenta estuvo vinculada a otro streamer en un periodo ya cerrado, ese vínculo
+   * pasa al historial; si se superpone con el nuevo rango, se rechaza. Volver a vincularla
+   * al mismo streamer actualiza su usuario, verificación y fin, y conserva el inicio más
+   * antiguo para no perder la cobertura de ganancias ya importadas.
+   * validFrom es obligatorio: las importaciones buscan al dueño en la fecha de cada fila, así
+   * que un vínculo que empieza hoy deja sin dueño las filas anteriores del periodo.
+   * @param {Object} params - { streamerId, app, externalId, handle, verified, validFrom, validTo, actor }
+   * @returns {Object} - Cuenta vinculada
+   */
+  async linkAccount({ streamerId, app, externalId, handle = null, verified = false, validFrom, validTo = null, actor = null }) {
+    try {
+      const id = this.accountId(app, externalId);
+      if (!validFrom) {
+        throw new Error('La fecha de inicio del vínculo (validFrom) es requerida');
+      }
+      const link = {
+        streamerId,
+        handle: handle ? String(handle).trim() : null,
+        verified: Boolean(verified),
+        verifiedAt: verified ? new Date().toISOString() : null,
+        verifiedBy: verified ? actor : null,
+        validFrom: new Date(validFrom).toISOString(),
+        validTo: validTo ? new Date(validTo).toISOString() : null,
+        linkedBy: actor,
+        linkedAt: new Date().toISOString()
+      };
+
+      if (isNaN(new Date(link.validFrom).getTime()) || (link.validTo && isNaN(new Date(link.validTo).getTime()))) {
+        throw new Error('Rango de fechas inválido');
+      }
+      if (link.validTo && link.validTo <= link.validFrom) {
+        throw new Error('La fecha de fin debe ser posterior a la de inicio');
+      }
+
+      const streamer = await this.firestore.getStreamerById(streamerId);
+      if (!streamer.success) {
+        throw new Error(`Streamer ${streamerId} no encontrado`);
+      }
+
+      const result = await this.firestore.setDocumentInTransaction(COLLECTIONS.LINKED_ACCOUNTS, id, (current) => {
+        const previousLinks = current ? [...(current.previousLinks || [])] : [];
+
+        // El vínculo actual pasa al historial si es de otro streamer o ya cerró antes del nuevo
+        const closedBefore = current && current.validTo && current.validTo <= link.validFrom;
+        const renewed = { ...link };
+        if (current && (current.streamerId !== streamerId || closedBefore)) {
+          previousLinks.push(this.currentLink(current));
+        } else if (current) {
+          renewed.validFrom = current.validFrom < link.validFrom ? current.validFrom : link.validFrom;
+          renewed.linkedBy = current.linkedBy;
+          renewed.linkedAt = current.linkedAt;
+          if (current.verified && !link.verified) {
+            renewed.verified = true;
+            renewed.verifiedAt = current.verifiedAt;
+            renewed.verifiedBy = current.verifiedBy;
+          }
+        }
+
+        const conflict = previousLinks.find(previous =>
+          previous.streamerId !== streamerId && this.overlaps(previous, renewed));
+        if (conflict) {
+          throw new Error(`La cuenta ${app} ${externalId} ya está vinculada al streamer ${conflict.streamerId}`);
+        }
+
+        return {
+          app,
+          externalId: String(externalId).trim(),
+          ...renewed,
+          previousLinks
+        };
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      console.log(`🔗 Cuenta ${app} ${externalId} vinculada a ${streamerId}`);
+      return { id, ...result.data };
+    } catch (error) {
+      console.error('Error vinculando cuenta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar la vinculación vigente de una cuenta
+   * @param {Object} options - { validTo: fin del vínculo (por defecto ahora), actor }
+   */
+  async unlinkAccount(app, externalId, { validTo = new Date(), actor = null } = {}) {
+    const account = await this.getAccount(app, externalId);
+    const end = new Date(validTo).toISOString();
+    if (end <= account.validFrom) {
+      throw new Error('La fecha de fin debe ser posterior al inicio del vínculo');
+    }
+
+    const result = await this.firestore.updateDocument(COLLECTIONS.LINKED_ACCOUNTS, account.id, {
+      validTo: end,
+      unlinkedBy: actor
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { ...account, validTo: end, unlinkedBy: actor };
+  }
+
+  /**
+   * Marcar una cuenta como verificada (el streamer demostró que es suya)
+   */
+  async verifyAccount(app, externalId, actor = null) {
+    const account = await this.getAccount(app, externalId);
+    const update = { verified: true, verifiedAt: new Date().toISOString(), verifiedBy: actor };
+
+    const result = await this.firestore.updateDocument(COLLECTIONS.LINKED_ACCOUNTS, account.id, update);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { ...account, ...update };
+  }
+
+  async getAccount(app, externalId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.LINKED_ACCOUNTS, this.accountId(app, externalId));
+    if (!result.success) {
+      throw new Error(`La cuenta ${app} ${externalId} no está vinculada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Streamer dueño de una cuenta de app en una fecha
+   * @returns {Object|null} - { streamerId, handle, verified, validFrom, validTo } o null si no hay vínculo
+   */
+  async findByExternalId(app, externalId, date = new Date()) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.LINKED_ACCOUNTS, this.accountId(app, externalId));
+    if (!result.success) {
+      return null;
+    }
+
+    return this.linkAt(result.data, date);
+  }
+
+  /**
+   * Verificar si una cuenta puede vincularse a un streamer en un rango
+   * @returns {Object} - { available, linkedTo }
+   */
+  async checkAvailability(app, externalId, streamerId, { validFrom = new Date(), validTo = null } = {}) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.LINKED_ACCOUNTS, this.accountId(app, externalId));
+    if (!result.success) {
+      return { available: true, linkedTo: null };
+    }
+
+    const range = {
+      validFrom: new Date(validFrom).toISOString(),
+      validTo: validTo ? new Date(validTo).toISOString() : null
+    };
+    const conflict = [this.currentLink(result.data), ...(result.data.previousLinks || [])]
+      .find(link => link.streamerId !== streamerId && this.overlaps(link, range));
+
+    return { available: !conflict, linkedTo: conflict ? conflict.streamerId : null };
+  }
+
+  /**
+   * Cuentas vinculadas actualmente a un streamer
+   * @param {Object} options - { activeAt: solo las vigentes en esa fecha }
+   */
+  async getStreamerAccounts(streamerId, { activeAt = null } = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.LINKED_ACCOUNTS, { streamerId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return activeAt
+      ? result.data.filter(account => this.isActive(account, activeAt))
+      : result.data;
+  }
+
+  /**
+   * Resolver de cuentas de una app para importar reportes sin una lectura por fila
+   * @returns {Function} - (externalId, date) → { streamerId, handle, verified, ... } | null
+   */
+  async getResolver(app) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.LINKED_ACCOUNTS, { app });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const accounts = new Map(result.data.map(account => [account.externalId, account]));
+    return (externalId, date = new Date()) => {
+      const account = accounts.get(String(externalId).trim());
+      return account ? this.linkAt(account, date) : null;
+    };
+  }
+
+  /**
+   * Vínculo vigente en una fecha: el actual o uno del historial
+   */
+  linkAt(account, date) {
+    return [this.currentLink(account), ...(account.previousLinks || [])]
+      .find(link => this.isActive(link, date)) || null;
+  }
+
+  currentLink(account) {
+    return {
+      streamerId: account.streamerId,
+      handle: account.handle,
+      verified: account.verified,
+      validFrom: account.validFrom,
+      validTo: account.validTo || null
+    };
+  }
+
+  isActive(link, date) {
+    const at = new Date(date).toISOString();
+    return link.validFrom <= at && (!link.validTo || at < link.validTo);
+  }
+
+  /**
+   * Rangos [validFrom, validTo) con validTo null = abierto
+   */
+  overlaps(a, b) {
+    const aEndsBefore = a.validTo && a.validTo <= b.validFrom;
+    const bEndsBefore = b.validTo && b.validTo <= a.validFrom;
+    return !aEndsBefore && !bEndsBefore;
+  }
+
+  accountId(app, externalId) {
+    if (!LINKED_APPS.includes(app)) {
+      throw new Error(`App inválida: ${app}. Válidas: ${LINKED_APPS.join(', ')}`);
+    }
+    if (externalId === undefined || externalId === null || String(externalId).trim() === '') {
+      throw new Error('El ID externo es requerido');
+    }
+
+    return `${app}_${encodeURIComponent(String(externalId).trim())}`;
+  }
+}
+
+// Instancia singleton
+const linkedAccountService = new LinkedAccountService();
+
+export default linkedAccountService;
+export { LINKED_APPS };
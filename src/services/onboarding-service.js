@@ -0,0 +1,476 @@
+/**
+ * Ingreso de Streamers - Luxery Prime Agency
+ * Un streamer entra por el formulario público o por invitación de un líder. La solicitud
+ * junta los datos y las referencias a sus documentos, se valida con StreamerValidator,
+ * se le asigna un líder y un admin la aprueba con el nivel que corresponde; solo entonces
+ * se crea el streamer activo. Las solicitudes rechazadas se conservan con sus motivos.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import leaderHierarchy from './leader-hierarchy.js';
+import linkedAccountService from './linked-account-service.js';
+import auditService from './audit-service.js';
+import countryService from './country-service.js';
+import { commissionRuleEngine } from './commission-rule-engine.js';
+import StreamerValidator from './streamer-validator.js';
+import AuthManager from './auth-manager.js';
+
+// submitted → in_review → approved → active; cualquier etapa abierta puede rechazarse
+const APPLICATION_TRANSITIONS = {
+  submitted: ['in_review', 'rejected'],
+  in_review: ['approved', 'rejected'],
+  approved: ['active', 'rejected'],
+  active: [],
+  rejected: []
+};
+
+const APPLICATION_SOURCES = ['public_form', 'leader_invite'];
+
+// Documentos obligatorios antes de aprobar; se guardan solo las referencias al archivo
+const REQUIRED_DOCUMENTS = ['id_front', 'id_back', 'selfie'];
+const DOCUMENT_TYPES = [...REQUIRED_DOCUMENTS, 'proof_of_address', 'other'];
+
+// Motivos de rechazo codificados para poder analizarlos
+const REJECTION_REASONS = ['invalid_data', 'missing_documents', 'identity_mismatch', 'duplicate', 'underage', 'low_activity', 'other'];
+
+const APPROVE_PERMISSION = 'streamers:approve';
+
+class OnboardingService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.leaders = leaderHierarchy;
+    this.linkedAccounts = linkedAccountService;
+    this.audit = auditService;
+    this.countries = countryService;
+    this.ruleEngine = commissionRuleEngine;
+    this.validator = new StreamerValidator();
+    this.auth = new AuthManager();
+  }
+
+  setAuthManager(authManager) {
+    this.auth = authManager;
+  }
+
+  /**
+   * Registrar una solicitud de ingreso
+   * @param {Object} applicant - { name, email, phone, country, binanceEmail, expectedEarnings,
+   *   accounts: [{ app, externalId, handle }] }
+   * @param {Object} params - { agency, source: public_form|leader_invite, invitedBy: ID del líder }
+   * @returns {Object} - Solicitud creada con el resultado de la validación
+   */
+  async submitApplication(applicant, { agency, source = 'public_form', invitedBy = null }) {
+    try {
+      if (!agency) {
+        throw new Error('La agencia es requerida');
+      }
+      if (!APPLICATION_SOURCES.includes(source)) {
+        throw new Error(`Origen inválido: ${source}. Válidos: ${APPLICATION_SOURCES.join(', ')}`);
+      }
+
+      // La invitación de un líder deja al streamer asignado a ese líder
+      let leaderId = null;
+      if (source === 'leader_invite') {
+        const leader = invitedBy ? await this.leaders.getLeader(invitedBy) : null;
+        if (!leader) {
+          throw new Error(`Líder ${invitedBy} no encontrado`);
+        }
+        leaderId = invitedBy;
+      }
+
+      const accounts = this.normalizeAccounts(applicant.accounts || []);
+      const countries = await this.countries.getRegistry(agency);
+      const now = new Date().toISOString();
+      const application = {
+        applicant: { ...applicant, accounts },
+        agency,
+        source,
+        invitedBy: leaderId,
+        leaderId,
+        documents: [],
+        validation: this.validate(applicant, countries),
+        status: 'submitted',
+        approval: null,
+        rejection: null,
+        streamerId: null,
+        history: [{ from: null, to: 'submitted', actor: invitedBy, at: now }],
+        submittedAt: now
+      };
+
+      const saved = await this.firestore.createDocument(COLLECTIONS.STREAMER_APPLICATIONS, application);
+      if (!saved.success) {
+        throw new Error(saved.error);
+      }
+
+      console.log(`📝 Solicitud ${saved.id} recibida (${source})`);
+      return { id: saved.id, ...application };
+    } catch (error) {
+      console.error('Error registrando solicitud de ingreso:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adjuntar la referencia a un documento ya subido al almacenamiento
+   * @param {Object} document - { type, url, name, uploadedBy }
+   */
+  async addDocument(applicationId, { type, url, name = null, uploadedBy = null }) {
+    try {
+      if (!DOCUMENT_TYPES.includes(type)) {
+        throw new Error(`Tipo de documento inválido: ${type}. Válidos: ${DOCUMENT_TYPES.join(', ')}`);
+      }
+      if (!url) {
+        throw new Error('La url del documento es requerida');
+      }
+
+      return await this.updateApplication(applicationId, (current, at) => {
+        if (!['submitted', 'in_review'].includes(current.status)) {
+          throw new Error(`No se pueden agregar documentos a una solicitud ${current.status}`);
+        }
+
+        // Un documento nuevo del mismo tipo reemplaza al anterior
+        const documents = current.documents.filter(document => document.type !== type || type === 'other');
+        return { documents: [...documents, { type, url, name, uploadedBy, uploadedAt: at }] };
+      });
+    } catch (error) {
+      console.error('Error agregando documento a la solicitud:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pasar la solicitud a revisión; se vuelve a validar con los datos actuales
+   */
+  async startReview(applicationId, actor = null) {
+    const application = await this.getApplication(applicationId);
+    const countries = await this.countries.getRegistry(application.agency);
+
+    return this.transition(applicationId, 'in_review', actor, current => ({
+      validation: this.validate(current.applicant, countries)
+    }));
+  }
+
+  /**
+   * Asignar el líder que acompañará al streamer
+   */
+  async assignLeader(applicationId, leaderId, actor = null) {
+    try {
+      const leader = await this.leaders.getLeader(leaderId);
+      if (!leader) {
+        throw new Error(`Líder ${leaderId} no encontrado`);
+      }
+
+      return await this.updateApplication(applicationId, (current, at) => {
+        if (!['submitted', 'in_review'].includes(current.status)) {
+          throw new Error(`No se puede asignar líder a una solicitud ${current.status}`);
+        }
+
+        return {
+          leaderId,
+          history: [...current.history, { from: current.status, to: current.status, actor, at, leaderId }]
+        };
+      });
+    } catch (error) {
+      console.error('Error asignando líder a la solicitud:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aprobación del admin
+   * Requiere datos válidos, los documentos obligatorios y un líder asignado. El nivel por
+   * defecto es el que sugieren las reglas para las ganancias declaradas.
+   * @param {Object} params - { token: sesión con permiso streamers:approve, level, note }
+   */
+  async approveApplication(applicationId, { token, level = null, note = null }) {
+    try {
+      const [resource, action] = APPROVE_PERMISSION.split(':');
+      const check = this.auth.checkPermissions(token, resource, action);
+      if (!check.valid) {
+        throw new Error(check.error);
+      }
+
+      const application = await this.getApplication(applicationId);
+      const blockers = this.getApprovalBlockers(application);
+      if (blockers.length > 0) {
+        throw new Error(`La solicitud no puede aprobarse: ${blockers.join('; ')}`);
+      }
+
+      const assignedLevel = level === null ? this.suggestLevel(application) : Number(level);
+      if (!Number.isInteger(assignedLevel) || assignedLevel < 1 || assignedLevel > 5) {
+        throw new Error('El nivel debe estar entre 1 y 5');
+      }
+
+      return await this.transition(applicationId, 'approved', check.user.id, (current, at) => ({
+        approval: {
+          approvedBy: check.user.id,
+          level: assignedLevel,
+          suggestedLevel: this.suggestLevel(current),
+          note,
+          approvedAt: at
+        }
+      }));
+    } catch (error) {
+      console.error('Error aprobando solicitud:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Activar una solicitud aprobada: crea el streamer activo con el nivel aprobado y
+   * vincula sus cuentas de app. Las cuentas ya tomadas por otro streamer quedan como advertencia.
+   * El streamer usa el ID de la solicitud: dos activaciones simultáneas (o un reintento tras
+   * un fallo) escriben el mismo streamer en lugar de crear dos.
+   * @returns {Object} - { application, streamerId, warnings }
+   */
+  async activateApplication(applicationId, { actor = null } = {}) {
+    try {
+      const application = await this.getApplication(applicationId);
+      this.assertTransition(application, 'active');
+
+      const { accounts, expectedEarnings, ...applicant } = application.applicant;
+      const data = application.validation.correctedData || applicant;
+      const now = new Date().toISOString();
+
+      // Un reintento tras un fallo posterior a crear el streamer lo reutiliza
+      const streamerId = applicationId;
+      const existing = await this.firestore.getStreamerById(streamerId);
+      if (!existing.success) {
+        const created = await this.audit.createStreamer({
+          id: streamerId,
+          name: data.name,
+          email: data.email,
+          phone: data.phone || null,
+          country: data.country,
+          countryCode: data.countryCode || null,
+          binanceEmail: data.binanceEmail || null,
+          agency_id: application.agency,
+          leaderId: application.leaderId,
+          level: application.approval.level,
+          levelChangedAt: now,
+          applicationId,
+          status: 'active'
+        }, { actor, source: 'ui', reason: `Solicitud de ingreso ${applicationId}` });
+        if (!created.success) {
+          throw new Error(created.error);
+        }
+      }
+
+      const warnings = [];
+      for (const account of accounts) {
+        try {
+          await this.linkedAccounts.linkAccount({
+            ...account,
+            streamerId,
+            validFrom: application.submittedAt,
+            actor
+          });
+        } catch (error) {
+          warnings.push(`Cuenta ${account.app} ${account.externalId}: ${error.message}`);
+        }
+      }
+
+      const updated = await this.transition(applicationId, 'active', actor, () => ({
+        streamerId,
+        activationWarnings: warnings
+      }));
+
+      console.log(`✅ Solicitud ${applicationId} activada como streamer ${streamerId} (nivel ${application.approval.level})`);
+      return { application: updated, streamerId, warnings };
+    } catch (error) {
+      console.error('Error activando solicitud:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rechazar la solicitud; queda guardada con sus motivos y la etapa en que se rechazó
+   * @param {Object} params - { reasons: códigos de REJECTION_REASONS, note, actor }
+   */
+  async rejectApplication(applicationId, { reasons, note = null, actor = null }) {
+    try {
+      if (!Array.isArray(reasons) || reasons.length === 0) {
+        throw new Error('Indique al menos un motivo de rechazo');
+      }
+      const invalid = reasons.filter(reason => !REJECTION_REASONS.includes(reason));
+      if (invalid.length > 0) {
+        throw new Error(`Motivos inválidos: ${invalid.join(', ')}. Válidos: ${REJECTION_REASONS.join(', ')}`);
+      }
+
+      return await this.transition(applicationId, 'rejected', actor, (current, at) => ({
+        rejection: { reasons, note, stage: current.status, rejectedBy: actor, rejectedAt: at }
+      }));
+    } catch (error) {
+      console.error('Error rechazando solicitud:', error);
+      throw error;
+    }
+  }
+
+  async getApplication(applicationId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.STREAMER_APPLICATIONS, applicationId);
+    if (!result.success) {
+      throw new Error(`Solicitud ${applicationId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Listar solicitudes
+   * @param {Object} filters - { agency, status, source, leaderId }
+   */
+  async getApplications(filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.STREAMER_APPLICATIONS, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+  }
+
+  /**
+   * Motivos de rechazo de las solicitudes recibidas en un rango
+   * @param {Object} params - { agency, from, to }
+   * @returns {Object} - { total, rejected, rejectionRate, byReason, byStage, bySource }
+   */
+  async getRejectionAnalytics({ agency = null, from, to }) {
+    try {
+      const start = new Date(from);
+      const end = new Date(to);
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        throw new Error('Rango de fechas inválido');
+      }
+
+      const applications = (await this.getApplications(agency ? { agency } : {}))
+        .filter(application => {
+          const submittedAt = new Date(application.submittedAt);
+          return submittedAt >= start && submittedAt < end;
+        });
+      const rejected = applications.filter(application => application.status === 'rejected');
+
+      const count = (items, key) => items.reduce((counts, item) => {
+        counts[key(item)] = (counts[key(item)] || 0) + 1;
+        return counts;
+      }, {});
+
+      return {
+        agency,
+        period: { from: start.toISOString(), to: end.toISOString() },
+        total: applications.length,
+        rejected: rejected.length,
+        rejectionRate: applications.length > 0 ? rejected.length / applications.length : 0,
+        byReason: count(rejected.flatMap(application => application.rejection.reasons), reason => reason),
+        byStage: count(rejected, application => application.rejection.stage),
+        bySource: count(rejected, application => application.source)
+      };
+    } catch (error) {
+      console.error('Error generando análisis de rechazos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Motivos que impiden aprobar la solicitud
+   */
+  getApprovalBlockers(application) {
+    const blockers = [];
+    if (!application.validation.isValid) {
+      blockers.push(...application.validation.errors);
+    }
+
+    const uploaded = application.documents.map(document => document.type);
+    const missing = REQUIRED_DOCUMENTS.filter(type => !uploaded.includes(type));
+    if (missing.length > 0) {
+      blockers.push(`Faltan documentos: ${missing.join(', ')}`);
+    }
+    if (!application.leaderId) {
+      blockers.push('Falta asignar un líder');
+    }
+
+    return blockers;
+  }
+
+  suggestLevel(application) {
+    return this.ruleEngine.suggestLevel(Number(application.applicant.expectedEarnings) || 0, { agency: application.agency });
+  }
+
+  /**
+   * Validar los datos del solicitante; aún no tiene ID ni ganancias en la agencia
+   * @param {CountryRegistry} countries - Países habilitados de la agencia
+   */
+  validate(applicant, countries) {
+    const { accounts, expectedEarnings, ...data } = applicant;
+    const result = this.validator.validateStreamer(
+      { ...data, level: 1 },
+      { requireId: false, requireEarnings: false, countries }
+    );
+    const { level, ...correctedData } = result.correctedData;
+
+    return {
+      isValid: result.isValid,
+      errors: result.errors,
+      warnings: result.warnings,
+      correctedData,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  normalizeAccounts(accounts) {
+    return accounts.map(account => {
+      // accountId valida la app y el ID externo
+      this.linkedAccounts.accountId(account.app, account.externalId);
+      return {
+        app: account.app,
+        externalId: String(account.externalId).trim(),
+        handle: account.handle || null
+      };
+    });
+  }
+
+  /**
+   * Cambiar el estado de la solicitud registrando la transición
+   * @param {Function} changes - (solicitudActual, fechaISO) → campos adicionales
+   */
+  async transition(applicationId, to, actor, changes = () => ({})) {
+    return this.updateApplication(applicationId, (current, at) => {
+      this.assertTransition(current, to);
+      return {
+        ...changes(current, at),
+        status: to,
+        history: [...current.history, { from: current.status, to, actor, at }]
+      };
+    });
+  }
+
+  assertTransition(application, to) {
+    const allowed = APPLICATION_TRANSITIONS[application.status] || [];
+    if (!allowed.includes(to)) {
+      throw new Error(`Transición inválida de solicitud: ${application.status} → ${to}`);
+    }
+  }
+
+  /**
+   * Modificar la solicitud en una transacción para no pisar cambios concurrentes
+   * @param {Function} changes - (solicitudActual, fechaISO) → campos a modificar
+   */
+  async updateApplication(applicationId, changes) {
+    const result = await this.firestore.setDocumentInTransaction(COLLECTIONS.STREAMER_APPLICATIONS, applicationId, (current) => {
+      if (!current) {
+        throw new Error(`Solicitud ${applicationId} no encontrada`);
+      }
+
+      const { id, ...data } = current;
+      return { ...data, ...changes(current, new Date().toISOString()) };
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { id: applicationId, ...result.data };
+  }
+}
+
+// Instancia singleton
+const onboardingService = new OnboardingService();
+
+export default onboardingService;
+export { APPLICATION_TRANSITIONS, APPLICATION_SOURCES, REQUIRED_DOCUMENTS, DOCUMENT_TYPES, REJECTION_REASONS };
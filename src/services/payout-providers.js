@@ -0,0 +1,390 @@
+/**
+ * Proveedores de Pago - Luxery Prime Agency
+ * Interfaz común para generar el lote de cada proveedor, enviarlo y consultar el
+ * estado de sus ítems: Binance Pay (JSON), PayPal Payouts (JSON) y archivo bancario
+ * por país (CSV o ancho fijo). El proveedor local de prueba no sale a la red.
+ */
+
+import { Money } from '../utils/money.js';
+
+/**
+ * Interfaz de proveedor
+ * - buildPayload(batch, items) → { contentType, filename, body }
+ * - send(batch, items) → { providerBatchId, results: [{ itemId, status: 'sent'|'failed', providerReference, error }] }
+ * - getStatus(batch, items) → [{ itemId, status: 'sent'|'confirmed'|'failed', providerReference, error }]
+ */
+class PayoutProvider {
+  constructor(method) {
+    this.method = method;
+  }
+
+  buildPayload() {
+    throw new Error(`buildPayload no implementado para ${this.method}`);
+  }
+
+  async send() {
+    throw new Error(`send no implementado para ${this.method}`);
+  }
+
+  /**
+   * Por defecto no hay consulta en línea: la confirmación llega por conciliación
+   */
+  async getStatus() {
+    return [];
+  }
+
+  formatAmount(item) {
+    const money = Money.fromDecimal(item.amount, item.currency);
+    return money.toDecimal().toFixed(Money.decimalsFor(item.currency));
+  }
+
+  async postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${this.method} HTTP ${response.status}: ${data.message || data.errorMessage || response.statusText}`);
+    }
+
+    return data;
+  }
+}
+
+class BinancePayProvider extends PayoutProvider {
+  constructor(options = {}) {
+    super('binance');
+    this.baseUrl = options.baseUrl || process.env.BINANCE_PAY_BASE_URL || 'https://bpay.binanceapi.com';
+    this.apiKey = options.apiKey || process.env.BINANCE_PAY_API_KEY || '';
+    this.apiSecret = options.apiSecret || process.env.BINANCE_PAY_API_SECRET || '';
+  }
+
+  buildPayload(batch, items) {
+    const payload = {
+      requestId: batch.id,
+      batchName: `LuxeryPrime ${batch.id}`,
+      currency: batch.currency,
+      totalAmount: this.formatAmount({ amount: batch.totalAmount, currency: batch.currency }),
+      totalNumber: items.length,
+      bizScene: 'DIRECT_TRANSFER',
+      transferDetailList: items.map(item => ({
+        merchantSendId: item.id,
+        transferAmount: this.formatAmount(item),
+        receiveType: item.recipient.binanceId ? 'BINANCE_ID' : 'EMAIL',
+        transferMethod: 'FUNDING_WALLET',
+        receiver: item.recipient.binanceId || item.recipient.email,
+        remark: `Comisiones ${item.streamerName || item.streamerId}`
+      }))
+    };
+
+    return {
+      contentType: 'application/json',
+      filename: `binance_${batch.id}.json`,
+      body: JSON.stringify(payload, null, 2)
+    };
+  }
+
+  async send(batch, items) {
+    if (!this.apiKey || !this.apiSecret) {
+      throw new Error('Credenciales de Binance Pay no configuradas');
+    }
+
+    const body = this.buildPayload(batch, items).body;
+    const timestamp = Date.now().toString();
+    const { createHmac, randomBytes } = await import('crypto');
+    const nonce = randomBytes(16).toString('hex');
+    const signature = createHmac('sha512', this.apiSecret)
+      .update(`${timestamp}\n${nonce}\n${body}\n`)
+      .digest('hex')
+      .toUpperCase();
+
+    const response = await this.postJson(`${this.baseUrl}/binancepay/openapi/payout/transfer`, body, {
+      'BinancePay-Timestamp': timestamp,
+      'BinancePay-Nonce': nonce,
+      'BinancePay-Certificate-SN': this.apiKey,
+      'BinancePay-Signature': signature
+    });
+
+    if (response.status !== 'SUCCESS') {
+      throw new Error(`Binance Pay rechazó el lote: ${response.errorMessage || response.code}`);
+    }
+
+    return {
+      providerBatchId: response.data && response.data.requestId ? response.data.requestId : batch.id,
+      results: items.map(item => ({ itemId: item.id, status: 'sent', providerReference: item.id }))
+    };
+  }
+}
+
+class PayPalPayoutsProvider extends PayoutProvider {
+  constructor(options = {}) {
+    super('paypal');
+    this.baseUrl = options.baseUrl || process.env.PAYPAL_BASE_URL || 'https://api-m.paypal.com';
+    this.clientId = options.clientId || process.env.PAYPAL_CLIENT_ID || '';
+    this.clientSecret = options.clientSecret || process.env.PAYPAL_CLIENT_SECRET || '';
+  }
+
+  buildPayload(batch, items) {
+    const payload = {
+      sender_batch_header: {
+        sender_batch_id: batch.id,
+        email_subject: 'Pago de comisiones - Luxery Prime Agency',
+        email_message: 'Recibiste el pago de tus comisiones.'
+      },
+      items: items.map(item => ({
+        recipient_type: 'EMAIL',
+        amount: { value: this.formatAmount(item), currency: item.currency },
+        receiver: item.recipient.email,
+        note: `Comisiones ${item.streamerName || item.streamerId}`,
+        sender_item_id: item.id
+      }))
+    };
+
+    return {
+      contentType: 'application/json',
+      filename: `paypal_${batch.id}.json`,
+      body: JSON.stringify(payload, null, 2)
+    };
+  }
+
+  async getAccessToken() {
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('Credenciales de PayPal no configuradas');
+    }
+
+    const response = await fetch(`${this.baseUrl}/v1/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+    if (!response.ok) {
+      throw new Error(`PayPal HTTP ${response.status} obteniendo token`);
+    }
+
+    return (await response.json()).access_token;
+  }
+
+  async send(batch, items) {
+    const token = await this.getAccessToken();
+    const response = await this.postJson(
+      `${this.baseUrl}/v1/payments/payouts`,
+      this.buildPayload(batch, items).body,
+      { Authorization: `Bearer ${token}` }
+    );
+
+    return {
+      providerBatchId: response.batch_header ? response.batch_header.payout_batch_id : null,
+      results: items.map(item => ({ itemId: item.id, status: 'sent', providerReference: item.id }))
+    };
+  }
+
+  /**
+   * Consultar el lote en PayPal y mapear el estado de cada ítem
+   */
+  async getStatus(batch) {
+    if (!batch.providerBatchId) {
+      return [];
+    }
+
+    const token = await this.getAccessToken();
+    const response = await fetch(`${this.baseUrl}/v1/payments/payouts/${batch.providerBatchId}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    if (!response.ok) {
+      throw new Error(`PayPal HTTP ${response.status} consultando lote ${batch.providerBatchId}`);
+    }
+
+    const data = await response.json();
+    return (data.items || []).map(payoutItem => {
+      const status = payoutItem.transaction_status;
+      return {
+        itemId: payoutItem.payout_item.sender_item_id,
+        status: status === 'SUCCESS' ? 'confirmed'
+          : ['FAILED', 'RETURNED', 'BLOCKED', 'REFUNDED', 'REVERSED'].includes(status) ? 'failed'
+            : 'sent',
+        providerReference: payoutItem.payout_item_id,
+        error: payoutItem.errors ? payoutItem.errors.message : null
+      };
+    });
+  }
+}
+
+// Formato del archivo bancario por país; los no listados usan CSV genérico
+const BANK_FILE_LAYOUTS = {
+  Colombia: {
+    format: 'fixed',
+    fields: [
+      { key: 'documentId', width: 15, align: 'right', pad: '0' },
+      { key: 'holderName', width: 30, align: 'left', pad: ' ' },
+      { key: 'bankCode', width: 4, align: 'right', pad: '0' },
+      { key: 'accountNumber', width: 17, align: 'right', pad: '0' },
+      { key: 'accountType', width: 1, align: 'left', pad: ' ' },
+      { key: 'amountMinor', width: 15, align: 'right', pad: '0' },
+      { key: 'reference', width: 20, align: 'left', pad: ' ' }
+    ]
+  },
+  México: {
+    format: 'csv',
+    columns: [
+      ['clabe', 'accountNumber'],
+      ['beneficiario', 'holderName'],
+      ['rfc', 'documentId'],
+      ['monto', 'amount'],
+      ['moneda', 'currency'],
+      ['referencia', 'reference']
+    ]
+  },
+  default: {
+    format: 'csv',
+    columns: [
+      ['reference', 'reference'],
+      ['holder_name', 'holderName'],
+      ['document_id', 'documentId'],
+      ['bank_code', 'bankCode'],
+      ['account_number', 'accountNumber'],
+      ['account_type', 'accountType'],
+      ['amount', 'amount'],
+      ['currency', 'currency']
+    ]
+  }
+};
+
+class BankFileProvider extends PayoutProvider {
+  constructor(options = {}) {
+    super('bank');
+    this.layouts = { ...BANK_FILE_LAYOUTS, ...(options.layouts || {}) };
+  }
+
+  getLayout(country) {
+    return this.layouts[country] || this.layouts.default;
+  }
+
+  toRow(item) {
+    const account = item.recipient.bankAccount || {};
+    return {
+      reference: item.id,
+      holderName: account.holderName || item.streamerName || '',
+      documentId: account.documentId || '',
+      bankCode: account.bankCode || '',
+      accountNumber: account.accountNumber || '',
+      accountType: account.accountType || '',
+      amount: this.formatAmount(item),
+      amountMinor: String(Money.fromDecimal(item.amount, item.currency).minor),
+      currency: item.currency
+    };
+  }
+
+  buildPayload(batch, items) {
+    const layout = this.getLayout(batch.country);
+    const rows = items.map(item => this.toRow(item));
+    const country = (batch.country || 'general').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+    if (layout.format === 'fixed') {
+      const body = rows
+        .map(row => layout.fields.map(field => this.fixedWidth(row[field.key], field)).join(''))
+        .join('\r\n');
+      return { contentType: 'text/plain; charset=utf-8', filename: `banco_${country}_${batch.id}.txt`, body };
+    }
+
+    const body = [
+      layout.columns.map(([header]) => header).join(','),
+      ...rows.map(row => layout.columns.map(([, key]) => this.escapeCsv(row[key])).join(','))
+    ].join('\n');
+    return { contentType: 'text/csv; charset=utf-8', filename: `banco_${country}_${batch.id}.csv`, body };
+  }
+
+  fixedWidth(value, { width, align, pad }) {
+    const text = String(value === null || value === undefined ? '' : value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .slice(0, width);
+    return align === 'right' ? text.padStart(width, pad) : text.padEnd(width, pad);
+  }
+
+  escapeCsv(value) {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * El archivo se carga manualmente en el banco: al exportarlo los ítems quedan enviados
+   */
+  async send(batch, items) {
+    return {
+      providerBatchId: null,
+      results: items.map(item => ({ itemId: item.id, status: 'sent', providerReference: item.id }))
+    };
+  }
+}
+
+/**
+ * Proveedor local para pruebas: no sale a la red
+ * Los receptores en failReceivers fallan; el resto se confirma al consultar el estado.
+ */
+class FakePayoutProvider extends PayoutProvider {
+  constructor(method = 'fake', { failReceivers = [] } = {}) {
+    super(method);
+    this.failReceivers = new Set(failReceivers);
+    this.sentBatches = [];
+  }
+
+  receiverOf(item) {
+    const recipient = item.recipient || {};
+    return recipient.email || recipient.binanceId || (recipient.bankAccount || {}).accountNumber || null;
+  }
+
+  buildPayload(batch, items) {
+    return {
+      contentType: 'application/json',
+      filename: `fake_${batch.id}.json`,
+      body: JSON.stringify({ batchId: batch.id, items: items.map(item => ({ id: item.id, amount: item.amount, receiver: this.receiverOf(item) })) })
+    };
+  }
+
+  async send(batch, items) {
+    this.sentBatches.push({ batch, items });
+    return {
+      providerBatchId: `FAKE-${batch.id}`,
+      results: items.map(item => ({ itemId: item.id, status: 'sent', providerReference: `FAKE-${item.id}` }))
+    };
+  }
+
+  async getStatus(batch, items) {
+    return items.map(item => {
+      const failed = this.failReceivers.has(this.receiverOf(item));
+      return {
+        itemId: item.id,
+        status: failed ? 'failed' : 'confirmed',
+        providerReference: `FAKE-${item.id}`,
+        error: failed ? 'Receptor rechazado por el proveedor de prueba' : null
+      };
+    });
+  }
+}
+
+/**
+ * Proveedores por método de pago
+ */
+function createPayoutProviders(options = {}) {
+  return {
+    binance: new BinancePayProvider(options.binance),
+    paypal: new PayPalPayoutsProvider(options.paypal),
+    bank: new BankFileProvider(options.bank)
+  };
+}
+
+export {
+  PayoutProvider,
+  BinancePayProvider,
+  PayPalPayoutsProvider,
+  BankFileProvider,
+  FakePayoutProvider,
+  BANK_FILE_LAYOUTS,
+  createPayoutProviders
+};
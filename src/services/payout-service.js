@@ -0,0 +1,867 @@
+/**
+ * Pagos - Luxery Prime Agency
+ * Montos mínimos de pago por método (Binance, PayPal, banco) y arrastre de saldos
+ * pequeños al siguiente periodo. El arrastre queda registrado por streamer y sus
+ * comisiones conservan el saldo en el libro mayor hasta que se pagan.
+ * Lotes de pago por proveedor: cada ítem pasa de queued → sent → confirmed o failed.
+ * Las comisiones de un ítem se reservan en la misma transacción que lo crea, así dos
+ * ejecuciones simultáneas no pueden poner la misma comisión en dos lotes.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import commissionService from './commission-service.js';
+import commissionLedger from './commission-ledger.js';
+import auditService from './audit-service.js';
+import { DEFAULT_PAYOUT_CURRENCY } from './fx-rate-service.js';
+import { createPayoutProviders } from './payout-providers.js';
+import { Money } from '../utils/money.js';
+
+const PAYMENT_METHODS = ['binance', 'paypal', 'bank'];
+
+// Estados de un ítem de pago y transiciones permitidas
+const PAYOUT_ITEM_TRANSITIONS = {
+  queued: ['sent', 'failed'],
+  sent: ['confirmed', 'failed'],
+  confirmed: [],
+  failed: []
+};
+
+// Mínimos por método en la moneda de pago por defecto; cada agencia puede
+// sobrescribirlos en settings.payoutThresholds ({ bank: 50 } o { bank: { USD: 50, MXN: 900 } })
+const DEFAULT_PAYOUT_THRESHOLDS = {
+  binance: 10,
+  paypal: 5,
+  bank: 50
+};
+
+// Una comisión se puede reservar para un ítem si sigue pendiente de pago y libre
+const isReservable = commission => ['approved', 'carried_forward'].includes(commission.status) &&
+  !commission.payoutItemId &&
+  commission.disputeStatus !== 'open';
+
+class PayoutService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.commissionService = commissionService;
+    this.ledger = commissionLedger;
+    this.audit = auditService;
+    this.providers = createPayoutProviders();
+  }
+
+  /**
+   * Reemplazar el proveedor de un método (ej: proveedor de prueba)
+   * @param {string} method - binance, paypal o bank
+   * @param {Object} provider - Implementación de la interfaz de proveedor
+   */
+  setProvider(method, provider) {
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw new Error(`Método de pago inválido: ${method}`);
+    }
+    this.providers[method] = provider;
+  }
+
+  getProvider(method) {
+    const provider = this.providers[method];
+    if (!provider) {
+      throw new Error(`No hay proveedor configurado para ${method}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Configuración de la agencia (AgencySettings)
+   */
+  async getAgencySettings(agencyId) {
+    if (!agencyId) {
+      return {};
+    }
+
+    const result = await this.firestore.getDocumentById(COLLECTIONS.AGENCIES, agencyId);
+    return result.success ? (result.data.settings || {}) : {};
+  }
+
+  /**
+   * Método de pago de un streamer: el propio o el de la agencia
+   */
+  getPaymentMethod(streamer, settings) {
+    const method = streamer.paymentMethod || settings.paymentMethod || 'bank';
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw new Error(`Método de pago inválido: ${method}. Válidos: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    return method;
+  }
+
+  /**
+   * Monto mínimo de pago para un método y moneda
+   * @returns {Money} - Mínimo (cero si no hay mínimo configurado para la moneda)
+   */
+  getThreshold(method, currency, settings = {}) {
+    const configured = (settings.payoutThresholds || {})[method];
+    const threshold = configured !== undefined ? configured : DEFAULT_PAYOUT_THRESHOLDS[method];
+
+    // Un número es el mínimo en la moneda por defecto; un objeto lo define por moneda
+    const amount = typeof threshold === 'number'
+      ? (currency === DEFAULT_PAYOUT_CURRENCY ? threshold : 0)
+      : (threshold || {})[currency] || 0;
+
+    return Money.fromDecimal(amount, currency);
+  }
+
+  /**
+   * Configurar mínimos de pago de una agencia
+   * @param {string} agencyId - ID de la agencia
+   * @param {Object} thresholds - { binance, paypal, bank }
+   * @param {Object} context - { actor, source } para la auditoría
+   */
+  async setPayoutThresholds(agencyId, thresholds, context = {}) {
+    Object.entries(thresholds).forEach(([method, threshold]) => {
+      if (!PAYMENT_METHODS.includes(method)) {
+        throw new Error(`Método de pago inválido: ${method}`);
+      }
+      const amounts = typeof threshold === 'number' ? [threshold] : Object.values(threshold || {});
+      if (amounts.length === 0 || amounts.some(amount => typeof amount !== 'number' || amount < 0)) {
+        throw new Error(`Mínimo inválido para ${method}`);
+      }
+    });
+
+    const result = await this.audit.updateAgency(agencyId, {
+      'settings.payoutThresholds': thresholds
+    }, context);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Planear los pagos de un conjunto de comisiones
+   * Por streamer y moneda se suma su saldo en estas comisiones más las arrastradas de
+   * periodos anteriores; si no alcanza el mínimo del método de pago, se arrastra. Un saldo
+   * en cero se liquida (settle) sin enviar nada al proveedor.
+   * @param {Array} commissionIds - Comisiones del periodo
+   * @param {Object} params - { agency }
+   * @returns {Array} - [{ streamerId, currency, paymentMethod, amount, threshold, action: pay|settle|carry_forward, commissionIds }]
+   */
+  async planPayouts(commissionIds, { agency = null } = {}) {
+    const settings = await this.getAgencySettings(agency);
+    const groups = {};
+
+    for (const commissionId of commissionIds) {
+      const commission = await this.commissionService.getCommissionById(commissionId);
+      // Solo se paga lo aprobado (o arrastrado) que no esté en un lote en curso ni en disputa
+      if (!isReservable(commission)) continue;
+
+      const currency = commission.currency || DEFAULT_PAYOUT_CURRENCY;
+      const key = `${commission.streamerId}:${currency}`;
+      if (!groups[key]) {
+        groups[key] = { streamerId: commission.streamerId, currency, commissions: [] };
+      }
+      groups[key].commissions.push(commission);
+    }
+
+    const plan = [];
+    for (const group of Object.values(groups)) {
+      const streamer = await this.commissionService.getStreamer(group.streamerId);
+      const carried = await this.getCarriedCommissions(group.streamerId, group.currency);
+      const included = new Set(group.commissions.map(commission => commission.id));
+      const commissions = [...group.commissions, ...carried.filter(commission => !included.has(commission.id))];
+
+      let amount = Money.zero(group.currency);
+      let carriedIn = Money.zero(group.currency);
+      for (const commission of commissions) {
+        const balance = await this.getStreamerBalance(commission);
+        amount = amount.add(balance);
+        if (!included.has(commission.id)) {
+          carriedIn = carriedIn.add(balance);
+        }
+      }
+
+      const paymentMethod = this.getPaymentMethod(streamer, settings);
+      const threshold = this.getThreshold(paymentMethod, group.currency, settings);
+      // Un saldo en cero se cierra como pagado; uno negativo se arrastra contra periodos siguientes
+      const payable = amount.isPositive() && amount.compare(threshold) >= 0;
+      const action = amount.isZero() ? 'settle' : (payable ? 'pay' : 'carry_forward');
+
+      plan.push({
+        streamerId: group.streamerId,
+        currency: group.currency,
+        paymentMethod,
+        amount: amount.toDecimal(),
+        threshold: threshold.toDecimal(),
+        carriedIn: carriedIn.toDecimal(),
+        action,
+        commissionIds: commissions.map(commission => commission.id)
+      });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Pagar las comisiones de una nómina respetando los mínimos
+   * @param {Object} run - Corrida de nómina
+   * @param {Object} params - { actor }
+   * @returns {Object} - Resumen { paid, settled, carriedForward, items }
+   */
+  async processRunPayouts(run, { actor = null } = {}) {
+    try {
+      const plan = await this.planPayouts(run.commissionIds, { agency: run.agency });
+      const paidAt = new Date().toISOString();
+
+      for (const item of plan) {
+        if (item.action === 'pay' || item.action === 'settle') {
+          for (const commissionId of item.commissionIds) {
+            await this.commissionService.updateCommissionStatus(commissionId, 'paid', {
+              paidAt,
+              paidInRunId: run.id,
+              paymentMethod: item.paymentMethod,
+              actor
+            });
+          }
+          await this.settleCarryForwards(item.streamerId, item.currency, { settledInRunId: run.id });
+        } else {
+          await this.carryForward(item, { agency: run.agency, payrollRunId: run.id }, actor);
+        }
+      }
+
+      const summary = {
+        paid: plan.filter(item => item.action === 'pay').length,
+        settled: plan.filter(item => item.action === 'settle').length,
+        carriedForward: plan.filter(item => item.action === 'carry_forward').length,
+        items: plan
+      };
+
+      console.log(`💸 Nómina ${run.id}: ${summary.paid} pagos, ${summary.carriedForward} saldos arrastrados`);
+      return summary;
+    } catch (error) {
+      console.error('Error procesando pagos de la nómina:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Arrastrar el saldo de un streamer al siguiente periodo
+   * Las comisiones quedan en estado carried_forward (visibles en su historial) y se
+   * guarda un registro del arrastre; el saldo sigue en el libro mayor.
+   * @param {Object} item - Ítem del plan de pagos
+   * @param {Object} source - { agency, payrollRunId } (sin nómina si viene de un lote de pago)
+   * @param {string} actor - Usuario que procesa
+   */
+  async carryForward(item, { agency = null, payrollRunId = null } = {}, actor = null) {
+    const carriedAt = new Date().toISOString();
+
+    const record = {
+      streamerId: item.streamerId,
+      agency,
+      currency: item.currency,
+      amount: item.amount,
+      threshold: item.threshold,
+      paymentMethod: item.paymentMethod,
+      payrollRunId,
+      commissionIds: item.commissionIds,
+      status: 'open',
+      actor,
+      carriedAt
+    };
+
+    // Un arrastre nuevo reemplaza al anterior abierto: incluye sus comisiones
+    await this.settleCarryForwards(item.streamerId, item.currency, { settledInRunId: payrollRunId }, 'rolled_over');
+
+    const result = await this.firestore.createDocument(COLLECTIONS.PAYOUT_CARRY_FORWARDS, record);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    for (const commissionId of item.commissionIds) {
+      await this.commissionService.updateCommissionStatus(commissionId, 'carried_forward', {
+        carryForwardId: result.id,
+        carriedForwardAt: carriedAt,
+        carriedForwardFromRunId: payrollRunId
+      });
+    }
+
+    const balance = await this.audit.updateStreamer(item.streamerId, {
+      [`carryForwardBalances.${item.currency}`]: item.amount
+    }, { actor, source: 'system', reason: 'Saldo arrastrado al siguiente periodo' });
+    if (!balance.success) {
+      throw new Error(balance.error);
+    }
+
+    return { id: result.id, ...record };
+  }
+
+  /**
+   * Cerrar los arrastres abiertos de un streamer (pagados o reemplazados)
+   * @param {Object} reference - { settledInRunId } o { settledByPayoutItemId }
+   */
+  async settleCarryForwards(streamerId, currency, reference = {}, status = 'settled') {
+    const open = await this.getCarryForwards(streamerId, { currency, status: 'open' });
+    if (open.length === 0) {
+      return 0;
+    }
+
+    const result = await this.firestore.updateDocuments(
+      COLLECTIONS.PAYOUT_CARRY_FORWARDS,
+      open.map(record => record.id),
+      { status, ...reference, settledAt: new Date().toISOString() }
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    if (status === 'settled') {
+      const balance = await this.audit.updateStreamer(streamerId, {
+        [`carryForwardBalances.${currency}`]: 0
+      }, { source: 'system', reason: 'Saldo arrastrado pagado' });
+      if (!balance.success) {
+        throw new Error(balance.error);
+      }
+    }
+
+    return open.length;
+  }
+
+  // ===== LOTES DE PAGO =====
+
+  /**
+   * Crear lotes de pago a partir de comisiones aprobadas
+   * Se agrupan por método de pago, moneda y, para banco, país. Los saldos bajo el
+   * mínimo se arrastran, los saldos en cero se liquidan sin ítem de pago y los streamers
+   * sin datos de pago quedan en errores. Un pago cuyas comisiones otra ejecución reservó
+   * primero queda en conflicts.
+   * @param {Object} params - { agency, commissionIds (opcional), actor }
+   * @returns {Object} - { batches, carriedForward, settled, skipped, conflicts, errors }
+   */
+  async createPayoutBatches({ agency = null, commissionIds = null, actor = null } = {}) {
+    try {
+      const candidates = commissionIds
+        ? await Promise.all(commissionIds.map(id => this.commissionService.getCommissionById(id)))
+        : await this.getApprovedCommissions(agency);
+
+      const isEligible = commission => commission.status === 'approved' &&
+        !commission.payoutItemId &&
+        commission.disputeStatus !== 'open';
+
+      const skipped = candidates
+        .filter(commission => !isEligible(commission))
+        .map(commission => ({
+          commissionId: commission.id,
+          status: commission.status,
+          payoutItemId: commission.payoutItemId || null,
+          disputeId: commission.disputeStatus === 'open' ? commission.disputeId : null
+        }));
+      const eligibleIds = candidates
+        .filter(isEligible)
+        .map(commission => commission.id);
+
+      const plan = await this.planPayouts(eligibleIds, { agency });
+      const groups = {};
+      const carriedForward = [];
+      const settled = [];
+      const errors = [];
+
+      for (const entry of plan) {
+        if (entry.action === 'carry_forward') {
+          carriedForward.push(await this.carryForward(entry, { agency }, actor));
+          continue;
+        }
+        if (entry.action === 'settle') {
+          settled.push(await this.settleZeroBalance(entry, actor));
+          continue;
+        }
+
+        try {
+          const streamer = await this.commissionService.getStreamer(entry.streamerId);
+          const recipient = this.resolveRecipient(streamer, entry.paymentMethod);
+          const country = entry.paymentMethod === 'bank' ? (streamer.country || null) : null;
+          const key = [entry.paymentMethod, entry.currency, country].join(':');
+
+          if (!groups[key]) {
+            groups[key] = { method: entry.paymentMethod, currency: entry.currency, country, entries: [] };
+          }
+          groups[key].entries.push({ ...entry, streamerName: streamer.name, recipient });
+        } catch (error) {
+          errors.push({ streamerId: entry.streamerId, error: error.message });
+        }
+      }
+
+      const batches = [];
+      const conflicts = [];
+      for (const group of Object.values(groups)) {
+        const created = await this.createBatch(group, { agency, actor });
+        if (created.batch) {
+          batches.push(created.batch);
+        }
+        conflicts.push(...created.conflicts);
+      }
+
+      console.log(`📦 Lotes de pago: ${batches.length} creados, ${carriedForward.length} saldos arrastrados`);
+      return { batches, carriedForward, settled, skipped, conflicts, errors };
+    } catch (error) {
+      console.error('Error creando lotes de pago:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar como pagadas las comisiones de un saldo en cero (p. ej. un ajuste que compensa
+   * otra comisión) sin crear un ítem para el proveedor
+   * @param {Object} entry - Ítem del plan de pagos con action settle
+   * @returns {Object} - Ítem liquidado
+   */
+  async settleZeroBalance(entry, actor = null) {
+    const paidAt = new Date().toISOString();
+    for (const commissionId of entry.commissionIds) {
+      await this.commissionService.updateCommissionStatus(commissionId, 'paid', { paidAt, actor });
+    }
+    await this.settleCarryForwards(entry.streamerId, entry.currency);
+
+    return { ...entry, paidAt };
+  }
+
+  async getApprovedCommissions(agency) {
+    const result = await this.firestore.getCommissions(agency ? { agency, status: 'approved' } : { status: 'approved' });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Datos del receptor según el método de pago
+   */
+  resolveRecipient(streamer, method) {
+    switch (method) {
+      case 'binance':
+        if (!streamer.binanceId && !streamer.binanceEmail) {
+          throw new Error('El streamer no tiene Binance ID ni email de Binance');
+        }
+        return { binanceId: streamer.binanceId || null, email: streamer.binanceEmail || null };
+      case 'paypal':
+        if (!streamer.paypalEmail && !streamer.email) {
+          throw new Error('El streamer no tiene email de PayPal');
+        }
+        return { email: streamer.paypalEmail || streamer.email };
+      case 'bank':
+        if (!streamer.bankAccount || !streamer.bankAccount.accountNumber) {
+          throw new Error('El streamer no tiene cuenta bancaria registrada');
+        }
+        return { bankAccount: streamer.bankAccount };
+      default:
+        throw new Error(`Método de pago inválido: ${method}`);
+    }
+  }
+
+  /**
+   * Registrar un lote con sus ítems y reservar las comisiones incluidas
+   * El lote queda en creating (no se puede enviar) hasta tener todos sus ítems; si algo
+   * falla a mitad de camino se eliminan los ítems creados y se liberan sus comisiones.
+   * @returns {Object} - { batch (null si no quedó ningún ítem), conflicts }
+   */
+  async createBatch(group, { agency, actor }) {
+    const createdAt = new Date().toISOString();
+
+    const batchData = {
+      agency,
+      method: group.method,
+      currency: group.currency,
+      country: group.country,
+      status: 'creating',
+      itemIds: [],
+      itemCount: 0,
+      totalAmount: 0,
+      providerBatchId: null,
+      createdBy: actor,
+      createdAt
+    };
+
+    const batchResult = await this.firestore.createDocument(COLLECTIONS.PAYOUT_BATCHES, batchData);
+    if (!batchResult.success) {
+      throw new Error(batchResult.error);
+    }
+
+    const itemIds = [];
+    const amounts = [];
+    const conflicts = [];
+    try {
+      for (const entry of group.entries) {
+        const itemResult = await this.firestore.createDocumentWithClaims(COLLECTIONS.PAYOUT_ITEMS, {
+          batchId: batchResult.id,
+          agency,
+          streamerId: entry.streamerId,
+          streamerName: entry.streamerName,
+          method: group.method,
+          country: group.country,
+          currency: entry.currency,
+          amount: entry.amount,
+          recipient: entry.recipient,
+          commissionIds: entry.commissionIds,
+          status: 'queued',
+          providerReference: null,
+          error: null,
+          history: [{ status: 'queued', at: createdAt, actor }],
+          createdAt
+        }, {
+          claimCollection: COLLECTIONS.COMMISSIONS,
+          claimIds: entry.commissionIds,
+          canClaim: isReservable,
+          claimData: itemId => ({ payoutItemId: itemId, payoutBatchId: batchResult.id })
+        });
+
+        if (itemResult.conflicts && itemResult.conflicts.length > 0) {
+          conflicts.push({ streamerId: entry.streamerId, currency: entry.currency, conflicts: itemResult.conflicts });
+          continue;
+        }
+        if (!itemResult.success) {
+          throw new Error(itemResult.error);
+        }
+
+        itemIds.push(itemResult.id);
+        amounts.push(entry.amount);
+      }
+
+      if (itemIds.length === 0) {
+        await this.firestore.deleteDocument(COLLECTIONS.PAYOUT_BATCHES, batchResult.id);
+        return { batch: null, conflicts };
+      }
+
+      const finalData = {
+        status: 'queued',
+        itemIds,
+        itemCount: itemIds.length,
+        totalAmount: Money.sum(amounts, group.currency).toDecimal()
+      };
+      await this.updateBatch(batchResult.id, finalData);
+
+      return { batch: { id: batchResult.id, ...batchData, ...finalData }, conflicts };
+    } catch (error) {
+      await this.discardItems(batchResult.id, itemIds);
+      throw error;
+    }
+  }
+
+  /**
+   * Deshacer un lote a medio crear: elimina sus ítems y libera las comisiones reservadas
+   */
+  async discardItems(batchId, itemIds) {
+    try {
+      for (const itemId of itemIds) {
+        const item = await this.getItem(itemId);
+        await this.firestore.updateDocuments(COLLECTIONS.COMMISSIONS, item.commissionIds, {
+          payoutItemId: null,
+          payoutBatchId: null
+        });
+        await this.firestore.deleteDocument(COLLECTIONS.PAYOUT_ITEMS, itemId);
+      }
+      await this.firestore.deleteDocument(COLLECTIONS.PAYOUT_BATCHES, batchId);
+    } catch (error) {
+      console.error(`Error deshaciendo el lote de pago ${batchId}:`, error);
+    }
+  }
+
+  /**
+   * Enviar un lote a su proveedor
+   * El lote se marca sending en una transacción antes de llamar al proveedor: un segundo
+   * envío concurrente lo encuentra reservado y se rechaza. Si el proveedor no acepta el
+   * lote, vuelve a la cola con el error.
+   * @param {string} batchId - ID del lote
+   * @param {Object} params - { actor }
+   * @returns {Object} - Lote actualizado
+   */
+  async sendBatch(batchId, { actor = null } = {}) {
+    try {
+      const claim = await this.firestore.setDocumentInTransaction(COLLECTIONS.PAYOUT_BATCHES, batchId, (current) => {
+        if (!current) {
+          throw new Error(`Lote de pago ${batchId} no encontrado`);
+        }
+        if (current.status !== 'queued') {
+          throw new Error(`El lote ${batchId} ya fue enviado (${current.status})`);
+        }
+
+        const { id, ...data } = current;
+        return { ...data, status: 'sending', sentBy: actor, sendingAt: new Date().toISOString() };
+      });
+      if (!claim.success) {
+        throw new Error(claim.error);
+      }
+      const batch = { id: batchId, ...claim.data };
+
+      const items = (await this.getBatchItems(batchId)).filter(item => item.status === 'queued');
+      let response;
+      try {
+        response = await this.getProvider(batch.method).send(batch, items);
+      } catch (error) {
+        await this.updateBatch(batchId, { status: 'queued', sendError: error.message });
+        throw error;
+      }
+
+      await this.updateBatch(batchId, {
+        providerBatchId: response.providerBatchId || null,
+        sendError: null,
+        sentAt: new Date().toISOString()
+      });
+
+      for (const result of response.results) {
+        await this.updateItemStatus(result.itemId, result.status, {
+          providerReference: result.providerReference,
+          error: result.error,
+          actor
+        });
+      }
+      await this.updateBatchStatus(batchId);
+
+      console.log(`📤 Lote ${batchId} enviado a ${batch.method}: ${items.length} pagos`);
+      return await this.getBatch(batchId);
+    } catch (error) {
+      console.error('Error enviando lote de pago:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consultar al proveedor el estado de los ítems enviados
+   * @param {string} batchId - ID del lote
+   * @returns {Object} - Lote actualizado
+   */
+  async refreshBatch(batchId, { actor = null } = {}) {
+    try {
+      const batch = await this.getBatch(batchId);
+      const items = (await this.getBatchItems(batchId)).filter(item => item.status === 'sent');
+      if (items.length === 0) {
+        return batch;
+      }
+
+      const statuses = await this.getProvider(batch.method).getStatus(batch, items);
+      const sentIds = new Set(items.map(item => item.id));
+
+      for (const status of statuses) {
+        if (sentIds.has(status.itemId) && status.status !== 'sent') {
+          await this.updateItemStatus(status.itemId, status.status, {
+            providerReference: status.providerReference,
+            error: status.error,
+            actor
+          });
+        }
+      }
+
+      return await this.getBatch(batchId);
+    } catch (error) {
+      console.error('Error consultando estado del lote de pago:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambiar el estado de un ítem de pago
+   * confirmed marca sus comisiones como pagadas; failed las libera para un nuevo lote.
+   * El ítem, sus comisiones y las entradas de pago del libro mayor se guardan en una
+   * sola transacción: o cambian todos o ninguno.
+   * @param {string} itemId - ID del ítem
+   * @param {string} status - sent, confirmed o failed
+   * @param {Object} params - { providerReference, error, actor }
+   * @returns {Object} - Ítem actualizado
+   */
+  async updateItemStatus(itemId, status, { providerReference = null, error = null, actor = null } = {}) {
+    const item = await this.getItem(itemId);
+    if (item.status === status) {
+      return item;
+    }
+    this.assertItemTransition(item, status);
+
+    const at = new Date().toISOString();
+    const reference = providerReference || item.providerReference;
+
+    const commissionChanges = [];
+    const ledgerEntries = [];
+    if (status === 'confirmed' || status === 'failed') {
+      for (const commissionId of item.commissionIds) {
+        const prepared = status === 'confirmed'
+          ? await this.commissionService.buildStatusChange(commissionId, 'paid', {
+            paidAt: at,
+            paymentMethod: item.method,
+            providerReference: reference,
+            actor
+          })
+          : await this.commissionService.buildStatusChange(commissionId, 'failed', {
+            failedAt: at,
+            providerReference: reference,
+            payoutError: error || 'Pago rechazado por el proveedor',
+            payoutItemId: null,
+            payoutBatchId: null
+          });
+        commissionChanges.push(prepared.change);
+        ledgerEntries.push(...prepared.ledgerEntries);
+      }
+    }
+
+    const itemChange = {
+      collectionName: COLLECTIONS.PAYOUT_ITEMS,
+      id: itemId,
+      update: (current) => {
+        if (!current) {
+          throw new Error(`Ítem de pago ${itemId} no encontrado`);
+        }
+        // Se vuelve a verificar contra el ítem vigente: otra actualización pudo adelantarse
+        this.assertItemTransition(current, status);
+
+        const { id, ...data } = current;
+        return {
+          ...data,
+          status,
+          providerReference: providerReference || current.providerReference,
+          error: status === 'failed' ? (error || 'Pago rechazado por el proveedor') : null,
+          history: [...(current.history || []), { status, at, actor, providerReference, error }]
+        };
+      }
+    };
+
+    const result = await this.firestore.setDocumentsInTransaction([itemChange, ...commissionChanges], { ledgerEntries });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const [updated, ...commissions] = result.data;
+    for (const [index, commission] of commissions.entries()) {
+      await this.commissionService.notifyCommissionStatusChange({ id: item.commissionIds[index], ...commission });
+    }
+
+    if (status === 'confirmed') {
+      await this.settleCarryForwards(item.streamerId, item.currency, { settledByPayoutItemId: itemId });
+    }
+
+    await this.updateBatchStatus(item.batchId);
+    return { id: itemId, ...updated };
+  }
+
+  assertItemTransition(item, status) {
+    const allowed = PAYOUT_ITEM_TRANSITIONS[item.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(`Transición inválida de pago: ${item.status} → ${status}`);
+    }
+  }
+
+  /**
+   * Estado del lote derivado de sus ítems
+   */
+  async updateBatchStatus(batchId) {
+    const items = await this.getBatchItems(batchId);
+    const count = status => items.filter(item => item.status === status).length;
+    const counts = { queued: count('queued'), sent: count('sent'), confirmed: count('confirmed'), failed: count('failed') };
+
+    let status = 'queued';
+    if (counts.confirmed === items.length) status = 'completed';
+    else if (counts.failed === items.length) status = 'failed';
+    else if (counts.queued + counts.sent === 0) status = 'partially_failed';
+    else if (counts.queued < items.length) status = 'sent';
+
+    await this.updateBatch(batchId, { status, counts });
+    return status;
+  }
+
+  /**
+   * Generar el archivo o JSON del proveedor para un lote
+   * @returns {Object} - { contentType, filename, body }
+   */
+  async exportBatch(batchId) {
+    const batch = await this.getBatch(batchId);
+    const items = await this.getBatchItems(batchId);
+    return this.getProvider(batch.method).buildPayload(batch, items);
+  }
+
+  async getBatch(batchId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.PAYOUT_BATCHES, batchId);
+    if (!result.success) {
+      throw new Error(`Lote de pago ${batchId} no encontrado`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Listar lotes
+   * @param {Object} filters - { agency, method, status }
+   */
+  async getBatches(filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.PAYOUT_BATCHES, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getBatchItems(batchId) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.PAYOUT_ITEMS, { batchId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  }
+
+  async getItem(itemId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.PAYOUT_ITEMS, itemId);
+    if (!result.success) {
+      throw new Error(`Ítem de pago ${itemId} no encontrado`);
+    }
+
+    return result.data;
+  }
+
+  async updateBatch(batchId, data) {
+    const result = await this.firestore.updateDocument(COLLECTIONS.PAYOUT_BATCHES, batchId, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Historial de arrastres de un streamer
+   * @param {string} streamerId - ID del streamer
+   * @param {Object} filters - { currency, status }
+   */
+  async getCarryForwards(streamerId, filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.PAYOUT_CARRY_FORWARDS, { streamerId, ...filters });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(a.carriedAt) - new Date(b.carriedAt));
+  }
+
+  async getCarriedCommissions(streamerId, currency) {
+    const result = await this.firestore.getCommissions({ streamerId, status: 'carried_forward' });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    // Las que ya están en un lote de pago en curso o en disputa no se incluyen
+    return result.data
+      .filter(commission => (commission.currency || DEFAULT_PAYOUT_CURRENCY) === currency)
+      .filter(commission => !commission.payoutItemId)
+      .filter(commission => commission.disputeStatus !== 'open');
+  }
+
+  /**
+   * Saldo pendiente del streamer en una comisión según el libro mayor
+   */
+  async getStreamerBalance(commission) {
+    const currency = commission.currency || DEFAULT_PAYOUT_CURRENCY;
+    const balances = await this.ledger.getCommissionBalance(commission.id);
+
+    return Money.sum(Object.values(balances)
+      .filter(balance => balance.partyType === 'streamer' && balance.currency === currency)
+      .map(balance => balance.amount), currency);
+  }
+}
+
+// Instancia singleton
+const payoutService = new PayoutService();
+
+export default payoutService;
+export { PAYMENT_METHODS, DEFAULT_PAYOUT_THRESHOLDS, PAYOUT_ITEM_TRANSITIONS };
@@ -0,0 +1,488 @@
+/**
+ * Corridas de Nómina - Luxery Prime Agency
+ * Periodos semanales, quincenales o mensuales que agrupan ganancias y comisiones.
+ * Las ganancias importadas se guardan fuera de la corrida (una por documento, con su
+ * runId) para no acercarse al límite de tamaño de documento de Firestore.
+ * Flujo: draft → review → approved (periodo cerrado) → paid
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import commissionService from './commission-service.js';
+import payoutService from './payout-service.js';
+import { Money } from '../utils/money.js';
+
+const PERIOD_TYPES = ['weekly', 'biweekly', 'monthly'];
+
+// Transiciones permitidas de la máquina de estados
+const RUN_TRANSITIONS = {
+  draft: ['review'],
+  review: ['draft', 'approved'],
+  approved: ['paid'],
+  paid: []
+};
+
+class PayrollService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.commissionService = commissionService;
+    this.payouts = payoutService;
+  }
+
+  /**
+   * Calcular fin (exclusivo) de un periodo
+   * @param {Date} start - Inicio del periodo
+   * @param {string} periodType - weekly, biweekly o monthly
+   * @returns {Date} - Fin del periodo
+   */
+  calculatePeriodEnd(start, periodType) {
+    const end = new Date(start);
+
+    switch (periodType) {
+      case 'weekly':
+        end.setUTCDate(end.getUTCDate() + 7);
+        break;
+      case 'biweekly':
+        end.setUTCDate(end.getUTCDate() + 14);
+        break;
+      case 'monthly':
+        end.setUTCMonth(end.getUTCMonth() + 1);
+        break;
+      default:
+        throw new Error(`Tipo de periodo inválido: ${periodType}. Válidos: ${PERIOD_TYPES.join(', ')}`);
+    }
+
+    return end;
+  }
+
+  /**
+   * Abrir un periodo de nómina
+   * @param {Object} params - { agency, periodType, startDate, actor }
+   * @returns {Object} - Corrida creada
+   */
+  async openPeriod({ agency, periodType, startDate, actor = null }) {
+    try {
+      if (!agency) {
+        throw new Error('La agencia es requerida');
+      }
+
+      const start = new Date(startDate);
+      if (isNaN(start.getTime())) {
+        throw new Error('Fecha de inicio inválida');
+      }
+
+      const periodStart = start.toISOString();
+      const periodEnd = this.calculatePeriodEnd(start, periodType).toISOString();
+
+      const existing = await this.firestore.getDocuments(COLLECTIONS.PAYROLL_RUNS, { agency, periodType, periodStart });
+      if (!existing.success) {
+        throw new Error(existing.error);
+      }
+      if (existing.count > 0) {
+        throw new Error(`Ya existe una nómina ${periodType} para ${agency} desde ${periodStart}`);
+      }
+
+      const run = {
+        agency,
+        periodType,
+        periodStart,
+        periodEnd,
+        status: 'draft',
+        locked: false,
+        earningsCount: 0,
+        commissionIds: [],
+        totals: null,
+        history: [{ from: null, to: 'draft', actor, at: new Date().toISOString() }]
+      };
+
+      const result = await this.firestore.createDocument(COLLECTIONS.PAYROLL_RUNS, run);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      console.log(`📅 Nómina ${periodType} abierta para ${agency}: ${periodStart} → ${periodEnd}`);
+      return { id: result.id, ...run };
+    } catch (error) {
+      console.error('Error abriendo periodo de nómina:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener corrida de nómina
+   * @param {string} runId - ID de la corrida
+   * @returns {Object} - Corrida
+   */
+  async getRun(runId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.PAYROLL_RUNS, runId);
+    if (!result.success) {
+      throw new Error(`Nómina ${runId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Ganancias importadas a una corrida, en el orden en que se importaron
+   * @param {string} runId - ID de la corrida
+   * @returns {Array} - Ganancias
+   */
+  async getRunEarnings(runId) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.PAYROLL_EARNINGS, { runId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Origen de una ganancia para la clave de idempotencia
+   * Sin sourceRow se deriva de la fecha y el monto (streamer y app ya van en la clave),
+   * igual que en la importación de reportes: reimportar el mismo archivo da el mismo origen.
+   */
+  getSourceRow(earning) {
+    if (earning.sourceRow !== undefined && earning.sourceRow !== null && earning.sourceRow !== '') {
+      return earning.sourceRow;
+    }
+
+    const day = new Date(earning.date).toISOString().split('T')[0];
+    return `${day}_${earning.amount}${earning.currency || 'USD'}`;
+  }
+
+  /**
+   * Listar corridas de una agencia
+   * @param {string} agency - ID de la agencia
+   * @param {Object} filters - { status, periodType }
+   * @returns {Array} - Corridas
+   */
+  async getRuns(agency, filters = {}) {
+    const result = await this.firestore.getDocuments(
+      COLLECTIONS.PAYROLL_RUNS,
+      { agency, ...filters },
+      { orderBy: 'periodStart', direction: 'desc' }
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Importar ganancias al borrador
+   * Una fila con el mismo origen (streamer, app y sourceRow) que otra ya importada se omite;
+   * sin sourceRow, dos filas con la misma fecha y monto se consideran la misma ganancia.
+   * @param {string} runId - ID de la corrida
+   * @param {Array} earnings - [{ streamerId, app, amount, currency, date, sourceRow }]
+   * @returns {Object} - Resumen de la importación
+   */
+  async importEarnings(runId, earnings) {
+    try {
+      const run = await this.getRun(runId);
+      this.assertStatus(run, 'draft');
+
+      const accepted = [];
+      const rejected = [];
+      const duplicates = [];
+      const sourceKey = (earning) => `${earning.streamerId}|${earning.app}|${earning.sourceRow}`;
+      const existing = await this.getRunEarnings(runId);
+      const seen = new Set(existing.map(earning => sourceKey({ ...earning, sourceRow: this.getSourceRow(earning) })));
+
+      earnings.forEach((earning, index) => {
+        const date = new Date(earning.date || run.periodStart);
+        const errors = [];
+
+        if (!earning.streamerId) errors.push('streamerId es requerido');
+        if (!earning.app) errors.push('app es requerida');
+        if (typeof earning.amount !== 'number' || isNaN(earning.amount) || earning.amount < 0) {
+          errors.push('amount debe ser un número positivo');
+        }
+        if (earning.currency !== undefined && typeof earning.currency !== 'string') {
+          errors.push('currency debe ser un código de moneda');
+        }
+        if (date < new Date(run.periodStart) || date >= new Date(run.periodEnd)) {
+          errors.push('La fecha está fuera del periodo');
+        }
+
+        if (errors.length > 0) {
+          rejected.push({ index, earning, errors });
+          return;
+        }
+
+        const sourceRow = this.getSourceRow({ ...earning, date: date.toISOString() });
+        const key = sourceKey({ ...earning, sourceRow });
+        if (seen.has(key)) {
+          duplicates.push({ index, earning });
+          return;
+        }
+        seen.add(key);
+
+        accepted.push({ ...earning, sourceRow, date: date.toISOString() });
+      });
+
+      // index numera las ganancias dentro de la corrida
+      const earningsCount = run.earningsCount || existing.length;
+      const saved = await this.firestore.createDocuments(COLLECTIONS.PAYROLL_EARNINGS, accepted.map((earning, offset) => ({
+        ...earning,
+        runId,
+        index: earningsCount + offset
+      })));
+      if (!saved.success) {
+        throw new Error(saved.error);
+      }
+      await this.updateRun(runId, { earningsCount: earningsCount + accepted.length });
+
+      return {
+        imported: accepted.length,
+        rejected: rejected.length,
+        duplicates: duplicates.length,
+        errors: rejected,
+        duplicateRows: duplicates
+      };
+    } catch (error) {
+      console.error('Error importando ganancias a la nómina:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calcular todas las comisiones del borrador
+   * Recalcular reemplaza las comisiones calculadas anteriormente.
+   * @param {string} runId - ID de la corrida
+   * @param {string} actor - Usuario que calcula (queda como creador de las comisiones)
+   * @returns {Object} - Resultado del lote de comisiones
+   */
+  async computeCommissions(runId, actor = null) {
+    try {
+      const run = await this.getRun(runId);
+      this.assertStatus(run, 'draft');
+
+      // Anular comisiones de un cálculo previo del mismo borrador;
+      // sus devengos se reversan para conservar la traza en el libro mayor
+      for (const commissionId of run.commissionIds) {
+        await this.commissionService.reverseCommission(commissionId, {
+          reason: `Recálculo del borrador de nómina ${runId}`
+        });
+        await this.firestore.updateCommission(commissionId, {
+          status: 'cancelled',
+          cancelledAt: new Date().toISOString()
+        });
+      }
+
+      const commissions = [];
+      const errors = [];
+
+      for (const earning of await this.getRunEarnings(runId)) {
+        try {
+          commissions.push(await this.commissionService.calculateCommission(
+            earning.streamerId,
+            { amount: earning.amount, currency: earning.currency },
+            earning.app,
+            {
+              date: earning.date,
+              period: run.periodStart,
+              sourceRow: this.getSourceRow(earning)
+            }
+          ));
+        } catch (error) {
+          errors.push({ streamerId: earning.streamerId, error: error.message });
+        }
+      }
+
+      const batch = await this.commissionService.processCommissionBatch(commissions, { payrollRun: run, actor });
+
+      // Las líneas que ya pertenecen a otra nómina no suman en esta
+      const duplicated = new Set(batch.duplicates.map(duplicate => duplicate.idempotencyKey));
+      const totals = this.calculateTotals([
+        ...commissions.filter(commission => !duplicated.has(commission.idempotencyKey)),
+        ...batch.bonuses
+      ]);
+      await this.updateRun(runId, { commissionIds: batch.commissionIds, totals });
+
+      return {
+        ...batch,
+        calculationErrors: errors,
+        totals
+      };
+    } catch (error) {
+      console.error('Error calculando comisiones de la nómina:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Totales de la corrida por moneda
+   * Se suman en unidades menores y se verifica que el reparto cuadre al centavo.
+   * @param {Array} commissions - Comisiones calculadas
+   * @returns {Object} - Totales por moneda
+   */
+  calculateTotals(commissions) {
+    const byCurrency = {};
+
+    commissions.forEach(commission => {
+      const currency = commission.currency || 'USD';
+      if (!byCurrency[currency]) {
+        byCurrency[currency] = {
+          commissions: 0,
+          baseAmount: Money.zero(currency),
+          streamer: Money.zero(currency),
+          leader: Money.zero(currency),
+          agency: Money.zero(currency),
+          withholding: Money.zero(currency)
+        };
+      }
+
+      const totals = byCurrency[currency];
+      totals.commissions++;
+      totals.baseAmount = totals.baseAmount.add(commission.baseAmount);
+      totals.streamer = totals.streamer.add(commission.streamerCommission);
+      totals.leader = totals.leader.add(commission.leaderCommission);
+      totals.agency = totals.agency.add(commission.agencyCommission);
+      totals.withholding = totals.withholding.add(commission.withholdingAmount || 0);
+    });
+
+    return Object.fromEntries(Object.entries(byCurrency).map(([currency, totals]) => {
+      const distributed = totals.streamer.add(totals.leader).add(totals.agency);
+      return [currency, {
+        commissions: totals.commissions,
+        baseAmount: totals.baseAmount.toDecimal(),
+        streamer: totals.streamer.toDecimal(),
+        leader: totals.leader.toDecimal(),
+        agency: totals.agency.toDecimal(),
+        withholding: totals.withholding.toDecimal(),
+        reconciled: distributed.equals(totals.baseAmount)
+      }];
+    }));
+  }
+
+  /**
+   * Enviar borrador a revisión
+   */
+  async submitForReview(runId, actor) {
+    const run = await this.getRun(runId);
+    if (run.commissionIds.length === 0) {
+      throw new Error('La nómina no tiene comisiones calculadas');
+    }
+
+    return this.transition(run, 'review', actor);
+  }
+
+  /**
+   * Devolver a borrador para corregir
+   */
+  async returnToDraft(runId, actor) {
+    const run = await this.getRun(runId);
+    return this.transition(run, 'draft', actor);
+  }
+
+  /**
+   * Cerrar el periodo: aprueba la corrida y bloquea sus comisiones
+   * A partir de aquí cualquier corrección requiere un ajuste. Cada comisión se aprueba
+   * con las reglas de aprobación; las que superan el límite quedan esperando una segunda
+   * aprobación y no se pagan hasta completarla.
+   * @param {string} runId - ID de la corrida
+   * @param {string} actor - Usuario que aprueba
+   * @param {Object} options - { token: sesión de quien aprueba }
+   * @returns {Object} - Corrida actualizada
+   */
+  async closePeriod(runId, actor, { token = null } = {}) {
+    try {
+      const run = await this.getRun(runId);
+      this.assertTransition(run, 'approved');
+
+      const lockedAt = new Date().toISOString();
+      const lockResult = await this.firestore.updateDocuments(COLLECTIONS.COMMISSIONS, run.commissionIds, {
+        locked: true,
+        lockedAt
+      });
+      if (!lockResult.success) {
+        throw new Error(lockResult.error);
+      }
+
+      const approvalSummary = { approved: 0, awaitingApproval: [], errors: [] };
+      for (const commissionId of run.commissionIds) {
+        try {
+          const commission = await this.commissionService.approveCommission(commissionId, { token, actor });
+          if (commission.awaitingApproval) {
+            approvalSummary.awaitingApproval.push(commissionId);
+          } else {
+            approvalSummary.approved++;
+          }
+        } catch (error) {
+          approvalSummary.errors.push({ commissionId, error: error.message });
+        }
+      }
+
+      const updated = await this.transition(run, 'approved', actor, { locked: true, lockedAt, approvalSummary });
+      console.log(`🔒 Nómina ${runId} cerrada con ${run.commissionIds.length} comisiones`);
+
+      return updated;
+    } catch (error) {
+      console.error('Error cerrando periodo de nómina:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marcar la corrida y sus comisiones como pagadas
+   */
+  async markPaid(runId, actor) {
+    try {
+      const run = await this.getRun(runId);
+      this.assertTransition(run, 'paid');
+
+      // Los saldos bajo el mínimo del método de pago se arrastran al siguiente periodo
+      const payouts = await this.payouts.processRunPayouts(run, { actor });
+
+      return await this.transition(run, 'paid', actor, {
+        payoutSummary: { paid: payouts.paid, carriedForward: payouts.carriedForward }
+      });
+    } catch (error) {
+      console.error('Error marcando nómina como pagada:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aplicar transición de estado y registrarla en el historial
+   */
+  async transition(run, to, actor = null, additionalData = {}) {
+    this.assertTransition(run, to);
+
+    const history = [
+      ...(run.history || []),
+      { from: run.status, to, actor, at: new Date().toISOString() }
+    ];
+
+    await this.updateRun(run.id, { status: to, history, ...additionalData });
+    return { ...run, status: to, history, ...additionalData };
+  }
+
+  assertTransition(run, to) {
+    const allowed = RUN_TRANSITIONS[run.status] || [];
+    if (!allowed.includes(to)) {
+      throw new Error(`Transición inválida de nómina: ${run.status} → ${to}`);
+    }
+  }
+
+  assertStatus(run, status) {
+    if (run.status !== status) {
+      throw new Error(`La nómina ${run.id} debe estar en estado ${status} (actual: ${run.status})`);
+    }
+  }
+
+  async updateRun(runId, updateData) {
+    const result = await this.firestore.updateDocument(COLLECTIONS.PAYROLL_RUNS, runId, updateData);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+}
+
+// Instancia singleton
+const payrollService = new PayrollService();
+
+export default payrollService;
+export { PERIOD_TYPES, RUN_TRANSITIONS };
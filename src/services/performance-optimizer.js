@@ -3,6 +3,9 @@
  * Soluciona problemas de rendimiento y optimiza APIs
  */
 
+const { commissionRuleEngine } = require('./commission-rule-engine');
+const { roundMoney } = require('../utils/money');
+
 class PerformanceOptimizer {
   constructor() {
     this.cache = new Map();
@@ -250,7 +253,7 @@ class PerformanceOptimizer {
       email: streamer.email,
       country: streamer.country,
       level: streamer.level,
-      earnings: Math.round(streamer.earnings * 100) / 100, // Redondear a 2 decimales
+      earnings: roundMoney(streamer.earnings), // Redondear a 2 decimales
       status: streamer.status
     }));
   }
@@ -259,23 +262,21 @@ class PerformanceOptimizer {
    * Calcular comisión optimizado
    */
   calculateCommissionOptimized(streamerData) {
-    const levelMultipliers = {
-      1: 0.05,  // 5%
-      2: 0.10,  // 10%
-      3: 0.15,  // 15%
-      4: 0.20,  // 20%
-      5: 0.25   // 25%
-    };
-
-    const multiplier = levelMultipliers[streamerData.level] || 0.05;
-    const commission = streamerData.earnings * multiplier;
+    const calculation = commissionRuleEngine.calculate({
+      amount: streamerData.earnings,
+      level: streamerData.level,
+      app: streamerData.app,
+      agency: streamerData.agency,
+      date: streamerData.date
+    });
 
     return {
       streamerId: streamerData.id,
       earnings: streamerData.earnings,
       level: streamerData.level,
-      multiplier,
-      commission: Math.round(commission * 100) / 100,
+      multiplier: calculation.commissionRate,
+      ruleSetVersion: calculation.ruleSetVersion,
+      commission: calculation.commissionAmount,
       calculatedAt: new Date().toISOString()
     };
   }
@@ -0,0 +1,288 @@
+/**
+ * Conciliación de Pagos - Luxery Prime Agency
+ * Importa los extractos de Binance, PayPal o el banco (CSV/JSON), cruza cada línea con
+ * los ítems de pago por referencia, monto y receptor, y marca las comisiones como
+ * pagadas o fallidas con la referencia del proveedor.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import payoutService from './payout-service.js';
+import { parseCsv, parseJsonRows, pickField, parseNumber } from '../utils/tabular.js';
+import { Money } from '../utils/money.js';
+
+// Alias de columnas en los extractos de cada proveedor
+const STATEMENT_FIELDS = {
+  reference: ['reference', 'referencia', 'merchantSendId', 'sender_item_id', 'senderItemId', 'custom_field', 'note'],
+  providerReference: ['transaction_id', 'transactionId', 'payout_item_id', 'orderId', 'order_id', 'tranId', 'id_transaccion', 'comprobante'],
+  amount: ['amount', 'transferAmount', 'monto', 'value', 'gross', 'valor', 'importe'],
+  currency: ['currency', 'moneda', 'currency_code', 'asset'],
+  recipient: ['receiver', 'recipient', 'email', 'receiver_email', 'binanceId', 'account_number', 'cuenta', 'clabe'],
+  status: ['status', 'transaction_status', 'estado']
+};
+
+const SUCCESS_STATUSES = ['success', 'successful', 'succeeded', 'completed', 'complete', 'confirmed', 'paid', 'pagado', 'exitoso', 'aprobado', 'procesado'];
+const FAILED_STATUSES = ['failed', 'fail', 'rejected', 'returned', 'blocked', 'refunded', 'reversed', 'denied', 'fallido', 'rechazado', 'devuelto'];
+
+// Resultado de cada línea del extracto
+const MATCH_RESULTS = ['matched', 'failed', 'partial', 'duplicate', 'unmatched', 'pending'];
+
+class ReconciliationService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.payouts = payoutService;
+  }
+
+  /**
+   * Conciliar un extracto del proveedor
+   * @param {Object} params - { content, format (csv|json), method (binance|paypal|bank), batchId, actor, dryRun }
+   * @returns {Object} - Resumen y resultado por línea
+   */
+  async reconcileStatement({ content, format = 'csv', method, batchId = null, actor = null, dryRun = false }) {
+    try {
+      const lines = this.parseStatement(content, format);
+      const items = await this.getCandidateItems({ method, batchId });
+      const results = this.matchLines(lines, items);
+
+      if (!dryRun) {
+        for (const result of results) {
+          await this.applyResult(result, actor);
+        }
+      }
+
+      const matchedIds = new Set(results.filter(result => result.itemId).map(result => result.itemId));
+      const missing = items
+        .filter(item => item.status === 'sent' && !matchedIds.has(item.id))
+        .map(item => ({ itemId: item.id, streamerId: item.streamerId, amount: item.amount, currency: item.currency }));
+
+      const summary = Object.fromEntries(MATCH_RESULTS.map(type => [
+        type, results.filter(result => result.result === type).length
+      ]));
+
+      const reconciliation = {
+        method,
+        batchId,
+        format,
+        dryRun,
+        lines: lines.length,
+        summary,
+        missing,
+        results,
+        actor,
+        reconciledAt: new Date().toISOString()
+      };
+
+      if (!dryRun) {
+        const saved = await this.firestore.createDocument(COLLECTIONS.RECONCILIATIONS, reconciliation);
+        if (!saved.success) {
+          throw new Error(saved.error);
+        }
+        reconciliation.id = saved.id;
+      }
+
+      console.log(`🧾 Conciliación ${method}: ${summary.matched} conciliadas, ${summary.unmatched} sin cruzar`);
+      return reconciliation;
+    } catch (error) {
+      console.error('Error conciliando extracto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalizar las líneas del extracto
+   * @returns {Array} - [{ line, reference, providerReference, amount, currency, recipient, status }]
+   */
+  parseStatement(content, format) {
+    let records;
+    if (format === 'json') {
+      records = parseJsonRows(content, ['items', 'data', 'transferDetailList', 'transactions', 'rows']);
+    } else if (format === 'csv') {
+      records = parseCsv(content);
+    } else {
+      throw new Error(`Formato no soportado: ${format}. Válidos: csv, json`);
+    }
+
+    return records.map(record => {
+      const amount = pickField(record, STATEMENT_FIELDS.amount);
+      const currency = pickField(record, STATEMENT_FIELDS.currency);
+
+      return {
+        line: record.__line,
+        reference: this.clean(pickField(record, STATEMENT_FIELDS.reference)),
+        providerReference: this.clean(pickField(record, STATEMENT_FIELDS.providerReference)),
+        amount: typeof amount === 'object' && amount !== null
+          ? parseNumber(amount.value)
+          : parseNumber(amount),
+        currency: currency
+          ? String(currency).toUpperCase()
+          : (amount && amount.currency ? String(amount.currency).toUpperCase() : null),
+        recipient: this.normalizeRecipient(pickField(record, STATEMENT_FIELDS.recipient)),
+        status: this.normalizeStatus(pickField(record, STATEMENT_FIELDS.status))
+      };
+    });
+  }
+
+  /**
+   * Ítems que pueden aparecer en el extracto: los del lote indicado o los enviados del método
+   */
+  async getCandidateItems({ method, batchId }) {
+    if (batchId) {
+      return this.payouts.getBatchItems(batchId);
+    }
+
+    if (!method) {
+      throw new Error('Indique el método de pago o el lote a conciliar');
+    }
+
+    const result = await this.firestore.getDocuments(COLLECTIONS.PAYOUT_ITEMS, { method });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.filter(item => ['sent', 'confirmed', 'failed'].includes(item.status));
+  }
+
+  /**
+   * Cruzar líneas con ítems
+   * Primero por referencia (ID del ítem o referencia del proveedor); si no hay, por
+   * receptor y monto entre los ítems aún no cruzados.
+   */
+  matchLines(lines, items) {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const byProviderReference = new Map(items
+      .filter(item => item.providerReference)
+      .map(item => [item.providerReference, item]));
+    const claimed = new Set();
+
+    return lines.map(line => {
+      let item = (line.reference && byId.get(line.reference)) ||
+        (line.providerReference && byProviderReference.get(line.providerReference)) ||
+        (line.reference && byProviderReference.get(line.reference)) ||
+        null;
+      let matchedBy = item ? 'reference' : null;
+
+      if (!item && line.recipient && line.amount !== null) {
+        item = items.find(candidate => !claimed.has(candidate.id) &&
+          this.recipientOf(candidate) === line.recipient &&
+          this.sameAmount(candidate, line)) || null;
+        matchedBy = item ? 'recipient_amount' : null;
+      }
+
+      const base = {
+        line: line.line,
+        reference: line.reference,
+        providerReference: line.providerReference,
+        amount: line.amount,
+        currency: line.currency,
+        recipient: line.recipient,
+        status: line.status,
+        itemId: item ? item.id : null,
+        matchedBy
+      };
+
+      if (!item) {
+        return { ...base, result: 'unmatched', reason: 'No se encontró un pago con esa referencia, receptor y monto' };
+      }
+
+      if (claimed.has(item.id) || (item.status === 'confirmed' && line.status !== 'failed')) {
+        return { ...base, result: 'duplicate', reason: `El pago ${item.id} ya fue conciliado` };
+      }
+      claimed.add(item.id);
+
+      if (line.status === 'failed') {
+        return { ...base, result: 'failed', reason: 'El proveedor reporta el pago como fallido' };
+      }
+      if (line.status === 'pending') {
+        return { ...base, result: 'pending', reason: 'El proveedor aún no confirma el pago' };
+      }
+      if (line.amount === null || !this.sameAmount(item, line)) {
+        return { ...base, result: 'partial', reason: `Monto ${line.amount} distinto al esperado ${item.amount} ${item.currency}` };
+      }
+
+      return { ...base, result: 'matched' };
+    });
+  }
+
+  /**
+   * Aplicar el resultado de una línea al ítem de pago
+   * confirmed y failed marcan las comisiones vía updateCommissionStatus con la referencia del proveedor.
+   */
+  async applyResult(result, actor) {
+    if (!['matched', 'failed'].includes(result.result)) {
+      return;
+    }
+
+    try {
+      const item = await this.payouts.getItem(result.itemId);
+      const target = result.result === 'matched' ? 'confirmed' : 'failed';
+
+      // Ítems de archivos bancarios exportados pero aún en cola se dan por enviados
+      if (item.status === 'queued') {
+        await this.payouts.updateItemStatus(item.id, 'sent', { actor });
+      }
+
+      await this.payouts.updateItemStatus(item.id, target, {
+        providerReference: result.providerReference || result.reference,
+        error: target === 'failed' ? 'Rechazado según extracto del proveedor' : null,
+        actor
+      });
+      result.applied = true;
+    } catch (error) {
+      result.applied = false;
+      result.error = error.message;
+    }
+  }
+
+  /**
+   * Historial de conciliaciones
+   * @param {Object} filters - { method, batchId }
+   */
+  async getReconciliations(filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.RECONCILIATIONS, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(b.reconciledAt) - new Date(a.reconciledAt));
+  }
+
+  sameAmount(item, line) {
+    const currency = item.currency;
+    if (line.currency && line.currency !== currency) {
+      return false;
+    }
+
+    return Money.fromDecimal(Math.abs(line.amount), currency).equals(item.amount);
+  }
+
+  recipientOf(item) {
+    const recipient = item.recipient || {};
+    return this.normalizeRecipient(
+      recipient.email || recipient.binanceId || (recipient.bankAccount || {}).accountNumber
+    );
+  }
+
+  normalizeRecipient(value) {
+    return value ? String(value).trim().toLowerCase() : null;
+  }
+
+  normalizeStatus(value) {
+    if (!value) {
+      return 'success'; // Extractos sin columna de estado solo listan movimientos realizados
+    }
+
+    const status = String(value).trim().toLowerCase();
+    if (SUCCESS_STATUSES.includes(status)) return 'success';
+    if (FAILED_STATUSES.includes(status)) return 'failed';
+    return 'pending';
+  }
+
+  clean(value) {
+    return value === null || value === undefined ? null : String(value).trim() || null;
+  }
+}
+
+// Instancia singleton
+const reconciliationService = new ReconciliationService();
+
+export default reconciliationService;
+export { STATEMENT_FIELDS, MATCH_RESULTS };
@@ -0,0 +1,280 @@
+/**
+ * Estados de Cuenta - Luxery Prime Agency
+ * Estado de cuenta por streamer para cualquier rango de fechas, construido
+ * a partir del libro mayor de comisiones. Exportable a JSON, CSV y HTML imprimible.
+ */
+
+import commissionLedger from './commission-ledger.js';
+import commissionService from './commission-service.js';
+import { Money } from '../utils/money.js';
+
+const CSV_HEADERS = ['Fecha', 'Tipo', 'App', 'Comision_ID', 'Descripcion', 'Monto', 'Saldo'];
+
+const ENTRY_LABELS = {
+  accrual: 'Comisión devengada',
+  adjustment: 'Ajuste',
+  clawback: 'Recuperación',
+  reversal: 'Reverso',
+  withholding: 'Retención',
+  transfer: 'Traspaso',
+  payout: 'Pago'
+};
+
+class StatementService {
+  constructor() {
+    this.ledger = commissionLedger;
+    this.commissionService = commissionService;
+  }
+
+  /**
+   * Generar estado de cuenta de un streamer
+   * @param {string} streamerId - ID del streamer
+   * @param {Object} dateRange - { from, to } (ambos inclusivos)
+   * @param {string} currency - Moneda del estado de cuenta
+   * @returns {Object} - Estado de cuenta
+   */
+  async generateStatement(streamerId, { from, to = new Date() } = {}, currency = 'USD') {
+    try {
+      const fromDate = from ? new Date(from) : new Date(0);
+      const toDate = new Date(to);
+      // Una fecha sin hora (YYYY-MM-DD) incluye el día completo
+      if (typeof to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        toDate.setUTCHours(23, 59, 59, 999);
+      }
+      if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate > toDate) {
+        throw new Error('Rango de fechas inválido');
+      }
+
+      const streamer = await this.commissionService.getStreamer(streamerId);
+      const entries = (await this.ledger.getEntries({ partyType: 'streamer', partyId: streamerId }))
+        .filter(entry => (entry.currency || 'USD') === currency);
+
+      let openingBalance = Money.zero(currency);
+      const periodEntries = [];
+      entries.forEach(entry => {
+        const effectiveAt = new Date(entry.effectiveAt);
+        if (effectiveAt < fromDate) {
+          openingBalance = openingBalance.add(entry.amount);
+        } else if (effectiveAt <= toDate) {
+          periodEntries.push(entry);
+        }
+      });
+
+      const summary = {
+        accruals: Money.zero(currency),
+        accrualsByApp: {},
+        credits: Money.zero(currency),
+        deductions: Money.zero(currency),
+        payouts: Money.zero(currency)
+      };
+
+      let runningBalance = openingBalance;
+      const lines = periodEntries.map(entry => {
+        runningBalance = runningBalance.add(entry.amount);
+        this.addToSummary(summary, entry, currency);
+
+        return {
+          date: entry.effectiveAt,
+          type: entry.type,
+          app: entry.app,
+          commissionId: entry.commissionId,
+          description: this.describeEntry(entry),
+          amount: Money.fromDecimal(entry.amount, currency).toDecimal(),
+          balance: runningBalance.toDecimal()
+        };
+      });
+
+      Object.keys(summary.accrualsByApp).forEach(app => {
+        summary.accrualsByApp[app] = summary.accrualsByApp[app].toDecimal();
+      });
+
+      return {
+        streamer: {
+          id: streamerId,
+          name: streamer.name,
+          agency: streamer.agency_id || streamer.agency || null
+        },
+        period: {
+          from: fromDate.toISOString(),
+          to: toDate.toISOString()
+        },
+        currency,
+        openingBalance: openingBalance.toDecimal(),
+        accruals: summary.accruals.toDecimal(),
+        accrualsByApp: summary.accrualsByApp,
+        credits: summary.credits.toDecimal(),
+        deductions: summary.deductions.toDecimal(),
+        payouts: summary.payouts.toDecimal(),
+        closingBalance: runningBalance.toDecimal(),
+        lines,
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error generando estado de cuenta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clasificar entrada en el resumen
+   * Créditos: ajustes o reversos a favor; deducciones: ajustes, recuperaciones o reversos en contra.
+   */
+  addToSummary(summary, entry, currency) {
+    const amount = Money.fromDecimal(entry.amount, currency);
+
+    if (entry.type === 'accrual') {
+      summary.accruals = summary.accruals.add(amount);
+      const app = entry.app || 'sin_app';
+      summary.accrualsByApp[app] = (summary.accrualsByApp[app] || Money.zero(currency)).add(amount);
+    } else if (entry.type === 'payout') {
+      summary.payouts = summary.payouts.subtract(amount);
+    } else if (!amount.isNegative()) {
+      summary.credits = summary.credits.add(amount);
+    } else {
+      summary.deductions = summary.deductions.subtract(amount);
+    }
+  }
+
+  describeEntry(entry) {
+    const label = ENTRY_LABELS[entry.type] || entry.type;
+    const details = [entry.app, entry.reason, entry.reference].filter(Boolean);
+    return details.length > 0 ? `${label} (${details.join(' - ')})` : label;
+  }
+
+  /**
+   * Exportar a JSON
+   */
+  toJSON(statement) {
+    return JSON.stringify(statement, null, 2);
+  }
+
+  /**
+   * Exportar a CSV
+   */
+  toCSV(statement) {
+    const rows = [
+      ['', 'opening_balance', '', '', 'Saldo inicial', '', statement.openingBalance],
+      ...statement.lines.map(line => [
+        line.date.split('T')[0],
+        line.type,
+        line.app || '',
+        line.commissionId,
+        line.description,
+        line.amount,
+        line.balance
+      ]),
+      ['', 'closing_balance', '', '', 'Saldo final', '', statement.closingBalance]
+    ];
+
+    return [CSV_HEADERS, ...rows]
+      .map(row => row.map(value => this.escapeCsv(value)).join(','))
+      .join('\n');
+  }
+
+  escapeCsv(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Exportar a HTML imprimible
+   */
+  toHTML(statement) {
+    const money = amount => `$${amount.toFixed(2)} ${statement.currency}`;
+    const date = iso => iso.split('T')[0];
+
+    const appRows = Object.entries(statement.accrualsByApp)
+      .map(([app, amount]) => `<tr><td>${this.escapeHtml(app)}</td><td class="num">${money(amount)}</td></tr>`)
+      .join('');
+
+    const lineRows = statement.lines
+      .map(line => `<tr>
+        <td>${date(line.date)}</td>
+        <td>${this.escapeHtml(line.description)}</td>
+        <td>${this.escapeHtml(line.commissionId)}</td>
+        <td class="num">${money(line.amount)}</td>
+        <td class="num">${money(line.balance)}</td>
+      </tr>`)
+      .join('');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>Estado de cuenta - ${this.escapeHtml(statement.streamer.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 32px; color: #111; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+    .num { text-align: right; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Estado de cuenta</h1>
+  <p><strong>${this.escapeHtml(statement.streamer.name)}</strong> (${this.escapeHtml(statement.streamer.id)})</p>
+  <p>Periodo: ${date(statement.period.from)} a ${date(statement.period.to)}</p>
+
+  <table>
+    <tr><th>Saldo inicial</th><td class="num">${money(statement.openingBalance)}</td></tr>
+    <tr><th>Comisiones devengadas</th><td class="num">${money(statement.accruals)}</td></tr>
+    <tr><th>Créditos</th><td class="num">${money(statement.credits)}</td></tr>
+    <tr><th>Deducciones</th><td class="num">-${money(statement.deductions)}</td></tr>
+    <tr><th>Pagos</th><td class="num">-${money(statement.payouts)}</td></tr>
+    <tr><th>Saldo final</th><td class="num"><strong>${money(statement.closingBalance)}</strong></td></tr>
+  </table>
+
+  <h2>Comisiones por app</h2>
+  <table>
+    <tr><th>App</th><th class="num">Monto</th></tr>
+    ${appRows}
+  </table>
+
+  <h2>Movimientos</h2>
+  <table>
+    <tr><th>Fecha</th><th>Descripción</th><th>Comisión</th><th class="num">Monto</th><th class="num">Saldo</th></tr>
+    ${lineRows}
+  </table>
+
+  <p>Generado: ${this.escapeHtml(statement.generatedAt)}</p>
+</body>
+</html>`;
+  }
+
+  escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Generar y exportar en el formato pedido
+   * @param {string} streamerId - ID del streamer
+   * @param {Object} dateRange - { from, to }
+   * @param {string} format - json, csv o html
+   * @param {string} currency - Moneda del estado de cuenta
+   * @returns {Object} - { contentType, filename, body }
+   */
+  async exportStatement(streamerId, dateRange, format = 'json', currency = 'USD') {
+    const statement = await this.generateStatement(streamerId, dateRange, currency);
+    const filename = `estado_${streamerId}_${statement.period.from.split('T')[0]}_${statement.period.to.split('T')[0]}`;
+
+    switch (format) {
+      case 'json':
+        return { contentType: 'application/json', filename: `${filename}.json`, body: this.toJSON(statement) };
+      case 'csv':
+        return { contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv`, body: this.toCSV(statement) };
+      case 'html':
+        return { contentType: 'text/html; charset=utf-8', filename: `${filename}.html`, body: this.toHTML(statement) };
+      default:
+        throw new Error(`Formato no soportado: ${format}. Válidos: json, csv, html`);
+    }
+  }
+}
+
+// Instancia singleton
+const statementService = new StatementService();
+
+export default statementService;
@@ -0,0 +1,388 @@
+/**
+ * Importación Masiva de Streamers - Luxery Prime Agency
+ * Lee un CSV o XLSX de streamers, pasa cada fila por StreamerValidator (que corrige
+ * correos y países) y decide si la fila crea un streamer, actualiza uno existente (por ID
+ * o por email), no cambia nada o se rechaza. La simulación muestra ese plan sin escribir;
+ * al confirmarla se escriben los cambios y queda un reporte descargable.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import leaderHierarchy from './leader-hierarchy.js';
+import levelEvaluationService from './level-evaluation-service.js';
+import auditService from './audit-service.js';
+import countryService from './country-service.js';
+import StreamerValidator from './streamer-validator.js';
+import { parseCsv, parseXlsx, pickField, parseNumber } from '../utils/tabular.js';
+
+// Columnas del archivo y sus alias
+const IMPORT_FIELDS = {
+  id: ['id', 'streamer_id', 'id_streamer'],
+  name: ['nombre', 'name'],
+  email: ['email', 'correo'],
+  phone: ['telefono', 'phone', 'celular'],
+  country: ['pais', 'country'],
+  level: ['nivel', 'level'],
+  binanceEmail: ['binance_email', 'email_binance', 'binance'],
+  app: ['app', 'plataforma'],
+  leaderId: ['lider', 'leader_id', 'id_lider'],
+  status: ['estado', 'status']
+};
+
+// Campos que la importación puede escribir en el streamer
+const WRITABLE_FIELDS = ['name', 'email', 'phone', 'country', 'countryCode', 'level', 'binanceEmail', 'app', 'leaderId'];
+
+// create: streamer nuevo, update: cambia campos, unchanged: sin cambios, rejected: no se importa
+const IMPORT_ACTIONS = ['create', 'update', 'unchanged', 'rejected'];
+
+const REPORT_HEADERS = ['linea', 'accion', 'streamer_id', 'nombre', 'email', 'corregido', 'cambios', 'correcciones', 'errores'];
+
+class StreamerImportService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.leaders = leaderHierarchy;
+    this.levels = levelEvaluationService;
+    this.audit = auditService;
+    this.countries = countryService;
+    this.validator = new StreamerValidator();
+  }
+
+  /**
+   * Importar streamers desde un archivo
+   * @param {Object} params - { content, format (csv|xlsx), agency, fileName, actor, dryRun }
+   * @returns {Object} - Resumen, plan por fila y resultado de la validación
+   */
+  async importStreamers({ content, format, agency, fileName = null, actor = null, dryRun = true }) {
+    try {
+      if (!agency) {
+        throw new Error('La agencia es requerida');
+      }
+
+      const records = this.readRecords(content, format);
+      const streamers = await this.getStreamerIndex();
+      const rows = records.map(record => this.toRow(record));
+
+      // Cada fila se valida junto con los datos actuales del streamer que actualiza
+      const matches = rows.map(row => this.findExisting(row, streamers));
+      const countries = await this.countries.getRegistry(agency);
+      const validation = this.validator.validateMultipleStreamers(
+        rows.map((row, index) => ({ ...(matches[index] || {}), ...row.fields })),
+        { requireId: false, requireEarnings: false, countries }
+      );
+
+      const seen = { ids: new Map(), emails: new Map() };
+      const planned = [];
+      for (const [index, row] of rows.entries()) {
+        planned.push(await this.planRow(row, matches[index], validation.results[index], { agency, streamers, seen }));
+      }
+
+      if (!dryRun) {
+        for (const row of planned) {
+          await this.applyRow(row, { agency, actor, fileName });
+        }
+      }
+
+      const report = {
+        agency,
+        format,
+        fileName,
+        dryRun,
+        summary: this.summarize(planned),
+        rows: planned,
+        validation: this.validator.generateValidationReport(validation).summary,
+        actor,
+        importedAt: new Date().toISOString()
+      };
+
+      if (!dryRun) {
+        const saved = await this.firestore.createDocument(COLLECTIONS.STREAMER_IMPORTS, report);
+        if (!saved.success) {
+          throw new Error(saved.error);
+        }
+        report.id = saved.id;
+      }
+
+      const { summary } = report;
+      console.log(`👥 Importación de streamers${dryRun ? ' (simulación)' : ''}: ${summary.create} nuevos, ${summary.update} actualizados, ${summary.corrected} corregidos, ${summary.rejected} rechazados`);
+      return report;
+    } catch (error) {
+      console.error('Error importando streamers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Simular la importación sin escribir
+   */
+  async previewImport(params) {
+    return this.importStreamers({ ...params, dryRun: true });
+  }
+
+  readRecords(content, format) {
+    switch (format) {
+      case 'csv':
+        return parseCsv(typeof content === 'string' ? content : content.toString('utf8'));
+      case 'xlsx':
+        return parseXlsx(content);
+      default:
+        throw new Error(`Formato no soportado: ${format}. Válidos: csv, xlsx`);
+    }
+  }
+
+  /**
+   * Normalizar una fila del archivo; solo quedan los campos con valor
+   */
+  toRow(record) {
+    const fields = {};
+    const errors = [];
+
+    Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+      const value = pickField(record, aliases);
+      if (value !== null) {
+        fields[field] = typeof value === 'string' ? value.trim() : String(value);
+      }
+    });
+
+    if (fields.level !== undefined) {
+      const level = parseNumber(fields.level);
+      if (level === null || !Number.isInteger(level)) {
+        errors.push(`Nivel inválido: ${fields.level}`);
+        delete fields.level;
+      } else {
+        fields.level = level;
+      }
+    }
+
+    return { line: record.__line, fields, errors };
+  }
+
+  /**
+   * Streamer existente de la fila: por ID o, sin ID, por email
+   */
+  findExisting(row, streamers) {
+    if (row.fields.id) {
+      return streamers.byId.get(row.fields.id) || null;
+    }
+
+    return row.fields.email ? streamers.byEmail.get(row.fields.email.toLowerCase()) || null : null;
+  }
+
+  /**
+   * Decidir la acción de la fila a partir de la validación
+   */
+  async planRow(row, existing, validation, { agency, streamers, seen }) {
+    const corrected = validation.correctedData;
+    const errors = [...row.errors, ...validation.errors];
+
+    if (existing && existing.status === 'merged') {
+      errors.push(`El streamer ${existing.id} fue unificado en ${existing.mergedInto}`);
+    }
+    if (existing && existing.agency_id && existing.agency_id !== agency) {
+      errors.push(`El streamer ${existing.id} pertenece a la agencia ${existing.agency_id}`);
+    }
+
+    const email = corrected.email ? corrected.email.toLowerCase() : null;
+    const owner = email ? streamers.byEmail.get(email) : null;
+    if (owner && (!existing || owner.id !== existing.id)) {
+      errors.push(`El email ${email} ya es del streamer ${owner.id}`);
+    }
+
+    // Una misma persona no puede venir dos veces en el archivo
+    const key = existing ? existing.id : row.fields.id;
+    if (key && seen.ids.has(key)) {
+      errors.push(`El streamer ${key} ya viene en la línea ${seen.ids.get(key)}`);
+    }
+    if (email && seen.emails.has(email)) {
+      errors.push(`El email ${email} ya viene en la línea ${seen.emails.get(email)}`);
+    }
+    if (key) seen.ids.set(key, row.line);
+    if (email) seen.emails.set(email, row.line);
+
+    if (corrected.leaderId && (!existing || corrected.leaderId !== existing.leaderId)) {
+      const leader = await this.leaders.getLeader(corrected.leaderId);
+      if (!leader) {
+        errors.push(`Líder ${corrected.leaderId} no encontrado`);
+      }
+    }
+
+    const changes = {};
+    WRITABLE_FIELDS.forEach(field => {
+      const value = corrected[field];
+      if (value === undefined || value === null || value === '') return;
+      if (!existing || existing[field] !== value) {
+        changes[field] = { from: existing ? existing[field] ?? null : null, to: value };
+      }
+    });
+
+    let action;
+    if (errors.length > 0) {
+      action = 'rejected';
+    } else if (!existing) {
+      action = 'create';
+    } else {
+      action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    }
+
+    return {
+      line: row.line,
+      action,
+      streamerId: existing ? existing.id : row.fields.id || null,
+      name: corrected.name || null,
+      email: corrected.email || null,
+      status: row.fields.status || null,
+      corrected: validation.warnings.length > 0,
+      changes: action === 'rejected' ? {} : changes,
+      corrections: validation.warnings,
+      errors
+    };
+  }
+
+  /**
+   * Escribir una fila planificada; los fallos quedan en la fila sin detener el resto
+   */
+  async applyRow(row, { agency, actor, fileName = null }) {
+    if (!['create', 'update'].includes(row.action)) {
+      return;
+    }
+
+    try {
+      const data = Object.fromEntries(Object.entries(row.changes).map(([field, change]) => [field, change.to]));
+      const context = { actor, source: 'import', reason: `Importación masiva de streamers${fileName ? ` (${fileName})` : ''}` };
+
+      if (row.action === 'create') {
+        const created = await this.audit.createStreamer({
+          ...(row.streamerId ? { id: row.streamerId } : {}),
+          ...data,
+          agency_id: agency,
+          // Los streamers de la hoja ya trabajan con la agencia
+          status: row.status || 'active'
+        }, context);
+        if (!created.success) {
+          throw new Error(created.error);
+        }
+        row.streamerId = created.id;
+        return;
+      }
+
+      // El cambio de nivel queda en el historial de niveles del streamer
+      const { level, ...fields } = data;
+      if (Object.keys(fields).length > 0) {
+        const updated = await this.audit.updateStreamer(row.streamerId, fields, context);
+        if (!updated.success) {
+          throw new Error(updated.error);
+        }
+      }
+      if (level !== undefined) {
+        await this.levels.changeLevel(row.streamerId, level, context);
+      }
+    } catch (error) {
+      row.failed = true;
+      row.errors.push(error.message);
+    }
+  }
+
+  summarize(rows) {
+    return {
+      rows: rows.length,
+      ...Object.fromEntries(IMPORT_ACTIONS.map(action => [
+        action, rows.filter(row => row.action === action).length
+      ])),
+      corrected: rows.filter(row => row.corrected && row.action !== 'rejected').length,
+      failed: rows.filter(row => row.failed).length
+    };
+  }
+
+  /**
+   * Streamers actuales por ID y por email
+   */
+  async getStreamerIndex() {
+    const result = await this.firestore.getStreamers();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const byId = new Map();
+    const byEmail = new Map();
+    result.data.forEach(streamer => {
+      byId.set(streamer.id, streamer);
+      if (streamer.email && streamer.status !== 'merged') {
+        byEmail.set(String(streamer.email).toLowerCase(), streamer);
+      }
+    });
+
+    return { byId, byEmail };
+  }
+
+  /**
+   * Historial de importaciones
+   * @param {Object} filters - { agency }
+   */
+  async getImports(filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.STREAMER_IMPORTS, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+  }
+
+  async getImport(importId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.STREAMER_IMPORTS, importId);
+    if (!result.success) {
+      throw new Error(`Importación ${importId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Exportar el reporte de una importación o simulación
+   * @param {Object|string} report - Reporte o ID de la importación
+   * @param {string} format - csv o json
+   */
+  async exportReport(report, format = 'csv') {
+    const data = typeof report === 'string' ? await this.getImport(report) : report;
+    const filename = `${data.dryRun ? 'simulacion' : 'importacion'}_streamers_${data.agency}_${data.importedAt.split('T')[0]}`;
+
+    switch (format) {
+      case 'json':
+        return {
+          contentType: 'application/json',
+          filename: `${filename}.json`,
+          body: JSON.stringify({ summary: data.summary, validation: data.validation, rows: data.rows }, null, 2)
+        };
+      case 'csv':
+        return { contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv`, body: this.toCSV(data.rows) };
+      default:
+        throw new Error(`Formato no soportado: ${format}. Válidos: csv, json`);
+    }
+  }
+
+  toCSV(rows) {
+    const lines = rows.map(row => [
+      row.line,
+      row.failed ? 'failed' : row.action,
+      row.streamerId || '',
+      row.name || '',
+      row.email || '',
+      row.corrected ? 'sí' : 'no',
+      Object.entries(row.changes).map(([field, change]) => `${field}: ${change.from ?? ''} → ${change.to}`).join('; '),
+      row.corrections.join('; '),
+      row.errors.join('; ')
+    ]);
+
+    return [REPORT_HEADERS, ...lines]
+      .map(line => line.map(value => this.escapeCsv(value)).join(','))
+      .join('\n');
+  }
+
+  escapeCsv(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Instancia singleton
+const streamerImportService = new StreamerImportService();
+
+export default streamerImportService;
+export { IMPORT_FIELDS, IMPORT_ACTIONS };
@@ -0,0 +1,654 @@
+/**
+ * Duplicados de Streamers - Luxery Prime Agency
+ * Un error de tipeo en el ID de la hoja crea un segundo streamer para la misma persona.
+ * Se detectan candidatos comparando nombre (aproximado), email normalizado, teléfono y
+ * email de Binance; al unificar, las comisiones e historial del duplicado pasan al
+ * streamer que se conserva. Cada unificación queda registrada y puede revertirse.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import commissionLedger from './commission-ledger.js';
+import auditService from './audit-service.js';
+import { Money } from '../utils/money.js';
+
+// Peso de cada coincidencia en el puntaje del candidato (se topa en 1)
+const MATCH_WEIGHTS = {
+  email: 0.45,
+  binanceEmail: 0.35,
+  phone: 0.3,
+  name: 0.4
+};
+
+// Similitud mínima de nombres para contarla como coincidencia
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Basta una coincidencia exacta (email, Binance, teléfono) o un nombre muy parecido
+const DEFAULT_MIN_SCORE = 0.3;
+
+// Colecciones cuyo campo streamerId se reasigna al streamer que se conserva
+const REPOINTED_COLLECTIONS = [
+  COLLECTIONS.COMMISSIONS,
+  COLLECTIONS.COMMISSION_DISPUTES,
+  COLLECTIONS.PAYOUT_CARRY_FORWARDS,
+  COLLECTIONS.PAYOUT_ITEMS,
+  COLLECTIONS.LEVEL_PROPOSALS,
+  COLLECTIONS.STREAMER_APPLICATIONS,
+  COLLECTIONS.PAYROLL_EARNINGS
+];
+
+// Una unificación interrumpida también se revierte con lo que alcanzó a registrar
+const REVERTIBLE_STATUSES = ['merged', 'in_progress', 'failed'];
+
+// Datos de contacto que el streamer conservado toma del duplicado si no los tiene
+const FILLED_FIELDS = ['email', 'phone', 'binanceEmail', 'binanceId', 'paypalEmail', 'country', 'leaderId'];
+
+const CANDIDATE_CSV_HEADERS = ['streamer_a', 'nombre_a', 'streamer_b', 'nombre_b', 'puntaje', 'coincidencias', 'sugerido_conservar'];
+
+class StreamerMergeService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.ledger = commissionLedger;
+    this.audit = auditService;
+  }
+
+  /**
+   * Buscar posibles duplicados
+   * @param {Object} params - { agency, minScore }
+   * @returns {Object} - { candidates: [{ streamerA, streamerB, score, matches, suggestedSurvivorId }] }
+   */
+  async findDuplicateCandidates({ agency = null, minScore = DEFAULT_MIN_SCORE } = {}) {
+    try {
+      const result = await this.firestore.getStreamers(agency ? { agency_id: agency } : {});
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const streamers = result.data
+        .filter(streamer => streamer.status !== 'merged')
+        .map(streamer => ({ streamer, keys: this.matchKeys(streamer) }));
+
+      const candidates = [];
+      this.candidatePairs(streamers).forEach(([a, b]) => {
+        const { score, matches } = this.scorePair(a.keys, b.keys);
+        if (score >= minScore) {
+          candidates.push({
+            streamerA: this.summarizeStreamer(a.streamer),
+            streamerB: this.summarizeStreamer(b.streamer),
+            score,
+            matches,
+            suggestedSurvivorId: this.suggestSurvivor(a.streamer, b.streamer).id
+          });
+        }
+      });
+
+      candidates.sort((a, b) => b.score - a.score);
+      console.log(`🔎 ${candidates.length} posibles duplicados entre ${streamers.length} streamers`);
+
+      return { agency, minScore, candidates, generatedAt: new Date().toISOString() };
+    } catch (error) {
+      console.error('Error buscando streamers duplicados:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exportar el reporte de candidatos
+   * @param {Object} report - Resultado de findDuplicateCandidates
+   * @param {string} format - csv o json
+   */
+  exportCandidates(report, format = 'csv') {
+    const filename = `duplicados_${report.agency || 'todas'}_${report.generatedAt.split('T')[0]}`;
+
+    switch (format) {
+      case 'json':
+        return { contentType: 'application/json', filename: `${filename}.json`, body: JSON.stringify(report, null, 2) };
+      case 'csv':
+        return { contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv`, body: this.toCSV(report.candidates) };
+      default:
+        throw new Error(`Formato no soportado: ${format}. Válidos: csv, json`);
+    }
+  }
+
+  /**
+   * Unificar un duplicado en el streamer que se conserva
+   * Reasigna comisiones, disputas, pagos, propuestas de nivel, solicitudes y cuentas
+   * vinculadas; traspasa en el libro mayor el saldo de cada comisión; completa los datos
+   * de contacto faltantes y une el historial de niveles. El duplicado queda con estado
+   * 'merged'. Cada paso guarda en el registro lo que va a modificar antes de hacerlo, así
+   * una unificación que falla a mitad de camino (in_progress o failed) también se revierte.
+   * @param {Object} params - { survivorId, duplicateId, reason, actor }
+   * @returns {Object} - Registro de la unificación
+   */
+  async mergeStreamers({ survivorId, duplicateId, reason = null, actor = null }) {
+    try {
+      if (!survivorId || !duplicateId || survivorId === duplicateId) {
+        throw new Error('Indique dos streamers distintos');
+      }
+
+      const survivor = await this.getStreamer(survivorId);
+      const duplicate = await this.getStreamer(duplicateId);
+      [survivor, duplicate].forEach(streamer => {
+        if (streamer.status === 'merged') {
+          throw new Error(`El streamer ${streamer.id} ya fue unificado en ${streamer.mergedInto}`);
+        }
+      });
+      if ((survivor.agency_id || null) !== (duplicate.agency_id || null)) {
+        throw new Error('Solo se pueden unificar streamers de la misma agencia');
+      }
+      await this.assertNoUnfinishedMerge([survivorId, duplicateId]);
+
+      const mergedAt = new Date().toISOString();
+      const record = {
+        survivorId,
+        duplicateId,
+        agency: survivor.agency_id || null,
+        reason,
+        status: 'in_progress',
+        repointed: {},
+        linkedAccounts: [],
+        ledgerTransferIds: [],
+        survivorBefore: null,
+        survivorAfter: null,
+        duplicateBefore: null,
+        actor,
+        mergedAt,
+        history: []
+      };
+      const saved = await this.firestore.createDocument(COLLECTIONS.STREAMER_MERGES, record);
+      if (!saved.success) {
+        throw new Error(saved.error);
+      }
+      const mergeId = saved.id;
+
+      try {
+        for (const collectionName of REPOINTED_COLLECTIONS) {
+          const ids = await this.findStreamerDocuments(collectionName, duplicateId);
+          record.repointed[collectionName] = ids;
+          await this.updateMerge(mergeId, { [`repointed.${collectionName}`]: ids });
+          await this.repoint(collectionName, ids, survivorId);
+        }
+
+        const accounts = await this.findStreamerDocuments(COLLECTIONS.LINKED_ACCOUNTS, duplicateId, { full: true });
+        record.linkedAccounts = accounts.map(account =>
+          ({ id: account.id, streamerId: account.streamerId, previousLinks: account.previousLinks || [] }));
+        await this.updateMerge(mergeId, { linkedAccounts: record.linkedAccounts });
+        await this.repointLinkedAccounts(record.linkedAccounts, duplicateId, survivorId);
+
+        // Los traspasos llevan el ID de la unificación: si esto falla se encuentran por referencia
+        const transfers = await this.ledger.transferParty({
+          partyType: 'streamer',
+          fromId: duplicateId,
+          toId: survivorId,
+          reason: `Unificación de ${duplicateId} en ${survivorId}`,
+          reference: mergeId,
+          actor
+        });
+        record.ledgerTransferIds = transfers.map(entry => entry.id);
+        await this.updateMerge(mergeId, { ledgerTransferIds: record.ledgerTransferIds });
+
+        const context = { actor, source: 'system', reason: `Unificación ${mergeId}` };
+        const { before: survivorBefore, after: survivorAfter } = this.mergedFields(survivor, duplicate, mergeId);
+        Object.assign(record, { survivorBefore, survivorAfter });
+        await this.updateMerge(mergeId, { survivorBefore, survivorAfter });
+        await this.updateStreamer(survivorId, survivorAfter, context);
+
+        record.duplicateBefore = { status: duplicate.status || null };
+        await this.updateMerge(mergeId, { duplicateBefore: record.duplicateBefore });
+        await this.updateStreamer(duplicateId, { status: 'merged', mergedInto: survivorId, mergeId, mergedAt }, context);
+
+        record.status = 'merged';
+        record.history = [{ action: 'merged', actor, at: mergedAt }];
+        await this.updateMerge(mergeId, { status: record.status, history: record.history });
+      } catch (error) {
+        try {
+          await this.updateMerge(mergeId, { status: 'failed', error: error.message });
+        } catch (updateError) {
+          console.error(`Error marcando la unificación ${mergeId} como fallida:`, updateError);
+        }
+        throw error;
+      }
+
+      const moved = Object.values(record.repointed).reduce((total, ids) => total + ids.length, 0);
+      console.log(`🔀 Streamer ${duplicateId} unificado en ${survivorId} (${moved} registros, ${record.ledgerTransferIds.length} traspasos)`);
+      return { id: mergeId, ...record };
+    } catch (error) {
+      console.error('Error unificando streamers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revertir una unificación, completa o interrumpida (in_progress, failed)
+   * Los registros reasignados vuelven al duplicado, los traspasos del libro se reversan y
+   * el duplicado recupera su estado. Los datos del streamer conservado solo se restauran si
+   * no cambiaron después de la unificación; los que cambiaron se informan como conflictos.
+   * @param {Object} params - { reason, actor }
+   * @returns {Object} - { merge, conflicts }
+   */
+  async revertMerge(mergeId, { reason = null, actor = null } = {}) {
+    try {
+      const merge = await this.getMerge(mergeId);
+      if (!REVERTIBLE_STATUSES.includes(merge.status)) {
+        throw new Error(`La unificación ${mergeId} no se puede revertir (${merge.status})`);
+      }
+
+      const survivor = await this.getStreamer(merge.survivorId);
+      if (survivor.status === 'merged') {
+        throw new Error(`Primero revierta la unificación de ${survivor.id} en ${survivor.mergedInto}`);
+      }
+
+      for (const [collectionName, ids] of Object.entries(merge.repointed || {})) {
+        const result = await this.firestore.updateDocuments(collectionName, ids, { streamerId: merge.duplicateId });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+      }
+      for (const account of merge.linkedAccounts || []) {
+        const result = await this.firestore.updateDocument(COLLECTIONS.LINKED_ACCOUNTS, account.id, {
+          streamerId: account.streamerId,
+          previousLinks: account.previousLinks
+        });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+      }
+
+      const reversalReason = reason || `Reverso de la unificación ${mergeId}`;
+      for (const entryId of await this.getTransferIds(merge)) {
+        await this.ledger.reverseEntry(entryId, { reason: reversalReason, actor });
+      }
+
+      // Un campo igual al valor anterior no llegó a cambiarse (unificación interrumpida)
+      const restore = {};
+      const conflicts = [];
+      Object.entries(merge.survivorBefore || {}).forEach(([field, value]) => {
+        if (this.sameValue(survivor[field], merge.survivorAfter[field])) {
+          restore[field] = value;
+        } else if (!this.sameValue(survivor[field], value)) {
+          conflicts.push(field);
+        }
+      });
+      const context = { actor, source: 'system', reason: reversalReason };
+      if (Object.keys(restore).length > 0) {
+        await this.updateStreamer(merge.survivorId, restore, context);
+      }
+      if (merge.duplicateBefore) {
+        await this.updateStreamer(merge.duplicateId, {
+          status: merge.duplicateBefore.status || 'active',
+          mergedInto: null,
+          mergeId: null,
+          mergedAt: null
+        }, context);
+      }
+
+      const revertedAt = new Date().toISOString();
+      const update = {
+        status: 'reverted',
+        revertedBy: actor,
+        revertedAt,
+        revertReason: reason,
+        revertConflicts: conflicts,
+        history: [...(merge.history || []), { action: 'reverted', actor, at: revertedAt }]
+      };
+      await this.updateMerge(mergeId, update);
+
+      console.log(`↩️ Unificación ${mergeId} revertida${conflicts.length > 0 ? ` (sin restaurar: ${conflicts.join(', ')})` : ''}`);
+      return { merge: { ...merge, ...update }, conflicts };
+    } catch (error) {
+      console.error('Error revirtiendo unificación:', error);
+      throw error;
+    }
+  }
+
+  async getMerge(mergeId) {
+    const result = await this.firestore.getDocumentById(COLLECTIONS.STREAMER_MERGES, mergeId);
+    if (!result.success) {
+      throw new Error(`Unificación ${mergeId} no encontrada`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Historial de unificaciones
+   * @param {Object} filters - { agency, survivorId, duplicateId, status, actor }
+   */
+  async getMerges(filters = {}) {
+    const result = await this.firestore.getDocuments(COLLECTIONS.STREAMER_MERGES, filters);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data.sort((a, b) => new Date(b.mergedAt) - new Date(a.mergedAt));
+  }
+
+  /**
+   * Unificaciones sin terminar de alguno de los streamers: hay que revertirlas antes
+   */
+  async assertNoUnfinishedMerge(streamerIds) {
+    for (const field of ['survivorId', 'duplicateId']) {
+      for (const streamerId of streamerIds) {
+        const unfinished = (await this.getMerges({ [field]: streamerId }))
+          .find(merge => ['in_progress', 'failed'].includes(merge.status));
+        if (unfinished) {
+          throw new Error(`La unificación ${unfinished.id} de ${streamerId} quedó sin terminar (${unfinished.status}); reviértala primero`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Documentos de un streamer en una colección
+   * @param {Object} options - { full: devolver los documentos en lugar de sus IDs }
+   */
+  async findStreamerDocuments(collectionName, streamerId, { full = false } = {}) {
+    const result = await this.firestore.getDocuments(collectionName, { streamerId });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return full ? result.data : result.data.map(document => document.id);
+  }
+
+  /**
+   * Reasignar el streamerId de documentos de una colección
+   */
+  async repoint(collectionName, ids, toId) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    const updated = await this.firestore.updateDocuments(collectionName, ids, { streamerId: toId });
+    if (!updated.success) {
+      throw new Error(updated.error);
+    }
+  }
+
+  /**
+   * Reasignar las cuentas vinculadas del duplicado, incluido su historial de vínculos
+   * @param {Array} accounts - Estado anterior de cada cuenta: { id, streamerId, previousLinks }
+   */
+  async repointLinkedAccounts(accounts, fromId, toId) {
+    for (const account of accounts) {
+      const updated = await this.firestore.updateDocument(COLLECTIONS.LINKED_ACCOUNTS, account.id, {
+        streamerId: toId,
+        previousLinks: account.previousLinks.map(link => (link.streamerId === fromId ? { ...link, streamerId: toId } : link))
+      });
+      if (!updated.success) {
+        throw new Error(updated.error);
+      }
+    }
+  }
+
+  /**
+   * Entradas de traspaso de una unificación; si se interrumpió antes de guardar sus IDs
+   * se buscan por la referencia
+   */
+  async getTransferIds(merge) {
+    if (merge.status === 'merged' || (merge.ledgerTransferIds || []).length > 0) {
+      return merge.ledgerTransferIds || [];
+    }
+
+    const entries = await this.ledger.getEntries({ type: 'transfer', reference: merge.id });
+    return entries.map(entry => entry.id);
+  }
+
+  /**
+   * Datos del streamer conservado después de unificar y sus valores anteriores
+   */
+  mergedFields(survivor, duplicate, mergeId) {
+    const after = {};
+    FILLED_FIELDS.forEach(field => {
+      if (this.isEmpty(survivor[field]) && !this.isEmpty(duplicate[field])) {
+        after[field] = duplicate[field];
+      }
+    });
+
+    if ((duplicate.levelHistory || []).length > 0) {
+      after.levelHistory = [...(survivor.levelHistory || []), ...duplicate.levelHistory]
+        .sort((a, b) => new Date(a.effectiveAt) - new Date(b.effectiveAt));
+    }
+
+    // Los saldos arrastrados del duplicado se suman a los del conservado
+    const carried = Object.entries(duplicate.carryForwardBalances || {}).filter(([, amount]) => amount);
+    if (carried.length > 0) {
+      const balances = { ...(survivor.carryForwardBalances || {}) };
+      carried.forEach(([currency, amount]) => {
+        balances[currency] = Money.fromDecimal(balances[currency] || 0, currency).add(amount).toDecimal();
+      });
+      after.carryForwardBalances = balances;
+    }
+
+    after.mergedStreamerIds = [...(survivor.mergedStreamerIds || []), duplicate.id];
+    after.lastMergeId = mergeId;
+
+    const before = {};
+    Object.keys(after).forEach(field => {
+      before[field] = survivor[field] === undefined ? null : survivor[field];
+    });
+
+    return { before, after };
+  }
+
+  // ===== DETECCIÓN =====
+
+  /**
+   * Valores normalizados para comparar
+   */
+  matchKeys(streamer) {
+    return {
+      name: this.normalizeName(streamer.name),
+      email: this.normalizeEmail(streamer.email),
+      binanceEmail: this.normalizeEmail(streamer.binanceEmail),
+      phone: this.normalizePhone(streamer.phone)
+    };
+  }
+
+  /**
+   * Pares a comparar: los que comparten email, Binance o teléfono, y los de nombre con la
+   * misma inicial (así no se compara cada streamer contra todos)
+   */
+  candidatePairs(entries) {
+    const pairs = new Map();
+    const buckets = {};
+    const addToBucket = (key, entry) => {
+      (buckets[key] = buckets[key] || []).push(entry);
+    };
+
+    entries.forEach(entry => {
+      ['email', 'binanceEmail', 'phone'].forEach(field => {
+        if (entry.keys[field]) addToBucket(`${field}:${entry.keys[field]}`, entry);
+      });
+      if (entry.keys.name) addToBucket(`name:${entry.keys.name[0]}`, entry);
+    });
+
+    Object.values(buckets).forEach(bucket => {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const [a, b] = [bucket[i], bucket[j]].sort((x, y) => x.streamer.id.localeCompare(y.streamer.id));
+          pairs.set(`${a.streamer.id}|${b.streamer.id}`, [a, b]);
+        }
+      }
+    });
+
+    return [...pairs.values()];
+  }
+
+  scorePair(a, b) {
+    const matches = [];
+    let score = 0;
+
+    ['email', 'binanceEmail', 'phone'].forEach(field => {
+      if (a[field] && a[field] === b[field]) {
+        matches.push({ field, value: a[field] });
+        score += MATCH_WEIGHTS[field];
+      }
+    });
+
+    if (a.name && b.name) {
+      const similarity = this.similarity(a.name, b.name);
+      if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+        matches.push({ field: 'name', similarity: Math.round(similarity * 100) / 100 });
+        score += MATCH_WEIGHTS.name * similarity;
+      }
+    }
+
+    return { score: Math.min(1, Math.round(score * 100) / 100), matches };
+  }
+
+  /**
+   * Nombre sin acentos, mayúsculas ni signos, con las palabras ordenadas
+   * ("Pérez Ana" y "ana perez" se comparan igual)
+   */
+  normalizeName(name) {
+    if (!name) return null;
+
+    const words = String(name)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    return words.length > 0 ? words.sort().join(' ') : null;
+  }
+
+  /**
+   * Email en minúsculas sin sufijo +etiqueta; en Gmail además sin puntos
+   */
+  normalizeEmail(email) {
+    if (!email) return null;
+
+    const [local, domain] = String(email).trim().toLowerCase().split('@');
+    if (!local || !domain) return null;
+
+    let user = local.split('+')[0];
+    const host = domain === 'googlemail.com' ? 'gmail.com' : domain;
+    if (host === 'gmail.com') {
+      user = user.replace(/\./g, '');
+    }
+
+    return `${user}@${host}`;
+  }
+
+  /**
+   * Últimos 10 dígitos del teléfono, para que coincida con o sin código de país
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+
+    const digits = String(phone).replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : null;
+  }
+
+  /**
+   * Similitud entre 0 y 1 según la distancia de Levenshtein
+   */
+  similarity(a, b) {
+    if (a === b) return 1;
+
+    const previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = above;
+      }
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * El registro más antiguo suele ser el correcto; el duplicado nace del error posterior
+   */
+  suggestSurvivor(a, b) {
+    const createdAt = streamer => this.toDate(streamer.created_at);
+    return createdAt(b) < createdAt(a) ? b : a;
+  }
+
+  summarizeStreamer(streamer) {
+    return {
+      id: streamer.id,
+      name: streamer.name || null,
+      email: streamer.email || null,
+      phone: streamer.phone || null,
+      binanceEmail: streamer.binanceEmail || null,
+      status: streamer.status || null,
+      createdAt: streamer.created_at ? this.toDate(streamer.created_at).toISOString() : null
+    };
+  }
+
+  toCSV(candidates) {
+    const rows = candidates.map(candidate => [
+      candidate.streamerA.id,
+      candidate.streamerA.name || '',
+      candidate.streamerB.id,
+      candidate.streamerB.name || '',
+      candidate.score,
+      candidate.matches.map(match => match.field).join('; '),
+      candidate.suggestedSurvivorId
+    ]);
+
+    return [CANDIDATE_CSV_HEADERS, ...rows]
+      .map(row => row.map(value => this.escapeCsv(value)).join(','))
+      .join('\n');
+  }
+
+  escapeCsv(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Timestamp de Firestore, Date o ISO
+  toDate(value) {
+    if (!value) return new Date(8640000000000000);
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+  }
+
+  async getStreamer(streamerId) {
+    const result = await this.firestore.getStreamerById(streamerId);
+    if (!result.success) {
+      throw new Error(`Streamer ${streamerId} no encontrado`);
+    }
+
+    return result.data;
+  }
+
+  async updateStreamer(streamerId, data, context) {
+    if (Object.keys(data).length === 0) return;
+
+    const result = await this.audit.updateStreamer(streamerId, data, context);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  async updateMerge(mergeId, data) {
+    const result = await this.firestore.updateDocument(COLLECTIONS.STREAMER_MERGES, mergeId, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+}
+
+// Instancia singleton
+const streamerMergeService = new StreamerMergeService();
+
+export default streamerMergeService;
+export { MATCH_WEIGHTS, REPOINTED_COLLECTIONS };
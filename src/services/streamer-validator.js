@@ -3,11 +3,22 @@
  * Soluciona el error de validación de email y otros datos
  */
 
+const { CountryRegistry } = require('../utils/countries');
+
 class StreamerValidator {
-  constructor() {
+  /**
+   * @param {Object} options - { countries: CountryRegistry con los países de la agencia }
+   */
+  constructor(options = {}) {
     this.emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    this.validCountries = ['Colombia', 'México', 'Venezuela', 'Perú', 'Ecuador', 'Chile', 'Argentina'];
-    this.phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
+    this.countries = options.countries || new CountryRegistry();
+  }
+
+  /**
+   * Nombres de los países habilitados
+   */
+  get validCountries() {
+    return this.countries.list().map(country => country.name);
   }
 
   /**
@@ -68,15 +79,19 @@ class StreamerValidator {
 
   /**
    * Validar datos completos del streamer
+   * Las solicitudes de ingreso aún no tienen ID ni ganancias: usar { requireId: false, requireEarnings: false }
+   * Con countries (CountryRegistry) se validan los países habilitados de una agencia.
    */
-  validateStreamer(streamerData) {
+  validateStreamer(streamerData, { requireId = true, requireEarnings = true, countries = this.countries } = {}) {
     const errors = [];
     const warnings = [];
     const correctedData = { ...streamerData };
 
     // Validar ID
     if (!streamerData.id) {
-      errors.push('ID de streamer es requerido');
+      if (requireId) {
+        errors.push('ID de streamer es requerido');
+      }
     } else {
       correctedData.id = streamerData.id.toString().trim();
     }
@@ -104,23 +119,27 @@ class StreamerValidator {
       correctedData.email = emailValidation.corrected;
     }
 
-    // Validar país
-    if (!streamerData.country) {
-      warnings.push('País no especificado, usando Colombia por defecto');
-      correctedData.country = 'Colombia';
+    // Validar país (nombre en español o inglés, código ISO o alias)
+    const validNames = countries.list().map(country => country.name);
+    const countryInput = streamerData.country || streamerData.countryCode;
+    if (!countryInput) {
+      const [defaultCode] = countries.enabled;
+      warnings.push(`País no especificado, usando ${countries.name(defaultCode)} por defecto`);
+      correctedData.country = countries.name(defaultCode);
+      correctedData.countryCode = defaultCode;
     } else {
-      const country = streamerData.country.trim();
-      if (!this.validCountries.includes(country)) {
-        // Buscar país similar
-        const similarCountry = this.findSimilarCountry(country);
-        if (similarCountry) {
-          correctedData.country = similarCountry;
-          warnings.push(`País corregido: ${country} → ${similarCountry}`);
-        } else {
-          errors.push(`País no válido: ${country}. Países válidos: ${this.validCountries.join(', ')}`);
-        }
+      const input = String(countryInput).trim();
+      const match = countries.resolve(input);
+      if (!match) {
+        errors.push(`País no válido: ${input}. Países válidos: ${validNames.join(', ')}`);
+      } else if (!countries.isEnabled(match.country.code)) {
+        errors.push(`País no habilitado para la agencia: ${match.country.names.es}. Países válidos: ${validNames.join(', ')}`);
       } else {
-        correctedData.country = country;
+        correctedData.country = match.country.names.es;
+        correctedData.countryCode = match.country.code;
+        if (input !== correctedData.country) {
+          warnings.push(`País corregido: ${input} → ${correctedData.country}`);
+        }
       }
     }
 
@@ -131,19 +150,24 @@ class StreamerValidator {
     }
 
     // Validar ganancias
-    if (!streamerData.earnings || streamerData.earnings < 0) {
+    if (!streamerData.earnings && !requireEarnings) {
+      // Sin ganancias declaradas todavía
+    } else if (!streamerData.earnings || streamerData.earnings < 0) {
       errors.push('Ganancias deben ser un número positivo');
     } else {
       correctedData.earnings = parseFloat(streamerData.earnings);
     }
 
-    // Validar teléfono (opcional)
+    // Validar teléfono (opcional): se guarda en E.164 según las reglas del país
     if (streamerData.phone) {
-      const phone = streamerData.phone.replace(/\s/g, '');
-      if (!this.phoneRegex.test(phone)) {
-        warnings.push('Formato de teléfono inválido, pero es opcional');
+      const phone = countries.normalizePhone(streamerData.phone, correctedData.countryCode);
+      if (!phone.isValid) {
+        warnings.push(`${phone.error}, pero es opcional`);
       } else {
-        correctedData.phone = phone;
+        correctedData.phone = phone.e164;
+        if (correctedData.countryCode && phone.countryCode !== correctedData.countryCode) {
+          warnings.push(`El teléfono ${phone.e164} es de ${countries.name(phone.countryCode)} y el streamer de ${correctedData.country}`);
+        }
       }
     }
 
@@ -174,30 +198,25 @@ class StreamerValidator {
 
   /**
    * Buscar país similar
+   * @returns {string|null} - Nombre del país habilitado o null
    */
   findSimilarCountry(inputCountry) {
-    const input = inputCountry.toLowerCase();
-    
-    for (const country of this.validCountries) {
-      if (country.toLowerCase().includes(input) || input.includes(country.toLowerCase())) {
-        return country;
-      }
-    }
-    
-    return null;
+    const match = this.countries.resolve(inputCountry);
+    return match && this.countries.isEnabled(match.country.code) ? match.country.names.es : null;
   }
 
   /**
    * Validar múltiples streamers
+   * @param {Object} options - Opciones de validateStreamer
    */
-  validateMultipleStreamers(streamersData) {
+  validateMultipleStreamers(streamersData, options = {}) {
     const results = [];
     let totalErrors = 0;
     let totalWarnings = 0;
     let totalCorrections = 0;
 
     for (const streamer of streamersData) {
-      const validation = this.validateStreamer(streamer);
+      const validation = this.validateStreamer(streamer, options);
       
       results.push({
         streamerId: streamer.id,
@@ -229,7 +248,9 @@ class StreamerValidator {
         total: validationResults.total,
         successful: validationResults.successful,
         failed: validationResults.failed,
-        successRate: ((validationResults.successful / validationResults.total) * 100).toFixed(1) + '%'
+        successRate: validationResults.total > 0
+          ? ((validationResults.successful / validationResults.total) * 100).toFixed(1) + '%'
+          : '0.0%'
       },
       issues: {
         errors: validationResults.totalErrors,
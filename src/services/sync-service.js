@@ -1,9 +1,13 @@
 // src/services/sync-service.js
 import firestoreService from './firestore.js';
+import auditService from './audit-service.js';
+import levelEvaluationService from './level-evaluation-service.js';
 
 class SyncService {
   constructor() {
     this.firestore = firestoreService;
+    this.audit = auditService;
+    this.levels = levelEvaluationService;
     this.syncInterval = 30000; // 30 segundos
     this.isSyncing = false;
   }
@@ -51,13 +55,13 @@ class SyncService {
         })
       });
 
-      const result = await response.json();
+      const sheetsResult = await response.json();
       
-      if (result.success) {
+      if (sheetsResult.success) {
         console.log('✅ Streamers sincronizados exitosamente');
         return { success: true, count: rows.length };
       } else {
-        throw new Error(result.error);
+        throw new Error(sheetsResult.error);
       }
     } catch (error) {
       console.error('❌ Error sincronizando Streamers:', error);
@@ -79,21 +83,26 @@ class SyncService {
       const headers = [
         'ID', 'Streamer_ID', 'App', 'Monto_Base', 'Comision_Streamer', 
         'Comision_Lider', 'Comision_Agencia', 'Total_Comision', 
-        'Fecha', 'Estado', 'Metodo_Pago'
+        'Fecha', 'Estado', 'Metodo_Pago',
+        'Monto_Original', 'Moneda_Original', 'Tasa_FX', 'Moneda'
       ];
 
       const rows = result.data.map(commission => [
         commission.id,
-        commission.streamer_id || '',
+        commission.streamer_id || commission.streamerId || '',
         commission.app || '',
-        commission.base_amount || 0,
-        commission.streamer_commission || 0,
-        commission.leader_commission || 0,
-        commission.agency_commission || 0,
-        commission.total_commission || 0,
+        commission.base_amount || commission.baseAmount || 0,
+        commission.streamer_commission || commission.streamerCommission || 0,
+        commission.leader_commission || commission.leaderCommission || 0,
+        commission.agency_commission || commission.agencyCommission || 0,
+        commission.total_commission || commission.commissionAmount || 0,
         commission.created_at ? new Date(commission.created_at.seconds * 1000).toISOString().split('T')[0] : '',
         commission.status || 'pending',
-        commission.payment_method || 'Binance'
+        commission.payment_method || 'Binance',
+        commission.originalAmount || commission.baseAmount || 0,
+        commission.originalCurrency || commission.currency || 'USD',
+        commission.fxRate || 1,
+        commission.currency || 'USD'
       ]);
 
       // Llamar a GAS API para actualizar Sheets
@@ -108,13 +117,13 @@ class SyncService {
         })
       });
 
-      const result = await response.json();
+      const sheetsResult = await response.json();
       
-      if (result.success) {
+      if (sheetsResult.success) {
         console.log('✅ Comisiones sincronizadas exitosamente');
         return { success: true, count: rows.length };
       } else {
-        throw new Error(result.error);
+        throw new Error(sheetsResult.error);
       }
     } catch (error) {
       console.error('❌ Error sincronizando Comisiones:', error);
@@ -140,21 +149,34 @@ class SyncService {
         // Verificar si existe en Firestore
         const existing = await this.firestore.getStreamerById(streamerData.ID);
         
-        if (existing.success) {
+        if (existing.success && existing.data.status === 'merged') {
+          // Duplicado ya unificado: la fila de la hoja debe corregirse al ID que se conservó
+          console.warn(`⚠️ Fila con ID ${streamerData.ID} unificada en ${existing.data.mergedInto}, se omite`);
+        } else if (existing.success) {
           // Actualizar existente
-          await this.firestore.updateStreamer(streamerData.ID, {
+          await this.audit.updateStreamer(streamerData.ID, {
             name: streamerData.Nombre,
             app: streamerData.App,
-            level: parseInt(streamerData.Nivel),
             commission: parseFloat(streamerData.Comision),
             agency_id: streamerData.Agencia,
             phone: streamerData.Telefono,
             email: streamerData.Email,
             status: streamerData.Estado
-          });
+          }, { source: 'sheet_sync' });
+
+          // El cambio de nivel queda en el historial de niveles del streamer
+          const level = parseInt(streamerData.Nivel);
+          const currentLevel = existing.data.level || 1;
+          if (!isNaN(level) && level !== currentLevel) {
+            await this.levels.changeLevel(streamerData.ID, level, {
+              source: 'sheet_sync',
+              reason: 'Nivel cambiado en la hoja',
+              expectedLevel: currentLevel
+            });
+          }
         } else {
           // Crear nuevo
-          await this.firestore.createStreamer({
+          await this.audit.createStreamer({
             id: streamerData.ID,
             name: streamerData.Nombre,
             app: streamerData.App,
@@ -163,8 +185,9 @@ class SyncService {
             agency_id: streamerData.Agencia,
             phone: streamerData.Telefono,
             email: streamerData.Email,
-            status: streamerData.Estado
-          });
+            // Los streamers de la hoja ya trabajan con la agencia
+            status: streamerData.Estado || 'active'
+          }, { source: 'sheet_sync' });
         }
       }
 
@@ -0,0 +1,348 @@
+/**
+ * Retenciones por País - Luxery Prime Agency
+ * Cada país retiene un porcentaje distinto sobre los pagos a contratistas. Las reglas
+ * (porcentaje, mínimo y exenciones) vienen por defecto en código y cada agencia puede
+ * sobrescribirlas por país (código ISO). Se aplican al calcular cada comisión sobre la parte del
+ * streamer y quedan como líneas de deducción en la comisión y en el libro mayor.
+ */
+
+import firestoreService, { COLLECTIONS } from './firestore.js';
+import auditService from './audit-service.js';
+import countryService from './country-service.js';
+import { DEFAULT_PAYOUT_CURRENCY } from './fx-rate-service.js';
+import { Money } from '../utils/money.js';
+
+/**
+ * Reglas de referencia por código ISO de país; cada agencia debe confirmarlas con su contador.
+ * - rate: fracción retenida sobre la parte del streamer
+ * - threshold: monto mínimo de la línea para retener (número en USD o { MONEDA: monto })
+ * - exemptions: códigos que, si el streamer los tiene en taxExemptions, lo eximen
+ */
+const DEFAULT_WITHHOLDING_RULES = {
+  CO: [
+    { code: 'CO_RETEFUENTE', label: 'Retención en la fuente por honorarios', rate: 0.11, threshold: 0, exemptions: [] }
+  ],
+  MX: [
+    { code: 'MX_ISR', label: 'Retención de ISR por honorarios', rate: 0.10, threshold: 0, exemptions: ['resico'] }
+  ],
+  VE: [
+    { code: 'VE_ISLR', label: 'Retención de ISLR por servicios', rate: 0.03, threshold: 0, exemptions: [] }
+  ],
+  PE: [
+    { code: 'PE_RENTA_4TA', label: 'Retención de renta de cuarta categoría', rate: 0.08, threshold: { PEN: 1500 }, exemptions: ['suspension_4ta'] }
+  ],
+  EC: [
+    { code: 'EC_RENTA', label: 'Retención en la fuente de impuesto a la renta', rate: 0.10, threshold: 0, exemptions: ['rimpe'] }
+  ],
+  CL: [
+    { code: 'CL_HONORARIOS', label: 'Retención de boleta de honorarios', rate: 0.1375, threshold: 0, exemptions: [] }
+  ],
+  AR: [
+    { code: 'AR_GANANCIAS', label: 'Retención de impuesto a las ganancias', rate: 0.02, threshold: 0, exemptions: ['monotributo'] }
+  ]
+};
+
+const SUMMARY_CSV_HEADERS = ['pais', 'codigo', 'concepto', 'moneda', 'base', 'retenido', 'comisiones', 'streamers'];
+
+class WithholdingService {
+  constructor() {
+    this.firestore = firestoreService;
+    this.audit = auditService;
+    this.countries = countryService;
+  }
+
+  /**
+   * Reglas vigentes de un país para una agencia
+   * Las reglas guardadas antes de usar códigos ISO siguen bajo el nombre del país.
+   * @param {string} country - Código ISO o nombre del país
+   * @returns {Array} - Reglas del país (vacío si el país no retiene)
+   */
+  async getRules(agencyId, country) {
+    const code = await this.resolveCountryCode(agencyId, country);
+    if (!code) {
+      return [];
+    }
+
+    const settings = await this.getAgencySettings(agencyId);
+    const configuredRules = settings.withholdingRules || {};
+    const legacyName = this.countries.defaultRegistry.name(code);
+    const configured = configuredRules[code] !== undefined ? configuredRules[code] : configuredRules[legacyName];
+    return configured !== undefined ? configured : (DEFAULT_WITHHOLDING_RULES[code] || []);
+  }
+
+  /**
+   * Código ISO de un país escrito como código o nombre (null si no se reconoce)
+   */
+  async resolveCountryCode(agencyId, country) {
+    if (!country) {
+      return null;
+    }
+
+    const registry = await this.countries.getRegistry(agencyId);
+    const match = registry.resolve(country);
+    return match && match.exact ? match.country.code : null;
+  }
+
+  async getAgencySettings(agencyId) {
+    if (!agencyId) {
+      return {};
+    }
+
+    const result = await this.firestore.getDocumentById(COLLECTIONS.AGENCIES, agencyId);
+    return result.success ? (result.data.settings || {}) : {};
+  }
+
+  /**
+   * Configurar las reglas de un país para una agencia ([] = el país no retiene)
+   * @param {string} agencyId - ID de la agencia
+   * @param {string} country - Código ISO o nombre del país
+   * @param {Array} rules - [{ code, label, rate, threshold, exemptions }]
+   * @param {Object} context - { actor, source } para la auditoría
+   */
+  async setCountryRules(agencyId, country, rules, context = {}) {
+    if (!country) {
+      throw new Error('El país es requerido');
+    }
+    const code = await this.resolveCountryCode(agencyId, country);
+    if (!code) {
+      throw new Error(`País desconocido: ${country}`);
+    }
+    this.validateRules(rules);
+
+    const result = await this.audit.updateAgency(agencyId, {
+      [`settings.withholdingRules.${code}`]: rules
+    }, context);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
+  validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Las reglas deben ser una lista');
+    }
+
+    const codes = new Set();
+    rules.forEach(rule => {
+      if (!rule.code || !rule.label) {
+        throw new Error('Cada regla requiere code y label');
+      }
+      if (codes.has(rule.code)) {
+        throw new Error(`Código de retención repetido: ${rule.code}`);
+      }
+      codes.add(rule.code);
+
+      if (typeof rule.rate !== 'number' || rule.rate < 0 || rule.rate >= 1) {
+        throw new Error(`Porcentaje inválido en ${rule.code}: debe estar entre 0 y 1`);
+      }
+      const thresholds = typeof rule.threshold === 'number' ? [rule.threshold] : Object.values(rule.threshold || {});
+      if (thresholds.some(amount => typeof amount !== 'number' || amount < 0)) {
+        throw new Error(`Mínimo inválido en ${rule.code}`);
+      }
+      if (rule.exemptions !== undefined && !Array.isArray(rule.exemptions)) {
+        throw new Error(`Las exenciones de ${rule.code} deben ser una lista`);
+      }
+    });
+  }
+
+  /**
+   * Calcular las deducciones de la parte del streamer en una comisión
+   * @param {Object} streamer - Streamer (countryCode o country, taxExemptions)
+   * @param {Object} params - { agency, amount: parte del streamer, currency }
+   * @returns {Array} - [{ code, label, country: código ISO, rate, base, amount, currency }]
+   */
+  async calculateDeductions(streamer, { agency, amount, currency }) {
+    const country = await this.resolveCountryCode(agency, streamer.countryCode || streamer.country);
+    const rules = await this.getRules(agency, country);
+    return this.applyRules(rules, { ...streamer, countryCode: country }, Money.fromDecimal(amount, currency));
+  }
+
+  /**
+   * Agregar las retenciones a una línea que no pasa por calculateCommission
+   * (bonos de campaña, ajustes de disputas)
+   * @param {Object} streamer - Streamer (countryCode o country, taxExemptions)
+   * @param {Object} line - Línea de comisión (agency, streamerCommission, currency)
+   * @returns {Object} - Línea con deductions y withholdingAmount
+   */
+  async applyToLine(streamer, line) {
+    const deductions = await this.calculateDeductions(streamer, {
+      agency: line.agency,
+      amount: line.streamerCommission,
+      currency: line.currency
+    });
+
+    return {
+      ...line,
+      deductions,
+      withholdingAmount: Money.sum(deductions.map(deduction => deduction.amount), line.currency).toDecimal()
+    };
+  }
+
+  applyRules(rules, streamer, base) {
+    const exemptions = streamer.taxExemptions || [];
+    if (!base.isPositive()) {
+      return [];
+    }
+
+    return rules
+      .filter(rule => !(rule.exemptions || []).some(code => exemptions.includes(code)))
+      .filter(rule => base.compare(this.getThreshold(rule, base.currency)) >= 0)
+      .map(rule => ({
+        code: rule.code,
+        label: rule.label,
+        country: streamer.countryCode,
+        rate: rule.rate,
+        base: base.toDecimal(),
+        amount: base.multiply(rule.rate).toDecimal(),
+        currency: base.currency
+      }))
+      .filter(deduction => deduction.amount > 0);
+  }
+
+  /**
+   * Mínimo de una regla en la moneda de la comisión
+   * Un número es el mínimo en la moneda por defecto; un objeto lo define por moneda
+   */
+  getThreshold(rule, currency) {
+    const threshold = rule.threshold || 0;
+    const amount = typeof threshold === 'number'
+      ? (currency === DEFAULT_PAYOUT_CURRENCY ? threshold : 0)
+      : threshold[currency] || 0;
+
+    return Money.fromDecimal(amount, currency);
+  }
+
+  /**
+   * Resumen de retenciones por país para contabilidad
+   * Se toman las deducciones de las comisiones vigentes (no anuladas) ganadas en el rango.
+   * @param {Object} params - { agency, from, to }
+   * @returns {Object} - { period, countries: [{ country, code, label, currency, base, withheld, commissions, streamers, byStreamer }] }
+   */
+  async getWithholdingSummary({ agency = null, from, to }) {
+    try {
+      const start = new Date(from);
+      const end = new Date(to);
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        throw new Error('Rango de fechas inválido');
+      }
+
+      const result = await this.firestore.getCommissions(agency ? { agency } : {});
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const groups = {};
+      result.data
+        .filter(commission => commission.status !== 'cancelled')
+        .filter(commission => {
+          const earnedAt = new Date(commission.earnedAt || commission.createdAt);
+          return earnedAt >= start && earnedAt < end;
+        })
+        .forEach(commission => {
+          (commission.deductions || []).forEach(deduction => {
+            const key = `${deduction.country}:${deduction.code}:${deduction.currency}`;
+            if (!groups[key]) {
+              groups[key] = {
+                country: deduction.country,
+                code: deduction.code,
+                label: deduction.label,
+                currency: deduction.currency,
+                base: Money.zero(deduction.currency),
+                withheld: Money.zero(deduction.currency),
+                commissions: 0,
+                byStreamer: {}
+              };
+            }
+
+            const group = groups[key];
+            group.base = group.base.add(deduction.base);
+            group.withheld = group.withheld.add(deduction.amount);
+            group.commissions++;
+
+            const streamer = group.byStreamer[commission.streamerId] || {
+              streamerId: commission.streamerId,
+              streamerName: commission.streamerName || null,
+              base: Money.zero(deduction.currency),
+              withheld: Money.zero(deduction.currency)
+            };
+            streamer.base = streamer.base.add(deduction.base);
+            streamer.withheld = streamer.withheld.add(deduction.amount);
+            group.byStreamer[commission.streamerId] = streamer;
+          });
+        });
+
+      const countries = Object.values(groups)
+        .map(group => ({
+          ...group,
+          base: group.base.toDecimal(),
+          withheld: group.withheld.toDecimal(),
+          streamers: Object.keys(group.byStreamer).length,
+          byStreamer: Object.values(group.byStreamer).map(streamer => ({
+            ...streamer,
+            base: streamer.base.toDecimal(),
+            withheld: streamer.withheld.toDecimal()
+          }))
+        }))
+        .sort((a, b) => a.country.localeCompare(b.country) || a.code.localeCompare(b.code));
+
+      return {
+        agency,
+        period: { from: start.toISOString(), to: end.toISOString() },
+        countries,
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error generando resumen de retenciones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exportar el resumen de retenciones
+   * @param {Object} params - { agency, from, to }
+   * @param {string} format - csv o json
+   */
+  async exportWithholdingSummary(params, format = 'csv') {
+    const summary = await this.getWithholdingSummary(params);
+    const filename = `retenciones_${summary.agency || 'todas'}_${summary.period.from.split('T')[0]}_${summary.period.to.split('T')[0]}`;
+
+    switch (format) {
+      case 'json':
+        return { contentType: 'application/json', filename: `${filename}.json`, body: JSON.stringify(summary, null, 2) };
+      case 'csv':
+        return { contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv`, body: this.toCSV(summary) };
+      default:
+        throw new Error(`Formato no soportado: ${format}. Válidos: csv, json`);
+    }
+  }
+
+  toCSV(summary) {
+    const rows = summary.countries.map(group => [
+      group.country,
+      group.code,
+      group.label,
+      group.currency,
+      group.base,
+      group.withheld,
+      group.commissions,
+      group.streamers
+    ]);
+
+    return [SUMMARY_CSV_HEADERS, ...rows]
+      .map(row => row.map(value => this.escapeCsv(value)).join(','))
+      .join('\n');
+  }
+
+  escapeCsv(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Instancia singleton
+const withholdingService = new WithholdingService();
+
+export default withholdingService;
+export { DEFAULT_WITHHOLDING_RULES };
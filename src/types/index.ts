@@ -15,7 +15,56 @@ export interface Streamer {
   platform: 'twitch' | 'youtube' | 'tiktok' | 'instagram';
   followers: number;
   commission: number;
-  status: 'active' | 'inactive' | 'pending';
+  status: 'active' | 'inactive' | 'pending' | 'merged';
+  leaderId?: string;
+  level?: number;
+  levelChangedAt?: string;
+  levelHistory?: LevelHistoryRecord[];
+  paymentMethod?: PaymentMethod;
+  // Datos del receptor para cada método de pago
+  binanceEmail?: string;
+  binanceId?: string;
+  paypalEmail?: string;
+  bankAccount?: BankAccount;
+  // Nombre en español y código ISO 3166-1 alfa-2; el teléfono se guarda en E.164
+  country?: string;
+  countryCode?: string | null;
+  // Códigos de exención de retenciones (p. ej. monotributo, rimpe)
+  taxExemptions?: string[];
+  // Solicitud de ingreso que dio origen al streamer
+  applicationId?: string;
+  // Unificación de duplicados: el duplicado apunta al conservado y el conservado lista sus duplicados
+  mergedInto?: string | null;
+  mergeId?: string | null;
+  mergedStreamerIds?: string[];
+  // Saldos arrastrados por moneda que aún no alcanzan el mínimo de pago
+  carryForwardBalances?: Record<string, number>;
+}
+
+export interface LevelHistoryRecord {
+  fromLevel: number;
+  toLevel: number;
+  effectiveAt: string;
+  actor: string | null;
+  reason: string | null;
+  proposalId: string | null;
+}
+
+export interface Leader {
+  id: string;
+  userId: string;
+  name: string;
+  agency: string;
+  parentLeaderId?: string | null;
+  // Tasa de override propia por tier (1 = streamers reclutados directamente)
+  overrideRates?: { [tier: number]: number | null };
+}
+
+export interface LeaderOverride {
+  tier: number;
+  leaderId: string;
+  rate: number;
+  amount: number;
 }
 
 export interface Commission {
@@ -24,7 +73,171 @@ export interface Commission {
   amount: number;
   percentage: number;
   date: Date;
-  status: 'pending' | 'approved' | 'paid';
+  status: 'pending' | 'approved' | 'paid' | 'failed' | 'cancelled' | 'carried_forward';
+  // Clave determinista del registro de origen (app, streamer, periodo, fila); revision > 0 si reemplaza una anulada
+  idempotencyKey?: string;
+  revision?: number;
+  leaderId?: string | null;
+  leaderOverrides?: LeaderOverride[];
+  // Reparto del monto base: las tres partes suman exactamente el monto base
+  streamerCommission?: number;
+  leaderCommission?: number;
+  agencyCommission?: number;
+  // Moneda de pago y monto original con la tasa fijada al calcular
+  currency?: string;
+  originalAmount?: number;
+  originalCurrency?: string;
+  fxRate?: number;
+  fxLockedAt?: string;
+  // Nómina a la que pertenece; bloqueada al cerrar el periodo
+  payrollRunId?: string;
+  locked?: boolean;
+  // Bonos de campaña y ajustes de disputa o recálculo: se registran como líneas de comisión aparte
+  type?: 'campaign_bonus' | 'dispute_adjustment' | 'recalculation_adjustment';
+  campaignId?: string;
+  // Retenciones por país sobre la parte del streamer
+  deductions?: CommissionDeduction[];
+  withholdingAmount?: number;
+  // Aprobaciones (maker-checker): el creador nunca aprueba; por encima del límite se requieren dos
+  createdBy?: string | null;
+  approvals?: CommissionApproval[];
+  approvalRound?: number;
+  approvalsRequired?: number;
+  // true tras un pago fallido: la próxima aprobación abre una ronda nueva
+  reapprovalPending?: boolean;
+  approvedBy?: string;
+  approvedAt?: string;
+  // Disputa vigente o última resuelta; 'open' retiene el pago
+  disputeId?: string;
+  disputeStatus?: DisputeStatus;
+  adjustsCommissionId?: string;
+}
+
+// Monto con moneda: divisa (USD, USDT, COP...) o unidad de app (COIN, DIAMOND)
+export interface MoneyAmount {
+  amount: number;
+  currency: string;
+}
+
+export interface FxRate {
+  id: string;
+  from: string;
+  to: string;
+  rate: number;
+  effectiveAt: string;
+  source: 'manual' | 'import';
+}
+
+export interface AppCoinRate {
+  id: string;
+  app: string;
+  unit: 'COIN' | 'DIAMOND';
+  usdPerUnit: number;
+  effectiveAt: string;
+}
+
+export type PayrollPeriodType = 'weekly' | 'biweekly' | 'monthly';
+export type PayrollRunStatus = 'draft' | 'review' | 'approved' | 'paid';
+
+export interface PayrollRun {
+  id: string;
+  agency: string;
+  periodType: PayrollPeriodType;
+  periodStart: string;
+  periodEnd: string;
+  status: PayrollRunStatus;
+  locked: boolean;
+  // Las ganancias viven en payroll_earnings con el runId de la corrida
+  earningsCount: number;
+  commissionIds: string[];
+  history: { from: PayrollRunStatus | null; to: PayrollRunStatus; actor: string | null; at: string }[];
+}
+
+export interface PayrollEarning {
+  id: string;
+  runId: string;
+  // Posición de la ganancia dentro de la corrida
+  index: number;
+  streamerId: string;
+  app: string;
+  amount: number;
+  currency?: string;
+  date: string;
+  sourceRow: string | number;
+}
+
+export type LedgerEntryType = 'accrual' | 'adjustment' | 'clawback' | 'reversal' | 'withholding' | 'transfer' | 'payout';
+
+// Entrada del libro mayor de comisiones (solo-anexar)
+export interface LedgerEntry {
+  id: string;
+  type: LedgerEntryType;
+  commissionId: string;
+  partyType: 'streamer' | 'leader';
+  partyId: string;
+  agency: string | null;
+  app: string | null;
+  amount: number;
+  currency: string;
+  reason: string | null;
+  actor: string | null;
+  reference: string | null;
+  referenceEntryId: string | null;
+  effectiveAt: string;
+  recordedAt: string;
+}
+
+// Campañas de bonos
+export interface Campaign {
+  id: string;
+  agency: string;
+  name: string;
+  description: string | null;
+  status: 'active' | 'paused' | 'ended';
+  startsAt: string;
+  endsAt: string | null;
+  eligibility: {
+    streamerIds?: string[];
+    leaderIds?: string[];
+    levels?: number[];
+    maxTenureDays?: number;
+  };
+  metric: {
+    type: 'earnings' | 'units' | 'commissions';
+    app?: string;
+    unit?: string;
+    currency?: string;
+  };
+  target: number;
+  reward:
+    | { type: 'percentage'; rate: number }
+    | { type: 'fixed'; amount: number; currency?: string };
+  createdBy: string | null;
+  createdAt: string;
+}
+
+// Simulación de reglas de comisión
+export interface SimulationParty {
+  partyType: 'streamer' | 'leader' | 'agency';
+  partyId: string | null;
+  accrued: number;
+  proposed: number;
+  delta: number;
+}
+
+export interface SimulationLine {
+  commissionId: string;
+  streamerId: string;
+  agency: string | null;
+  app: string;
+  earnedAt: string;
+  currency: string;
+  baseAmount: number;
+  currentRuleSetId: string | null;
+  currentRate: number;
+  proposedRate: number;
+  parties: SimulationParty[];
+  changed: boolean;
 }
 
 export interface Agency {
@@ -35,10 +248,123 @@ export interface Agency {
   settings: AgencySettings;
 }
 
+export type PaymentMethod = 'binance' | 'paypal' | 'bank';
+
 export interface AgencySettings {
   commissionRate: number;
-  paymentMethod: 'binance' | 'paypal' | 'bank';
+  paymentMethod: PaymentMethod;
   notificationChannels: string[];
+  // Mínimo de pago por método: número en USD o montos por moneda
+  payoutThresholds?: Partial<Record<PaymentMethod, number | Record<string, number>>>;
+  // Límite sobre el cual una comisión requiere dos aprobaciones y permiso de AuthManager exigido
+  approvalRules?: { threshold?: number | Record<string, number>; permission?: string };
+  // Reglas de retención por código ISO de país; reemplazan las de referencia ([] = no retener)
+  withholdingRules?: Record<string, WithholdingRule[]>;
+  // Códigos ISO de los países con los que opera y países agregados al catálogo
+  countries?: string[];
+  countryDefinitions?: Record<string, CountryDefinition>;
+}
+
+export interface CountryPhoneRules {
+  // Código internacional sin +
+  dialCode: string;
+  // Dígitos válidos del número nacional
+  lengths: number[];
+  trunkPrefix?: string;
+  mobilePrefix?: string;
+  legacyPrefix?: string;
+}
+
+export interface CountryDefinition {
+  code: string;
+  iso3?: string;
+  currency?: string;
+  names: { es: string; en: string };
+  aliases?: string[];
+  phone: CountryPhoneRules;
+}
+
+export interface BankAccount {
+  holderName: string;
+  documentId?: string;
+  bankCode?: string;
+  accountNumber: string;
+  accountType?: string;
+}
+
+export type PayoutItemStatus = 'queued' | 'sent' | 'confirmed' | 'failed';
+
+export interface PayoutItem {
+  id: string;
+  batchId: string;
+  agency: string | null;
+  streamerId: string;
+  streamerName: string;
+  method: PaymentMethod;
+  country: string | null;
+  currency: string;
+  amount: number;
+  recipient: { email?: string | null; binanceId?: string | null; bankAccount?: BankAccount };
+  commissionIds: string[];
+  status: PayoutItemStatus;
+  providerReference: string | null;
+  error: string | null;
+  history: { status: PayoutItemStatus; at: string; actor: string | null }[];
+  createdAt: string;
+}
+
+export interface PayoutBatch {
+  id: string;
+  agency: string | null;
+  method: PaymentMethod;
+  currency: string;
+  country: string | null;
+  // creating: aún se están reservando sus comisiones y no se puede enviar
+  // sending: reservado por un envío en curso al proveedor
+  status: 'creating' | 'queued' | 'sending' | 'sent' | 'completed' | 'partially_failed' | 'failed';
+  itemIds: string[];
+  itemCount: number;
+  totalAmount: number;
+  providerBatchId: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  sendingAt?: string;
+  sentAt?: string;
+  sendError?: string | null;
+}
+
+export interface ReconciliationLineResult {
+  line: number;
+  reference: string | null;
+  providerReference: string | null;
+  amount: number | null;
+  currency: string | null;
+  recipient: string | null;
+  status: 'success' | 'failed' | 'pending';
+  itemId: string | null;
+  matchedBy: 'reference' | 'recipient_amount' | null;
+  result: 'matched' | 'failed' | 'partial' | 'duplicate' | 'unmatched' | 'pending';
+  reason?: string;
+  applied?: boolean;
+  error?: string;
+}
+
+export interface PayoutCarryForward {
+  id: string;
+  streamerId: string;
+  agency: string | null;
+  currency: string;
+  amount: number;
+  threshold: number;
+  paymentMethod: PaymentMethod;
+  payrollRunId: string | null;
+  commissionIds: string[];
+  status: 'open' | 'settled' | 'rolled_over';
+  actor: string | null;
+  carriedAt: string;
+  settledInRunId?: string;
+  settledByPayoutItemId?: string;
+  settledAt?: string;
 }
 
 // Tipos para APIs
@@ -64,3 +390,316 @@ export interface Notification {
   read: boolean;
   createdAt: Date;
 }
+
+// Tipos para reglas de comisión
+export interface CommissionRates {
+  [level: number]: number;
+}
+
+export interface CommissionRuleSet {
+  id: string;
+  version: number;
+  agency: string | null;
+  effectiveFrom: string;
+  effectiveTo: string | null;
+  defaultRate: number;
+  levelThresholds?: { [level: number]: number };
+  leaderOverrides?: {
+    maxTiers: number;
+    rates: { [tier: number]: number };
+  };
+  levels: CommissionRates;
+  apps: {
+    [app: string]: {
+      rate?: number;
+      levels?: CommissionRates;
+    };
+  };
+}
+
+export type EarningsImportErrorType = 'malformed' | 'unmatched' | 'invalid' | 'rejected' | 'duplicate';
+
+export interface EarningsImportError {
+  line: number;
+  type: EarningsImportErrorType;
+  externalId: string | null;
+  handle: string | null;
+  streamerId: string | null;
+  amount: number | null;
+  currency: string | null;
+  date: string | null;
+  reasons: string[];
+}
+
+export interface StagedEarning {
+  line: number;
+  streamerId: string;
+  app: string;
+  amount: number;
+  currency: string;
+  date: string;
+  externalId: string;
+  sourceRow: string;
+  warnings: string[];
+}
+
+export interface EarningsImport {
+  id?: string;
+  app: string;
+  agency: string | null;
+  format: 'csv' | 'xlsx' | 'json';
+  fileName: string | null;
+  runId: string | null;
+  dryRun: boolean;
+  summary: Record<EarningsImportErrorType | 'rows' | 'staged' | 'skipped', number>;
+  staged: StagedEarning[];
+  errors: EarningsImportError[];
+  actor: string | null;
+  importedAt: string;
+}
+
+export type LinkedApp = 'yameet' | 'salsa' | 'hiti' | 'musee';
+
+// Vínculo de una cuenta de app con un streamer; validTo null = vigente
+export interface AccountLink {
+  streamerId: string;
+  handle: string | null;
+  verified: boolean;
+  validFrom: string;
+  validTo: string | null;
+}
+
+// Documento `${app}_${externalId}`: una cuenta de app pertenece a un solo streamer por periodo
+export interface LinkedAccount extends AccountLink {
+  id: string;
+  app: LinkedApp;
+  externalId: string;
+  verifiedAt: string | null;
+  verifiedBy: string | null;
+  linkedBy: string | null;
+  linkedAt: string;
+  unlinkedBy?: string | null;
+  previousLinks: AccountLink[];
+}
+
+export type DisputeStatus = 'open' | 'rejected' | 'adjusted';
+
+export interface DisputeAttachment {
+  name?: string;
+  url: string;
+  contentType?: string;
+}
+
+export interface DisputeComment {
+  author: string;
+  text: string;
+  attachments: DisputeAttachment[];
+  at: string;
+}
+
+export interface CommissionDispute {
+  id: string;
+  commissionId: string;
+  streamerId: string;
+  leaderId: string | null;
+  agency: string | null;
+  currency: string;
+  reason: string;
+  attachments: DisputeAttachment[];
+  status: DisputeStatus;
+  assignedTo: string | null;
+  assignedRole: 'leader' | 'admin' | null;
+  comments: DisputeComment[];
+  history: { action: string; actor: string | null; at: string; assignedTo?: string }[];
+  openedBy: string | null;
+  openedAt: string;
+  resolution: {
+    type: 'rejected' | 'adjusted';
+    note: string | null;
+    amount: number | null;
+    adjustmentCommissionId: string | null;
+    resolvedBy: string | null;
+    resolvedAt: string;
+  } | null;
+}
+
+export interface WithholdingRule {
+  code: string;
+  label: string;
+  rate: number;
+  // Número en la moneda por defecto o mínimo por moneda
+  threshold?: number | Record<string, number>;
+  exemptions?: string[];
+}
+
+export interface CommissionDeduction {
+  code: string;
+  label: string;
+  // Código ISO del país
+  country: string;
+  rate: number;
+  base: number;
+  amount: number;
+  currency: string;
+}
+
+export interface CommissionApproval {
+  approverId: string;
+  // Ronda de aprobación: un reintento tras un pago fallido empieza una nueva
+  round: number;
+  step: number;
+  required: number;
+  permission: string | null;
+  note: string | null;
+  at: string;
+}
+
+export type ApplicationStatus = 'submitted' | 'in_review' | 'approved' | 'active' | 'rejected';
+
+export type ApplicationSource = 'public_form' | 'leader_invite';
+
+export type ApplicationDocumentType = 'id_front' | 'id_back' | 'selfie' | 'proof_of_address' | 'other';
+
+export type RejectionReason = 'invalid_data' | 'missing_documents' | 'identity_mismatch' | 'duplicate' | 'underage' | 'low_activity' | 'other';
+
+export interface ApplicationDocument {
+  type: ApplicationDocumentType;
+  // Referencia al archivo en el almacenamiento; el archivo no se guarda en Firestore
+  url: string;
+  name: string | null;
+  uploadedBy: string | null;
+  uploadedAt: string;
+}
+
+export interface StreamerApplicant {
+  name: string;
+  email: string;
+  phone?: string;
+  country: string;
+  binanceEmail?: string;
+  expectedEarnings?: number;
+  accounts: { app: LinkedApp; externalId: string; handle: string | null }[];
+}
+
+export interface StreamerApplication {
+  id: string;
+  applicant: StreamerApplicant;
+  agency: string;
+  source: ApplicationSource;
+  invitedBy: string | null;
+  leaderId: string | null;
+  documents: ApplicationDocument[];
+  validation: {
+    isValid: boolean;
+    errors: string[];
+    warnings: string[];
+    correctedData: Partial<StreamerApplicant>;
+    checkedAt: string;
+  };
+  status: ApplicationStatus;
+  approval: {
+    approvedBy: string;
+    level: number;
+    suggestedLevel: number;
+    note: string | null;
+    approvedAt: string;
+  } | null;
+  rejection: {
+    reasons: RejectionReason[];
+    note: string | null;
+    stage: ApplicationStatus;
+    rejectedBy: string | null;
+    rejectedAt: string;
+  } | null;
+  streamerId: string | null;
+  activationWarnings?: string[];
+  history: { from: ApplicationStatus | null; to: ApplicationStatus; actor: string | null; at: string; leaderId?: string }[];
+  submittedAt: string;
+}
+
+export type StreamerImportAction = 'create' | 'update' | 'unchanged' | 'rejected';
+
+export interface StreamerImportRow {
+  line: number;
+  action: StreamerImportAction;
+  streamerId: string | null;
+  name: string | null;
+  email: string | null;
+  status: string | null;
+  // El validador corrigió datos de la fila (email, país, nivel)
+  corrected: boolean;
+  changes: Record<string, { from: unknown; to: unknown }>;
+  corrections: string[];
+  errors: string[];
+  failed?: boolean;
+}
+
+export interface StreamerImport {
+  id?: string;
+  agency: string;
+  format: 'csv' | 'xlsx';
+  fileName: string | null;
+  dryRun: boolean;
+  summary: Record<StreamerImportAction, number> & { rows: number; corrected: number; failed: number };
+  rows: StreamerImportRow[];
+  validation: { total: number; successful: number; failed: number; successRate: string };
+  actor: string | null;
+  importedAt: string;
+}
+
+export interface DuplicateCandidate {
+  streamerA: { id: string; name: string | null; email: string | null; phone: string | null; binanceEmail: string | null; status: string | null; createdAt: string | null };
+  streamerB: { id: string; name: string | null; email: string | null; phone: string | null; binanceEmail: string | null; status: string | null; createdAt: string | null };
+  score: number;
+  matches: { field: 'email' | 'binanceEmail' | 'phone' | 'name'; value?: string; similarity?: number }[];
+  suggestedSurvivorId: string;
+}
+
+export interface StreamerMerge {
+  id: string;
+  survivorId: string;
+  duplicateId: string;
+  agency: string | null;
+  reason: string | null;
+  // in_progress o failed: interrumpida; se revierte con lo que alcanzó a registrar
+  status: 'in_progress' | 'failed' | 'merged' | 'reverted';
+  error?: string;
+  // IDs de documentos reasignados por colección
+  repointed: Record<string, string[]>;
+  linkedAccounts: { id: string; streamerId: string; previousLinks: AccountLink[] }[];
+  ledgerTransferIds: string[];
+  survivorBefore: Record<string, unknown> | null;
+  survivorAfter: Record<string, unknown> | null;
+  duplicateBefore: { status: string | null } | null;
+  actor: string | null;
+  mergedAt: string;
+  revertedBy?: string | null;
+  revertedAt?: string;
+  revertReason?: string | null;
+  revertConflicts?: string[];
+  history: { action: 'merged' | 'reverted'; actor: string | null; at: string }[];
+}
+
+export type AuditSource = 'ui' | 'sheet_sync' | 'import' | 'api' | 'system';
+
+export interface AuditFieldChange {
+  // Ruta del campo; puede tener puntos (settings.payoutThresholds)
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface AuditEntry {
+  id: string;
+  entityType: 'streamer' | 'agency';
+  entityId: string;
+  action: 'create' | 'update';
+  actor: string | null;
+  source: AuditSource;
+  reason: string | null;
+  changes: AuditFieldChange[];
+  changedFields: string[];
+  sensitiveFields: string[];
+  sensitive: boolean;
+  at: string;
+}
@@ -0,0 +1,297 @@
+/**
+ * PAÍSES Y TELÉFONOS
+ * Catálogo de países por código ISO 3166-1 con nombres en español e inglés, alias y
+ * reglas de marcación. Normaliza teléfonos a E.164 y valida su longitud por país.
+ * Cada agencia habilita su propia lista de países y puede agregar definiciones.
+ */
+
+/**
+ * phone:
+ * - dialCode: código internacional sin +
+ * - lengths: dígitos válidos del número nacional (sin código de país ni prefijo troncal)
+ * - trunkPrefix: prefijo que se marca dentro del país y no va en E.164 (0 en Venezuela)
+ * - mobilePrefix: dígito extra de celulares en formato internacional (+54 9 ...)
+ * - legacyPrefix: prefijo antiguo que se descarta (+52 1 ... en México)
+ */
+const DEFAULT_COUNTRIES = {
+  CO: {
+    code: 'CO', iso3: 'COL', currency: 'COP',
+    names: { es: 'Colombia', en: 'Colombia' },
+    aliases: [],
+    phone: { dialCode: '57', lengths: [10] }
+  },
+  MX: {
+    code: 'MX', iso3: 'MEX', currency: 'MXN',
+    names: { es: 'México', en: 'Mexico' },
+    aliases: ['Méjico', 'Estados Unidos Mexicanos'],
+    phone: { dialCode: '52', lengths: [10], legacyPrefix: '1' }
+  },
+  VE: {
+    code: 'VE', iso3: 'VEN', currency: 'VES',
+    names: { es: 'Venezuela', en: 'Venezuela' },
+    aliases: [],
+    phone: { dialCode: '58', lengths: [10], trunkPrefix: '0' }
+  },
+  PE: {
+    code: 'PE', iso3: 'PER', currency: 'PEN',
+    names: { es: 'Perú', en: 'Peru' },
+    aliases: [],
+    phone: { dialCode: '51', lengths: [8, 9], trunkPrefix: '0' }
+  },
+  EC: {
+    code: 'EC', iso3: 'ECU', currency: 'USD',
+    names: { es: 'Ecuador', en: 'Ecuador' },
+    aliases: [],
+    phone: { dialCode: '593', lengths: [8, 9], trunkPrefix: '0' }
+  },
+  CL: {
+    code: 'CL', iso3: 'CHL', currency: 'CLP',
+    names: { es: 'Chile', en: 'Chile' },
+    aliases: [],
+    phone: { dialCode: '56', lengths: [9] }
+  },
+  AR: {
+    code: 'AR', iso3: 'ARG', currency: 'ARS',
+    names: { es: 'Argentina', en: 'Argentina' },
+    aliases: [],
+    phone: { dialCode: '54', lengths: [10], trunkPrefix: '0', mobilePrefix: '9' }
+  },
+  BR: {
+    code: 'BR', iso3: 'BRA', currency: 'BRL',
+    names: { es: 'Brasil', en: 'Brazil' },
+    aliases: [],
+    phone: { dialCode: '55', lengths: [10, 11], trunkPrefix: '0' }
+  },
+  US: {
+    code: 'US', iso3: 'USA', currency: 'USD',
+    names: { es: 'Estados Unidos', en: 'United States' },
+    aliases: ['EEUU', 'EE.UU.', 'Estados Unidos de América', 'United States of America', 'U.S.'],
+    phone: { dialCode: '1', lengths: [10], trunkPrefix: '1' }
+  }
+};
+
+// Países con los que opera una agencia si no configura los suyos
+const DEFAULT_ENABLED_COUNTRIES = ['CO', 'MX', 'VE', 'PE', 'EC', 'CL', 'AR'];
+
+/**
+ * Normalizar un nombre para compararlo: sin acentos, mayúsculas, espacios ni signos
+ */
+function normalizeCountryKey(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+class CountryRegistry {
+  /**
+   * @param {Object} options - { definitions: países extra o reemplazos por código, enabled: códigos habilitados }
+   */
+  constructor({ definitions = {}, enabled = DEFAULT_ENABLED_COUNTRIES } = {}) {
+    this.countries = {};
+    Object.values({ ...DEFAULT_COUNTRIES, ...definitions }).forEach(country => {
+      const code = String(country.code).toUpperCase();
+      const base = DEFAULT_COUNTRIES[code] || {};
+      this.countries[code] = {
+        ...base,
+        ...country,
+        code,
+        names: { ...(base.names || {}), ...(country.names || {}) },
+        aliases: country.aliases || base.aliases || [],
+        phone: { ...(base.phone || {}), ...(country.phone || {}) }
+      };
+      CountryRegistry.validateDefinition(this.countries[code]);
+    });
+
+    const unknown = enabled.filter(code => !this.countries[String(code).toUpperCase()]);
+    if (unknown.length > 0) {
+      throw new Error(`Países desconocidos: ${unknown.join(', ')}`);
+    }
+    this.enabled = enabled.map(code => String(code).toUpperCase());
+
+    // Índice de nombres, alias y códigos normalizados
+    this.index = new Map();
+    Object.values(this.countries).forEach(country => {
+      [country.code, country.iso3, ...Object.values(country.names), ...country.aliases]
+        .filter(Boolean)
+        .forEach(key => this.index.set(normalizeCountryKey(key), country.code));
+    });
+  }
+
+  static validateDefinition(country) {
+    if (!/^[A-Z]{2}$/.test(country.code)) {
+      throw new Error(`Código de país inválido: ${country.code} (ISO 3166-1 alfa-2)`);
+    }
+    if (!country.names.es || !country.names.en) {
+      throw new Error(`El país ${country.code} requiere nombre en español e inglés`);
+    }
+    const { dialCode, lengths } = country.phone;
+    if (!/^\d{1,3}$/.test(dialCode || '')) {
+      throw new Error(`Código de marcación inválido para ${country.code}`);
+    }
+    if (!Array.isArray(lengths) || lengths.length === 0 || lengths.some(length => !Number.isInteger(length) || length < 4)) {
+      throw new Error(`Longitudes de teléfono inválidas para ${country.code}`);
+    }
+  }
+
+  get(code) {
+    return code ? this.countries[String(code).toUpperCase()] || null : null;
+  }
+
+  isEnabled(code) {
+    return this.enabled.includes(String(code).toUpperCase());
+  }
+
+  name(code, lang = 'es') {
+    const country = this.get(code);
+    return country ? country.names[lang] || country.names.es : null;
+  }
+
+  /**
+   * Países habilitados con su nombre en el idioma pedido
+   */
+  list(lang = 'es') {
+    return this.enabled.map(code => ({ code, name: this.name(code, lang) }));
+  }
+
+  /**
+   * Encontrar el país de un texto: código ISO, nombre en español o inglés, o alias
+   * Si no hay coincidencia exacta se acepta un error de tipeo en el nombre.
+   * @returns {Object|null} - { country, exact } o null si no se reconoce
+   */
+  resolve(input) {
+    if (input === undefined || input === null || String(input).trim() === '') {
+      return null;
+    }
+
+    const key = normalizeCountryKey(input);
+    if (this.index.has(key)) {
+      return { country: this.countries[this.index.get(key)], exact: true };
+    }
+
+    // Tipeos: 1 letra de diferencia en nombres cortos, 2 en los largos
+    if (key.length < 4) {
+      return null;
+    }
+    const maxDistance = key.length >= 8 ? 2 : 1;
+    let best = null;
+    this.index.forEach((code, name) => {
+      if (name.length < 4) return;
+      const distance = levenshtein(key, name);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { code, distance };
+      }
+    });
+
+    return best ? { country: this.countries[best.code], exact: false } : null;
+  }
+
+  /**
+   * Normalizar un teléfono a E.164
+   * Acepta +CC..., 00CC..., el número con código sin +, o el número nacional (con o sin
+   * prefijo troncal) cuando se indica el país.
+   * @param {string} phone - Teléfono como lo escribió el usuario
+   * @param {string} countryCode - País del streamer (ISO)
+   * @returns {Object} - { isValid, e164, countryCode, national, error }
+   */
+  normalizePhone(phone, countryCode = null) {
+    const invalid = error => ({ isValid: false, e164: null, countryCode: countryCode || null, national: null, error });
+
+    let digits = String(phone === undefined || phone === null ? '' : phone).trim().replace(/[\s().\-/]/g, '');
+    if (!digits) {
+      return invalid('Teléfono vacío');
+    }
+    if (digits.startsWith('00')) {
+      digits = `+${digits.slice(2)}`;
+    }
+    if (!/^\+?\d+$/.test(digits)) {
+      return invalid('El teléfono solo puede tener dígitos');
+    }
+
+    let country = this.get(countryCode);
+    let national;
+
+    if (digits.startsWith('+')) {
+      const number = digits.slice(1);
+      const match = country && number.startsWith(country.phone.dialCode) ? country : this.findByDialCode(number);
+      if (!match) {
+        return invalid('Código de país desconocido');
+      }
+      country = match;
+      national = number.slice(match.phone.dialCode.length);
+    } else {
+      if (!country) {
+        return invalid('Indique el país para un teléfono sin código internacional');
+      }
+
+      const { dialCode, trunkPrefix } = country.phone;
+      const withoutDial = digits.startsWith(dialCode) ? this.stripPrefixes(country, digits.slice(dialCode.length)) : null;
+      if (withoutDial && this.hasValidLength(country, withoutDial)) {
+        national = withoutDial; // Escrito con el código de país pero sin +
+      } else if (trunkPrefix && digits.startsWith(trunkPrefix) && !this.hasValidLength(country, digits)) {
+        national = digits.slice(trunkPrefix.length);
+      } else {
+        national = digits;
+      }
+    }
+
+    national = this.stripPrefixes(country, national);
+    if (!this.hasValidLength(country, national)) {
+      const { lengths } = country.phone;
+      return {
+        ...invalid(`Teléfono inválido para ${country.names.es}: el número nacional debe tener ${lengths.join(' o ')} dígitos`),
+        countryCode: country.code
+      };
+    }
+
+    return {
+      isValid: true,
+      e164: `+${country.phone.dialCode}${national}`,
+      countryCode: country.code,
+      national,
+      error: null
+    };
+  }
+
+  /**
+   * País por código internacional (el más largo que coincida)
+   */
+  findByDialCode(number) {
+    return Object.values(this.countries)
+      .filter(country => number.startsWith(country.phone.dialCode))
+      .sort((a, b) => b.phone.dialCode.length - a.phone.dialCode.length)[0] || null;
+  }
+
+  stripPrefixes(country, national) {
+    const { legacyPrefix, lengths } = country.phone;
+    if (legacyPrefix && national.startsWith(legacyPrefix) && lengths.includes(national.length - legacyPrefix.length)) {
+      return national.slice(legacyPrefix.length);
+    }
+    return national;
+  }
+
+  hasValidLength(country, national) {
+    const { lengths, mobilePrefix } = country.phone;
+    if (lengths.includes(national.length)) {
+      return true;
+    }
+    return Boolean(mobilePrefix && national.startsWith(mobilePrefix) && lengths.includes(national.length - mobilePrefix.length));
+  }
+}
+
+module.exports = { CountryRegistry, DEFAULT_COUNTRIES, DEFAULT_ENABLED_COUNTRIES, normalizeCountryKey };
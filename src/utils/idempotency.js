@@ -0,0 +1,39 @@
+/**
+ * CLAVES DE IDEMPOTENCIA
+ * Claves deterministas a partir del registro de origen, usadas como ID de documento
+ * para que reimportar o reintentar un lote no duplique registros.
+ */
+
+/**
+ * Construir clave de idempotencia de una comisión
+ * Cada parte se codifica para que el separador no pueda aparecer dentro de ella
+ * y el resultado sea un ID de documento válido (sin "/").
+ * @param {Object} source - { app, streamerId, period, sourceRow }
+ * @returns {string} - Ej: COMM|hiti|abc123|2024-05-01|fila-15
+ */
+function buildIdempotencyKey({ app, streamerId, period, sourceRow }) {
+  const parts = { app, streamerId, period, sourceRow };
+  Object.entries(parts).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`La clave de idempotencia requiere ${name}`);
+    }
+  });
+
+  return ['COMM', app, streamerId, period, sourceRow]
+    .map(part => encodeURIComponent(String(part)))
+    .join('|');
+}
+
+/**
+ * Periodo normalizado para la clave: fecha ISO (YYYY-MM-DD) o el texto recibido
+ */
+function normalizePeriod(period) {
+  if (period instanceof Date) {
+    return period.toISOString().split('T')[0];
+  }
+
+  const text = String(period);
+  return /^\d{4}-\d{2}-\d{2}T/.test(text) ? text.split('T')[0] : text;
+}
+
+module.exports = { buildIdempotencyKey, normalizePeriod };
@@ -0,0 +1,278 @@
+/**
+ * DINERO EN UNIDADES MENORES
+ * Aritmética monetaria exacta con enteros (centavos) y redondeo explícito.
+ * Evita la deriva de centavos de los cálculos con punto flotante.
+ */
+
+const ROUNDING_MODES = {
+  HALF_EVEN: 'HALF_EVEN', // Redondeo bancario (por defecto)
+  HALF_UP: 'HALF_UP',
+  DOWN: 'DOWN', // Hacia cero
+  UP: 'UP', // Lejos de cero
+  FLOOR: 'FLOOR',
+  CEILING: 'CEILING'
+};
+
+// Decimales por moneda; las no listadas usan 2
+const CURRENCY_DECIMALS = {
+  COIN: 0,
+  DIAMOND: 0
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Convertir un decimal (número o string) a fracción exacta { numerator, denominator }
+ */
+function parseDecimal(value) {
+  let text = typeof value === 'number' ? String(value) : String(value).trim();
+
+  if (typeof value === 'number' && !isFinite(value)) {
+    throw new Error(`Valor numérico inválido: ${value}`);
+  }
+  if (/e/i.test(text)) {
+    text = Number(text).toFixed(20);
+  }
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Valor decimal inválido: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const numerator = BigInt(`${sign === '-' ? '-' : ''}${whole || '0'}${fraction}`);
+  const denominator = 10n ** BigInt(fraction.length);
+
+  return { numerator, denominator };
+}
+
+/**
+ * División entera con modo de redondeo explícito
+ */
+function roundDivide(numerator, denominator, mode = ROUNDING_MODES.HALF_EVEN) {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator; // Trunca hacia cero
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const negative = numerator < 0n;
+  const awayFromZero = negative ? quotient - 1n : quotient + 1n;
+  const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  switch (mode) {
+    case ROUNDING_MODES.DOWN:
+      return quotient;
+    case ROUNDING_MODES.UP:
+      return awayFromZero;
+    case ROUNDING_MODES.FLOOR:
+      return negative ? awayFromZero : quotient;
+    case ROUNDING_MODES.CEILING:
+      return negative ? quotient : awayFromZero;
+    case ROUNDING_MODES.HALF_UP:
+      return twiceRemainder >= denominator ? awayFromZero : quotient;
+    case ROUNDING_MODES.HALF_EVEN:
+      if (twiceRemainder > denominator) return awayFromZero;
+      if (twiceRemainder < denominator) return quotient;
+      return quotient % 2n === 0n ? quotient : awayFromZero;
+    default:
+      throw new Error(`Modo de redondeo inválido: ${mode}`);
+  }
+}
+
+class Money {
+  /**
+   * @param {number|bigint} minor - Monto entero en unidades menores
+   * @param {string} currency - Código de moneda
+   */
+  constructor(minor, currency = DEFAULT_CURRENCY) {
+    const value = typeof minor === 'bigint' ? minor : BigInt(minor);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER) || value < BigInt(Number.MIN_SAFE_INTEGER)) {
+      throw new Error('Monto fuera de rango');
+    }
+
+    this.minor = Number(value);
+    this.currency = (currency || DEFAULT_CURRENCY).toUpperCase();
+    Object.freeze(this);
+  }
+
+  static decimalsFor(currency) {
+    const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+    return code in CURRENCY_DECIMALS ? CURRENCY_DECIMALS[code] : 2;
+  }
+
+  static zero(currency = DEFAULT_CURRENCY) {
+    return new Money(0, currency);
+  }
+
+  static fromMinor(minor, currency = DEFAULT_CURRENCY) {
+    if (!Number.isInteger(Number(minor))) {
+      throw new Error(`Las unidades menores deben ser enteras: ${minor}`);
+    }
+    return new Money(minor, currency);
+  }
+
+  /**
+   * Crear desde un monto decimal (12.345) redondeando a unidades menores
+   */
+  static fromDecimal(amount, currency = DEFAULT_CURRENCY, mode = ROUNDING_MODES.HALF_EVEN) {
+    if (amount instanceof Money) return amount;
+
+    const { numerator, denominator } = parseDecimal(amount);
+    const scale = 10n ** BigInt(Money.decimalsFor(currency));
+    return new Money(roundDivide(numerator * scale, denominator, mode), currency);
+  }
+
+  /**
+   * Sumar una lista de montos (Money o decimales)
+   */
+  static sum(amounts, currency = DEFAULT_CURRENCY) {
+    return amounts.reduce(
+      (total, amount) => total.add(Money.fromDecimal(amount, currency)),
+      Money.zero(currency)
+    );
+  }
+
+  assertSameCurrency(other) {
+    if (other.currency !== this.currency) {
+      throw new Error(`Monedas distintas: ${this.currency} y ${other.currency}`);
+    }
+  }
+
+  add(other) {
+    const money = Money.fromDecimal(other, this.currency);
+    this.assertSameCurrency(money);
+    return new Money(this.minor + money.minor, this.currency);
+  }
+
+  subtract(other) {
+    const money = Money.fromDecimal(other, this.currency);
+    this.assertSameCurrency(money);
+    return new Money(this.minor - money.minor, this.currency);
+  }
+
+  negate() {
+    return new Money(-this.minor, this.currency);
+  }
+
+  abs() {
+    return new Money(Math.abs(this.minor), this.currency);
+  }
+
+  /**
+   * Multiplicar por un factor (tasa) con redondeo explícito
+   * @param {number|string} factor - Ej: 0.15 o '0.15'
+   * @param {string} mode - Modo de redondeo
+   */
+  multiply(factor, mode = ROUNDING_MODES.HALF_EVEN) {
+    const { numerator, denominator } = parseDecimal(factor);
+    return new Money(roundDivide(BigInt(this.minor) * numerator, denominator, mode), this.currency);
+  }
+
+  /**
+   * Convertir a otra moneda con una tasa
+   */
+  convert(rate, currency, mode = ROUNDING_MODES.HALF_EVEN) {
+    const { numerator, denominator } = parseDecimal(rate);
+    const fromScale = 10n ** BigInt(Money.decimalsFor(this.currency));
+    const toScale = 10n ** BigInt(Money.decimalsFor(currency));
+    return new Money(
+      roundDivide(BigInt(this.minor) * numerator * toScale, denominator * fromScale, mode),
+      currency
+    );
+  }
+
+  /**
+   * Repartir el monto según proporciones sin perder centavos
+   * El residuo se asigna a las partes con mayor fracción descartada;
+   * los empates se resuelven por orden de aparición (determinista).
+   * @param {Array<number>} ratios - Proporciones (no tienen que sumar 1)
+   * @returns {Array<Money>} - Partes que suman exactamente el total
+   */
+  allocate(ratios) {
+    const parsed = ratios.map(ratio => parseDecimal(ratio));
+    if (parsed.length === 0 || parsed.some(ratio => ratio.numerator < 0n)) {
+      throw new Error('Las proporciones deben ser números no negativos');
+    }
+
+    // Llevar todas las proporciones a un denominador común
+    const commonDenominator = parsed.reduce((acc, ratio) => (acc > ratio.denominator ? acc : ratio.denominator), 1n);
+    const weights = parsed.map(ratio => ratio.numerator * (commonDenominator / ratio.denominator));
+    const totalWeight = weights.reduce((acc, weight) => acc + weight, 0n);
+    if (totalWeight === 0n) {
+      throw new Error('La suma de las proporciones debe ser mayor que cero');
+    }
+
+    const total = BigInt(this.minor);
+    const shares = weights.map(weight => {
+      const exact = total * weight;
+      return { base: roundDivide(exact, totalWeight, ROUNDING_MODES.FLOOR), remainder: ((exact % totalWeight) + totalWeight) % totalWeight };
+    });
+
+    let leftover = total - shares.reduce((acc, share) => acc + share.base, 0n);
+    const order = shares
+      .map((share, index) => ({ index, remainder: share.remainder }))
+      .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.index - b.index));
+
+    const result = shares.map(share => share.base);
+    for (let i = 0; leftover > 0n; i = (i + 1) % order.length) {
+      result[order[i].index] += 1n;
+      leftover -= 1n;
+    }
+
+    return result.map(minor => new Money(minor, this.currency));
+  }
+
+  compare(other) {
+    const money = Money.fromDecimal(other, this.currency);
+    this.assertSameCurrency(money);
+    return Math.sign(this.minor - money.minor);
+  }
+
+  min(other) {
+    return this.compare(other) <= 0 ? this : Money.fromDecimal(other, this.currency);
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  isZero() {
+    return this.minor === 0;
+  }
+
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  isPositive() {
+    return this.minor > 0;
+  }
+
+  /**
+   * Monto decimal para almacenar o mostrar (exacto en unidades menores)
+   */
+  toDecimal() {
+    return this.minor / 10 ** Money.decimalsFor(this.currency);
+  }
+
+  toString() {
+    return `${this.toDecimal().toFixed(Money.decimalsFor(this.currency))} ${this.currency}`;
+  }
+
+  toJSON() {
+    return this.toDecimal();
+  }
+}
+
+/**
+ * Redondear un decimal a unidades menores (atajo para valores almacenados)
+ */
+function roundMoney(amount, currency = DEFAULT_CURRENCY, mode = ROUNDING_MODES.HALF_EVEN) {
+  return Money.fromDecimal(amount, currency, mode).toDecimal();
+}
+
+module.exports = { Money, ROUNDING_MODES, roundMoney, roundDivide, parseDecimal };
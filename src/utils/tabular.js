@@ -0,0 +1,224 @@
+/**
+ * LECTURA DE ARCHIVOS TABULARES
+ * CSV con comillas y separador detectado (coma, punto y coma o tabulador), hojas XLSX,
+ * y búsqueda de columnas por alias sin distinguir mayúsculas ni acentos.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Detectar el separador a partir de la primera línea
+ */
+function detectDelimiter(content) {
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  return DELIMITERS
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Separar CSV en filas de celdas respetando comillas dobles
+ * @param {string} content - Contenido del archivo
+ * @param {string} delimiter - Separador (se detecta si no se indica)
+ * @returns {Array<Array<string>>} - Filas con sus celdas
+ */
+function parseCsvRows(content, delimiter = detectDelimiter(content)) {
+  const text = content.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convertir CSV en objetos usando la primera fila como encabezados
+ * @returns {Array<Object>} - Filas con __line (número de línea en el archivo)
+ */
+function parseCsv(content, options = {}) {
+  const [headers, ...rows] = parseCsvRows(content, options.delimiter);
+  if (!headers) {
+    return [];
+  }
+
+  const keys = headers.map(header => header.trim());
+  return rows.map((cells, index) => {
+    const record = { __line: index + 2 };
+    keys.forEach((key, i) => {
+      record[key] = cells[i] !== undefined ? cells[i].trim() : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Normalizar nombre de columna: minúsculas, sin acentos, espacios ni guiones
+ */
+function normalizeKey(key) {
+  return String(key)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Primer valor no vacío entre varios alias de columna
+ * @param {Object} record - Fila
+ * @param {Array<string>} aliases - Nombres posibles de la columna
+ */
+function pickField(record, aliases) {
+  const normalized = {};
+  Object.keys(record).forEach(key => {
+    normalized[normalizeKey(key)] = record[key];
+  });
+
+  for (const alias of aliases) {
+    const value = normalized[normalizeKey(alias)];
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Leer un número escrito con coma o punto decimal y separadores de miles
+ * (1.234,56 / 1,234.56 / 12,5 / 50,000 / 1.000.000 / $ 100)
+ * Sin decimal explícito se deduce: con ambos signos el último es el decimal, un signo
+ * repetido agrupa miles y una sola coma seguida de tres dígitos también (50,000 = 50000).
+ * Los separadores de miles deben agrupar de a tres dígitos.
+ * @param {Object} options - { decimal: ',' o '.' cuando el formato del archivo es conocido }
+ * @returns {number|null} - Número o null si no es válido
+ */
+function parseNumber(value, { decimal = null } = {}) {
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : null;
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const text = String(value).replace(/[^\d,.-]/g, '');
+  const separator = decimal || guessDecimalSeparator(text);
+  const thousands = separator === ',' ? '.' : ',';
+  const [integer, fraction, ...rest] = text.split(separator);
+  if (rest.length > 0) {
+    return null;
+  }
+
+  const grouped = new RegExp(`^-?\\d{1,3}(\\${thousands}\\d{3})+$`);
+  if (integer.includes(thousands) && !grouped.test(integer)) {
+    return null;
+  }
+
+  const normalized = integer.split(thousands).join('') + (fraction !== undefined ? `.${fraction}` : '');
+  if (!/^-?\d+(\.\d+)?$/.test(normalized)) {
+    return null;
+  }
+
+  return parseFloat(normalized);
+}
+
+function guessDecimalSeparator(text) {
+  const commas = text.split(',').length - 1;
+  const dots = text.split('.').length - 1;
+
+  if (commas > 0 && dots > 0) {
+    return text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+  }
+  if (commas > 1) return '.';
+  if (dots > 1) return ',';
+  if (commas === 1) {
+    return /^-?[1-9]\d{0,2},\d{3}$/.test(text) ? '.' : ',';
+  }
+  return '.';
+}
+
+/**
+ * Filas de un JSON: arreglo directo o la primera propiedad que sea arreglo
+ */
+function parseJsonRows(content, containers = ['items', 'data', 'rows', 'records']) {
+  const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+  if (Array.isArray(parsed)) {
+    return parsed.map((record, index) => ({ __line: index + 1, ...record }));
+  }
+
+  const key = containers.find(name => Array.isArray(parsed && parsed[name]));
+  if (!key) {
+    throw new Error(`El JSON debe ser un arreglo o contener ${containers.join(', ')}`);
+  }
+
+  return parsed[key].map((record, index) => ({ __line: index + 1, ...record }));
+}
+
+/**
+ * Filas de una hoja XLSX usando la primera fila como encabezados
+ * La librería xlsx se carga solo al leer hojas de cálculo.
+ * @param {Buffer|ArrayBuffer|Uint8Array} content - Archivo
+ * @param {Object} options - { sheet: nombre de la hoja (por defecto la primera) }
+ * @returns {Array<Object>} - Filas con __line; las fechas llegan como Date
+ */
+function parseXlsx(content, options = {}) {
+  const XLSX = require('xlsx');
+  const workbook = XLSX.read(content, { type: 'buffer', cellDates: true });
+  const sheetName = options.sheet || workbook.SheetNames[0];
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) {
+    throw new Error(`La hoja ${sheetName} no existe. Hojas: ${workbook.SheetNames.join(', ')}`);
+  }
+
+  const [headers, ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true });
+  if (!headers) {
+    return [];
+  }
+
+  const keys = headers.map(header => String(header).trim());
+  return rows
+    .map((cells, index) => {
+      const record = { __line: index + 2 };
+      keys.forEach((key, i) => {
+        const value = cells[i] !== undefined ? cells[i] : '';
+        record[key] = typeof value === 'string' ? value.trim() : value;
+      });
+      return record;
+    })
+    .filter((record, index) => rows[index].some(value => String(value).trim() !== ''));
+}
+
+module.exports = { parseCsv, parseXlsx, parseCsvRows, parseJsonRows, pickField, parseNumber, normalizeKey, detectDelimiter };
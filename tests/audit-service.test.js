@@ -0,0 +1,64 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import auditService from '../src/services/audit-service.js';
+import payoutService from '../src/services/payout-service.js';
+import levelEvaluationService from '../src/services/level-evaluation-service.js';
+import firestoreService from '../src/services/firestore.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer, createApprovedCommission } from './helpers/fixtures.js';
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1, leaderId: 'lider-1', paymentMethod: 'paypal', paypalEmail: 'ana@example.com' });
+});
+
+const history = field => auditService.getStreamerHistory('ana', { field });
+
+test('un cambio guarda el antes y el después de cada campo', async () => {
+  const result = await auditService.updateStreamer('ana', { name: 'Ana María', phone: '555' }, { actor: 'admin', source: 'ui' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.audit.changes, [
+    { field: 'name', before: 'Ana', after: 'Ana María' },
+    { field: 'phone', before: null, after: '555' }
+  ]);
+  assert.deepEqual(result.audit.sensitiveFields, ['phone']);
+  assert.equal((await history('name'))[0].actor, 'admin');
+});
+
+test('un cambio sin diferencias no se registra y un origen inválido se rechaza', async () => {
+  const result = await auditService.updateStreamer('ana', { name: 'Ana' }, { actor: 'admin', source: 'ui' });
+
+  assert.equal(result.audit, null);
+  assert.deepEqual(await auditService.getStreamerHistory('ana'), []);
+  await assert.rejects(auditService.updateStreamer('ana', { name: 'X' }, { source: 'correo' }), /Origen inválido/);
+});
+
+test('el saldo arrastrado y su liquidación quedan en la auditoría como cambios del sistema', async () => {
+  const small = await createApprovedCommission({ streamerId: 'ana', amount: 3, sourceRow: 'fila-1' });
+  await payoutService.processRunPayouts({ id: 'nomina-1', agency: 'luxeryprime', commissionIds: [small] }, { actor: 'finanzas' });
+
+  const [carried] = await history('carryForwardBalances');
+  assert.equal(carried.source, 'system');
+  assert.equal(carried.actor, 'finanzas');
+  assert.deepEqual(carried.changes, [{ field: 'carryForwardBalances.USD', before: null, after: 3 }]);
+
+  const next = await createApprovedCommission({ streamerId: 'ana', amount: 10, sourceRow: 'fila-2', period: '2024-06-01' });
+  await payoutService.processRunPayouts({ id: 'nomina-2', agency: 'luxeryprime', commissionIds: [next] }, { actor: 'finanzas' });
+
+  const entries = await history('carryForwardBalances');
+  assert.equal(entries.length, 2);
+  assert.ok(entries.some(entry => entry.source === 'system' && entry.changes[0].before === 3 && entry.changes[0].after === 0));
+  assert.equal((await firestoreService.getStreamerById('ana')).data.carryForwardBalances.USD, 0);
+});
+
+test('un cambio de nivel queda en la auditoría con su origen', async () => {
+  const record = await levelEvaluationService.changeLevel('ana', 2, { actor: 'admin', reason: 'Meta cumplida', source: 'ui' });
+
+  const [entry] = await history('level');
+  assert.equal(entry.source, 'ui');
+  assert.equal(entry.reason, 'Meta cumplida');
+  assert.deepEqual(entry.changedFields, ['level', 'levelChangedAt']);
+  assert.deepEqual(entry.changes[0], { field: 'level', before: 1, after: 2 });
+  assert.equal(entry.changes[1].after, record.effectiveAt);
+});
@@ -0,0 +1,94 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import campaignService, { BONUS_TYPE } from '../src/services/campaign-service.js';
+import commissionService from '../src/services/commission-service.js';
+import { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer, buildCommission } from './helpers/fixtures.js';
+
+const WEEK_1 = { id: 'nomina-1', agency: 'luxeryprime', periodStart: '2024-05-06T00:00:00.000Z', periodEnd: '2024-05-13T00:00:00.000Z' };
+const WEEK_2 = { id: 'nomina-2', agency: 'luxeryprime', periodStart: '2024-05-13T00:00:00.000Z', periodEnd: '2024-05-20T00:00:00.000Z' };
+
+const HITI_BOOST = {
+  agency: 'luxeryprime',
+  name: '100 USD en hiti = +5%',
+  startsAt: '2024-05-01T00:00:00.000Z',
+  endsAt: '2024-05-31T23:59:59.999Z',
+  metric: { type: 'earnings', app: 'hiti' },
+  target: 100,
+  reward: { type: 'percentage', rate: 0.05 }
+};
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1 });
+  await createStreamer({ id: 'luis', name: 'Luis', level: 2 });
+});
+
+const earning = (streamerId, amount, sourceRow, period, app = 'hiti') =>
+  buildCommission({ streamerId, amount, sourceRow, period, app });
+const bonuses = () => getStoredDocuments(COLLECTIONS.COMMISSIONS).filter(line => line.type === BONUS_TYPE);
+
+test('un bono porcentual se otorga al llegar a la meta y luego solo por lo nuevo', async () => {
+  const campaign = await campaignService.createCampaign(HITI_BOOST);
+
+  const first = await commissionService.processCommissionBatch([
+    earning('ana', 60, 'fila-1', '2024-05-07'),
+    earning('ana', 30, 'fila-2', '2024-05-08', 'salsa')
+  ], { payrollRun: WEEK_1 });
+  assert.deepEqual(first.bonuses, []);
+
+  const second = await commissionService.processCommissionBatch([earning('ana', 60, 'fila-3', '2024-05-14')], { payrollRun: WEEK_2 });
+  assert.deepEqual(second.bonuses.map(bonus => [bonus.streamerId, bonus.streamerCommission, bonus.payrollRunId]), [['ana', 6, 'nomina-2']]);
+
+  const third = await commissionService.processCommissionBatch([earning('ana', 20, 'fila-4', '2024-05-15')], { payrollRun: WEEK_2 });
+  assert.deepEqual(third.bonuses.map(bonus => bonus.streamerCommission), [1]);
+
+  const [bonus] = bonuses();
+  assert.equal(bonus.campaignId, campaign.id);
+  assert.equal(bonus.baseAmount, 0);
+  assert.equal(bonus.agencyCommission, -6);
+  assert.equal(bonus.status, 'pending');
+});
+
+test('un bono fijo se otorga una sola vez y solo a los elegibles', async () => {
+  await campaignService.createCampaign({
+    ...HITI_BOOST,
+    name: 'Nivel 2: 3 comisiones = 25 USD',
+    eligibility: { levels: [2] },
+    metric: { type: 'commissions' },
+    target: 3,
+    reward: { type: 'fixed', amount: 25 }
+  });
+  const rows = streamerId => [1, 2, 3].map(row => earning(streamerId, 10, `fila-${row}`, '2024-05-07'));
+
+  const first = await commissionService.processCommissionBatch([...rows('ana'), ...rows('luis')], { payrollRun: WEEK_1 });
+  const again = await commissionService.processCommissionBatch([earning('luis', 10, 'fila-9', '2024-05-14')], { payrollRun: WEEK_2 });
+
+  assert.deepEqual(first.bonuses.map(bonus => [bonus.streamerId, bonus.streamerCommission]), [['luis', 25]]);
+  assert.deepEqual(again.bonuses, []);
+  assert.equal(bonuses().length, 1);
+});
+
+test('una campaña pausada no genera bonos y el progreso se informa', async () => {
+  const campaign = await campaignService.createCampaign(HITI_BOOST);
+  await commissionService.processCommissionBatch([earning('ana', 40, 'fila-1', '2024-05-07')], { payrollRun: WEEK_1 });
+
+  const [progress] = await campaignService.getStreamerProgress('ana', { asOf: '2024-05-10T00:00:00.000Z' });
+  assert.equal(progress.current, 40);
+  assert.equal(progress.percent, 40);
+  assert.equal(progress.achieved, false);
+
+  await campaignService.setCampaignStatus(campaign.id, 'paused', 'admin');
+  const result = await commissionService.processCommissionBatch([earning('ana', 80, 'fila-2', '2024-05-08')], { payrollRun: WEEK_1 });
+  assert.deepEqual(result.bonuses, []);
+  assert.deepEqual(await campaignService.getStreamerProgress('ana'), []);
+});
+
+test('una campaña inválida se rechaza con todos sus errores', async () => {
+  await assert.rejects(
+    campaignService.createCampaign({ ...HITI_BOOST, endsAt: '2024-04-01', metric: { type: 'units' }, reward: { type: 'percentage', rate: 2 } }),
+    /endsAt debe ser posterior a startsAt, metric.unit es requerido.*, reward.rate debe ser un número entre 0 y 1/
+  );
+  await assert.rejects(campaignService.setCampaignStatus('x', 'borrada'), /Estado inválido/);
+});
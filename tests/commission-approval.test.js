@@ -0,0 +1,84 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import commissionService from '../src/services/commission-service.js';
+import commissionLedger from '../src/services/commission-ledger.js';
+import disputeService from '../src/services/dispute-service.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer, buildCommission, createApprovedCommission } from './helpers/fixtures.js';
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana' });
+});
+
+const payouts = async commissionId => (await commissionLedger.getEntries({ commissionId, type: 'payout' }));
+
+test('additionalData no puede cambiar el estado', async () => {
+  const created = await commissionService.createCommission(buildCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' }));
+
+  const commission = await commissionService.updateCommissionStatus(created.id, 'cancelled', { status: 'paid' });
+
+  assert.equal(commission.status, 'cancelled');
+  assert.equal((await commissionService.getCommissionById(created.id)).status, 'cancelled');
+  await assert.rejects(commissionService.updateCommissionStatus(created.id, 'paid'), /Transición inválida/);
+});
+
+test('las transiciones no permitidas se rechazan', async () => {
+  const created = await commissionService.createCommission(buildCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' }));
+
+  await assert.rejects(commissionService.updateCommissionStatus(created.id, 'paid'), /pending → paid/);
+  await assert.rejects(commissionService.updateCommissionStatus(created.id, 'approved'), /approveCommission/);
+});
+
+test('pagar guarda el estado y la entrada del libro mayor juntos', async () => {
+  const id = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+
+  const commission = await commissionService.updateCommissionStatus(id, 'paid', { providerReference: 'REF-1', actor: 'tesoreria' });
+
+  assert.equal(commission.status, 'paid');
+  const [payout] = await payouts(id);
+  assert.equal(payout.amount, -20);
+  assert.equal(payout.reference, 'REF-1');
+  const balance = await commissionLedger.getBalance({ partyId: 'ana' });
+  assert.equal(balance.balance, 0);
+});
+
+test('dos pagos concurrentes de la misma comisión registran un solo pago', async () => {
+  const id = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+
+  const results = await Promise.allSettled([
+    commissionService.updateCommissionStatus(id, 'paid'),
+    commissionService.updateCommissionStatus(id, 'paid')
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal((await payouts(id)).length, 1);
+});
+
+test('una disputa abierta impide pagar', async () => {
+  const id = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  await disputeService.openDispute(id, { reason: 'Monto incorrecto', openedBy: 'ana' });
+
+  await assert.rejects(commissionService.updateCommissionStatus(id, 'paid'), /en disputa/);
+  assert.deepEqual(await payouts(id), []);
+});
+
+test('sobre el límite se requieren dos aprobaciones de usuarios distintos', async () => {
+  const created = await commissionService.createCommission(buildCommission({ streamerId: 'ana', amount: 800, sourceRow: 'fila-1' }));
+
+  const first = await commissionService.approveCommission(created.id, { actor: 'supervisor' });
+  assert.equal(first.awaitingApproval, true);
+  assert.equal(first.status, 'pending');
+
+  await assert.rejects(commissionService.approveCommission(created.id, { actor: 'supervisor' }), /otro usuario/);
+});
+
+test('quien creó la comisión no puede aprobarla, aun bajo el límite', async () => {
+  const created = await commissionService.createCommission(buildCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' }));
+
+  await assert.rejects(commissionService.approveCommission(created.id, { actor: 'importer' }), /Quien crea la comisión/);
+
+  const approved = await commissionService.approveCommission(created.id, { actor: 'admin' });
+  assert.equal(approved.status, 'approved');
+  assert.equal(approved.approvedBy, 'admin');
+});
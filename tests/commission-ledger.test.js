@@ -0,0 +1,90 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import commissionLedger from '../src/services/commission-ledger.js';
+import commissionService from '../src/services/commission-service.js';
+import { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer, createApprovedCommission } from './helpers/fixtures.js';
+
+let commissionId;
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana' });
+  commissionId = await createApprovedCommission({
+    streamerId: 'ana',
+    amount: 100,
+    sourceRow: 'fila-1',
+    leaders: [{ leaderId: 'lider-1', amount: 5 }]
+  });
+});
+
+const streamerBalance = asOf => commissionLedger.getBalance({ partyId: 'ana', asOf });
+
+test('ajustes, clawbacks y reversos son entradas nuevas; el devengo original no cambia', async () => {
+  const [accrual] = await commissionLedger.getEntries({ commissionId, partyType: 'streamer', type: 'accrual' });
+  const commission = await commissionService.getCommissionById(commissionId);
+
+  await commissionService.createAdjustment(commissionId, { amount: 10, reason: 'Bono manual', actor: 'admin' });
+  await commissionService.createClawback(commissionId, { amount: 30, reason: 'Contracargo', actor: 'admin' });
+  const reversal = await commissionLedger.reverseEntry(accrual.id, { reason: 'Error de carga', actor: 'admin' });
+
+  assert.equal(reversal.amount, -100);
+  assert.equal(reversal.referenceEntryId, accrual.id);
+  assert.deepEqual(
+    (await commissionLedger.getEntries({ commissionId, partyType: 'streamer' })).map(entry => [entry.type, entry.amount]),
+    [['accrual', 100], ['adjustment', 10], ['clawback', -30], ['reversal', -100]]
+  );
+  assert.equal(getStoredDocuments(COLLECTIONS.COMMISSION_LEDGER).find(entry => entry.id === accrual.id).amount, 100);
+  assert.equal((await commissionService.getCommissionById(commissionId)).streamerCommission, commission.streamerCommission);
+
+  const balance = await streamerBalance();
+  assert.equal(balance.balance, -20);
+  assert.deepEqual(balance.byType, { accrual: 100, adjustment: 10, clawback: -30, reversal: -100 });
+});
+
+test('el saldo a una fecha solo cuenta las entradas efectivas hasta entonces', async () => {
+  await commissionService.createAdjustment(commissionId, { amount: -15, reason: 'Corrección', actor: 'admin' });
+
+  assert.equal((await streamerBalance('2024-04-30T00:00:00.000Z')).balance, 0);
+  assert.equal((await streamerBalance('2024-05-15T00:00:00.000Z')).balance, 100);
+  assert.equal((await streamerBalance()).balance, 85);
+});
+
+test('las entradas validan signo, motivo y duplicados de reverso', async () => {
+  const [accrual] = await commissionLedger.getEntries({ commissionId, type: 'accrual', partyType: 'streamer' });
+  const commission = await commissionService.getCommissionById(commissionId);
+
+  await assert.rejects(commissionLedger.appendEntry({ type: 'accrual', commissionId, partyType: 'streamer', partyId: 'ana', amount: -1 }), /Signo inválido/);
+  await assert.rejects(commissionLedger.appendEntry({ type: 'bonus', commissionId, partyType: 'streamer', partyId: 'ana', amount: 1 }), /Tipo de entrada inválido/);
+  await assert.rejects(commissionLedger.appendEntry({ type: 'adjustment', partyType: 'streamer', partyId: 'ana', amount: 1 }), /referenciar una comisión/);
+  await assert.rejects(commissionLedger.recordClawback(commission, { amount: -5, reason: 'x' }), /debe ser positivo/);
+  await assert.rejects(commissionLedger.recordAdjustment(commission, { amount: 5 }), /requiere un motivo/);
+
+  const reversal = await commissionLedger.reverseEntry(accrual.id, { reason: 'Error' });
+  await assert.rejects(commissionLedger.reverseEntry(accrual.id, { reason: 'Otra vez' }), /ya fue reversada/);
+  await assert.rejects(commissionLedger.reverseEntry(reversal.id, { reason: 'Deshacer' }), /reversar un reverso/);
+});
+
+test('reversar una comisión deja en cero el saldo de cada parte', async () => {
+  await commissionService.createAdjustment(commissionId, { amount: 10, reason: 'Bono manual', actor: 'admin' });
+
+  const reversals = await commissionService.reverseCommission(commissionId, { reason: 'Comisión duplicada', actor: 'admin' });
+  const again = await commissionService.reverseCommission(commissionId, { reason: 'Comisión duplicada', actor: 'admin' });
+
+  assert.equal(reversals.length, 3);
+  assert.deepEqual(again, []);
+  assert.deepEqual(
+    Object.values(await commissionLedger.getCommissionBalance(commissionId)).map(balance => balance.amount),
+    [0, 0]
+  );
+});
+
+test('el pago salda al streamer y queda como entrada de pago', async () => {
+  await commissionService.updateCommissionStatus(commissionId, 'paid', { actor: 'finanzas' });
+
+  const balance = await streamerBalance();
+  assert.equal(balance.balance, 0);
+  assert.deepEqual(balance.byType, { accrual: 100, payout: -100 });
+  assert.equal((await commissionLedger.getBalance({ partyType: 'leader', partyId: 'lider-1' })).balance, 5);
+});
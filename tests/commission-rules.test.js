@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommissionRuleEngine, commissionRuleEngine, DEFAULT_RULE_SET } from '../src/services/commission-rule-engine.js';
+import commissionService from '../src/services/commission-service.js';
+import firestoreService, { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+const AGENCY_RULES = {
+  id: 'agencia-x-v2',
+  version: 2,
+  agency: 'agencia-x',
+  effectiveFrom: '2024-01-01T00:00:00.000Z',
+  defaultRate: 0.3,
+  levels: {},
+  leaderOverrides: { maxTiers: 0 }
+};
+
+beforeEach(() => {
+  resetFirestore();
+  commissionRuleEngine.loadRuleSets([]);
+  commissionService.rulesLoaded = null;
+});
+
+test('cargar un conjunto de una agencia conserva las reglas globales por defecto', () => {
+  const engine = new CommissionRuleEngine();
+  engine.loadRuleSets([AGENCY_RULES]);
+
+  assert.equal(engine.getRuleSet({ agency: 'agencia-x', date: '2024-06-01' }).id, 'agencia-x-v2');
+  assert.equal(engine.getRuleSet({ agency: 'otra', date: '2024-06-01' }).id, DEFAULT_RULE_SET.id);
+  assert.equal(engine.getRuleSet({ date: '2024-06-01' }).id, DEFAULT_RULE_SET.id);
+});
+
+test('la tasa depende del nivel, la app y la vigencia de las reglas', () => {
+  const engine = new CommissionRuleEngine();
+  engine.loadRuleSets([{ ...AGENCY_RULES, agency: null, id: 'global-v2', levels: { 3: 0.35 }, apps: { hiti: { rate: 0.4 } } }]);
+
+  assert.equal(engine.resolveRate({ level: 3, date: '2024-06-01' }).rate, 0.35);
+  assert.equal(engine.resolveRate({ level: 1, app: 'hiti', date: '2024-06-01' }).rate, 0.4);
+  assert.equal(engine.resolveRate({ level: 3, date: '2023-06-01' }).ruleSetId, DEFAULT_RULE_SET.id);
+});
+
+test('un conjunto inválido se rechaza', () => {
+  const engine = new CommissionRuleEngine();
+  assert.throws(() => engine.registerRuleSet({ ...AGENCY_RULES, defaultRate: 1.5 }), /entre 0 y 1/);
+  assert.throws(() => engine.registerRuleSet({ ...AGENCY_RULES, version: 0 }), /version/);
+});
+
+test('el primer cálculo usa las reglas guardadas en Firestore', async () => {
+  await firestoreService.createDocument(COLLECTIONS.COMMISSION_RULES, AGENCY_RULES);
+  await createStreamer({ id: 'ana', name: 'Ana', agency_id: 'agencia-x', agency: 'legacy' });
+
+  const commission = await commissionService.calculateCommission('ana', 100, 'hiti', { date: '2024-06-01', sourceRow: 'fila-1' });
+
+  assert.equal(commission.agency, 'agencia-x');
+  assert.equal(commission.ruleSetId, 'agencia-x-v2');
+  assert.equal(commission.commissionRate, 0.3);
+  assert.equal(commission.streamerCommission, 70);
+});
+
+test('las agencias sin reglas propias siguen usando las globales', async () => {
+  await firestoreService.createDocument(COLLECTIONS.COMMISSION_RULES, AGENCY_RULES);
+  await createStreamer({ id: 'eva', name: 'Eva', agency_id: 'otra', level: 1 });
+
+  const commission = await commissionService.calculateCommission('eva', 100, 'hiti', { date: '2024-06-01', sourceRow: 'fila-1' });
+
+  assert.equal(commission.ruleSetId, DEFAULT_RULE_SET.id);
+});
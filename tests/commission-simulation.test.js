@@ -0,0 +1,96 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import commissionSimulationService, { RECALCULATION_TYPE } from '../src/services/commission-simulation-service.js';
+import commissionService from '../src/services/commission-service.js';
+import commissionLedger from '../src/services/commission-ledger.js';
+import payoutService from '../src/services/payout-service.js';
+import { commissionRuleEngine } from '../src/services/commission-rule-engine.js';
+import { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer, buildCommission } from './helpers/fixtures.js';
+
+const ruleSet = defaultRate => ({
+  id: `global-r${defaultRate * 100}`,
+  version: 2,
+  agency: null,
+  effectiveFrom: '2024-01-01T00:00:00.000Z',
+  defaultRate,
+  levels: {},
+  leaderOverrides: { maxTiers: 0 }
+});
+
+const RANGE = { from: '2024-05-01', to: '2024-05-31', actor: 'finanzas' };
+
+let commissionId;
+
+beforeEach(async () => {
+  resetFirestore();
+  commissionRuleEngine.loadRuleSets([]);
+  commissionService.rulesLoaded = null;
+
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1 });
+  // Base 100: 70 para el streamer, 5 para su líder y el resto para la agencia; ya pagada
+  const created = await commissionService.createCommission({
+    ...buildCommission({ streamerId: 'ana', amount: 100, sourceRow: 'fila-1', leaders: [{ leaderId: 'lider-1', amount: 5 }] }),
+    streamerCommission: 70,
+    agencyCommission: 25
+  });
+  commissionId = created.id;
+  await commissionService.approveCommission(commissionId, { actor: 'admin' });
+  await commissionService.updateCommissionStatus(commissionId, 'paid', { actor: 'admin' });
+});
+
+const adjustmentLines = () => getStoredDocuments(COLLECTIONS.COMMISSIONS).filter(line => line.type === RECALCULATION_TYPE);
+
+test('simular no escribe nada y reporta el delta por parte', async () => {
+  const simulation = await commissionSimulationService.simulate({ ...RANGE, ruleSet: ruleSet(0.2) });
+  const parties = Object.fromEntries(simulation.lines[0].parties.map(party => [party.partyType, party.delta]));
+
+  assert.deepEqual(parties, { streamer: 10, leader: -5, agency: -5 });
+  assert.equal(adjustmentLines().length, 0);
+});
+
+test('el recálculo crea una línea de ajuste pendiente que se paga al streamer', async () => {
+  const result = await commissionSimulationService.recalculateAndAdjust({ ...RANGE, ruleSet: ruleSet(0.2) });
+
+  assert.equal(result.adjustments.length, 1);
+  const [line] = adjustmentLines();
+  assert.equal(line.adjustsCommissionId, commissionId);
+  assert.equal(line.status, 'pending');
+  assert.equal(line.streamerCommission, 10);
+  assert.deepEqual(line.leaderOverrides.map(override => [override.leaderId, override.amount]), [['lider-1', -5]]);
+
+  // La comisión original pagada no cambia
+  const original = await commissionService.getCommissionById(commissionId);
+  assert.equal(original.status, 'paid');
+  assert.equal((await payoutService.getStreamerBalance(original)).toDecimal(), 0);
+
+  await commissionService.approveCommission(line.id, { actor: 'admin' });
+  const plan = await payoutService.planPayouts([line.id]);
+  assert.equal(plan[0].amount, 10);
+  assert.deepEqual(plan[0].commissionIds, [line.id]);
+
+  const leaderBalance = await commissionLedger.getCommissionBalance(line.id);
+  assert.equal(Object.values(leaderBalance).find(balance => balance.partyType === 'leader').amount, -5);
+});
+
+test('un delta negativo queda como saldo a descontar de pagos siguientes', async () => {
+  await commissionSimulationService.recalculateAndAdjust({ ...RANGE, ruleSet: ruleSet(0.4) });
+  const [line] = adjustmentLines();
+
+  assert.equal(line.streamerCommission, -10);
+  await commissionService.approveCommission(line.id, { actor: 'admin' });
+
+  const [item] = await payoutService.planPayouts([line.id]);
+  assert.equal(item.amount, -10);
+  assert.equal(item.action, 'carry_forward');
+});
+
+test('repetir el recálculo no duplica las líneas de ajuste', async () => {
+  await commissionSimulationService.recalculateAndAdjust({ ...RANGE, ruleSet: ruleSet(0.2) });
+  const second = await commissionSimulationService.recalculateAndAdjust({ ...RANGE, ruleSet: ruleSet(0.2) });
+
+  assert.equal(second.changed, 0);
+  assert.equal(second.adjustments.length, 0);
+  assert.equal(adjustmentLines().length, 1);
+});
@@ -0,0 +1,58 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import commissionService from '../src/services/commission-service.js';
+import commissionLedger from '../src/services/commission-ledger.js';
+import leaderHierarchyService from '../src/services/leader-hierarchy.js';
+import { Money } from '../src/utils/money.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+let leader;
+
+beforeEach(async () => {
+  resetFirestore();
+  leader = await leaderHierarchyService.createLeader({ userId: 'u-lia', name: 'Lía', agency: 'luxeryprime' });
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1, leaderId: leader.id });
+});
+
+const calculate = amount => commissionService.calculateCommission('ana', amount, 'hiti', { date: '2024-06-01', sourceRow: `fila-${amount}` });
+
+test('el reparto entre streamer, líder y agencia suma exactamente el monto base', async () => {
+  const commission = await calculate(33.33);
+
+  // Nivel 1 (15%) con override de reglas del 5%
+  assert.equal(commission.streamerCommission, 28.33);
+  assert.equal(commission.leaderCommission, 1.67);
+  assert.equal(commission.agencyCommission, 3.33);
+  assert.ok(Money.sum([commission.streamerCommission, commission.leaderCommission, commission.agencyCommission])
+    .equals(Money.fromDecimal(commission.baseAmount)));
+});
+
+test('la tasa de override se configura por líder y null vuelve a la de las reglas', async () => {
+  await commissionService.setLeaderOverrideRate(leader.id, 0.1);
+  assert.equal((await calculate(100)).leaderCommission, 10);
+
+  await commissionService.setLeaderOverrideRate(leader.id, null);
+  assert.equal((await calculate(100)).leaderCommission, 5);
+
+  await assert.rejects(commissionService.setLeaderOverrideRate(leader.id, 2), /entre 0 y 1/);
+});
+
+test('sin líder la agencia se queda con toda la comisión', async () => {
+  await createStreamer({ id: 'luis', name: 'Luis', level: 1 });
+  const commission = await commissionService.calculateCommission('luis', 100, 'hiti', { date: '2024-06-01', sourceRow: 'fila-1' });
+
+  assert.deepEqual(commission.leaderOverrides, []);
+  assert.equal(commission.leaderCommission, 0);
+  assert.equal(commission.agencyCommission, 15);
+  assert.equal(commission.streamerCommission, 85);
+});
+
+test('crear la comisión devenga la parte del streamer y la del líder', async () => {
+  const created = await commissionService.createCommission(await calculate(100));
+  const balances = Object.values(await commissionLedger.getCommissionBalance(created.id))
+    .map(balance => [balance.partyType, balance.partyId, balance.amount])
+    .sort();
+
+  assert.deepEqual(balances, [['leader', leader.id, 5], ['streamer', 'ana', 85]]);
+});
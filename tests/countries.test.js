@@ -0,0 +1,83 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CountryRegistry } from '../src/utils/countries.js';
+import StreamerValidator from '../src/services/streamer-validator.js';
+import countryService from '../src/services/country-service.js';
+import auditService from '../src/services/audit-service.js';
+import firestoreService, { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+
+const registry = new CountryRegistry();
+const e164 = (phone, country) => registry.normalizePhone(phone, country).e164;
+
+beforeEach(async () => {
+  resetFirestore();
+  await firestoreService.setDocumentInTransaction(COLLECTIONS.AGENCIES, 'luxeryprime', () => ({ name: 'Luxery Prime', settings: {} }));
+});
+
+test('los teléfonos se normalizan a E.164 con las reglas de cada país', () => {
+  assert.equal(e164('300 123 4567', 'CO'), '+573001234567');
+  assert.equal(e164('573001234567', 'CO'), '+573001234567');
+  assert.equal(e164('0057 (300) 123-4567'), '+573001234567');
+  assert.equal(e164('0414-1234567', 'VE'), '+584141234567');
+  assert.equal(e164('+52 1 55 1234 5678'), '+525512345678');
+  assert.equal(e164('+54 9 11 1234 5678'), '+5491112345678');
+  assert.equal(e164('+593 99 123 4567', 'CO'), '+593991234567');
+});
+
+test('los teléfonos inválidos explican el motivo', () => {
+  assert.match(registry.normalizePhone('3001234567').error, /Indique el país/);
+  assert.match(registry.normalizePhone('+57 300 123', 'CO').error, /Colombia: el número nacional debe tener 10 dígitos/);
+  assert.match(registry.normalizePhone('+999 1234567').error, /Código de país desconocido/);
+  assert.match(registry.normalizePhone('300-abc', 'CO').error, /solo puede tener dígitos/);
+});
+
+test('los países se reconocen por código, nombre, alias o con un error de tipeo', () => {
+  const code = input => {
+    const match = registry.resolve(input);
+    return match && [match.country.code, match.exact];
+  };
+
+  assert.deepEqual(code('MEX'), ['MX', true]);
+  assert.deepEqual(code('mexico'), ['MX', true]);
+  assert.deepEqual(code('EE.UU.'), ['US', true]);
+  assert.deepEqual(code('Venezeula'), ['VE', false]);
+  assert.equal(code('Atlantis'), null);
+  assert.equal(registry.isEnabled('US'), false);
+});
+
+test('el validador guarda el país y el teléfono normalizados', () => {
+  const { isValid, correctedData, warnings } = new StreamerValidator().validateStreamer(
+    { name: 'Ana', email: 'ana@example.com', country: 'colombia', phone: '300 123 4567', level: 1 },
+    { requireId: false, requireEarnings: false }
+  );
+
+  assert.equal(isValid, true);
+  assert.deepEqual([correctedData.country, correctedData.countryCode, correctedData.phone], ['Colombia', 'CO', '+573001234567']);
+  assert.deepEqual(warnings, ['País corregido: colombia → Colombia']);
+});
+
+test('cada agencia habilita sus países y puede definir nuevos', async () => {
+  const definitions = {
+    DO: { code: 'DO', names: { es: 'República Dominicana', en: 'Dominican Republic' }, phone: { dialCode: '1', lengths: [10] } }
+  };
+  const list = await countryService.setAgencyCountries('luxeryprime', { enabled: ['co', 'BR', 'DO'], definitions }, { actor: 'admin', source: 'ui' });
+  assert.deepEqual(list.map(country => country.code), ['CO', 'BR', 'DO']);
+
+  const countries = await countryService.getRegistry('luxeryprime');
+  const validator = new StreamerValidator();
+  const check = country => validator.validateStreamer({ name: 'Ana', email: 'ana@example.com', country, level: 1 }, { requireId: false, requireEarnings: false, countries });
+  assert.equal(check('Brasil').isValid, true);
+  assert.equal(check('República Dominicana').correctedData.countryCode, 'DO');
+  assert.match(check('México').errors.join(), /País no habilitado para la agencia: México/);
+  assert.deepEqual((await countryService.listCountries('otra-agencia', 'en')).map(country => country.name).slice(0, 2), ['Colombia', 'Mexico']);
+
+  const [entry] = await auditService.getAgencyHistory('luxeryprime');
+  assert.equal(entry.actor, 'admin');
+
+  await assert.rejects(countryService.setAgencyCountries('luxeryprime', { enabled: ['XX'] }), /Países desconocidos: XX/);
+  await assert.rejects(
+    countryService.setAgencyCountries('luxeryprime', { enabled: ['DO'], definitions: { DO: { ...definitions.DO, phone: { dialCode: '1', lengths: [] } } } }),
+    /Longitudes de teléfono inválidas para DO/
+  );
+});
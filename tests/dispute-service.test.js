@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import disputeService from '../src/services/dispute-service.js';
+import commissionService from '../src/services/commission-service.js';
+import commissionLedger from '../src/services/commission-ledger.js';
+import payoutService from '../src/services/payout-service.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer, createApprovedCommission } from './helpers/fixtures.js';
+
+let commissionId;
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana', paymentMethod: 'paypal', paypalEmail: 'ana@example.com' });
+  commissionId = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+});
+
+const open = () => disputeService.openDispute(commissionId, {
+  reason: 'Faltan los regalos del domingo',
+  attachments: [{ name: 'captura.png', url: 'gs://disputas/captura.png' }],
+  openedBy: 'ana'
+});
+
+test('una disputa abierta bloquea el pago hasta resolverse', async () => {
+  const dispute = await open();
+
+  assert.equal((await commissionService.getCommissionById(commissionId)).disputeStatus, 'open');
+  assert.deepEqual(await payoutService.planPayouts([commissionId]), []);
+  await assert.rejects(open(), /ya tiene la disputa .* abierta/);
+
+  await disputeService.assignDispute(dispute.id, { assigneeId: 'lia', assigneeRole: 'leader', actor: 'admin' });
+  await disputeService.addComment(dispute.id, { author: 'lia', text: 'Revisando el reporte de la app' });
+  const { dispute: rejected, adjustment } = await disputeService.resolveDispute(dispute.id, { resolution: 'rejected', note: 'El reporte coincide', actor: 'lia' });
+
+  assert.equal(adjustment, null);
+  assert.deepEqual(rejected.history.map(entry => entry.action), ['opened', 'assigned', 'rejected']);
+  assert.equal(rejected.comments[0].author, 'lia');
+  assert.equal((await commissionService.getCommissionById(commissionId)).disputeStatus, 'rejected');
+  assert.equal((await payoutService.planPayouts([commissionId]))[0].amount, 20);
+  await assert.rejects(disputeService.addComment(dispute.id, { author: 'ana', text: 'Otra vez' }), /ya fue resuelta \(rejected\)/);
+});
+
+test('un ajuste aceptado crea una línea de ajuste pagable con su asiento en el libro', async () => {
+  const dispute = await open();
+
+  const { dispute: adjusted, adjustment } = await disputeService.resolveDispute(dispute.id, { resolution: 'adjusted', amount: 7.5, actor: 'lia' });
+
+  assert.equal(adjusted.resolution.adjustmentCommissionId, adjustment.id);
+  assert.deepEqual([adjustment.streamerCommission, adjustment.agencyCommission, adjustment.adjustsCommissionId], [7.5, -7.5, commissionId]);
+  const entries = await commissionLedger.getEntries({ commissionId: adjustment.id });
+  assert.deepEqual(entries.map(entry => [entry.type, entry.partyId, entry.amount]), [['adjustment', 'ana', 7.5]]);
+
+  await commissionService.approveCommission(adjustment.id, { actor: 'admin' });
+  const [plan] = await payoutService.planPayouts([commissionId, adjustment.id]);
+  assert.equal(plan.amount, 27.5);
+  await assert.rejects(disputeService.resolveDispute(dispute.id, { resolution: 'adjusted', amount: 1 }), /ya fue resuelta \(adjusted\)/);
+});
+
+test('los datos de la disputa se validan', async () => {
+  await assert.rejects(disputeService.openDispute(commissionId, { reason: ' ' }), /motivo de la disputa es requerido/);
+  await assert.rejects(disputeService.openDispute(commissionId, { reason: 'x', attachments: [{ name: 'sin url' }] }), /al menos una url/);
+
+  const dispute = await open();
+  await assert.rejects(disputeService.assignDispute(dispute.id, { assigneeId: 'eva', assigneeRole: 'streamer' }), /Rol inválido: streamer/);
+  await assert.rejects(disputeService.resolveDispute(dispute.id, { resolution: 'adjusted', amount: 0 }), /distinto de cero/);
+  await assert.rejects(disputeService.resolveDispute(dispute.id, { resolution: 'aceptada' }), /Resolución inválida/);
+});
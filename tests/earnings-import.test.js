@@ -0,0 +1,96 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import earningsImportService from '../src/services/earnings-import-service.js';
+import linkedAccountService from '../src/services/linked-account-service.js';
+import payrollService from '../src/services/payroll-service.js';
+import { YameetParser, HitiParser, SalsaParser } from '../src/services/earnings-parsers.js';
+import { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+const XLSX = createRequire(import.meta.url)('xlsx');
+
+let run;
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana', email: 'ana@example.com', agency_id: 'luxeryprime', level: 1 });
+  await createStreamer({ id: 'luis', name: 'Luis', email: 'luis@example.com', agency_id: 'luxeryprime', level: 1 });
+  await linkedAccountService.linkAccount({ streamerId: 'ana', app: 'hiti', externalId: 'H-1', verified: true, validFrom: '2024-01-01' });
+  run = await payrollService.openPeriod({ agency: 'luxeryprime', periodType: 'monthly', startDate: '2024-05-01T00:00:00.000Z' });
+});
+
+const HITI_REPORT = JSON.stringify({
+  data: [
+    { hiti_uid: 'H-1', revenue: '120.50', stat_date: '05/03/2024' },
+    { hiti_uid: 'H-1', revenue: 0, stat_date: '05/04/2024' },
+    { hiti_uid: 'H-9', revenue: 30, stat_date: '05/04/2024' },
+    { hiti_uid: 'H-1', revenue: 'mucho', stat_date: '05/05/2024' }
+  ]
+});
+
+test('los lectores normalizan montos, unidades y fechas de cada app', async () => {
+  const [yameet] = await new YameetParser().parse('yameet_id;diamantes;fecha\nY-7;1.234;05/04/2024', 'csv');
+  assert.equal(yameet.externalId, 'Y-7');
+  assert.equal(yameet.amount, 1234);
+  assert.equal(yameet.currency, 'DIAMOND');
+  assert.equal(yameet.date, '2024-04-05T00:00:00.000Z');
+
+  const [hiti] = await new HitiParser().parse(HITI_REPORT, 'json');
+  assert.equal(hiti.amount, 120.5);
+  assert.equal(hiti.date, '2024-05-03T00:00:00.000Z');
+
+  const sheet = XLSX.utils.aoa_to_sheet([['salsa_id', 'coins', 'week_end'], ['S-1', 800, new Date('2024-05-12T00:00:00.000Z')]]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Semana');
+  const [salsa] = await new SalsaParser().parse(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), 'xlsx');
+  assert.deepEqual([salsa.externalId, salsa.amount, salsa.currency, salsa.errors], ['S-1', 800, 'COIN', []]);
+});
+
+test('un lector rechaza formatos que la app no entrega y marca las filas mal formadas', async () => {
+  await assert.rejects(new HitiParser().parse('a,b', 'csv'), /Formato csv no soportado para hiti/);
+
+  const [row] = await new YameetParser().parse('yameet_id,diamantes,fecha\n,-5,31/02/2024', 'csv');
+  assert.deepEqual(row.errors, ['Falta el ID de usuario de la app', 'El monto no puede ser negativo', 'Fecha inválida o vacía']);
+});
+
+test('importReport deja las filas válidas en la nómina y reporta el resto', async () => {
+  const report = await earningsImportService.importReport({ app: 'hiti', content: HITI_REPORT, format: 'json', agency: 'luxeryprime', runId: run.id, actor: 'calculista' });
+
+  assert.deepEqual(report.summary, { rows: 4, staged: 1, skipped: 1, malformed: 1, unmatched: 1, invalid: 0, rejected: 0, duplicate: 0 });
+  assert.deepEqual(report.staged.map(earning => [earning.streamerId, earning.amount, earning.sourceRow]), [['ana', 120.5, 'H-1_2024-05-03']]);
+  assert.deepEqual(report.errors.map(error => [error.line, error.type]), [[3, 'unmatched'], [4, 'malformed']]);
+
+  const earnings = await payrollService.getRunEarnings(run.id);
+  assert.deepEqual(earnings.map(earning => [earning.streamerId, earning.amount]), [['ana', 120.5]]);
+  assert.equal(getStoredDocuments(COLLECTIONS.EARNINGS_IMPORTS).length, 1);
+
+  const { body } = await earningsImportService.exportErrorReport(report.id);
+  assert.equal(body.split('\n')[1], '3,unmatched,H-9,,,30,USD,2024-05-04,El ID H-9 de hiti no está vinculado a ningún streamer en esa fecha');
+});
+
+test('reimportar el mismo reporte marca las filas como duplicadas', async () => {
+  await earningsImportService.importReport({ app: 'hiti', content: HITI_REPORT, format: 'json', agency: 'luxeryprime', runId: run.id });
+  const again = await earningsImportService.importReport({ app: 'hiti', content: HITI_REPORT, format: 'json', agency: 'luxeryprime', runId: run.id });
+
+  assert.equal(again.summary.staged, 0);
+  assert.equal(again.summary.duplicate, 1);
+  assert.equal((await payrollService.getRunEarnings(run.id)).length, 1);
+});
+
+test('cada fila se asigna al dueño de la cuenta en su fecha', async () => {
+  await linkedAccountService.unlinkAccount('hiti', 'H-1', { validTo: '2024-05-10' });
+  await linkedAccountService.linkAccount({ streamerId: 'luis', app: 'hiti', externalId: 'H-1', validFrom: '2024-05-10' });
+  const content = JSON.stringify({ data: [
+    { hiti_uid: 'H-1', revenue: 10, stat_date: '05/09/2024' },
+    { hiti_uid: 'H-1', revenue: 20, stat_date: '05/10/2024' }
+  ] });
+
+  const report = await earningsImportService.importReport({ app: 'hiti', content, format: 'json', agency: 'luxeryprime', dryRun: true });
+
+  assert.deepEqual(report.staged.map(earning => earning.streamerId), ['ana', 'luis']);
+  assert.match(report.staged[1].warnings.join(), /no está verificada/);
+  assert.deepEqual(getStoredDocuments(COLLECTIONS.EARNINGS_IMPORTS), []);
+  assert.deepEqual(await payrollService.getRunEarnings(run.id), []);
+});
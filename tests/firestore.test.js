@@ -0,0 +1,35 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import firestoreService from '../src/services/firestore.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+
+beforeEach(() => resetFirestore());
+
+test('crear un streamer con un ID existente falla sin sobrescribirlo', async () => {
+  const first = await firestoreService.createStreamer({ id: 'ana', name: 'Ana', status: 'active', level: 3 });
+  const second = await firestoreService.createStreamer({ id: 'ana', name: 'Otra Ana' });
+
+  assert.equal(first.success, true);
+  assert.equal(second.success, false);
+  assert.match(second.error, /Ya existe un streamer con ID ana/);
+
+  const stored = (await firestoreService.getStreamerById('ana')).data;
+  assert.equal(stored.name, 'Ana');
+  assert.equal(stored.level, 3);
+});
+
+test('dos altas concurrentes con el mismo ID crean un solo streamer', async () => {
+  const results = await Promise.all([
+    firestoreService.createStreamer({ id: 'ana', name: 'Ana' }),
+    firestoreService.createStreamer({ id: 'ana', name: 'Ana (hoja)' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+});
+
+test('sin ID propio se genera uno nuevo en estado pending', async () => {
+  const created = await firestoreService.createStreamer({ name: 'Luis' });
+
+  assert.equal(created.success, true);
+  assert.equal((await firestoreService.getStreamerById(created.id)).data.status, 'pending');
+});
@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fxRateService from '../src/services/fx-rate-service.js';
+import commissionService from '../src/services/commission-service.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+beforeEach(async () => {
+  resetFirestore();
+  await fxRateService.setRate({ from: 'USD', to: 'COP', rate: 4000, effectiveAt: '2024-01-01T00:00:00.000Z' });
+  await fxRateService.setRate({ from: 'USD', to: 'COP', rate: 3900, effectiveAt: '2024-06-01T00:00:00.000Z' });
+  await fxRateService.setAppCoinRate({ app: 'hiti', unit: 'coin', usdPerUnit: 0.01, effectiveAt: '2024-01-01T00:00:00.000Z' });
+});
+
+test('se usa la tasa vigente en la fecha, directa o inversa', async () => {
+  assert.equal((await fxRateService.getRate('USD', 'COP', '2024-05-31T23:59:59.000Z')).rate, 4000);
+  assert.equal((await fxRateService.getRate('usd', 'cop', '2024-06-15T00:00:00.000Z')).rate, 3900);
+  assert.equal((await fxRateService.getRate('COP', 'USD', '2024-06-15T00:00:00.000Z')).rate, 1 / 3900);
+  await assert.rejects(fxRateService.getRate('USD', 'COP', '2023-12-31T00:00:00.000Z'), /No hay tasa de cambio USD → COP/);
+});
+
+test('las unidades de la app pasan por USD con la tabla de la app', async () => {
+  const converted = await fxRateService.convert({ amount: 1000, currency: 'coin' }, 'COP', { app: 'hiti', date: '2024-05-10T00:00:00.000Z' });
+
+  assert.equal(converted.amount, 40000);
+  assert.equal(converted.originalAmount, 1000);
+  assert.equal(converted.originalCurrency, 'COIN');
+  assert.equal(converted.fxRate, 40);
+  assert.equal(converted.fxRateIds.length, 2);
+  await assert.rejects(fxRateService.convert({ amount: 1, currency: 'COIN' }, 'USD'), /Se requiere la app/);
+  await assert.rejects(fxRateService.convert({ amount: 1, currency: 'COIN' }, 'USD', { app: 'salsa' }), /No hay tabla de conversión para COIN de salsa/);
+});
+
+test('la comisión fija la tasa de la fecha de las ganancias', async () => {
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1, payoutCurrency: 'COP' });
+
+  const commission = await commissionService.calculateCommission('ana', { amount: 1000, currency: 'COIN' }, 'hiti', {
+    date: '2024-05-10T00:00:00.000Z',
+    sourceRow: 'fila-1'
+  });
+
+  assert.equal(commission.currency, 'COP');
+  assert.equal(commission.baseAmount, 40000);
+  assert.equal(commission.streamerCommission, 34000);
+  assert.equal(commission.originalAmount, 1000);
+  assert.equal(commission.originalCurrency, 'COIN');
+  assert.equal(commission.fxRate, 40);
+
+  // Una tasa nueva no cambia una comisión ya guardada
+  const created = await commissionService.createCommission(commission);
+  await fxRateService.setRate({ from: 'USD', to: 'COP', rate: 5000, effectiveAt: '2024-05-01T00:00:00.000Z' });
+  assert.equal((await commissionService.getCommissionById(created.id)).baseAmount, 40000);
+});
+
+test('la importación de tasas reporta las filas inválidas', async () => {
+  const result = await fxRateService.importRates([
+    'from,to,rate,effective_at',
+    'USD,MXN,17.2,2024-05-01',
+    'USD,USD,1,2024-05-01',
+    'USD,PEN,-3,2024-05-01'
+  ].join('\n'), 'csv', 'finanzas');
+
+  assert.equal(result.imported, 1);
+  assert.deepEqual(result.errors.map(error => error.row), [2, 3]);
+  assert.equal((await fxRateService.getRate('USD', 'MXN', '2024-05-02T00:00:00.000Z')).source, 'import');
+  await assert.rejects(fxRateService.importRates('[]', 'xml'), /Formato no soportado/);
+});
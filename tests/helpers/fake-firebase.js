@@ -0,0 +1,265 @@
+/**
+ * FIRESTORE EN MEMORIA PARA PRUEBAS
+ * Implementa la parte del SDK de Firebase que usa src/services/firestore.js para que
+ * los servicios corran sin red. Las transacciones reintentan si otro proceso escribió
+ * un documento leído (concurrencia optimista, como Firestore).
+ */
+
+const store = new Map(); // "colección/id" → datos
+const versions = new Map(); // "colección/id" → versión de la última escritura
+let version = 0;
+let autoId = 0;
+
+class ArrayUnion {
+  constructor(values) {
+    this.values = values;
+  }
+}
+
+const pathOf = ref => `${ref.collection}/${ref.id}`;
+
+function assertValid(value, field) {
+  if (value === undefined) {
+    throw new Error(`Function called with invalid data. Unsupported field value: undefined (found in field ${field})`);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ArrayUnion)) {
+    Object.entries(value).forEach(([key, nested]) => assertValid(nested, `${field}.${key}`));
+  }
+}
+
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function setField(data, field, value) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    return node[key];
+  }, data);
+
+  if (value instanceof ArrayUnion) {
+    const current = Array.isArray(parent[last]) ? parent[last] : [];
+    const seen = new Set(current.map(item => JSON.stringify(item)));
+    parent[last] = [...current, ...value.values.filter(item => !seen.has(JSON.stringify(item)))];
+  } else {
+    parent[last] = value;
+  }
+}
+
+function snapshotOf(ref) {
+  const data = store.get(pathOf(ref));
+  return {
+    id: ref.id,
+    ref,
+    exists: () => data !== undefined,
+    data: () => (data === undefined ? undefined : structuredClone(data))
+  };
+}
+
+// Aplicar escrituras de forma atómica: si alguna falla no se aplica ninguna
+function commitWrites(writes) {
+  const exists = new Set();
+  writes.forEach(write => {
+    const path = pathOf(write.ref);
+    if (write.type === 'update' && !store.has(path) && !exists.has(path)) {
+      throw new Error(`No document to update: ${path}`);
+    }
+    if (write.type === 'delete') exists.delete(path);
+    else exists.add(path);
+  });
+
+  writes.forEach(({ type, ref, data }) => {
+    const path = pathOf(ref);
+    if (type === 'delete') {
+      store.delete(path);
+    } else if (type === 'set') {
+      store.set(path, structuredClone(data));
+    } else {
+      const next = structuredClone(store.get(path));
+      Object.entries(data).forEach(([field, value]) => setField(next, field, value));
+      store.set(path, structuredClone(next));
+    }
+    versions.set(path, ++version);
+  });
+}
+
+function stage(writes, type, ref, data) {
+  if (data !== undefined) {
+    Object.entries(data).forEach(([field, value]) => assertValid(value, field));
+  }
+  writes.push({ type, ref, data });
+}
+
+// ===== APP =====
+export function initializeApp(config) {
+  return { config };
+}
+
+// ===== FIRESTORE =====
+export function getFirestore() {
+  return { type: 'firestore' };
+}
+
+export function collection(db, name) {
+  return { type: 'collection', collection: name, constraints: [] };
+}
+
+export function doc(parent, name, id) {
+  if (parent.type === 'collection') {
+    return { type: 'document', collection: parent.collection, id: name || `doc${String(++autoId).padStart(6, '0')}` };
+  }
+  return { type: 'document', collection: name, id: id || `doc${String(++autoId).padStart(6, '0')}` };
+}
+
+export function query(base, ...constraints) {
+  return { ...base, constraints: [...base.constraints, ...constraints] };
+}
+
+export function where(field, op, value) {
+  return { kind: 'where', field, op, value };
+}
+
+export function orderBy(field, direction = 'asc') {
+  return { kind: 'orderBy', field, direction };
+}
+
+export function limit(count) {
+  return { kind: 'limit', count };
+}
+
+export function arrayUnion(...values) {
+  return new ArrayUnion(values);
+}
+
+const comparable = value => (value instanceof Date ? value.getTime() : value);
+
+function matches(data, { field, op, value }) {
+  const current = getField(data, field);
+  switch (op) {
+    case '==':
+      return comparable(current) === comparable(value);
+    case 'array-contains':
+      return Array.isArray(current) && current.includes(value);
+    default:
+      throw new Error(`Operador no soportado en la prueba: ${op}`);
+  }
+}
+
+export async function getDocs(q) {
+  const prefix = `${q.collection}/`;
+  let docs = [...store.keys()]
+    .filter(path => path.startsWith(prefix))
+    .map(path => snapshotOf({ type: 'document', collection: q.collection, id: path.slice(prefix.length) }));
+
+  q.constraints.forEach(constraint => {
+    if (constraint.kind === 'where') {
+      docs = docs.filter(snapshot => matches(snapshot.data(), constraint));
+    } else if (constraint.kind === 'orderBy') {
+      // Como en Firestore, los documentos sin el campo no aparecen al ordenar por él
+      const sign = constraint.direction === 'desc' ? -1 : 1;
+      docs = docs
+        .filter(snapshot => getField(snapshot.data(), constraint.field) !== undefined)
+        .sort((a, b) => {
+          const left = comparable(getField(a.data(), constraint.field));
+          const right = comparable(getField(b.data(), constraint.field));
+          return left < right ? -sign : left > right ? sign : 0;
+        });
+    } else if (constraint.kind === 'limit') {
+      docs = docs.slice(0, constraint.count);
+    }
+  });
+
+  return { docs, size: docs.length, empty: docs.length === 0, forEach: callback => docs.forEach(callback) };
+}
+
+export async function getDoc(ref) {
+  return snapshotOf(ref);
+}
+
+export async function addDoc(collectionRef, data) {
+  const ref = doc(collectionRef);
+  await setDoc(ref, data);
+  return ref;
+}
+
+export async function setDoc(ref, data) {
+  const writes = [];
+  stage(writes, 'set', ref, data);
+  commitWrites(writes);
+}
+
+export async function updateDoc(ref, data) {
+  const writes = [];
+  stage(writes, 'update', ref, data);
+  commitWrites(writes);
+}
+
+export async function deleteDoc(ref) {
+  commitWrites([{ type: 'delete', ref }]);
+}
+
+export function writeBatch() {
+  const writes = [];
+  const batch = {
+    set: (ref, data) => { stage(writes, 'set', ref, data); return batch; },
+    update: (ref, data) => { stage(writes, 'update', ref, data); return batch; },
+    delete: ref => { stage(writes, 'delete', ref); return batch; },
+    commit: async () => commitWrites(writes)
+  };
+  return batch;
+}
+
+export async function runTransaction(db, updateFunction, { maxAttempts = 5 } = {}) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const reads = new Map();
+    const writes = [];
+    const transaction = {
+      get: async ref => {
+        if (writes.length > 0) {
+          throw new Error('Firestore transactions require all reads to be executed before all writes.');
+        }
+        reads.set(pathOf(ref), versions.get(pathOf(ref)) || 0);
+        const snapshot = snapshotOf(ref);
+        // Ceder el turno como lo haría una lectura de red
+        await new Promise(resolve => setImmediate(resolve));
+        return snapshot;
+      },
+      set: (ref, data) => { stage(writes, 'set', ref, data); return transaction; },
+      update: (ref, data) => { stage(writes, 'update', ref, data); return transaction; },
+      delete: ref => { stage(writes, 'delete', ref); return transaction; }
+    };
+
+    const result = await updateFunction(transaction);
+    const changed = [...reads].some(([path, readVersion]) => (versions.get(path) || 0) !== readVersion);
+    if (!changed) {
+      commitWrites(writes);
+      return result;
+    }
+  }
+
+  throw new Error('Transaction failed: too much contention');
+}
+
+// ===== AYUDAS PARA LAS PRUEBAS =====
+
+/**
+ * Vaciar la base entre pruebas
+ */
+export function resetFirestore() {
+  store.clear();
+  versions.clear();
+}
+
+/**
+ * Documentos guardados en una colección ({ id, ...datos })
+ */
+export function getStoredDocuments(collectionName) {
+  const prefix = `${collectionName}/`;
+  return [...store.entries()]
+    .filter(([path]) => path.startsWith(prefix))
+    .map(([path, data]) => ({ id: path.slice(prefix.length), ...structuredClone(data) }));
+}
@@ -0,0 +1,42 @@
+/**
+ * Datos de prueba creados a través de los servicios
+ */
+import firestoreService from '../../src/services/firestore.js';
+import commissionService from '../../src/services/commission-service.js';
+import { buildIdempotencyKey } from '../../src/utils/idempotency.js';
+
+export async function createStreamer(data) {
+  const result = await firestoreService.createStreamer({ agency: 'luxeryprime', status: 'active', ...data });
+  return result.id;
+}
+
+/**
+ * Comisión ya calculada cuyo saldo para el streamer es amount
+ * leaders: [{ leaderId, amount }] overrides de la cadena de líderes
+ */
+export function buildCommission({ streamerId, amount, sourceRow, currency = 'USD', app = 'hiti', period = '2024-05-01', leaders = [] }) {
+  const idempotencyKey = buildIdempotencyKey({ app, streamerId, period, sourceRow });
+  return {
+    id: idempotencyKey,
+    idempotencyKey,
+    streamerId,
+    streamerName: streamerId,
+    agency: 'luxeryprime',
+    app,
+    currency,
+    baseAmount: amount,
+    streamerCommission: amount,
+    leaderCommission: leaders.reduce((total, leader) => total + leader.amount, 0),
+    agencyCommission: 0,
+    leaderOverrides: leaders.map((leader, index) => ({ tier: index + 1, rate: 0, ...leader })),
+    deductions: [],
+    earnedAt: `${period}T00:00:00.000Z`,
+    createdBy: 'importer'
+  };
+}
+
+export async function createApprovedCommission(params) {
+  const created = await commissionService.createCommission(buildCommission(params));
+  await commissionService.approveCommission(created.id, { actor: 'admin' });
+  return created.id;
+}
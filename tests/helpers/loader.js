@@ -0,0 +1,19 @@
+/**
+ * Hooks de resolución para las pruebas
+ * El SDK de Firebase y la configuración de src/config se reemplazan por la base en memoria.
+ */
+
+const FAKE_FIREBASE = new URL('./fake-firebase.js', import.meta.url).href;
+const FAKE_CONFIG = 'data:text/javascript,export const FIREBASE_CONFIG = {};';
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'firebase/app' || specifier === 'firebase/firestore') {
+    return { url: FAKE_FIREBASE, shortCircuit: true };
+  }
+
+  if (specifier === '../config' && context.parentURL && context.parentURL.endsWith('/src/services/firestore.js')) {
+    return { url: FAKE_CONFIG, shortCircuit: true };
+  }
+
+  return nextResolve(specifier, context);
+}
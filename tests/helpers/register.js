@@ -0,0 +1,8 @@
+// Se carga con --import antes de las pruebas (ver el script test de package.json)
+import { register } from 'node:module';
+
+register('./loader.js', import.meta.url);
+
+// El runner de node:test lee su protocolo por la salida estándar del proceso de cada
+// archivo; lo que imprimen los servicios va a stderr para no corromperlo
+console.log = (...args) => console.error(...args);
@@ -0,0 +1,90 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIdempotencyKey, normalizePeriod } from '../src/utils/idempotency.js';
+import commissionService from '../src/services/commission-service.js';
+import { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer, buildCommission } from './helpers/fixtures.js';
+
+beforeEach(() => resetFirestore());
+
+test('el mismo origen produce la misma clave', () => {
+  const source = { app: 'hiti', streamerId: 'abc123', period: '2024-05-01', sourceRow: 'fila-15' };
+
+  assert.equal(buildIdempotencyKey(source), 'COMM|hiti|abc123|2024-05-01|fila-15');
+  assert.equal(buildIdempotencyKey({ ...source }), buildIdempotencyKey(source));
+  assert.notEqual(buildIdempotencyKey({ ...source, sourceRow: 'fila-16' }), buildIdempotencyKey(source));
+});
+
+test('las partes se codifican: la clave es un ID de documento válido y no ambiguo', () => {
+  const key = buildIdempotencyKey({ app: 'hiti', streamerId: 'a|b', period: '2024-05-01', sourceRow: 'hoja/fila 3' });
+
+  assert.ok(!key.includes('/'));
+  assert.equal(key.split('|').length, 5);
+  assert.notEqual(key, buildIdempotencyKey({ app: 'hiti', streamerId: 'a', period: 'b|2024-05-01', sourceRow: 'hoja/fila 3' }));
+});
+
+test('la clave requiere todas sus partes', () => {
+  assert.throws(
+    () => buildIdempotencyKey({ app: 'hiti', streamerId: 'abc123', period: '2024-05-01', sourceRow: '' }),
+    /requiere sourceRow/
+  );
+  assert.doesNotThrow(() => buildIdempotencyKey({ app: 'hiti', streamerId: 'abc123', period: '2024-05-01', sourceRow: 0 }));
+});
+
+test('normalizePeriod deja solo la fecha', () => {
+  assert.equal(normalizePeriod(new Date('2024-05-01T15:30:00.000Z')), '2024-05-01');
+  assert.equal(normalizePeriod('2024-05-01T15:30:00.000Z'), '2024-05-01');
+  assert.equal(normalizePeriod('2024-05'), '2024-05');
+});
+
+test('crear dos veces la misma comisión devuelve la existente sin volver a devengar', async () => {
+  const streamerId = await createStreamer({ id: 's1', name: 'Ana' });
+  const data = buildCommission({ streamerId, amount: 40, sourceRow: 'fila-1' });
+
+  const first = await commissionService.createCommission(data);
+  const second = await commissionService.createCommission(data);
+
+  assert.equal(first.existing, false);
+  assert.equal(second.existing, true);
+  assert.equal(second.id, first.id);
+  assert.equal(getStoredDocuments(COLLECTIONS.COMMISSIONS).length, 1);
+  assert.equal(getStoredDocuments(COLLECTIONS.COMMISSION_LEDGER).length, 1);
+});
+
+test('creaciones concurrentes con la misma clave guardan una sola comisión', async () => {
+  const streamerId = await createStreamer({ id: 's1', name: 'Ana' });
+  const data = buildCommission({ streamerId, amount: 40, sourceRow: 'fila-1' });
+
+  const results = await Promise.all([commissionService.createCommission(data), commissionService.createCommission(data)]);
+
+  assert.deepEqual(results.map(result => result.existing).sort(), [false, true]);
+  assert.equal(getStoredDocuments(COLLECTIONS.COMMISSIONS).length, 1);
+  assert.equal(getStoredDocuments(COLLECTIONS.COMMISSION_LEDGER).length, 1);
+});
+
+test('una comisión anulada libera la clave para una revisión', async () => {
+  const streamerId = await createStreamer({ id: 's1', name: 'Ana' });
+  const data = buildCommission({ streamerId, amount: 40, sourceRow: 'fila-1' });
+
+  const first = await commissionService.createCommission(data);
+  await commissionService.updateCommissionStatus(first.id, 'cancelled');
+  const revision = await commissionService.createCommission(data);
+
+  assert.equal(revision.existing, false);
+  assert.equal(revision.id, `${first.id}|r1`);
+  assert.equal(revision.data.revision, 1);
+});
+
+test('un origen repetido dentro del lote se reporta y no se crea dos veces', async () => {
+  const streamerId = await createStreamer({ id: 's1', name: 'Ana' });
+  const data = buildCommission({ streamerId, amount: 40, sourceRow: 'fila-1' });
+
+  const results = await commissionService.processCommissionBatch([data, { ...data, streamerCommission: 50 }]);
+
+  assert.equal(results.successful, 1);
+  assert.equal(results.failed, 1);
+  assert.deepEqual(results.commissionIds, [data.id]);
+  assert.match(results.errors[0].error, /Origen repetido/);
+  assert.equal(getStoredDocuments(COLLECTIONS.COMMISSIONS).length, 1);
+});
@@ -0,0 +1,59 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import leaderHierarchyService from '../src/services/leader-hierarchy.js';
+import commissionService from '../src/services/commission-service.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+const registerLeader = (userId, data = {}) =>
+  leaderHierarchyService.createLeader({ userId, name: userId, agency: 'luxeryprime', ...data });
+
+beforeEach(() => resetFirestore());
+
+test('registrar un líder con su upline y tasas propias', async () => {
+  const parent = await registerLeader('u-parent');
+  const leader = await registerLeader('u-leader', { name: '  Lía ', parentLeaderId: parent.id, overrideRates: { 1: 0.08 } });
+
+  const stored = await leaderHierarchyService.getLeader(leader.id);
+  assert.equal(stored.name, 'Lía');
+  assert.equal(stored.parentLeaderId, parent.id);
+  assert.deepEqual(stored.overrideRates, { 1: 0.08 });
+  assert.deepEqual((await leaderHierarchyService.getChildLeaders(parent.id)).map(child => child.id), [leader.id]);
+});
+
+test('el registro valida datos, tasas, padre y duplicados', async () => {
+  const other = await leaderHierarchyService.createLeader({ userId: 'u-other', name: 'Otro', agency: 'otra' });
+  await registerLeader('u-leader');
+
+  await assert.rejects(leaderHierarchyService.createLeader({ userId: 'u-x', agency: 'luxeryprime' }), /requiere userId, nombre y agencia/);
+  await assert.rejects(registerLeader('u-x', { overrideRates: { 1: 1.5 } }), /entre 0 y 1/);
+  await assert.rejects(registerLeader('u-x', { overrideRates: { 0: 0.1 } }), /Tier inválido/);
+  await assert.rejects(registerLeader('u-x', { parentLeaderId: 'no-existe' }), /no encontrado/);
+  await assert.rejects(registerLeader('u-x', { parentLeaderId: other.id }), /misma agencia/);
+  await assert.rejects(registerLeader('u-leader'), /ya es líder/);
+});
+
+test('asignar un padre que crea un ciclo se rechaza', async () => {
+  const top = await registerLeader('u-top');
+  const middle = await registerLeader('u-middle', { parentLeaderId: top.id });
+
+  await assert.rejects(leaderHierarchyService.setParentLeader(top.id, middle.id), /crearía un ciclo/);
+  await assert.rejects(leaderHierarchyService.setParentLeader(top.id, top.id), /su propio líder padre/);
+});
+
+test('la comisión paga override a cada tier de la cadena con la tasa del líder o la de las reglas', async () => {
+  const top = await registerLeader('u-top');
+  const leader = await registerLeader('u-leader', { parentLeaderId: top.id, overrideRates: { 1: 0.08 } });
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1 });
+  await leaderHierarchyService.assignStreamerLeader('ana', leader.id, { actor: 'admin', source: 'ui' });
+
+  const commission = await commissionService.calculateCommission('ana', 100, 'hiti', { date: '2024-06-01', sourceRow: 'fila-1' });
+
+  // Nivel 1 (15%): 8% para el líder directo y 2% (reglas) para su padre
+  assert.deepEqual(
+    commission.leaderOverrides.map(override => [override.tier, override.leaderId, override.amount]),
+    [[1, leader.id, 8], [2, top.id, 2]]
+  );
+  assert.equal(commission.streamerCommission, 85);
+  assert.equal(commission.agencyCommission, 5);
+});
@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import levelEvaluationService from '../src/services/level-evaluation-service.js';
+import commissionService from '../src/services/commission-service.js';
+import fxRateService from '../src/services/fx-rate-service.js';
+import syncService from '../src/services/sync-service.js';
+import auditService from '../src/services/audit-service.js';
+import { commissionRuleEngine } from '../src/services/commission-rule-engine.js';
+import firestoreService, { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer, buildCommission } from './helpers/fixtures.js';
+
+// Ganancias de hoy: el periodo de gracia cuenta desde el alta del streamer
+const TODAY = new Date().toISOString().slice(0, 10);
+const originalFetch = globalThis.fetch;
+
+beforeEach(() => {
+  resetFirestore();
+  commissionRuleEngine.loadRuleSets([]);
+  commissionService.rulesLoaded = null;
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+const getStreamer = async id => (await firestoreService.getStreamerById(id)).data;
+
+test('las ganancias móviles convierten cada moneda a USD con la tasa de su fecha', async () => {
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1 });
+  await fxRateService.setRate({ from: 'COP', to: 'USD', rate: 0.00025, effectiveAt: '2024-01-01T00:00:00.000Z' });
+  await commissionService.createCommission(buildCommission({ streamerId: 'ana', amount: 300, sourceRow: 'fila-1', period: TODAY }));
+  await commissionService.createCommission(buildCommission({ streamerId: 'ana', amount: 1000000, currency: 'COP', sourceRow: 'fila-2', period: TODAY }));
+
+  assert.equal(await levelEvaluationService.getRollingEarnings('ana'), 550);
+
+  const proposal = await levelEvaluationService.evaluateStreamer(await getStreamer('ana'));
+  assert.equal(proposal.proposedLevel, 2);
+});
+
+test('la evaluación usa las reglas de agency_id antes que el campo agency heredado', async () => {
+  await firestoreService.createDocument(COLLECTIONS.COMMISSION_RULES, {
+    id: 'agencia-x-v2',
+    version: 2,
+    agency: 'agencia-x',
+    effectiveFrom: '2024-01-01T00:00:00.000Z',
+    defaultRate: 0.3,
+    levels: {},
+    levelThresholds: { 2: 100 },
+    leaderOverrides: { maxTiers: 0 }
+  });
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1, agency_id: 'agencia-x', agency: 'legacy' });
+  await commissionService.createCommission(buildCommission({ streamerId: 'ana', amount: 150, sourceRow: 'fila-1', period: TODAY }));
+
+  const proposal = await levelEvaluationService.evaluateStreamer(await getStreamer('ana'));
+
+  assert.equal(proposal.agency, 'agencia-x');
+  assert.equal(proposal.proposedLevel, 2);
+});
+
+test('un nivel escrito fuera del historial rige después del último cambio registrado', () => {
+  const streamer = {
+    level: 3,
+    levelHistory: [{ fromLevel: 1, toLevel: 2, effectiveAt: '2024-01-01T00:00:00.000Z' }]
+  };
+
+  assert.equal(commissionService.getLevelAt(streamer, new Date('2023-12-01')), 1);
+  assert.equal(commissionService.getLevelAt(streamer, new Date('2024-06-01')), 3);
+  assert.equal(commissionService.getLevelAt({ ...streamer, level: 2 }, new Date('2024-06-01')), 2);
+});
+
+test('el nivel que llega de la hoja se registra en el historial de niveles', async () => {
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1, agency_id: 'luxeryprime', status: 'active' });
+  globalThis.fetch = async () => ({
+    json: async () => ({
+      success: true,
+      data: [{ ID: 'ana', Nombre: 'Ana', App: 'hiti', Nivel: '3', Comision: '0', Agencia: 'luxeryprime', Telefono: '', Email: '', Estado: 'active' }]
+    })
+  });
+
+  const result = await syncService.syncStreamersFromSheets();
+
+  assert.equal(result.success, true);
+  const streamer = await getStreamer('ana');
+  assert.equal(streamer.level, 3);
+  assert.deepEqual(streamer.levelHistory.map(record => [record.fromLevel, record.toLevel]), [[1, 3]]);
+  assert.equal(commissionService.getLevelAt(streamer, new Date()), 3);
+
+  const [entry] = await auditService.getStreamerHistory('ana', { field: 'level' });
+  assert.equal(entry.source, 'sheet_sync');
+});
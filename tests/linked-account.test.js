@@ -0,0 +1,57 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import linkedAccountService from '../src/services/linked-account-service.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana' });
+  await createStreamer({ id: 'luis', name: 'Luis' });
+});
+
+const link = (streamerId, data = {}) => linkedAccountService.linkAccount({ streamerId, app: 'yameet', externalId: 'Y-1', validFrom: '2024-01-01', ...data });
+
+test('una cuenta vigente de otro streamer no se puede vincular', async () => {
+  await link('ana');
+
+  await assert.rejects(link('luis', { validFrom: '2024-03-01' }), /ya está vinculada al streamer ana/);
+  assert.deepEqual(
+    await linkedAccountService.checkAvailability('yameet', 'Y-1', 'luis', { validFrom: '2024-03-01' }),
+    { available: false, linkedTo: 'ana' }
+  );
+  assert.equal((await linkedAccountService.findByExternalId('yameet', 'Y-1', '2024-03-01')).streamerId, 'ana');
+});
+
+test('al cerrar el vínculo la cuenta pasa a otro streamer y conserva su historial', async () => {
+  await link('ana');
+  await linkedAccountService.unlinkAccount('yameet', 'Y-1', { validTo: '2024-03-01', actor: 'admin' });
+  const account = await link('luis', { validFrom: '2024-03-01' });
+
+  assert.equal(account.streamerId, 'luis');
+  assert.deepEqual(account.previousLinks.map(previous => [previous.streamerId, previous.validTo]), [['ana', '2024-03-01T00:00:00.000Z']]);
+  assert.equal((await linkedAccountService.findByExternalId('yameet', 'Y-1', '2024-02-15')).streamerId, 'ana');
+  assert.equal((await linkedAccountService.findByExternalId('yameet', 'Y-1', '2024-03-01')).streamerId, 'luis');
+  assert.equal(await linkedAccountService.findByExternalId('yameet', 'Y-1', '2023-12-31'), null);
+
+  // Devolver la cuenta a ana en un rango ya cubierto por luis se rechaza
+  await assert.rejects(link('ana', { validFrom: '2024-04-01' }), /ya está vinculada al streamer luis/);
+});
+
+test('volver a vincular al mismo streamer conserva el inicio y la verificación', async () => {
+  await link('ana', { verified: true, actor: 'admin', validFrom: '2024-01-01' });
+  const renewed = await link('ana', { validFrom: '2024-05-01', handle: ' ana_live ' });
+
+  assert.equal(renewed.validFrom, '2024-01-01T00:00:00.000Z');
+  assert.equal(renewed.verified, true);
+  assert.equal(renewed.verifiedBy, 'admin');
+  assert.equal(renewed.handle, 'ana_live');
+  assert.deepEqual(renewed.previousLinks, []);
+});
+
+test('los datos del vínculo se validan', async () => {
+  await assert.rejects(link('ana', { validFrom: null }), /validFrom\) es requerida/);
+  await assert.rejects(link('ana', { validTo: '2023-12-01' }), /posterior a la de inicio/);
+  await assert.rejects(link('ana', { app: 'tiktok' }), /App inválida: tiktok/);
+  await assert.rejects(link('nadie'), /Streamer nadie no encontrado/);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Money, ROUNDING_MODES, roundMoney } from '../src/utils/money.js';
+import { CommissionRuleEngine } from '../src/services/commission-rule-engine.js';
+import commissionService from '../src/services/commission-service.js';
+import firestoreService, { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+const decimals = amounts => amounts.map(amount => amount.toDecimal());
+
+test('suma en centavos sin deriva de punto flotante', () => {
+  assert.equal(Money.fromDecimal(0.1).add(0.2).toDecimal(), 0.3);
+  assert.equal(Money.sum([0.1, 0.2, 0.3]).toDecimal(), 0.6);
+});
+
+test('redondeo bancario por defecto y modos explícitos', () => {
+  assert.equal(roundMoney(2.345), 2.34);
+  assert.equal(roundMoney(2.355), 2.36);
+  assert.equal(roundMoney(2.345, 'USD', ROUNDING_MODES.HALF_UP), 2.35);
+  assert.equal(Money.fromDecimal(10.5, 'COIN').toDecimal(), 10);
+});
+
+test('no mezcla monedas', () => {
+  assert.throws(() => Money.fromDecimal(1).add(Money.fromDecimal(1, 'MXN')), /Monedas distintas/);
+});
+
+test('allocate reparte el residuo sin perder centavos', () => {
+  assert.deepEqual(decimals(Money.fromDecimal(100).allocate([1, 1, 1])), [33.34, 33.33, 33.33]);
+  assert.deepEqual(decimals(Money.fromDecimal(0.01).allocate([0.5, 0.25, 0.25])), [0.01, 0, 0]);
+  assert.deepEqual(decimals(Money.fromDecimal(-10).allocate([1, 2])), [-3.33, -6.67]);
+});
+
+test('allocate: las partes siempre suman el total', () => {
+  const total = Money.fromDecimal(1234.57);
+  const parts = total.allocate([0.15, 0.05, 0.8, 0.333]);
+  assert.ok(Money.sum(parts).equals(total));
+});
+
+test('allocate rechaza proporciones negativas o en cero', () => {
+  assert.throws(() => Money.fromDecimal(10).allocate([1, -1]), /no negativos/);
+  assert.throws(() => Money.fromDecimal(10).allocate([0, 0]), /mayor que cero/);
+  assert.throws(() => Money.fromDecimal(10).allocate([]), /no negativos/);
+});
+
+test('splitCommission reparte entre streamer, líderes y agencia', () => {
+  const engine = new CommissionRuleEngine();
+  const split = engine.splitCommission({ baseAmount: 100, commissionRate: 0.2, leaderRates: [0.05, 0.02] });
+
+  assert.deepEqual(split, { streamer: 80, leaders: [5, 2], leader: 7, agency: 13, total: 100 });
+});
+
+test('splitCommission: los líderes no cobran más que la comisión', () => {
+  const engine = new CommissionRuleEngine();
+  const split = engine.splitCommission({ baseAmount: 100, commissionRate: 0.05, leaderRates: [0.04, 0.03] });
+
+  assert.deepEqual(split.leaders, [4, 1]);
+  assert.equal(split.agency, 0);
+  assert.equal(split.streamer, 95);
+});
+
+test('splitCommission: las partes redondeadas suman la base', () => {
+  const engine = new CommissionRuleEngine();
+  const split = engine.splitCommission({ baseAmount: 33.33, commissionRate: 0.15, leaderRates: [0.03] });
+
+  assert.deepEqual(split, { streamer: 28.33, leaders: [1], leader: 1, agency: 4, total: 33.33 });
+  assert.equal(Money.sum([split.streamer, split.leader, split.agency]).toDecimal(), split.total);
+});
+
+test('la comisión de líderes y agencia se suma en centavos', async () => {
+  resetFirestore();
+  const leader = await firestoreService.createDocument(COLLECTIONS.LEADERS, { name: 'Lía' });
+  await createStreamer({ id: 'ana', name: 'Ana', level: 1, leaderId: leader.id });
+
+  // Nivel 1 (15%) con override del 5%: 0.05 + 0.10 en punto flotante da 0.15000000000000002
+  const commission = await commissionService.calculateCommission('ana', 1, 'hiti', { date: '2024-06-01', sourceRow: 'fila-1' });
+
+  assert.equal(commission.leaderCommission, 0.05);
+  assert.equal(commission.agencyCommission, 0.1);
+  assert.equal(commission.commissionAmount, 0.15);
+});
@@ -0,0 +1,107 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import onboardingService from '../src/services/onboarding-service.js';
+import leaderHierarchy from '../src/services/leader-hierarchy.js';
+import linkedAccountService from '../src/services/linked-account-service.js';
+import auditService from '../src/services/audit-service.js';
+import firestoreService from '../src/services/firestore.js';
+import AuthManager from '../src/services/auth-manager.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+const APPLICANT = {
+  name: 'Ana Pérez',
+  email: 'ana@example.com',
+  phone: '+573001234567',
+  country: 'Colombia',
+  expectedEarnings: 600,
+  accounts: [{ app: 'hiti', externalId: 'H-1', handle: 'ana_live' }, { app: 'yameet', externalId: 'Y-1' }]
+};
+
+let auth;
+let leader;
+
+beforeEach(async () => {
+  resetFirestore();
+  auth = new AuthManager();
+  onboardingService.setAuthManager(auth);
+  leader = await leaderHierarchy.createLeader({ userId: 'u-lia', name: 'Lía', agency: 'luxeryprime' });
+});
+
+const adminToken = (permissions = ['streamers:approve']) => auth.createToken({ id: 'admin-1' }, permissions).token;
+
+async function readyApplication(applicant = APPLICANT) {
+  const application = await onboardingService.submitApplication(applicant, { agency: 'luxeryprime', source: 'leader_invite', invitedBy: leader.id });
+  for (const type of ['id_front', 'id_back', 'selfie']) {
+    await onboardingService.addDocument(application.id, { type, url: `gs://docs/${application.id}/${type}.jpg` });
+  }
+  await onboardingService.startReview(application.id, 'admin-1');
+  return application;
+}
+
+test('una solicitud completa se aprueba con el nivel sugerido y se activa como streamer', async () => {
+  const { id } = await readyApplication();
+
+  const approved = await onboardingService.approveApplication(id, { token: adminToken() });
+  assert.equal(approved.status, 'approved');
+  assert.equal(approved.approval.level, 2);
+  assert.equal(approved.approval.approvedBy, 'admin-1');
+
+  const { application, streamerId, warnings } = await onboardingService.activateApplication(id, { actor: 'admin-1' });
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(application.history.map(entry => entry.to), ['submitted', 'in_review', 'approved', 'active']);
+
+  const streamer = (await firestoreService.getStreamerById(streamerId)).data;
+  assert.equal(streamer.level, 2);
+  assert.equal(streamer.leaderId, leader.id);
+  assert.equal(streamer.status, 'active');
+  assert.equal((await linkedAccountService.findByExternalId('hiti', 'H-1')).streamerId, streamerId);
+
+  const [created] = await auditService.getStreamerHistory(streamerId);
+  assert.equal(created.action, 'create');
+  assert.equal(created.reason, `Solicitud de ingreso ${id}`);
+});
+
+test('no se aprueba sin permiso, sin documentos o sin líder', async () => {
+  const { id } = await readyApplication();
+  await assert.rejects(onboardingService.approveApplication(id, { token: adminToken(['streamers:read']) }), /Permiso requerido: streamers:approve/);
+
+  const incomplete = await onboardingService.submitApplication(APPLICANT, { agency: 'luxeryprime' });
+  await onboardingService.startReview(incomplete.id);
+  await assert.rejects(
+    onboardingService.approveApplication(incomplete.id, { token: adminToken() }),
+    /Faltan documentos: id_front, id_back, selfie; Falta asignar un líder/
+  );
+});
+
+test('las cuentas ya vinculadas a otro streamer quedan como advertencia al activar', async () => {
+  await createStreamer({ id: 'luis', name: 'Luis' });
+  await linkedAccountService.linkAccount({ streamerId: 'luis', app: 'yameet', externalId: 'Y-1', validFrom: '2024-01-01' });
+  const { id } = await readyApplication();
+  await onboardingService.approveApplication(id, { token: adminToken(), level: 1 });
+
+  const { streamerId, warnings } = await onboardingService.activateApplication(id);
+
+  assert.deepEqual(warnings, ['Cuenta yameet Y-1: La cuenta yameet Y-1 ya está vinculada al streamer luis']);
+  assert.equal((await firestoreService.getStreamerById(streamerId)).data.level, 1);
+  await assert.rejects(onboardingService.activateApplication(id), /active → active/);
+});
+
+test('los rechazos guardan sus motivos y alimentan el análisis', async () => {
+  const first = await onboardingService.submitApplication(APPLICANT, { agency: 'luxeryprime' });
+  const second = await readyApplication();
+  await onboardingService.submitApplication(APPLICANT, { agency: 'luxeryprime' });
+
+  await onboardingService.rejectApplication(first.id, { reasons: ['missing_documents'], actor: 'admin-1' });
+  const rejected = await onboardingService.rejectApplication(second.id, { reasons: ['duplicate', 'missing_documents'], note: 'Ya es streamer' });
+  assert.deepEqual(rejected.rejection.stage, 'in_review');
+  await assert.rejects(onboardingService.rejectApplication(first.id, { reasons: ['other'] }), /rejected/);
+  await assert.rejects(onboardingService.rejectApplication(second.id, { reasons: ['caprichos'] }), /Motivos inválidos: caprichos/);
+
+  const analytics = await onboardingService.getRejectionAnalytics({ agency: 'luxeryprime', from: '2020-01-01', to: '2100-01-01' });
+  assert.equal(analytics.total, 3);
+  assert.equal(analytics.rejected, 2);
+  assert.deepEqual(analytics.byReason, { missing_documents: 2, duplicate: 1 });
+  assert.deepEqual(analytics.byStage, { submitted: 1, in_review: 1 });
+  assert.deepEqual(analytics.bySource, { public_form: 1, leader_invite: 1 });
+});
@@ -0,0 +1,284 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import payoutService from '../src/services/payout-service.js';
+import commissionService from '../src/services/commission-service.js';
+import disputeService from '../src/services/dispute-service.js';
+import commissionLedger from '../src/services/commission-ledger.js';
+import { FakePayoutProvider } from '../src/services/payout-providers.js';
+import firestoreService, { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer, buildCommission, createApprovedCommission } from './helpers/fixtures.js';
+
+let provider;
+
+beforeEach(async () => {
+  resetFirestore();
+  provider = new FakePayoutProvider('paypal', { failReceivers: ['rechazo@example.com'] });
+  payoutService.setProvider('paypal', provider);
+
+  await createStreamer({ id: 'ana', name: 'Ana', paymentMethod: 'paypal', paypalEmail: 'ana@example.com' });
+  await createStreamer({ id: 'luis', name: 'Luis', paymentMethod: 'paypal', paypalEmail: 'rechazo@example.com' });
+  await createStreamer({ id: 'eva', name: 'Eva', paymentMethod: 'paypal', paypalEmail: 'eva@example.com' });
+});
+
+const getCommission = id => commissionService.getCommissionById(id);
+
+test('setProvider solo acepta métodos de pago conocidos', () => {
+  assert.throws(() => payoutService.setProvider('cheque', provider), /Método de pago inválido/);
+});
+
+test('planPayouts paga lo que alcanza el mínimo y arrastra el resto', async () => {
+  const paid = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const small = await createApprovedCommission({ streamerId: 'eva', amount: 3, sourceRow: 'fila-2' });
+
+  const plan = await payoutService.planPayouts([paid, small]);
+  const byStreamer = Object.fromEntries(plan.map(entry => [entry.streamerId, entry]));
+
+  assert.equal(byStreamer.ana.action, 'pay');
+  assert.equal(byStreamer.ana.amount, 20);
+  assert.equal(byStreamer.ana.paymentMethod, 'paypal');
+  assert.equal(byStreamer.eva.action, 'carry_forward');
+  assert.equal(byStreamer.eva.threshold, 5);
+});
+
+test('planPayouts excluye comisiones pendientes y en disputa', async () => {
+  const disputed = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const pending = await commissionService.createCommission(buildCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-2' }));
+  await disputeService.openDispute(disputed, { reason: 'Monto incorrecto', openedBy: 'ana' });
+
+  const plan = await payoutService.planPayouts([disputed, pending.id]);
+
+  assert.deepEqual(plan, []);
+});
+
+test('un saldo arrastrado se suma al siguiente periodo', async () => {
+  const first = await createApprovedCommission({ streamerId: 'eva', amount: 3, sourceRow: 'fila-1', period: '2024-05-01' });
+  const firstRun = await payoutService.createPayoutBatches();
+  assert.equal(firstRun.batches.length, 0);
+  assert.equal(firstRun.carriedForward.length, 1);
+  assert.equal((await getCommission(first)).status, 'carried_forward');
+
+  const second = await createApprovedCommission({ streamerId: 'eva', amount: 4, sourceRow: 'fila-1', period: '2024-06-01' });
+  const plan = await payoutService.planPayouts([second]);
+
+  assert.equal(plan[0].action, 'pay');
+  assert.equal(plan[0].amount, 7);
+  assert.equal(plan[0].carriedIn, 3);
+  assert.deepEqual(plan[0].commissionIds.sort(), [first, second].sort());
+});
+
+test('createPayoutBatches crea un lote en cola y reserva sus comisiones', async () => {
+  const ana = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const eva = await createApprovedCommission({ streamerId: 'eva', amount: 12.5, sourceRow: 'fila-2' });
+
+  const { batches, conflicts, errors } = await payoutService.createPayoutBatches();
+
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].status, 'queued');
+  assert.equal(batches[0].itemCount, 2);
+  assert.equal(batches[0].totalAmount, 32.5);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(errors, []);
+
+  const items = await payoutService.getBatchItems(batches[0].id);
+  for (const commissionId of [ana, eva]) {
+    const commission = await getCommission(commissionId);
+    const item = items.find(candidate => candidate.commissionIds.includes(commissionId));
+    assert.equal(commission.payoutItemId, item.id);
+    assert.equal(commission.payoutBatchId, batches[0].id);
+  }
+});
+
+test('una comisión reservada no entra en otro lote', async () => {
+  const ana = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  await payoutService.createPayoutBatches();
+
+  const again = await payoutService.createPayoutBatches({ commissionIds: [ana] });
+
+  assert.equal(again.batches.length, 0);
+  assert.equal(again.skipped[0].commissionId, ana);
+  assert.equal(getStoredDocuments(COLLECTIONS.PAYOUT_ITEMS).length, 1);
+});
+
+test('dos ejecuciones concurrentes no reservan la misma comisión dos veces', async () => {
+  const ana = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+
+  const runs = await Promise.all([payoutService.createPayoutBatches(), payoutService.createPayoutBatches()]);
+
+  const items = getStoredDocuments(COLLECTIONS.PAYOUT_ITEMS);
+  assert.equal(items.length, 1);
+  assert.equal(runs.flatMap(run => run.batches).length, 1);
+  assert.deepEqual(runs.flatMap(run => run.conflicts.flatMap(conflict => conflict.conflicts)), [ana]);
+  assert.equal(getStoredDocuments(COLLECTIONS.PAYOUT_BATCHES).length, 1);
+  assert.equal((await getCommission(ana)).payoutItemId, items[0].id);
+});
+
+test('envío y confirmación: queued → sent → confirmed marca las comisiones como pagadas', async () => {
+  const ana = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+
+  const sent = await payoutService.sendBatch(batch.id, { actor: 'tesoreria' });
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.providerBatchId, `FAKE-${batch.id}`);
+  assert.equal(provider.sentBatches.length, 1);
+  assert.equal((await getCommission(ana)).status, 'approved');
+
+  const refreshed = await payoutService.refreshBatch(batch.id);
+  assert.equal(refreshed.status, 'completed');
+
+  const [item] = await payoutService.getBatchItems(batch.id);
+  assert.equal(item.status, 'confirmed');
+  assert.deepEqual(item.history.map(entry => entry.status), ['queued', 'sent', 'confirmed']);
+
+  const commission = await getCommission(ana);
+  assert.equal(commission.status, 'paid');
+  assert.equal(commission.providerReference, `FAKE-${item.id}`);
+  assert.equal((await payoutService.getStreamerBalance(commission)).toDecimal(), 0);
+});
+
+test('un lote ya enviado no se vuelve a enviar', async () => {
+  await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+  await payoutService.sendBatch(batch.id);
+
+  await assert.rejects(payoutService.sendBatch(batch.id), /ya fue enviado/);
+  assert.equal(provider.sentBatches.length, 1);
+});
+
+test('un pago rechazado libera sus comisiones para una nueva aprobación', async () => {
+  const ana = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const luis = await createApprovedCommission({ streamerId: 'luis', amount: 30, sourceRow: 'fila-2' });
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+
+  await payoutService.sendBatch(batch.id);
+  const refreshed = await payoutService.refreshBatch(batch.id);
+
+  assert.equal(refreshed.status, 'partially_failed');
+  assert.deepEqual(refreshed.counts, { queued: 0, sent: 0, confirmed: 1, failed: 1 });
+  assert.equal((await getCommission(ana)).status, 'paid');
+
+  const failed = await getCommission(luis);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.payoutItemId, null);
+  assert.equal(failed.reapprovalPending, true);
+
+  // Tras corregir el receptor se aprueba en una ronda nueva y entra en otro lote
+  const approved = await commissionService.approveCommission(luis, { actor: 'admin' });
+  assert.equal(approved.approvalRound, 2);
+  const retry = await payoutService.createPayoutBatches({ commissionIds: [luis] });
+  assert.equal(retry.batches.length, 1);
+  assert.notEqual(retry.batches[0].id, batch.id);
+});
+
+test('updateItemStatus solo permite las transiciones definidas', async () => {
+  await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+  const [item] = await payoutService.getBatchItems(batch.id);
+
+  await assert.rejects(payoutService.updateItemStatus(item.id, 'confirmed'), /Transición inválida de pago: queued → confirmed/);
+
+  await payoutService.updateItemStatus(item.id, 'sent');
+  await payoutService.updateItemStatus(item.id, 'confirmed');
+  await assert.rejects(payoutService.updateItemStatus(item.id, 'failed'), /Transición inválida de pago: confirmed → failed/);
+
+  // Repetir el estado actual no hace nada
+  const same = await payoutService.updateItemStatus(item.id, 'confirmed');
+  assert.equal(same.history.length, 3);
+  assert.equal((await payoutService.getBatch(batch.id)).status, 'completed');
+});
+
+test('no se abre una disputa sobre una comisión en un lote en curso', async () => {
+  const ana = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  await payoutService.createPayoutBatches();
+
+  await assert.rejects(disputeService.openDispute(ana, { reason: 'Monto incorrecto', openedBy: 'ana' }), /está en el pago/);
+});
+
+test('confirmar el pago al streamer no salda los overrides de los líderes', async () => {
+  const ana = await createApprovedCommission({
+    streamerId: 'ana',
+    amount: 20,
+    sourceRow: 'fila-1',
+    leaders: [{ leaderId: 'lider-1', amount: 2 }]
+  });
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+
+  await payoutService.sendBatch(batch.id);
+  await payoutService.refreshBatch(batch.id);
+
+  const balances = Object.values(await commissionLedger.getCommissionBalance(ana));
+  assert.deepEqual(balances.map(({ partyType, partyId, amount }) => ({ partyType, partyId, amount })), [
+    { partyType: 'streamer', partyId: 'ana', amount: 0 },
+    { partyType: 'leader', partyId: 'lider-1', amount: 2 }
+  ]);
+  const leader = await commissionLedger.getBalance({ partyType: 'leader', partyId: 'lider-1' });
+  assert.equal(leader.balance, 2);
+});
+
+test('una nómina no marca como pagadas las comisiones de un lote en curso', async () => {
+  const ana = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  await payoutService.createPayoutBatches();
+
+  assert.deepEqual(await payoutService.planPayouts([ana]), []);
+  const summary = await payoutService.processRunPayouts({ id: 'run-1', commissionIds: [ana], agency: null });
+
+  assert.equal(summary.paid, 0);
+  assert.equal((await getCommission(ana)).status, 'approved');
+});
+
+test('dos envíos concurrentes del mismo lote llaman al proveedor una sola vez', async () => {
+  await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+
+  const results = await Promise.allSettled([payoutService.sendBatch(batch.id), payoutService.sendBatch(batch.id)]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(provider.sentBatches.length, 1);
+  assert.equal((await payoutService.getBatch(batch.id)).status, 'sent');
+});
+
+test('si el proveedor rechaza el envío el lote vuelve a la cola', async () => {
+  await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+  const send = provider.send;
+  provider.send = async () => { throw new Error('paypal HTTP 503: Service Unavailable'); };
+
+  await assert.rejects(payoutService.sendBatch(batch.id), /503/);
+  const queued = await payoutService.getBatch(batch.id);
+  assert.equal(queued.status, 'queued');
+  assert.match(queued.sendError, /503/);
+
+  provider.send = send;
+  assert.equal((await payoutService.sendBatch(batch.id)).status, 'sent');
+});
+
+test('si una comisión no puede pagarse, el ítem y las demás comisiones no cambian', async () => {
+  const first = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  const second = await createApprovedCommission({ streamerId: 'ana', amount: 10, sourceRow: 'fila-2' });
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+  await payoutService.sendBatch(batch.id);
+  await firestoreService.updateCommission(second, { status: 'cancelled' });
+
+  await assert.rejects(payoutService.refreshBatch(batch.id), /Transición inválida/);
+
+  const [item] = await payoutService.getBatchItems(batch.id);
+  assert.equal(item.status, 'sent');
+  assert.equal((await getCommission(first)).status, 'approved');
+  assert.deepEqual(await commissionLedger.getEntries({ commissionId: first, type: 'payout' }), []);
+});
+
+test('un saldo en cero se liquida sin crear un ítem para el proveedor', async () => {
+  const id = await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' });
+  await commissionService.createAdjustment(id, { amount: -20, reason: 'Comisión duplicada', actor: 'admin' });
+
+  const plan = await payoutService.planPayouts([id]);
+  assert.equal(plan[0].action, 'settle');
+
+  const result = await payoutService.createPayoutBatches({ commissionIds: [id], actor: 'admin' });
+
+  assert.deepEqual(result.batches, []);
+  assert.deepEqual(result.settled.map(entry => entry.commissionIds), [[id]]);
+  assert.equal((await getCommission(id)).status, 'paid');
+  assert.deepEqual(getStoredDocuments(COLLECTIONS.PAYOUT_ITEMS), []);
+  assert.deepEqual(provider.sentBatches, []);
+});
@@ -0,0 +1,157 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import payrollService from '../src/services/payroll-service.js';
+import commissionService from '../src/services/commission-service.js';
+import { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+// Filas de un reporte sin referencia de origen
+const ROWS = [
+  { streamerId: 'ana', app: 'hiti', amount: 100, currency: 'USD', date: '2024-05-03T00:00:00.000Z' },
+  { streamerId: 'ana', app: 'hiti', amount: 40, currency: 'USD', date: '2024-05-04T00:00:00.000Z' }
+];
+
+let run;
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana', agency_id: 'luxeryprime', level: 1 });
+  run = await payrollService.openPeriod({ agency: 'luxeryprime', periodType: 'monthly', startDate: '2024-05-01T00:00:00.000Z', actor: 'calculista' });
+});
+
+const activeCommissions = () => getStoredDocuments(COLLECTIONS.COMMISSIONS).filter(commission => commission.status !== 'cancelled');
+
+test('no se abren dos nóminas del mismo periodo', async () => {
+  await assert.rejects(
+    payrollService.openPeriod({ agency: 'luxeryprime', periodType: 'monthly', startDate: '2024-05-01T00:00:00.000Z' }),
+    /Ya existe una nómina/
+  );
+});
+
+test('las ganancias fuera del periodo se rechazan', async () => {
+  const result = await payrollService.importEarnings(run.id, [{ ...ROWS[0], date: '2024-06-02T00:00:00.000Z' }]);
+
+  assert.equal(result.imported, 0);
+  assert.deepEqual(result.errors[0].errors, ['La fecha está fuera del periodo']);
+});
+
+test('reimportar el mismo archivo sin sourceRow no duplica ganancias ni comisiones', async () => {
+  const first = await payrollService.importEarnings(run.id, ROWS);
+  const second = await payrollService.importEarnings(run.id, ROWS);
+
+  assert.equal(first.imported, 2);
+  assert.equal(second.imported, 0);
+  assert.equal(second.duplicates, 2);
+  assert.equal((await payrollService.getRunEarnings(run.id)).length, 2);
+
+  const computed = await payrollService.computeCommissions(run.id, 'calculista');
+  assert.equal(computed.commissionIds.length, 2);
+  assert.equal(activeCommissions().length, 2);
+});
+
+test('el origen derivado es el mismo en otra nómina del mismo periodo', async () => {
+  await payrollService.importEarnings(run.id, ROWS);
+  await payrollService.computeCommissions(run.id, 'calculista');
+
+  const other = await payrollService.openPeriod({ agency: 'luxeryprime', periodType: 'biweekly', startDate: '2024-05-01T00:00:00.000Z' });
+  await payrollService.importEarnings(other.id, ROWS);
+  const computed = await payrollService.computeCommissions(other.id, 'calculista');
+
+  assert.equal(computed.duplicates.length, 2);
+  assert.equal(activeCommissions().length, 2);
+});
+
+test('recalcular el borrador reemplaza las comisiones anteriores', async () => {
+  await payrollService.importEarnings(run.id, ROWS);
+  const first = await payrollService.computeCommissions(run.id, 'calculista');
+  const second = await payrollService.computeCommissions(run.id, 'calculista');
+
+  assert.equal(activeCommissions().length, 2);
+  assert.deepEqual(second.commissionIds, first.commissionIds.map(id => `${id}|r1`));
+  assert.equal(second.totals.count, first.totals.count);
+});
+
+test('cerrar el periodo aprueba y bloquea las comisiones', async () => {
+  await payrollService.importEarnings(run.id, ROWS);
+  await payrollService.computeCommissions(run.id, 'calculista');
+  await payrollService.submitForReview(run.id, 'calculista');
+
+  const closed = await payrollService.closePeriod(run.id, 'supervisor');
+
+  assert.equal(closed.status, 'approved');
+  assert.equal(closed.approvalSummary.approved, 2);
+  for (const commissionId of closed.commissionIds) {
+    const commission = await commissionService.getCommissionById(commissionId);
+    assert.equal(commission.locked, true);
+    assert.equal(commission.status, 'approved');
+  }
+  await assert.rejects(payrollService.importEarnings(run.id, ROWS), /debe estar en estado draft/);
+});
+
+test('el fin del periodo depende del tipo de nómina', () => {
+  const start = new Date('2024-01-31T00:00:00.000Z');
+
+  assert.equal(payrollService.calculatePeriodEnd(start, 'weekly').toISOString(), '2024-02-07T00:00:00.000Z');
+  assert.equal(payrollService.calculatePeriodEnd(start, 'biweekly').toISOString(), '2024-02-14T00:00:00.000Z');
+  assert.equal(payrollService.calculatePeriodEnd(new Date('2024-05-01T00:00:00.000Z'), 'monthly').toISOString(), '2024-06-01T00:00:00.000Z');
+  assert.throws(() => payrollService.calculatePeriodEnd(start, 'daily'), /Tipo de periodo inválido/);
+});
+
+test('la nómina solo avanza por las transiciones definidas y guarda su historial', async () => {
+  await assert.rejects(payrollService.submitForReview(run.id, 'calculista'), /no tiene comisiones/);
+  await assert.rejects(payrollService.closePeriod(run.id, 'supervisor'), /Transición inválida de nómina: draft → approved/);
+
+  await payrollService.importEarnings(run.id, ROWS);
+  await payrollService.computeCommissions(run.id, 'calculista');
+  await payrollService.submitForReview(run.id, 'calculista');
+  await payrollService.returnToDraft(run.id, 'supervisor');
+  await payrollService.submitForReview(run.id, 'calculista');
+  await assert.rejects(payrollService.markPaid(run.id, 'finanzas'), /review → paid/);
+
+  const saved = await payrollService.getRun(run.id);
+  assert.deepEqual(saved.history.map(entry => [entry.from, entry.to, entry.actor]), [
+    [null, 'draft', 'calculista'],
+    ['draft', 'review', 'calculista'],
+    ['review', 'draft', 'supervisor'],
+    ['draft', 'review', 'calculista']
+  ]);
+});
+
+test('una comisión de un periodo cerrado solo se corrige con un ajuste', async () => {
+  await payrollService.importEarnings(run.id, ROWS);
+  await payrollService.computeCommissions(run.id, 'calculista');
+  await payrollService.submitForReview(run.id, 'calculista');
+  const closed = await payrollService.closePeriod(run.id, 'supervisor');
+  const [commissionId] = closed.commissionIds;
+
+  await assert.rejects(
+    commissionService.updateCommissionStatus(commissionId, 'cancelled', { streamerCommission: 1 }),
+    /bloqueada por cierre de nómina/
+  );
+  await assert.rejects(
+    commissionService.processCommissionBatch([], { payrollRun: closed }),
+    /está cerrada/
+  );
+
+  const adjustment = await commissionService.createAdjustment(commissionId, { amount: -5, reason: 'Corrección', actor: 'supervisor' });
+  assert.equal(adjustment.type, 'adjustment');
+  assert.equal((await commissionService.getCommissionById(commissionId)).streamerCommission, 85);
+});
+
+test('marcar la nómina como pagada paga sus comisiones', async () => {
+  await payrollService.importEarnings(run.id, ROWS);
+  await payrollService.computeCommissions(run.id, 'calculista');
+  await payrollService.submitForReview(run.id, 'calculista');
+  const closed = await payrollService.closePeriod(run.id, 'supervisor');
+
+  const paid = await payrollService.markPaid(run.id, 'finanzas');
+
+  assert.equal(paid.status, 'paid');
+  assert.deepEqual(paid.payoutSummary, { paid: 1, carriedForward: 0 });
+  for (const commissionId of closed.commissionIds) {
+    const commission = await commissionService.getCommissionById(commissionId);
+    assert.equal(commission.status, 'paid');
+    assert.equal(commission.paidInRunId, run.id);
+  }
+});
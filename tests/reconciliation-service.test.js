@@ -0,0 +1,97 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import reconciliationService from '../src/services/reconciliation-service.js';
+import payoutService from '../src/services/payout-service.js';
+import commissionService from '../src/services/commission-service.js';
+import commissionLedger from '../src/services/commission-ledger.js';
+import { FakePayoutProvider } from '../src/services/payout-providers.js';
+import { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer, createApprovedCommission } from './helpers/fixtures.js';
+
+let commissions;
+let items;
+
+beforeEach(async () => {
+  resetFirestore();
+  payoutService.setProvider('paypal', new FakePayoutProvider('paypal'));
+
+  await createStreamer({ id: 'ana', name: 'Ana', paymentMethod: 'paypal', paypalEmail: 'ana@example.com' });
+  await createStreamer({ id: 'luis', name: 'Luis', paymentMethod: 'paypal', paypalEmail: 'luis@example.com' });
+  await createStreamer({ id: 'eva', name: 'Eva', paymentMethod: 'paypal', paypalEmail: 'eva@example.com' });
+
+  commissions = {
+    ana: await createApprovedCommission({ streamerId: 'ana', amount: 20, sourceRow: 'fila-1' }),
+    luis: await createApprovedCommission({ streamerId: 'luis', amount: 30, sourceRow: 'fila-2' }),
+    eva: await createApprovedCommission({ streamerId: 'eva', amount: 12.5, sourceRow: 'fila-3' })
+  };
+  const { batches: [batch] } = await payoutService.createPayoutBatches();
+  await payoutService.sendBatch(batch.id);
+  items = Object.fromEntries((await payoutService.getBatchItems(batch.id)).map(item => [item.streamerId, item]));
+});
+
+const statusOf = async streamerId => (await commissionService.getCommissionById(commissions[streamerId])).status;
+
+const STATEMENT = () => [
+  'reference,transaction_id,amount,currency,receiver_email,status',
+  `${items.ana.id},PP-001,20.00,USD,ana@example.com,SUCCESS`,
+  `,PP-002,30.00,USD,luis@example.com,RETURNED`,
+  `,PP-003,12.50,USD,EVA@example.com,SUCCESS`,
+  `,PP-004,99.00,USD,nadie@example.com,SUCCESS`
+].join('\n');
+
+test('el extracto confirma, rechaza y reporta lo que no cruza', async () => {
+  const reconciliation = await reconciliationService.reconcileStatement({ content: STATEMENT(), method: 'paypal', actor: 'tesoreria' });
+
+  assert.deepEqual(reconciliation.results.map(result => [result.result, result.matchedBy]), [
+    ['matched', 'reference'],
+    ['failed', 'recipient_amount'],
+    ['matched', 'recipient_amount'],
+    ['unmatched', null]
+  ]);
+  assert.deepEqual(reconciliation.missing, []);
+  assert.equal(getStoredDocuments(COLLECTIONS.RECONCILIATIONS).length, 1);
+
+  assert.equal(await statusOf('ana'), 'paid');
+  assert.equal(await statusOf('eva'), 'paid');
+  assert.equal(await statusOf('luis'), 'failed');
+
+  const ana = await commissionService.getCommissionById(commissions.ana);
+  assert.equal(ana.providerReference, 'PP-001');
+  const payouts = await commissionLedger.getEntries({ commissionId: commissions.ana, type: 'payout' });
+  assert.deepEqual(payouts.map(entry => [entry.partyId, entry.amount, entry.reference]), [['ana', -20, 'PP-001']]);
+  assert.deepEqual(await commissionLedger.getEntries({ commissionId: commissions.luis, type: 'payout' }), []);
+});
+
+test('conciliar dos veces el mismo extracto no vuelve a pagar', async () => {
+  await reconciliationService.reconcileStatement({ content: STATEMENT(), method: 'paypal' });
+  const again = await reconciliationService.reconcileStatement({ content: STATEMENT(), method: 'paypal' });
+
+  assert.equal(again.summary.duplicate, 2);
+  assert.equal(getStoredDocuments(COLLECTIONS.COMMISSION_LEDGER).filter(entry => entry.type === 'payout').length, 2);
+});
+
+test('un monto distinto queda como parcial y el pago sigue enviado', async () => {
+  const content = [
+    'reference,amount,currency,status',
+    `${items.ana.id},19.99,USD,completed`,
+    `${items.luis.id},30,USD,processing`
+  ].join('\n');
+
+  const reconciliation = await reconciliationService.reconcileStatement({ content, method: 'paypal' });
+
+  assert.deepEqual(reconciliation.results.map(result => result.result), ['partial', 'pending']);
+  assert.deepEqual(reconciliation.missing.map(item => item.streamerId), ['eva']);
+  assert.equal((await payoutService.getItem(items.ana.id)).status, 'sent');
+  assert.equal(await statusOf('ana'), 'approved');
+});
+
+test('dryRun muestra el resultado sin cambiar nada', async () => {
+  const content = JSON.stringify({ items: [{ sender_item_id: items.ana.id, amount: { value: '20.00', currency: 'USD' }, transaction_status: 'SUCCESS' }] });
+
+  const reconciliation = await reconciliationService.reconcileStatement({ content, format: 'json', method: 'paypal', dryRun: true });
+
+  assert.equal(reconciliation.summary.matched, 1);
+  assert.equal(await statusOf('ana'), 'approved');
+  assert.deepEqual(getStoredDocuments(COLLECTIONS.RECONCILIATIONS), []);
+});
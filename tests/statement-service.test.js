@@ -0,0 +1,74 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import statementService from '../src/services/statement-service.js';
+import commissionService from '../src/services/commission-service.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer, buildCommission, createApprovedCommission } from './helpers/fixtures.js';
+
+const RANGE = { from: '2024-05-01', to: '2024-05-31' };
+
+let aprilId;
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana <Lux>' });
+
+  aprilId = await createApprovedCommission({ streamerId: 'ana', amount: 50, sourceRow: 'fila-1', period: '2024-04-20' });
+  await createApprovedCommission({ streamerId: 'ana', amount: 100, sourceRow: 'fila-2', period: '2024-05-03' });
+  await commissionService.createCommission({
+    ...buildCommission({ streamerId: 'ana', amount: 40, sourceRow: 'fila-3', app: 'salsa', period: '2024-05-10' }),
+    deductions: [{ code: 'CO-RTE', label: 'Retención, Colombia', amount: 4 }]
+  });
+});
+
+test('saldo inicial, devengos por app, deducciones y saldo final del periodo', async () => {
+  const statement = await statementService.generateStatement('ana', RANGE);
+
+  assert.equal(statement.openingBalance, 50);
+  assert.equal(statement.accruals, 140);
+  assert.deepEqual(statement.accrualsByApp, { hiti: 100, salsa: 40 });
+  assert.equal(statement.deductions, 4);
+  assert.equal(statement.payouts, 0);
+  assert.equal(statement.closingBalance, 186);
+  assert.deepEqual(statement.lines.map(line => [line.type, line.amount, line.balance]), [
+    ['accrual', 100, 150],
+    ['accrual', 40, 190],
+    ['withholding', -4, 186]
+  ]);
+  assert.equal(statement.period.to, '2024-05-31T23:59:59.999Z');
+});
+
+test('los pagos posteriores aparecen en el periodo en que se registran', async () => {
+  await commissionService.updateCommissionStatus(aprilId, 'paid', { actor: 'finanzas' });
+
+  const may = await statementService.generateStatement('ana', RANGE);
+  const untilToday = await statementService.generateStatement('ana', { from: '2024-05-01' });
+
+  assert.equal(may.payouts, 0);
+  assert.equal(untilToday.payouts, 50);
+  assert.equal(untilToday.closingBalance, 136);
+  assert.equal(untilToday.lines.at(-1).description, 'Pago (hiti)');
+});
+
+test('exporta CSV con saldo inicial y final, y HTML escapado', async () => {
+  const csv = await statementService.exportStatement('ana', RANGE, 'csv');
+  const rows = csv.body.split('\n');
+
+  assert.equal(csv.filename, 'estado_ana_2024-05-01_2024-05-31.csv');
+  assert.equal(rows[0], 'Fecha,Tipo,App,Comision_ID,Descripcion,Monto,Saldo');
+  assert.equal(rows[1], ',opening_balance,,,Saldo inicial,,50');
+  assert.match(rows[4], /^2024-05-10,withholding,salsa,.*,"Retención \(salsa - Retención, Colombia - CO-RTE\)",-4,186$/);
+  assert.equal(rows[5], ',closing_balance,,,Saldo final,,186');
+
+  const html = await statementService.exportStatement('ana', RANGE, 'html');
+  assert.match(html.body, /Ana &lt;Lux&gt;/);
+  assert.ok(!html.body.includes('<Lux>'));
+
+  const json = await statementService.exportStatement('ana', RANGE, 'json');
+  assert.equal(JSON.parse(json.body).closingBalance, 186);
+});
+
+test('rechaza rangos y formatos inválidos', async () => {
+  await assert.rejects(statementService.generateStatement('ana', { from: '2024-06-01', to: '2024-05-01' }), /Rango de fechas inválido/);
+  await assert.rejects(statementService.exportStatement('ana', RANGE, 'pdf'), /Formato no soportado/);
+});
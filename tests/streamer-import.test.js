@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import streamerImportService from '../src/services/streamer-import-service.js';
+import auditService from '../src/services/audit-service.js';
+import firestoreService, { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore, getStoredDocuments } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+const FILE = [
+  'id,nombre,email,telefono,pais,nivel,lider',
+  'ana,Ana,ana@example.com,+573001234567,Colombia,3,',
+  ',Luis Gómez,luis@example.com,+573001112233,Colombia,1,',
+  'eva,Eva,eva@example.com,+573004445566,Colombia,1,',
+  'pedro,Pedro,ana@example.com,+573007778899,Colombia,1,',
+  ',Rita,rita@example.com,+573001231234,Colombia,dos,',
+  ',Sol,sol@example.com,+573009990000,Colombia,1,lider-x'
+].join('\n');
+
+beforeEach(async () => {
+  resetFirestore();
+  await createStreamer({ id: 'ana', name: 'Ana', email: 'ana@example.com', phone: '+573001234567', country: 'Colombia', agency_id: 'luxeryprime', level: 1 });
+  await createStreamer({ id: 'eva', name: 'Eva', email: 'eva@example.com', phone: '+573004445566', country: 'Colombia', countryCode: 'CO', agency_id: 'luxeryprime', level: 1 });
+});
+
+const importFile = (options = {}) => streamerImportService.importStreamers({ content: FILE, format: 'csv', agency: 'luxeryprime', fileName: 'streamers.csv', actor: 'admin', ...options });
+
+test('la simulación muestra el plan por fila sin escribir', async () => {
+  const report = await importFile();
+
+  assert.deepEqual(report.rows.map(row => [row.line, row.action]), [
+    [2, 'update'], [3, 'create'], [4, 'unchanged'], [5, 'rejected'], [6, 'rejected'], [7, 'rejected']
+  ]);
+  assert.deepEqual(report.rows[0].changes, { countryCode: { from: null, to: 'CO' }, level: { from: 1, to: 3 } });
+  assert.match(report.rows[3].errors.join(), /El email ana@example.com ya es del streamer ana/);
+  assert.match(report.rows[4].errors.join(), /Nivel inválido: dos/);
+  assert.match(report.rows[5].errors.join(), /Líder lider-x no encontrado/);
+  assert.deepEqual(report.summary, { rows: 6, create: 1, update: 1, unchanged: 1, rejected: 3, corrected: 0, failed: 0 });
+
+  assert.equal(getStoredDocuments(COLLECTIONS.STREAMERS).length, 2);
+  assert.deepEqual(getStoredDocuments(COLLECTIONS.STREAMER_IMPORTS), []);
+});
+
+test('al confirmar se crean y actualizan los streamers con auditoría e historial de nivel', async () => {
+  const report = await importFile({ dryRun: false });
+
+  assert.equal(report.summary.failed, 0);
+  const created = report.rows[1].streamerId;
+  const luis = (await firestoreService.getStreamerById(created)).data;
+  assert.deepEqual([luis.name, luis.agency_id, luis.status, luis.level], ['Luis Gómez', 'luxeryprime', 'active', 1]);
+
+  const ana = (await firestoreService.getStreamerById('ana')).data;
+  assert.equal(ana.level, 3);
+  assert.equal(ana.countryCode, 'CO');
+  assert.deepEqual(ana.levelHistory.map(entry => [entry.fromLevel, entry.toLevel, entry.reason]), [[1, 3, 'Importación masiva de streamers (streamers.csv)']]);
+
+  const levelAudit = (await auditService.getStreamerHistory('ana')).find(entry => entry.changes.some(change => change.field === 'level'));
+  assert.equal(levelAudit.source, 'import');
+
+  const history = await auditService.getStreamerHistory(created);
+  assert.deepEqual(history.map(entry => [entry.action, entry.source, entry.reason]), [['create', 'import', 'Importación masiva de streamers (streamers.csv)']]);
+  assert.equal(getStoredDocuments(COLLECTIONS.STREAMER_IMPORTS).length, 1);
+
+  // Volver a importar el mismo archivo ya no cambia nada
+  const again = await importFile();
+  assert.deepEqual(again.rows.slice(0, 3).map(row => row.action), ['unchanged', 'unchanged', 'unchanged']);
+});
+
+test('el reporte se exporta con una fila por línea del archivo', async () => {
+  const report = await importFile();
+  const { filename, body } = await streamerImportService.exportReport(report);
+
+  assert.match(filename, /\.csv$/);
+  const lines = body.split('\n');
+  assert.equal(lines.length, 7);
+  assert.match(lines[5], /^6,rejected,/);
+});
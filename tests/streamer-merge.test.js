@@ -0,0 +1,111 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import streamerMergeService from '../src/services/streamer-merge-service.js';
+import commissionService from '../src/services/commission-service.js';
+import commissionLedger from '../src/services/commission-ledger.js';
+import linkedAccountService from '../src/services/linked-account-service.js';
+import firestoreService from '../src/services/firestore.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer, buildCommission } from './helpers/fixtures.js';
+
+beforeEach(() => resetFirestore());
+
+const getStreamer = async id => (await firestoreService.getStreamerById(id)).data;
+const balanceOf = async partyId => (await commissionLedger.getBalance({ partyId })).balance;
+
+// ana2 es el mismo streamer creado por un error de tipeo en la hoja
+async function createDuplicatePair() {
+  await createStreamer({ id: 'ana', name: 'Ana Pérez', email: 'ana.perez@gmail.com', level: 2 });
+  await createStreamer({ id: 'ana2', name: 'perez ana', email: 'anaperez+hiti@gmail.com', phone: '+57 300 123 4567' });
+  await createStreamer({ id: 'luis', name: 'Luis', email: 'luis@example.com' });
+
+  const commission = await commissionService.createCommission(buildCommission({ streamerId: 'ana2', amount: 40, sourceRow: 'fila-1' }));
+  await linkedAccountService.linkAccount({ streamerId: 'ana2', app: 'hiti', externalId: 'H-1', validFrom: '2024-01-01' });
+  return commission.id;
+}
+
+test('los candidatos se detectan por email normalizado y nombre aproximado', async () => {
+  await createDuplicatePair();
+
+  const { candidates } = await streamerMergeService.findDuplicateCandidates();
+
+  assert.equal(candidates.length, 1);
+  const [candidate] = candidates;
+  assert.deepEqual([candidate.streamerA.id, candidate.streamerB.id], ['ana', 'ana2']);
+  assert.deepEqual(candidate.matches.map(match => match.field), ['email', 'name']);
+  assert.equal(candidate.score, 0.85);
+});
+
+test('unificar pasa comisiones, cuentas y saldo del libro al streamer conservado', async () => {
+  const commissionId = await createDuplicatePair();
+
+  const merge = await streamerMergeService.mergeStreamers({ survivorId: 'ana', duplicateId: 'ana2', actor: 'admin' });
+
+  assert.equal(merge.status, 'merged');
+  assert.equal((await commissionService.getCommissionById(commissionId)).streamerId, 'ana');
+  assert.equal((await linkedAccountService.findByExternalId('hiti', 'H-1')).streamerId, 'ana');
+  assert.equal(await balanceOf('ana'), 40);
+  assert.equal(await balanceOf('ana2'), 0);
+
+  const survivor = await getStreamer('ana');
+  assert.equal(survivor.phone, '+57 300 123 4567');
+  assert.equal(survivor.email, 'ana.perez@gmail.com');
+  assert.deepEqual(survivor.mergedStreamerIds, ['ana2']);
+
+  const duplicate = await getStreamer('ana2');
+  assert.deepEqual([duplicate.status, duplicate.mergedInto], ['merged', 'ana']);
+  await assert.rejects(streamerMergeService.mergeStreamers({ survivorId: 'luis', duplicateId: 'ana2' }), /ya fue unificado en ana/);
+});
+
+test('revertir devuelve todo al duplicado e informa los datos que cambiaron después', async () => {
+  const commissionId = await createDuplicatePair();
+  const merge = await streamerMergeService.mergeStreamers({ survivorId: 'ana', duplicateId: 'ana2', actor: 'admin' });
+  await firestoreService.updateStreamer('ana', { phone: '+57 311 000 0000' });
+
+  const { merge: reverted, conflicts } = await streamerMergeService.revertMerge(merge.id, { actor: 'admin' });
+
+  assert.equal(reverted.status, 'reverted');
+  assert.deepEqual(conflicts, ['phone']);
+  assert.equal((await commissionService.getCommissionById(commissionId)).streamerId, 'ana2');
+  assert.equal((await linkedAccountService.findByExternalId('hiti', 'H-1')).streamerId, 'ana2');
+  assert.equal(await balanceOf('ana'), 0);
+  assert.equal(await balanceOf('ana2'), 40);
+
+  const survivor = await getStreamer('ana');
+  assert.equal(survivor.phone, '+57 311 000 0000');
+  assert.equal(survivor.mergedStreamerIds, null);
+  const duplicate = await getStreamer('ana2');
+  assert.deepEqual([duplicate.status, duplicate.mergedInto], ['active', null]);
+  await assert.rejects(streamerMergeService.revertMerge(merge.id), /no se puede revertir \(reverted\)/);
+});
+
+test('una unificación interrumpida bloquea otras hasta revertirla', async () => {
+  const commissionId = await createDuplicatePair();
+  const { transferParty } = commissionLedger;
+  commissionLedger.transferParty = async () => { throw new Error('Sin conexión'); };
+  try {
+    await assert.rejects(streamerMergeService.mergeStreamers({ survivorId: 'ana', duplicateId: 'ana2' }), /Sin conexión/);
+  } finally {
+    commissionLedger.transferParty = transferParty;
+  }
+
+  const [failed] = await streamerMergeService.getMerges({ duplicateId: 'ana2' });
+  assert.equal(failed.status, 'failed');
+  assert.equal((await commissionService.getCommissionById(commissionId)).streamerId, 'ana');
+  await assert.rejects(streamerMergeService.mergeStreamers({ survivorId: 'ana', duplicateId: 'ana2' }), /quedó sin terminar \(failed\)/);
+
+  await streamerMergeService.revertMerge(failed.id);
+  assert.equal((await commissionService.getCommissionById(commissionId)).streamerId, 'ana2');
+  assert.equal((await getStreamer('ana2')).status, 'active');
+  const again = await streamerMergeService.mergeStreamers({ survivorId: 'ana', duplicateId: 'ana2' });
+  assert.equal(again.status, 'merged');
+});
+
+test('los saldos arrastrados del duplicado se suman en centavos', async () => {
+  await createStreamer({ id: 'ana', name: 'Ana', carryForwardBalances: { USD: 0.1 } });
+  await createStreamer({ id: 'ana2', name: 'Ana', carryForwardBalances: { USD: 0.2, COP: 1500 } });
+
+  await streamerMergeService.mergeStreamers({ survivorId: 'ana', duplicateId: 'ana2', actor: 'admin' });
+
+  assert.deepEqual((await getStreamer('ana')).carryForwardBalances, { USD: 0.3, COP: 1500 });
+});
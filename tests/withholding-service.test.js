@@ -0,0 +1,73 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import withholdingService from '../src/services/withholding-service.js';
+import commissionService from '../src/services/commission-service.js';
+import commissionLedger from '../src/services/commission-ledger.js';
+import auditService from '../src/services/audit-service.js';
+import firestoreService, { COLLECTIONS } from '../src/services/firestore.js';
+import { resetFirestore } from './helpers/fake-firebase.js';
+import { createStreamer } from './helpers/fixtures.js';
+
+beforeEach(async () => {
+  resetFirestore();
+  await firestoreService.setDocumentInTransaction(COLLECTIONS.AGENCIES, 'luxeryprime', () => ({ name: 'Luxery Prime', settings: {} }));
+  await createStreamer({ id: 'ana', name: 'Ana', country: 'Colombia', level: 1 });
+  await createStreamer({ id: 'sofia', name: 'Sofía', countryCode: 'MX', taxExemptions: ['resico'], level: 1 });
+});
+
+const calculate = (streamerId, amount, sourceRow) =>
+  commissionService.calculateCommission(streamerId, amount, 'hiti', { date: '2024-05-03', sourceRow });
+
+test('la retención del país se descuenta de la parte del streamer y va al libro', async () => {
+  // Nivel 1: 15% de 100 para la agencia, 85 para el streamer; Colombia retiene el 11%
+  const commission = await calculate('ana', 100, 'fila-1');
+
+  assert.deepEqual(commission.deductions.map(deduction => [deduction.code, deduction.country, deduction.base, deduction.amount]), [
+    ['CO_RETEFUENTE', 'CO', 85, 9.35]
+  ]);
+  assert.equal(commission.withholdingAmount, 9.35);
+
+  const created = await commissionService.createCommission(commission);
+  const entries = await commissionLedger.getEntries({ commissionId: created.id, partyType: 'streamer' });
+  assert.deepEqual(entries.map(entry => [entry.type, entry.amount]), [['accrual', 85], ['withholding', -9.35]]);
+  assert.equal(commissionLedger.sumByParty(entries)['streamer:ana:USD'].amount, 75.65);
+});
+
+test('las exenciones del streamer y los mínimos por moneda evitan la retención', async () => {
+  assert.deepEqual((await calculate('sofia', 100, 'fila-1')).deductions, []);
+
+  const peru = { countryCode: 'PE' };
+  const below = await withholdingService.calculateDeductions(peru, { agency: 'luxeryprime', amount: 1499.99, currency: 'PEN' });
+  const above = await withholdingService.calculateDeductions(peru, { agency: 'luxeryprime', amount: 1500, currency: 'PEN' });
+  assert.deepEqual(below, []);
+  assert.equal(above[0].amount, 120);
+});
+
+test('la agencia puede sobrescribir las reglas de un país y queda auditado', async () => {
+  await withholdingService.setCountryRules('luxeryprime', 'Colombia', [], { actor: 'contador', source: 'ui' });
+  assert.deepEqual(await withholdingService.getRules('luxeryprime', 'CO'), []);
+  assert.deepEqual((await calculate('ana', 100, 'fila-1')).deductions, []);
+
+  const [entry] = await auditService.getAgencyHistory('luxeryprime');
+  assert.equal(entry.actor, 'contador');
+  assert.deepEqual(entry.changes.map(change => change.field), ['settings.withholdingRules.CO']);
+
+  await assert.rejects(withholdingService.setCountryRules('luxeryprime', 'CO', [{ code: 'X', label: 'X', rate: 1 }]), /Porcentaje inválido en X/);
+  await assert.rejects(withholdingService.setCountryRules('luxeryprime', 'Atlantis', []), /País desconocido/);
+});
+
+test('el resumen agrupa lo retenido por país y excluye las comisiones anuladas', async () => {
+  await commissionService.createCommission(await calculate('ana', 100, 'fila-1'));
+  await commissionService.createCommission(await calculate('ana', 50, 'fila-2'));
+  const cancelled = await commissionService.createCommission(await calculate('ana', 200, 'fila-3'));
+  await commissionService.updateCommissionStatus(cancelled.id, 'cancelled');
+
+  const summary = await withholdingService.getWithholdingSummary({ agency: 'luxeryprime', from: '2024-05-01', to: '2024-06-01' });
+
+  assert.equal(summary.countries.length, 1);
+  const [colombia] = summary.countries;
+  assert.deepEqual([colombia.code, colombia.base, colombia.withheld, colombia.commissions, colombia.streamers], ['CO_RETEFUENTE', 127.5, 14.03, 2, 1]);
+
+  const { body } = await withholdingService.exportWithholdingSummary({ agency: 'luxeryprime', from: '2024-05-01', to: '2024-06-01' });
+  assert.equal(body.split('\n')[1], 'CO,CO_RETEFUENTE,Retención en la fuente por honorarios,USD,127.5,14.03,2,1');
+});